@@ -0,0 +1,20 @@
+pragma circom 2.1.6;
+
+// Shielded withdrawal: proves knowledge of (nullifier, secret) for a leaf of
+// the commitment tree without revealing which leaf.
+//
+//   commitment    = Poseidon(nullifier, secret)
+//   leaf          = Poseidon(commitment, lamports)
+//   nullifierHash = Poseidon(nullifier)
+//
+// Build (circom 2.1+, from the repo root):
+//   circom circuits/withdraw.circom --r1cs --wasm -l node_modules -o build
+//   snarkjs groth16 setup build/withdraw.r1cs <ptau> build/withdraw.zkey
+//   snarkjs zkey export verificationkey build/withdraw.zkey circuits/withdraw_vkey.json
+//
+// The server only needs withdraw_vkey.json (see WITHDRAW_VKEY_PATH). The
+// depth, 20, is the server's MERKLE_TREE_DEPTH.
+
+include "withdraw_templates.circom";
+
+component main {public [root, nullifierHash, recipientHi, recipientLo, lamports]} = Withdraw(20);
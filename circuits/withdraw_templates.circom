@@ -0,0 +1,81 @@
+pragma circom 2.1.6;
+
+// Templates of the withdraw circuit, kept apart from its main component so
+// a circuit of another depth can include them (see circuits/withdraw.circom
+// and test/fixtures/withdraw_test.circom).
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/mux1.circom";
+
+template MerkleTreeChecker(levels) {
+    signal input leaf;
+    signal input root;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component hashers[levels];
+    component muxes[levels];
+    signal levelHashes[levels + 1];
+    levelHashes[0] <== leaf;
+
+    for (var i = 0; i < levels; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        muxes[i] = MultiMux1(2);
+        muxes[i].c[0][0] <== levelHashes[i];
+        muxes[i].c[0][1] <== pathElements[i];
+        muxes[i].c[1][0] <== pathElements[i];
+        muxes[i].c[1][1] <== levelHashes[i];
+        muxes[i].s <== pathIndices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxes[i].out[0];
+        hashers[i].inputs[1] <== muxes[i].out[1];
+        levelHashes[i + 1] <== hashers[i].out;
+    }
+
+    root === levelHashes[levels];
+}
+
+template Withdraw(levels) {
+    // public, in this order (see verifyWithdrawProof in src/zk.js)
+    signal input root;
+    signal input nullifierHash;
+    signal input recipientHi;
+    signal input recipientLo;
+    signal input lamports;
+
+    // private
+    signal input nullifier;
+    signal input secret;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component nullifierHasher = Poseidon(1);
+    nullifierHasher.inputs[0] <== nullifier;
+    nullifierHasher.out === nullifierHash;
+
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== nullifier;
+    commitmentHasher.inputs[1] <== secret;
+
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== commitmentHasher.out;
+    leafHasher.inputs[1] <== lamports;
+
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== leafHasher.out;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+
+    // Tie the recipient into the proof so a relayer cannot swap it out. A
+    // shielded transfer puts its output commitment here instead (see
+    // transferRecipientFields in src/zk.js)
+    signal recipientHiSquare;
+    signal recipientLoSquare;
+    recipientHiSquare <== recipientHi * recipientHi;
+    recipientLoSquare <== recipientLo * recipientLo;
+}
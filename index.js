@@ -1,17 +1,65 @@
 import express from "express";
 import cors from "cors";
-import Database from "better-sqlite3";
-import { createHash, randomBytes } from "crypto";
-import {
-  Connection,
-  PublicKey,
-  SystemProgram,
-  Transaction,
-  LAMPORTS_PER_SOL,
-  Keypair,
-} from "@solana/web3.js";
-import bs58 from "bs58";
+import { createHash, randomBytes, randomInt, timingSafeEqual } from "crypto";
+import { Connection } from "@solana/web3.js";
 import dotenv from "dotenv";
+import {
+  SOL_DECIMALS,
+  SOL_MINT,
+  formatUnits,
+  missingTokenAccounts,
+  parseLamports,
+  parseUnits,
+  verifyDepositTransfer,
+} from "./src/solana.js";
+import { createWalletAuth } from "./src/auth.js";
+import {
+  findRelayer,
+  loadRelayers,
+  relayerAccountFee,
+  relayerFee,
+} from "./src/relayers.js";
+import { createWithdrawalQueue } from "./src/withdrawals.js";
+import { createSweeper, loadHotWalletCaps } from "./src/sweeps.js";
+import { createAlerter } from "./src/alerts.js";
+import { createWithdrawalPolicy, loadWithdrawalLimits } from "./src/policy.js";
+import { loadScreeners } from "./src/screening.js";
+import { loadPoolSigner, loadRetiredSigners } from "./src/signers.js";
+import { createReconciler } from "./src/reconcile.js";
+import { createRateLimitStore, createRateLimiter } from "./src/ratelimit.js";
+import { createEventHub } from "./src/events.js";
+import {
+  createWebhookDispatcher,
+  generateWebhookSecret,
+} from "./src/webhooks.js";
+import { buildOpenApiDocument, createRequestValidator } from "./src/openapi.js";
+import { createStore } from "./src/storage/index.js";
+import {
+  migrateUp,
+  migrationLabel,
+  pendingMigrations,
+} from "./src/storage/migrator.js";
+import { parseFieldElement } from "./src/merkle.js";
+import {
+  encryptNote,
+  parseEncryptionKey,
+  vaultKeyMessage,
+} from "./src/notes.js";
+import {
+  LEGACY_TREE_ID,
+  findAsset,
+  findPool,
+  findPoolByTreeId,
+  loadAssets,
+  loadDenominationPools,
+  resolveTreeId,
+} from "./src/pools.js";
+import {
+  commitmentLeaf,
+  loadVerificationKey,
+  verifyTransferProof,
+  verifyWithdrawProof,
+} from "./src/zk.js";
 
 dotenv.config();
 
@@ -24,62 +72,154 @@ const RPC_ENDPOINT =
   process.env.RPC_ENDPOINT || "https://solana-mainnet.gateway.tatum.io/";
 const TATUM_API_KEY = process.env.TATUM_API_KEY;
 
-// Pool keypair (from env)
-let poolKeypair = null;
-if (process.env.POOL_SECRET_KEY_BASE58) {
-  try {
-    const secret = bs58.decode(process.env.POOL_SECRET_KEY_BASE58.trim());
-    poolKeypair = Keypair.fromSecretKey(secret);
-    console.log(
-      "[ZKNON] Loaded pool keypair:",
-      poolKeypair.publicKey.toBase58()
-    );
-  } catch (err) {
-    console.error("[ZKNON] Failed to decode POOL_SECRET_KEY_BASE58:", err);
-  }
+// Pool wallet: an encrypted keystore (POOL_KEYSTORE_PATH), a remote signer
+// (POOL_SIGNER_URL) or, deprecated, a raw POOL_SECRET_KEY_BASE58; with only
+// POOL_PUBKEY it takes deposits but cannot send (see src/signers.js)
+const poolWallet = loadPoolSigner(process.env);
+if (!poolWallet) {
+  throw new Error(
+    "No pool wallet configured: set POOL_KEYSTORE_PATH, POOL_PUBKEY or POOL_SECRET_KEY_BASE58"
+  );
+}
+const poolSigner = poolWallet.signer;
+const POOL_ADDRESS = poolWallet.address;
+if (poolSigner) {
+  console.log(
+    `[ZKNON] Loaded pool signer (${poolWallet.source}):`,
+    POOL_ADDRESS
+  );
 } else {
   console.warn(
-    "[ZKNON] POOL_SECRET_KEY_BASE58 is not set. Withdrawals will not send SOL."
+    "[ZKNON] No signer for the pool wallet. Withdrawals will not send SOL."
   );
 }
 
-const POOL_ADDRESS =
-  process.env.POOL_PUBKEY ||
-  (poolKeypair ? poolKeypair.publicKey.toBase58() : null) ||
-  "8hGDXBJqpCZvWaDcbvXykRSb1bKbbJ5Ji4c85ubYvkaA";
-
 const connection = new Connection(RPC_ENDPOINT, {
   commitment: "confirmed",
   httpHeaders: TATUM_API_KEY ? { "x-api-key": TATUM_API_KEY } : undefined,
 });
 
-// ------------------ DB SETUP ------------------
+// SOL plus the SPL tokens listed in TOKENS (e.g. TOKENS=USDC)
+const assets = loadAssets(process.env);
 
-const db = new Database("zknon.db");
-db.pragma("journal_mode = wal");
+// Fixed-denomination shielded pools of every asset (DENOMINATIONS, default
+// 0.1,1,10,100 SOL; DENOMINATIONS_<symbol>, default 1,10,100,1000)
+const denominationPools = loadDenominationPools(
+  process.env,
+  { signer: poolSigner, address: POOL_ADDRESS },
+  assets
+);
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS zk_proofs (
-    id TEXT PRIMARY KEY,
-    wallet_pubkey TEXT NOT NULL,
-    note_hash TEXT NOT NULL,
-    total REAL NOT NULL DEFAULT 0,
-    spent REAL NOT NULL DEFAULT 0,
-    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+// Relayers that pay withdrawal network fees for a cut of the amount
+// (RELAYER_SECRET_KEYS_BASE58, RELAYER_FEE_BPS, RELAYER_FEE_LAMPORTS,
+// RELAYER_ACCOUNT_FEE_<symbol>)
+const relayerConfig = loadRelayers(process.env, assets);
+
+// Hot/cold split: what hot pool wallets hold over HOT_WALLET_CAP_<symbol>
+// is swept to COLD_WALLET_ADDRESS, checked every HOT_WALLET_CHECK_INTERVAL_MS
+// (default 5 min)
+const hotWalletCaps = loadHotWalletCaps(process.env, assets);
+const HOT_WALLET_CHECK_INTERVAL_MS =
+  Number(process.env.HOT_WALLET_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Operator alerts, e.g. a hot wallet too low for queued withdrawals
+// (ALERT_WEBHOOK_URL, ALERT_REPEAT_SECONDS)
+const alerter = createAlerter(process.env);
+
+// Withdrawal policy: WITHDRAWAL_LIMIT_PER_NOTE_<symbol>,
+// WITHDRAWAL_LIMIT_PER_DAY_<symbol>, WITHDRAWAL_REVIEW_ABOVE_<symbol>, and
+// recipient screening against SCREENING_DENYLIST_PATH
+const withdrawalLimits = loadWithdrawalLimits(process.env, assets);
+const screeners = loadScreeners(process.env);
+
+// Groth16 verification key for circuits/withdraw.circom
+const WITHDRAW_VKEY_PATH =
+  process.env.WITHDRAW_VKEY_PATH || "circuits/withdraw_vkey.json";
+const withdrawVKey = loadVerificationKey(WITHDRAW_VKEY_PATH);
+if (!withdrawVKey) {
+  console.warn(
+    "[ZKNON] No verification key at",
+    WITHDRAW_VKEY_PATH,
+    "- shielded (proof-based) withdrawals are disabled."
   );
+}
 
-  CREATE TABLE IF NOT EXISTS transactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    wallet_pubkey TEXT NOT NULL,
-    zk_proof_id TEXT NOT NULL,
-    type TEXT NOT NULL, -- 'DEPOSIT' | 'WITHDRAW'
-    amount REAL NOT NULL,
-    recipient TEXT,
-    tx_signature TEXT,
-    status TEXT NOT NULL DEFAULT 'PENDING', -- 'PENDING' | 'CONFIRMED' | 'FAILED'
-    created_at TEXT NOT NULL DEFAULT (datetime('now'))
-  );
-`);
+// Longest a withdrawal may be held back before it is sent (default 7 days)
+const MAX_WITHDRAWAL_DELAY_MS =
+  (Number(process.env.MAX_WITHDRAWAL_DELAY_SECONDS) || 7 * 24 * 60 * 60) * 1000;
+const MAX_DELAY_ERROR = `Withdrawals can be delayed by at most ${
+  MAX_WITHDRAWAL_DELAY_MS / 1000
+} seconds`;
+
+// Operator endpoints under /api/admin require `Authorization: Bearer <key>`
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+// Wallet sign-in: domain shown in the message to sign, and session lifetime
+// (default 1 hour)
+const AUTH_DOMAIN = process.env.AUTH_DOMAIN || "zknon.com";
+const AUTH_SESSION_TTL_MS =
+  Number(process.env.AUTH_SESSION_TTL_MS) || 60 * 60 * 1000;
+
+// Most encrypted notes one wallet may keep in the note vault
+const NOTE_VAULT_MAX_NOTES = Number(process.env.NOTE_VAULT_MAX_NOTES) || 1000;
+
+// How often the pool is reconciled against the ledger (default 15 min)
+const RECONCILE_INTERVAL_MS =
+  Number(process.env.RECONCILE_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Express "trust proxy" setting, so that behind a load balancer the rate
+// limits count the client's IP from X-Forwarded-For, not the proxy's: a
+// number of proxy hops (e.g. 1) or trusted addresses/subnets (e.g.
+// "loopback, 10.0.0.0/8"). Unset when clients connect directly.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+
+// A client IP may send this many wrong notes for a zk_proof_id before it is
+// locked out of that id for the rest of NOTE_LOCKOUT_SECONDS (default 15 min)
+const NOTE_LOCKOUT_ATTEMPTS = Number(process.env.NOTE_LOCKOUT_ATTEMPTS) || 5;
+const NOTE_LOCKOUT_MS =
+  (Number(process.env.NOTE_LOCKOUT_SECONDS) || 15 * 60) * 1000;
+
+// OPENAPI_VALIDATE_RESPONSES=true checks responses against the API schema
+// too and logs mismatches; for development and staging
+const OPENAPI_VALIDATE_RESPONSES =
+  process.env.OPENAPI_VALIDATE_RESPONSES === "true";
+
+// ------------------ STORAGE ------------------
+
+// DB_DRIVER=sqlite (default, file SQLITE_PATH) or postgres (DATABASE_URL)
+const store = createStore(process.env);
+
+// Pending migrations are applied on boot unless MIGRATE_ON_START=false, in
+// which case they have to be run with `npm run migrate -- up` first
+if (process.env.MIGRATE_ON_START === "false") {
+  const pending = await pendingMigrations(store);
+  if (pending.length > 0) {
+    console.error(
+      "[ZKNON] Pending schema migrations, run `npm run migrate -- up`:",
+      pending.map(migrationLabel).join(", ")
+    );
+    process.exit(1);
+  }
+} else {
+  await migrateUp(store, { log: (message) => console.log(`[ZKNON] ${message}`) });
+}
+
+// RATE_LIMIT_STORE=memory (default, per process) or sql (the ledger store)
+const rateLimiter = createRateLimiter({
+  store: createRateLimitStore(process.env, store),
+});
+
+const legacyTree = store.merkleTree(LEGACY_TREE_ID);
+for (const pool of denominationPools) {
+  pool.tree = store.merkleTree(pool.treeId);
+}
+
+function treeForDenomination(denomination, mint) {
+  const asset = findAsset(assets, mint);
+  const treeId = asset && resolveTreeId(denominationPools, asset, denomination);
+  if (treeId === LEGACY_TREE_ID) return legacyTree;
+  return treeId ? findPoolByTreeId(denominationPools, treeId).tree : null;
+}
 
 // ------------------ HELPERS ------------------
 
@@ -87,67 +227,304 @@ function sha256(value) {
   return createHash("sha256").update(value).digest("hex");
 }
 
+// Fresh ids tried when a new zk_proof_id is already taken
+const ZK_PROOF_ID_ATTEMPTS = 5;
+
 function generateZkProofId() {
   const partA = randomBytes(4).toString("hex").toUpperCase();
   const partB = randomBytes(3).toString("hex").toUpperCase();
   return `ZKP-${partA}${partB}`;
 }
 
+// Ids are random, so a taken one only needs another draw: runs
+// `insert(zkProofId)`, which resolves to null when the id was taken, with
+// new ids up to ZK_PROOF_ID_ATTEMPTS times. Resolves to what it resolved
+// to, or null when every id drawn was taken.
+async function withNewZkProofId(insert) {
+  for (let i = 0; i < ZK_PROOF_ID_ATTEMPTS; i += 1) {
+    const result = await insert(generateZkProofId());
+    if (result !== null) return result;
+  }
+  return null;
+}
+
+const ZK_PROOF_ID_ERROR = "No free zk_proof_id, retry later";
+
 function generateSecretNote() {
   return randomBytes(32).toString("hex");
 }
 
-async function sendFromPool(recipientAddress, amountSol) {
-  if (!poolKeypair) {
-    throw new Error("Pool keypair not configured on server.");
-  }
+// Amounts are accepted as a decimal amount of the asset (`amount`, e.g. "0.1"
+// SOL) or as whole base units (`lamports`, e.g. "100000000"; for tokens the
+// smallest unit of the mint). Resolves to a positive BigInt, or null.
+function requestLamports({ amount, lamports }, asset = assets[0]) {
+  const value =
+    lamports !== undefined
+      ? parseLamports(lamports)
+      : parseUnits(amount, asset.decimals);
+  return value !== null && value > 0n ? value : null;
+}
 
-  const recipient = new PublicKey(recipientAddress);
-  const lamports = Math.round(amountSol * LAMPORTS_PER_SOL);
+const AMOUNT_ERROR =
+  "amount must be a positive amount with at most the asset's decimals (9 for SOL), or lamports a positive integer of base units";
 
-  const latest = await connection.getLatestBlockhash("finalized");
+// Asset named by a request's `mint` (symbol or mint address, SOL when
+// omitted); null when it has no pools here
+function requestAsset(mint) {
+  return findAsset(assets, mint);
+}
 
-  const tx = new Transaction({
-    recentBlockhash: latest.blockhash,
-    feePayer: poolKeypair.publicKey,
-  });
+const MINT_ERROR = `mint must be one of: ${assets
+  .map((a) => a.symbol)
+  .join(", ")}`;
 
-  tx.add(
-    SystemProgram.transfer({
-      fromPubkey: poolKeypair.publicKey,
-      toPubkey: recipient,
-      lamports,
-    })
+const FROZEN_ERROR = "zk_proof is frozen by the operator";
+
+// Asset of a stored row; mints dropped from TOKENS since are shown in base
+// units
+function assetOf(mint) {
+  return (
+    assets.find((a) => a.mint === mint) || { symbol: null, mint, decimals: 0 }
   );
+}
 
-  tx.sign(poolKeypair);
+function hasAmount(body) {
+  return body.amount != null || body.lamports != null;
+}
 
-  const signature = await connection.sendRawTransaction(tx.serialize(), {
-    skipPreflight: false,
-  });
+// A withdrawal may name one of our relayers to pay its network fee. The fee
+// it earns is taken from the amount of each `{ recipient, lamports }` of
+// `outputs`; `maxFeeLamports` caps their sum, guarding against the fee
+// changing between GET /api/relayers and the request.
+async function relayerForWithdrawal(
+  { relayer, maxFeeLamports },
+  outputs,
+  mint
+) {
+  if (!relayer) {
+    return { address: null, fees: outputs.map(() => 0n), feeLamports: 0n };
+  }
+  if (!findRelayer(relayerConfig, relayer)) {
+    return { error: "Unknown relayer, see GET /api/relayers" };
+  }
 
-  try {
-    await connection.confirmTransaction(
-      {
-        signature,
-        blockhash: latest.blockhash,
-        lastValidBlockHeight: latest.lastValidBlockHeight,
-      },
-      "confirmed"
-    );
-  } catch (err) {
-    console.warn(
-      "[ZKNON] confirmTransaction warning (tx may still be valid):",
-      err
-    );
+  const fees = outputs.map(({ lamports }) =>
+    relayerFee(relayerConfig, lamports, mint)
+  );
+  // The relayer pays the rent of recipient token accounts the transfer
+  // opens, and charges it to the first output to each such recipient
+  if (mint !== SOL_MINT) {
+    const recipients = [...new Set(outputs.map((o) => o.recipient))];
+    const missing = await missingTokenAccounts(connection, mint, recipients);
+    const unopened = new Set(recipients.filter((_, i) => missing[i]));
+    if (unopened.size > 0) {
+      const accountFee = relayerAccountFee(relayerConfig, mint);
+      if (accountFee === null) {
+        return {
+          error:
+            "Recipient has no token account for this mint, which relayers here do not open; create it first or withdraw without a relayer",
+        };
+      }
+      outputs.forEach(({ recipient }, i) => {
+        if (unopened.delete(recipient)) fees[i] += accountFee;
+      });
+    }
+  }
+  if (fees.some((fee, i) => fee >= outputs[i].lamports)) {
+    return { error: "amount does not cover the relayer fee" };
+  }
+  const feeLamports = fees.reduce((sum, fee) => sum + fee, 0n);
+  if (maxFeeLamports != null) {
+    const max = parseLamports(maxFeeLamports);
+    if (max === null) {
+      return { error: "maxFeeLamports must be a non-negative integer" };
+    }
+    if (feeLamports > max) {
+      return { error: "Relayer fee is higher than maxFeeLamports" };
+    }
+  }
+  return { address: relayer, fees, feeLamports };
+}
+
+// Most outputs one withdrawal request may split a note into
+const MAX_WITHDRAWAL_OUTPUTS = 20;
+
+// Sending a withdrawal the moment it is requested links it to the request
+// in time. Clients may hold it back: `releaseAt` (ISO time) schedules an
+// exact release, `minDelaySeconds` / `maxDelaySeconds` pick a random moment
+// in that window (a fixed delay when only the minimum is given). Resolves to
+// { releaseAt } in epoch ms, null for "send now".
+function withdrawalReleaseAt({ releaseAt, minDelaySeconds, maxDelaySeconds }) {
+  const now = Date.now();
+  const hasDelay = minDelaySeconds != null || maxDelaySeconds != null;
+  if (releaseAt != null && hasDelay) {
+    return { error: "Give either releaseAt or a delay, not both" };
+  }
+
+  let at = null;
+  if (releaseAt != null) {
+    at = typeof releaseAt === "string" ? Date.parse(releaseAt) : NaN;
+    if (Number.isNaN(at)) {
+      return { error: "releaseAt must be an ISO 8601 time" };
+    }
+    if (at <= now) {
+      return { error: "releaseAt must be in the future" };
+    }
+  } else if (hasDelay) {
+    const min = Number(minDelaySeconds ?? 0);
+    const max = Number(maxDelaySeconds ?? minDelaySeconds);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+      return {
+        error:
+          "minDelaySeconds and maxDelaySeconds must be integers with 0 <= min <= max",
+      };
+    }
+    // before randomInt, which throws on ranges past 2^48
+    if (max * 1000 > MAX_WITHDRAWAL_DELAY_MS) {
+      return { error: MAX_DELAY_ERROR };
+    }
+    at = now + randomInt(min * 1000, max * 1000 + 1);
   }
 
-  return signature;
+  if (at !== null && at - now > MAX_WITHDRAWAL_DELAY_MS) {
+    return { error: MAX_DELAY_ERROR };
+  }
+  return { releaseAt: at };
+}
+
+function isoTime(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+// Money goes out both ways: a decimal string of the asset (SOL unless
+// `decimals` says otherwise) and an integer string of base units
+function solAndLamports(key, lamports, decimals = SOL_DECIMALS) {
+  return {
+    [key]: formatUnits(lamports, decimals),
+    [`${key}Lamports`]: lamports.toString(),
+  };
+}
+
+// ------------------ WITHDRAWAL QUEUE ------------------
+
+// Keys pool wallets were rotated away from (POOL_RETIRED_KEYSTORE_PATHS),
+// which still sign what they had in flight and their sweeps
+const findRetiredSigner = loadRetiredSigners(process.env);
+
+function findPoolSigner(address) {
+  const signers = [poolSigner, ...denominationPools.map((p) => p.signer)];
+  return (
+    signers.find((s) => s && s.address === address) ||
+    findRetiredSigner(address)
+  );
+}
+
+const withdrawalQueue = createWithdrawalQueue({
+  store,
+  connection,
+  findSigner: findPoolSigner,
+  findRelayerSigner: (address) =>
+    findRelayer(relayerConfig, address)?.signer || null,
+  alerter,
+});
+
+const withdrawalPolicy = createWithdrawalPolicy({
+  limits: withdrawalLimits,
+  screeners,
+});
+
+// Hot pool wallets this server signs for, each listed once
+function hotWallets() {
+  const wallets = [
+    { address: POOL_ADDRESS, signer: poolSigner },
+    ...denominationPools.filter((p) => p.ownWallet),
+  ];
+  return wallets.filter(
+    (w, i) =>
+      w.signer && wallets.findIndex((x) => x.address === w.address) === i
+  );
+}
+
+// Empties retired pool keys into their replacements (POST
+// /api/admin/pool-keys/:address/sweep) and hot wallets' excess into cold
+// storage
+const sweeper = createSweeper({
+  store,
+  connection,
+  findSigner: findPoolSigner,
+  hotWallets,
+  coldAddress: hotWalletCaps.coldAddress,
+  caps: hotWalletCaps.caps,
+  alerter,
+  checkIntervalMs: HOT_WALLET_CHECK_INTERVAL_MS,
+});
+
+// ------------------ RECONCILIATION ------------------
+
+const reconciler = createReconciler({
+  store,
+  connection,
+  mainPoolAddress: POOL_ADDRESS,
+  poolHoldings: () => [
+    ...assets.map((a) => ({ address: POOL_ADDRESS, mint: a.mint })),
+    ...denominationPools.map((p) => ({ address: p.address, mint: p.mint })),
+    ...[...hotWalletCaps.caps.keys()].map((mint) => ({
+      address: hotWalletCaps.coldAddress,
+      mint,
+    })),
+  ],
+  assets,
+});
+
+// ------------------ EVENTS ------------------
+
+// Deposit and withdrawal events recorded by the store, pushed to the
+// wallets following them on GET /api/events
+const eventHub = createEventHub({ store });
+
+// ...and POSTed, signed, to the webhook endpoints registered under
+// /api/admin/webhooks, with the same payload as the stream
+const webhookDispatcher = createWebhookDispatcher({
+  store,
+  payload: eventPayload,
+});
+
+// ------------------ WALLET AUTH ------------------
+
+const walletAuth = createWalletAuth({
+  store,
+  domain: AUTH_DOMAIN,
+  sessionTtlMs: AUTH_SESSION_TTL_MS,
+});
+const { requireWallet, requireWalletStream } = walletAuth;
+
+// Routes take the wallet from the session; an explicit wallet in the request
+// must be the signed-in one
+function sessionWallet(req, res, requested) {
+  if (requested && requested !== req.walletPubkey) {
+    res.status(403).json({ error: "Signed in as a different wallet" });
+    return null;
+  }
+  return req.walletPubkey;
 }
 
 // ------------------ APP & MIDDLEWARE ------------------
 
+// OpenAPI document of every route, served at GET /api/openapi.json; each
+// route lists validateRequest
+const apiDocument = buildOpenApiDocument({
+  assets,
+  maxWithdrawalOutputs: MAX_WITHDRAWAL_OUTPUTS,
+});
+const validateRequest = createRequestValidator(apiDocument, {
+  checkResponses: OPENAPI_VALIDATE_RESPONSES,
+});
+
 const app = express();
+if (TRUST_PROXY) {
+  const hops = Number(TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : TRUST_PROXY);
+}
 app.use(express.json());
 
 // CORS
@@ -170,266 +547,1937 @@ app.use(
   })
 );
 
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res
+      .status(503)
+      .json({ error: "Admin API is not configured on this server." });
+  }
+  const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(given);
+  const b = Buffer.from(ADMIN_API_KEY);
+  if (a.length !== b.length || !timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+app.use("/api/admin", requireAdmin);
+
+// Audit log entry of an admin action. Everyone shares the admin key, so the
+// operator may name themselves in an X-Admin-Actor header.
+function adminAudit(req, action, targetType, targetId, details = null) {
+  return {
+    action,
+    targetType,
+    targetId,
+    actor: req.get("x-admin-actor")?.slice(0, 100) || null,
+    ip: req.ip,
+    details,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Express 4 does not catch rejected promises from async handlers
+function route(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// The operator can pause deposits, and note spends (withdrawals and
+// internal transfers), for everyone; see PUT /api/admin/controls
+function requireOpen(flag, error) {
+  return route(async (req, res, next) => {
+    const controls = await store.getPoolControls();
+    if (controls[flag]) {
+      return res.status(503).json({ error, reason: controls.reason });
+    }
+    next();
+  });
+}
+
+const requireDepositsOpen = requireOpen(
+  "deposits_paused",
+  "Deposits are paused by the operator"
+);
+const requireWithdrawalsOpen = requireOpen(
+  "withdrawals_paused",
+  "Withdrawals are paused by the operator"
+);
+
+// Request budgets per route, per client IP and per wallet: the signed-in
+// one once requireWallet has run, or for note spends, which need no session,
+// the owner of the zk_proof spent once the note checks out (see
+// chargeNoteOwner)
+const MINUTE_MS = 60_000;
+const RATE_LIMITS = {
+  auth: { ip: { max: 30, windowMs: MINUTE_MS } },
+  generate: {
+    ip: { max: 60, windowMs: 60 * MINUTE_MS },
+    wallet: { max: 20, windowMs: 60 * MINUTE_MS },
+  },
+  vault: {
+    ip: { max: 120, windowMs: MINUTE_MS },
+    wallet: { max: 60, windowMs: MINUTE_MS },
+  },
+  deposit: { ip: { max: 30, windowMs: MINUTE_MS } },
+  spend: {
+    ip: { max: 20, windowMs: MINUTE_MS },
+    wallet: { max: 20, windowMs: MINUTE_MS },
+  },
+};
+
+function tooManyRequests(res, retryAfterMs, error) {
+  res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({ error });
+}
+
+// Counts a hit of `name`'s budget for `scope` ("ip" or "wallet") and `id`;
+// answers 429 and resolves to false once it is used up
+async function consumeBudget(res, name, scope, id) {
+  const key = `${name}:${scope}:${id}`;
+  const budget = RATE_LIMITS[name][scope];
+  const retryAfterMs = await rateLimiter.consume(key, budget);
+  if (retryAfterMs > 0) {
+    tooManyRequests(res, retryAfterMs, "Too many requests");
+    return false;
+  }
+  return true;
+}
+
+// Charges the client IP, and the signed-in wallet if the budget has one
+function rateLimit(name) {
+  return route(async (req, res, next) => {
+    if (!(await consumeBudget(res, name, "ip", req.ip))) return;
+    if (RATE_LIMITS[name].wallet && req.walletPubkey) {
+      if (!(await consumeBudget(res, name, "wallet", req.walletPubkey))) {
+        return;
+      }
+    }
+    next();
+  });
+}
+
+// Charges a legacy spend to the wallet of the zk_proof it names, once its
+// note has checked out: guesses only cost the guessing IP, so knowing a
+// zk_proof_id is not enough to lock its owner out
+function chargeNoteOwner(res, proof) {
+  return consumeBudget(res, "spend", "wallet", proof.wallet_pubkey);
+}
+
+// Checks the secret note of a legacy spend. Wrong notes are counted per
+// zk_proof_id and client IP: after NOTE_LOCKOUT_ATTEMPTS of them that IP
+// may not try the id again until the window is over, while the owner,
+// from anywhere else, still spends with the right note.
+async function checkNote(req, res, proof, note) {
+  const key = `note:${proof.id}:${req.ip}`;
+  const budget = { max: NOTE_LOCKOUT_ATTEMPTS, windowMs: NOTE_LOCKOUT_MS };
+  const retryAfterMs = await rateLimiter.check(key, budget);
+  if (retryAfterMs > 0) {
+    tooManyRequests(
+      res,
+      retryAfterMs,
+      "Too many invalid notes for this zk_proof_id, try again later"
+    );
+    return false;
+  }
+  if (proof.note_hash !== sha256(note)) {
+    await rateLimiter.consume(key, budget);
+    res.status(403).json({ error: "Invalid secret_note for this zk_proof_id" });
+    return false;
+  }
+  await rateLimiter.reset(key);
+  return true;
+}
+
 // ------------------ ROUTES ------------------
 
 // Health
-app.get("/health", (req, res) => {
+app.get("/health", validateRequest, (req, res) => {
   res.json({ ok: true, poolAddress: POOL_ADDRESS });
 });
 
-// Generate zk proof id + secret note
-app.post("/api/zkproofs/generate", (req, res) => {
-  const { walletPubkey } = req.body || {};
-  if (!walletPubkey) {
-    return res.status(400).json({ error: "walletPubkey is required" });
-  }
+// The API schema (see src/openapi.js)
+app.get("/api/openapi.json", validateRequest, (req, res) => {
+  res.json(apiDocument);
+});
 
-  const zkProofId = generateZkProofId();
-  const note = generateSecretNote();
-  const noteHash = sha256(note);
-  const createdAt = new Date().toISOString();
+// Sign-in challenge for a wallet: sign `message`, then POST /api/auth/verify
+app.post(
+  "/api/auth/nonce",
+  rateLimit("auth"),
+  validateRequest,
+  route(async (req, res) => {
+    const result = await walletAuth.issueNonce(req.body.walletPubkey);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  })
+);
 
-  const existing = db
-    .prepare("SELECT id FROM zk_proofs WHERE id = ?")
-    .get(zkProofId);
-  if (existing) {
-    return res.status(500).json({ error: "ID collision, retry request" });
-  }
+// Trade a signed challenge (base58 ed25519 signature) for a session token
+app.post(
+  "/api/auth/verify",
+  rateLimit("auth"),
+  validateRequest,
+  route(async (req, res) => {
+    const { walletPubkey, nonce, signature } = req.body;
+
+    const result = await walletAuth.signIn({ walletPubkey, nonce, signature });
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.json(result);
+  })
+);
 
-  db.prepare(
-    `
-    INSERT INTO zk_proofs (id, wallet_pubkey, note_hash, total, spent, created_at)
-    VALUES (?, ?, ?, 0, 0, ?)
-  `
-  ).run(zkProofId, walletPubkey, noteHash, createdAt);
+// Generate zk proof id + secret note for the signed-in wallet. The note
+// holds one asset, `mint` (SOL by default).
+app.post(
+  "/api/zkproofs/generate",
+  requireWallet,
+  rateLimit("generate"),
+  validateRequest,
+  route(async (req, res) => {
+    const body = req.body || {};
+    const walletPubkey = sessionWallet(req, res, body.walletPubkey);
+    if (!walletPubkey) return;
+
+    const asset = requestAsset(body.mint);
+    if (!asset) {
+      return res.status(400).json({ error: MINT_ERROR });
+    }
 
-  return res.json({
-    zkProofId,
-    note,
-  });
-});
+    const note = generateSecretNote();
+    const noteHash = sha256(note);
+    const createdAt = new Date().toISOString();
+
+    const zkProofId = await withNewZkProofId(async (id) => {
+      const inserted = await store.insertZkProof({
+        id,
+        walletPubkey,
+        noteHash,
+        mint: asset.mint,
+        createdAt,
+      });
+      return inserted ? id : null;
+    });
+    if (!zkProofId) {
+      return res.status(503).json({ error: ZK_PROOF_ID_ERROR });
+    }
 
-// List zk proofs for a wallet
-app.get("/api/zkproofs", (req, res) => {
-  const { wallet } = req.query;
-  if (!wallet) {
-    return res.status(400).json({ error: "wallet is required" });
-  }
+    return res.json({
+      zkProofId,
+      note,
+      symbol: asset.symbol,
+      mint: asset.mint,
+    });
+  })
+);
 
-  const rows = db
-    .prepare(
-      `
-    SELECT id, wallet_pubkey, note_hash, total, spent, created_at
-    FROM zk_proofs
-    WHERE wallet_pubkey = ?
-    ORDER BY datetime(created_at) DESC
-  `
-    )
-    .all(wallet);
+function zkProofJson(r) {
+  const { symbol, mint, decimals } = assetOf(r.mint);
+  return {
+    zkProofId: r.id,
+    walletPubkey: r.wallet_pubkey,
+    symbol,
+    mint,
+    ...solAndLamports("total", r.total_lamports, decimals),
+    ...solAndLamports("spent", r.spent_lamports, decimals),
+    ...solAndLamports("balance", r.total_lamports - r.spent_lamports, decimals),
+    frozen: r.frozen_at !== null,
+    createdAt: r.created_at,
+  };
+}
 
-  const proofs = rows.map((r) => {
-    const total = Number(r.total || 0);
-    const spent = Number(r.spent || 0);
-    const balance = total - spent;
-    return {
-      zkProofId: r.id,
-      walletPubkey: r.wallet_pubkey,
-      total,
-      spent,
-      balance,
-      createdAt: r.created_at,
-    };
-  });
+// List zk proofs of the signed-in wallet
+app.get(
+  "/api/zkproofs",
+  requireWallet,
+  validateRequest,
+  route(async (req, res) => {
+    const wallet = sessionWallet(req, res, req.query.wallet);
+    if (!wallet) return;
 
-  res.json({ proofs });
-});
+    const rows = await store.listZkProofs(wallet);
 
-// Record deposit (front-end already sent real mainnet tx)
-app.post("/api/deposits", (req, res) => {
-  const { walletPubkey, zkProofId, amount, txSignature } = req.body || {};
-  if (!walletPubkey || !zkProofId || !amount || !txSignature) {
-    return res.status(400).json({
-      error: "walletPubkey, zkProofId, amount, txSignature are required",
+    res.json({ proofs: rows.map(zkProofJson) });
+  })
+);
+
+// Note vault: backups of secret notes, so a lost note does not mean lost
+// funds. Notes are encrypted client-side with a key derived from the
+// wallet's signature of `keyMessage` (see src/notes.js) and stored under a
+// label of the client's choosing, typically the zkProofId; the server only
+// ever holds ciphertext and hands it back to the signed-in owner.
+function vaultNote(r) {
+  return {
+    label: r.label,
+    ciphertext: r.ciphertext,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+// Every backup of the signed-in wallet, to restore its notes on a new device
+app.get(
+  "/api/vault/notes",
+  requireWallet,
+  validateRequest,
+  route(async (req, res) => {
+    const rows = await store.listNoteBackups(req.walletPubkey);
+    res.json({
+      keyMessage: vaultKeyMessage(AUTH_DOMAIN, req.walletPubkey),
+      notes: rows.map(vaultNote),
     });
-  }
+  })
+);
 
-  const proof = db
-    .prepare("SELECT * FROM zk_proofs WHERE id = ? AND wallet_pubkey = ?")
-    .get(zkProofId, walletPubkey);
+// Store or replace the backup under `label`
+app.put(
+  "/api/vault/notes/:label",
+  requireWallet,
+  rateLimit("vault"),
+  validateRequest,
+  route(async (req, res) => {
+    const { label } = req.params;
+    const { ciphertext } = req.body;
+
+    const result = await store.saveNoteBackup({
+      walletPubkey: req.walletPubkey,
+      label,
+      ciphertext,
+      updatedAt: new Date().toISOString(),
+      maxNotes: NOTE_VAULT_MAX_NOTES,
+    });
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
 
-  if (!proof) {
-    return res
-      .status(404)
-      .json({ error: "zk_proof not found for this wallet" });
-  }
+    res
+      .status(result.created ? 201 : 200)
+      .json({ label, created: result.created });
+  })
+);
 
-  const amt = Number(amount);
-  if (!(amt > 0)) {
-    return res.status(400).json({ error: "amount must be > 0" });
-  }
+app.delete(
+  "/api/vault/notes/:label",
+  requireWallet,
+  rateLimit("vault"),
+  validateRequest,
+  route(async (req, res) => {
+    const deleted = await store.deleteNoteBackup({
+      walletPubkey: req.walletPubkey,
+      label: req.params.label,
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    res.json({ ok: true });
+  })
+);
 
-  const createdAt = new Date().toISOString();
+// Record deposit (front-end already sent real mainnet tx, verified here).
+// With `commitment` the deposit goes into the shielded commitment tree of
+// `mint` (SOL by default), otherwise it is credited to the zk_proof named by
+// `zkProofId`, which must hold that mint.
+app.post(
+  "/api/deposits",
+  rateLimit("deposit"),
+  requireDepositsOpen,
+  validateRequest,
+  route(async (req, res) => {
+    const body = req.body;
+    const { walletPubkey, zkProofId, commitment, txSignature } = body;
+
+    const asset = requestAsset(body.mint);
+    if (!asset) {
+      return res.status(400).json({ error: MINT_ERROR });
+    }
 
-  const tx = db.transaction(() => {
-    db.prepare("UPDATE zk_proofs SET total = total + ? WHERE id = ?").run(
-      amt,
-      zkProofId
-    );
+    let commitmentValue = null;
+    if (commitment) {
+      commitmentValue = parseFieldElement(commitment);
+      if (commitmentValue === null) {
+        return res
+          .status(400)
+          .json({ error: "commitment must be a field element" });
+      }
+      if (await store.isCommitmentRecorded(commitmentValue.toString())) {
+        return res.status(409).json({ error: "commitment already deposited" });
+      }
+    } else {
+      const proof = await store.getZkProof(zkProofId);
+      if (!proof || proof.wallet_pubkey !== walletPubkey) {
+        return res
+          .status(404)
+          .json({ error: "zk_proof not found for this wallet" });
+      }
+      if (proof.mint !== asset.mint) {
+        return res
+          .status(400)
+          .json({ error: "zk_proof holds a different mint" });
+      }
+    }
 
-    db.prepare(
-      `
-      INSERT INTO transactions
-      (wallet_pubkey, zk_proof_id, type, amount, recipient, tx_signature, status, created_at)
-      VALUES (?, ?, 'DEPOSIT', ?, ?, ?, 'CONFIRMED', ?)
-    `
-    ).run(walletPubkey, zkProofId, amt, "shielded_pool", txSignature, createdAt);
-  });
+    const lamports = requestLamports(body, asset);
+    if (lamports === null) {
+      return res.status(400).json({ error: AMOUNT_ERROR });
+    }
 
-  tx();
+    // Only fixed denominations are accepted, so amounts cannot link deposits
+    // to withdrawals. Larger sums are deposited as several transfers.
+    const pool = findPool(denominationPools, asset.mint, lamports);
+    if (!pool) {
+      return res.status(400).json({
+        error: `amount must be one of the pool denominations: ${denominationPools
+          .filter((p) => p.mint === asset.mint)
+          .map((p) => p.denomination)
+          .join(", ")} ${asset.symbol}`,
+      });
+    }
 
-  res.json({ ok: true });
-});
+    const depositAddress =
+      commitmentValue !== null ? pool.address : POOL_ADDRESS;
 
-// Create withdrawal (zk_proof_id + secret_note) + async on-chain send
-app.post("/api/withdrawals", async (req, res) => {
-  const { zkProofId, note, amount, recipient } = req.body || {};
-  if (!zkProofId || !note || !amount || !recipient) {
-    return res.status(400).json({
-      error: "zkProofId, note, amount, recipient are required",
+    if (await store.isDepositRecorded(txSignature)) {
+      return res
+        .status(409)
+        .json({ error: "txSignature has already been recorded" });
+    }
+
+    let problem;
+    try {
+      problem = await verifyDepositTransfer(connection, {
+        signature: txSignature,
+        from: walletPubkey,
+        to: depositAddress,
+        lamports,
+        mint: asset.mint,
+      });
+    } catch (err) {
+      console.error("[ZKNON] Deposit verification RPC error:", err);
+      return res
+        .status(502)
+        .json({ error: "Could not fetch deposit transaction, retry later" });
+    }
+
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    // The store re-checks the signature and commitment inside its write
+    // transaction: another request may have recorded them while we were
+    // waiting on the RPC.
+    const leaf =
+      commitmentValue !== null ? commitmentLeaf(commitmentValue, lamports) : null;
+    const result = await store.recordDeposit({
+      walletPubkey,
+      zkProofId: commitmentValue !== null ? null : zkProofId,
+      mint: asset.mint,
+      lamports,
+      txSignature,
+      poolAddress: depositAddress,
+      createdAt: new Date().toISOString(),
+      commitment: leaf && {
+        treeId: pool.treeId,
+        commitment: commitmentValue.toString(),
+        leaf: leaf.toString(),
+      },
     });
-  }
 
-  if (!poolKeypair) {
-    return res
-      .status(500)
-      .json({ error: "Withdrawals are not configured on this server." });
-  }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
 
-  const proof = db
-    .prepare("SELECT * FROM zk_proofs WHERE id = ?")
-    .get(zkProofId);
-  if (!proof) {
-    return res.status(404).json({ error: "zk_proof not found" });
-  }
+    if (commitmentValue !== null) {
+      return res.json({
+        ok: true,
+        mint: pool.mint,
+        denomination: pool.denomination,
+        leafIndex: result.leafIndex,
+        root: result.root.toString(),
+      });
+    }
 
-  const expectedHash = proof.note_hash;
-  const givenHash = sha256(note);
-  if (expectedHash !== givenHash) {
-    return res
-      .status(403)
-      .json({ error: "Invalid secret_note for this zk_proof_id" });
-  }
+    res.json({ ok: true });
+  })
+);
 
-  const amt = Number(amount);
-  if (!(amt > 0)) {
-    return res.status(400).json({ error: "amount must be > 0" });
-  }
+// Create withdrawal + async on-chain send. Either a legacy
+// zk_proof_id + secret_note spend (in the note's mint), or a shielded spend
+// backed by a Groth16 proof of membership in the commitment tree of `mint`.
+// A legacy spend can pay several addresses at once: `outputs` is an array of
+// { recipient, amount | lamports } in place of recipient and amount, one
+// per recipient.
+app.post(
+  "/api/withdrawals",
+  rateLimit("spend"),
+  requireWithdrawalsOpen,
+  validateRequest,
+  route(async (req, res) => {
+    if (req.body.proof) {
+      return createShieldedWithdrawal(req, res);
+    }
 
-  const currentBalance = Number(proof.total || 0) - Number(proof.spent || 0);
-  if (amt > currentBalance + 1e-9) {
-    return res.status(400).json({ error: "Insufficient shielded balance" });
-  }
+    const body = req.body;
+    const { zkProofId, note } = body;
+    const split = body.outputs !== undefined;
+    const requested = split ? body.outputs : [body];
 
-  const createdAt = new Date().toISOString();
+    if (!poolSigner) {
+      return res
+        .status(500)
+        .json({ error: "Withdrawals are not configured on this server." });
+    }
 
-  // Create DB record with PENDING and lock the shielded funds
-  let txId;
-  const tx = db.transaction(() => {
-    db.prepare("UPDATE zk_proofs SET spent = spent + ? WHERE id = ?").run(
-      amt,
-      zkProofId
-    );
+    const proof = await store.getZkProof(zkProofId);
+    if (!proof) {
+      return res.status(404).json({ error: "zk_proof not found" });
+    }
 
-    const info = db
-      .prepare(
-        `
-        INSERT INTO transactions
-        (wallet_pubkey, zk_proof_id, type, amount, recipient, tx_signature, status, created_at)
-        VALUES (?, ?, 'WITHDRAW', ?, ?, NULL, 'PENDING', ?)
-      `
-      )
-      .run(proof.wallet_pubkey, zkProofId, amt, recipient, createdAt);
+    if (!(await checkNote(req, res, proof, note))) return;
+    if (!(await chargeNoteOwner(res, proof))) return;
+    if (proof.frozen_at) {
+      return res.status(423).json({ error: FROZEN_ERROR });
+    }
 
-    txId = info.lastInsertRowid;
-  });
-  tx();
+    const asset = assetOf(proof.mint);
+    const outputs = [];
+    for (const o of requested) {
+      const lamports = requestLamports(o, asset);
+      if (lamports === null) {
+        return res.status(400).json({ error: AMOUNT_ERROR });
+      }
+      outputs.push({ recipient: o.recipient, lamports });
+    }
+    if (new Set(outputs.map((o) => o.recipient)).size < outputs.length) {
+      return res
+        .status(400)
+        .json({ error: "each output must go to a different recipient" });
+    }
+    const amounts = outputs.map((o) => o.lamports);
+    const total = amounts.reduce((sum, lamports) => sum + lamports, 0n);
 
-  // Respond immediately: client will see "processing" in history
-  res.json({ status: "PENDING", id: txId });
+    const currentBalance = proof.total_lamports - proof.spent_lamports;
+    if (total > currentBalance) {
+      return res.status(400).json({ error: "Insufficient shielded balance" });
+    }
 
-  // Fire-and-forget async job to send SOL from pool to recipient
-  (async () => {
-    try {
-      console.log(
-        "[ZKNON] Sending withdraw from pool:",
-        POOL_ADDRESS,
-        "->",
-        recipient,
-        "amount:",
-        amt
-      );
-      const signature = await sendFromPool(recipient, amt);
-      console.log("[ZKNON] Withdraw tx signature:", signature);
-
-      db.prepare(
-        "UPDATE transactions SET status = ?, tx_signature = ? WHERE id = ?"
-      ).run("CONFIRMED", signature, txId);
-    } catch (err) {
-      console.error("[ZKNON] Withdraw send error:", err);
-
-      const tx2 = db.transaction(() => {
-        db.prepare("UPDATE transactions SET status = ? WHERE id = ?").run(
-          "FAILED",
-          txId
-        );
-        // return shielded funds back to balance if on-chain send failed
-        db.prepare("UPDATE zk_proofs SET spent = spent - ? WHERE id = ?").run(
-          amt,
-          zkProofId
-        );
+    // Withdraw in pool denominations; the only other amounts allowed are
+    // ones that add up to the exact remaining balance, so notes funded
+    // before pools can be emptied.
+    const drainsBalance = total === currentBalance;
+    if (
+      !drainsBalance &&
+      amounts.some(
+        (lamports) => !findPool(denominationPools, proof.mint, lamports)
+      )
+    ) {
+      return res.status(400).json({
+        error:
+          "each amount must be a pool denomination, unless together they are the full remaining balance",
       });
-      tx2();
     }
-  })();
-});
 
-// History for a wallet
-app.get("/api/history", (req, res) => {
-  const { wallet } = req.query;
-  if (!wallet) {
-    return res.status(400).json({ error: "wallet is required" });
-  }
-
-  const rows = db
-    .prepare(
-      `
-    SELECT id, wallet_pubkey, zk_proof_id, type, amount, recipient,
-           tx_signature, status, created_at
-    FROM transactions
-    WHERE wallet_pubkey = ?
-    ORDER BY datetime(created_at) DESC, id DESC
-  `
-    )
-    .all(wallet);
+    const relay = await relayerForWithdrawal(body, outputs, proof.mint);
+    if (relay.error) {
+      return res.status(400).json({ error: relay.error });
+    }
 
-  const history = rows.map((r) => ({
-    id: r.id,
-    walletPubkey: r.wallet_pubkey,
-    zkProofId: r.zk_proof_id,
-    type: r.type,
-    amount: Number(r.amount || 0),
-    recipient: r.recipient,
-    txSignature: r.tx_signature,
-    status: r.status,
-    createdAt: r.created_at,
-  }));
+    const schedule = withdrawalReleaseAt(body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
 
-  res.json({ history });
-});
+    const withdrawal = {
+      walletPubkey: proof.wallet_pubkey,
+      zkProofId,
+      mint: proof.mint,
+      outputs: outputs.map((o, i) => ({ ...o, feeLamports: relay.fees[i] })),
+      poolAddress: POOL_ADDRESS,
+      relayer: relay.address,
+    };
+    const verdict = await checkWithdrawalPolicy(res, withdrawal);
+    if (!verdict) return;
+
+    // Create the PENDING rows, lock the shielded funds and queue the send.
+    // The store only locks the total if it is still available and within
+    // the limits.
+    const result = await store.createWithdrawal({
+      ...withdrawal,
+      releaseAt: schedule.releaseAt,
+      review: verdict.review,
+      limits: verdict.limits,
+      createdAt: new Date().toISOString(),
+    });
+    if (result.rejection) {
+      return rejectWithdrawal(res, withdrawal, result.rejection);
+    }
+    if (result.conflict) {
+      return res.status(400).json({ error: result.conflict });
+    }
 
-// ------------------ START ------------------
+    // Respond immediately: client will see "processing" in history
+    const accepted = withdrawalAccepted(
+      result.ids,
+      relay,
+      asset,
+      schedule.releaseAt,
+      verdict.review
+    );
+    if (split) {
+      accepted.outputs = outputs.map((o, i) => ({
+        id: result.ids[i],
+        recipient: o.recipient,
+        ...solAndLamports("amount", o.lamports, asset.decimals),
+        ...solAndLamports("relayerFee", relay.fees[i], asset.decimals),
+      }));
+    }
+    res.json(accepted);
+  })
+);
+
+// Holds `withdrawal` (as for store.createWithdrawal) against the withdrawal
+// policy. A refusal is recorded as REJECTED rows and answered with its
+// code; resolves to { review, limits } if the withdrawal may go ahead, or
+// to null once it has responded.
+async function checkWithdrawalPolicy(res, withdrawal) {
+  const verdict = await withdrawalPolicy.check(withdrawal);
+  if (verdict.unavailable) {
+    res.status(503).json({ error: verdict.unavailable });
+    return null;
+  }
+  if (verdict.rejection) {
+    await recordRejection(res, withdrawal, verdict.rejection);
+    return null;
+  }
+  return verdict;
+}
+
+// Records `withdrawal` as REJECTED with `rejection` { code, error } and
+// answers with it
+async function recordRejection(res, withdrawal, rejection) {
+  const { ids } = await store.recordRejectedWithdrawal({
+    ...withdrawal,
+    rejection,
+    createdAt: new Date().toISOString(),
+  });
+  res.status(403).json({ ...rejection, id: ids[0] });
+}
+
+// For a withdrawal store.createWithdrawal() found over a limit
+function rejectWithdrawal(res, withdrawal, overLimit) {
+  return recordRejection(
+    res,
+    withdrawal,
+    withdrawalPolicy.rejection(withdrawal.mint, overLimit)
+  );
+}
+
+// `id` is the first ledger row; split withdrawals list one per output
+function withdrawalAccepted(ids, relay, asset, releaseAt, review) {
+  let status = releaseAt === null ? "PENDING" : "SCHEDULED";
+  if (review) status = "IN_REVIEW";
+  return {
+    status,
+    id: ids[0],
+    releaseAt: isoTime(releaseAt),
+    mint: asset.mint,
+    relayer: relay.address,
+    ...solAndLamports("relayerFee", relay.feeLamports, asset.decimals),
+  };
+}
+
+// Shielded withdrawal: the server learns the nullifier hash and recipient,
+// never which commitment is being spent. The row is filed under the
+// recipient so it shows up in their history, not the depositor's. The
+// body has been checked against the API schema.
+async function createShieldedWithdrawal(req, res) {
+  const body = req.body;
+  const { proof, root, nullifierHash, recipient } = body;
+
+  const asset = requestAsset(body.mint);
+  if (!asset) {
+    return res.status(400).json({ error: MINT_ERROR });
+  }
+
+  const lamports = requestLamports(body, asset);
+  if (lamports === null) {
+    return res.status(400).json({ error: AMOUNT_ERROR });
+  }
+
+  const pool = findPool(denominationPools, asset.mint, lamports);
+  const isSol = asset.mint === SOL_MINT;
+  if (!pool && !isSol) {
+    return res
+      .status(400)
+      .json({ error: "amount must be a pool denomination of this mint" });
+  }
+
+  if (!withdrawVKey) {
+    return res
+      .status(500)
+      .json({ error: "Withdrawals are not configured on this server." });
+  }
+
+  const rootValue = parseFieldElement(root);
+  const nullifierValue = parseFieldElement(nullifierHash);
+  if (rootValue === null || nullifierValue === null) {
+    return res
+      .status(400)
+      .json({ error: "root and nullifierHash must be field elements" });
+  }
+
+  // A note is paid from the wallet that took its deposit: a pool's notes
+  // from the pool's wallet, and notes from before denomination pools, which
+  // live in the legacy tree (SOL only), from the main pool
+  let wallet = null;
+  if (pool && (await pool.tree.isKnownRoot(rootValue))) {
+    wallet = pool;
+  } else if (isSol && (await legacyTree.isKnownRoot(rootValue))) {
+    wallet = { address: POOL_ADDRESS, signer: poolSigner };
+  }
+  if (!wallet) {
+    return res.status(400).json({ error: "Unknown or expired Merkle root" });
+  }
+  if (!wallet.signer) {
+    return res
+      .status(500)
+      .json({ error: "Withdrawals are not configured on this server." });
+  }
+
+  // The proof binds recipient and amount but not the relayer; relayers are
+  // run by this server, so the fee is ours to enforce
+  const relay = await relayerForWithdrawal(
+    body,
+    [{ recipient, lamports }],
+    asset.mint
+  );
+  if (relay.error) {
+    return res.status(400).json({ error: relay.error });
+  }
+
+  const schedule = withdrawalReleaseAt(body);
+  if (schedule.error) {
+    return res.status(400).json({ error: schedule.error });
+  }
+
+  const nullifierKey = nullifierValue.toString();
+  if (await store.getNullifier(nullifierKey)) {
+    return res.status(409).json({ error: "Note has already been spent" });
+  }
+
+  const valid = await verifyWithdrawProof(withdrawVKey, proof, {
+    root: rootValue,
+    nullifierHash: nullifierValue,
+    recipient,
+    lamports,
+  });
+  if (!valid) {
+    return res.status(403).json({ error: "Invalid withdrawal proof" });
+  }
+
+  const withdrawal = {
+    walletPubkey: recipient,
+    zkProofId: null,
+    mint: asset.mint,
+    outputs: [{ recipient, lamports, feeLamports: relay.feeLamports }],
+    poolAddress: wallet.address,
+    relayer: relay.address,
+  };
+  const verdict = await checkWithdrawalPolicy(res, withdrawal);
+  if (!verdict) return;
+
+  // Conflicts on a nullifier spent while the proof was being verified
+  const result = await store.createWithdrawal({
+    ...withdrawal,
+    nullifierHash: nullifierKey,
+    releaseAt: schedule.releaseAt,
+    review: verdict.review,
+    limits: verdict.limits,
+    createdAt: new Date().toISOString(),
+  });
+  if (result.rejection) {
+    return rejectWithdrawal(res, withdrawal, result.rejection);
+  }
+  if (result.conflict) {
+    return res.status(409).json({ error: result.conflict });
+  }
+
+  res.json(
+    withdrawalAccepted(
+      result.ids,
+      relay,
+      asset,
+      schedule.releaseAt,
+      verdict.review
+    )
+  );
+}
+
+// Cancel a SCHEDULED withdrawal of the signed-in wallet before its release
+// (or one still waiting for review).
+// The amount goes back to the note (or the nullifier is freed, for a
+// shielded spend, which is filed under its recipient).
+app.post(
+  "/api/withdrawals/:id/cancel",
+  requireWallet,
+  rateLimit("spend"),
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const result = await store.cancelWithdrawal({
+      id,
+      walletPubkey: req.walletPubkey,
+      updatedAt: new Date().toISOString(),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+
+    res.json({ status: "CANCELLED", id });
+  })
+);
+
+// What the store answers when the new zk_proof_id is taken
+const ID_COLLISION = "ID collision, retry request";
+
+// Move value from one note to a new one inside the pool. Nothing is sent on
+// chain, so there is no network fee and no transaction linking the two.
+// Authorized like a withdrawal: a zkProofId + note spend of `amount` creates
+// a zk_proof for `recipientWallet` (the sender's wallet by default), whose
+// secret note is returned, or only encrypted to `encryptTo` (the recipient's
+// X25519 public key, base64) when given. A Groth16 proof spends a whole
+// shielded note into the `commitment` of a new one instead.
+app.post(
+  "/api/transfers/internal",
+  rateLimit("spend"),
+  requireWithdrawalsOpen,
+  validateRequest,
+  route(async (req, res) => {
+    if (req.body.proof) {
+      return createShieldedTransfer(req, res);
+    }
+
+    const body = req.body;
+    const { zkProofId, note, recipientWallet, encryptTo } = body;
+    let encryptionKey = null;
+    if (encryptTo != null) {
+      encryptionKey = parseEncryptionKey(encryptTo);
+      if (!encryptionKey) {
+        return res.status(400).json({
+          error: "encryptTo must be a base64 X25519 public key (32 bytes)",
+        });
+      }
+    }
+
+    const proof = await store.getZkProof(zkProofId);
+    if (!proof) {
+      return res.status(404).json({ error: "zk_proof not found" });
+    }
+    if (!(await checkNote(req, res, proof, note))) return;
+    if (!(await chargeNoteOwner(res, proof))) return;
+    if (proof.frozen_at) {
+      return res.status(423).json({ error: FROZEN_ERROR });
+    }
+
+    const asset = assetOf(proof.mint);
+    const lamports = requestLamports(body, asset);
+    if (lamports === null) {
+      return res.status(400).json({ error: AMOUNT_ERROR });
+    }
+    if (lamports > proof.total_lamports - proof.spent_lamports) {
+      return res.status(400).json({ error: "Insufficient shielded balance" });
+    }
+
+    // Both notes stay backed by the main pool, where zk_proof deposits go
+    const newNote = generateSecretNote();
+    const walletPubkey = recipientWallet || proof.wallet_pubkey;
+    let newZkProofId = null;
+    const result = await withNewZkProofId(async (id) => {
+      const recorded = await store.recordInternalTransfer({
+        mint: proof.mint,
+        lamports,
+        poolAddress: POOL_ADDRESS,
+        limits: withdrawalPolicy.limitsOf(proof.mint),
+        createdAt: new Date().toISOString(),
+        from: { walletPubkey: proof.wallet_pubkey, zkProofId },
+        to: { walletPubkey, zkProofId: id, noteHash: sha256(newNote) },
+      });
+      if (recorded.conflict === ID_COLLISION) return null;
+      newZkProofId = id;
+      return recorded;
+    });
+    if (!result) {
+      return res.status(503).json({ error: ZK_PROOF_ID_ERROR });
+    }
+    // counted like a withdrawal, or the new note would start its limits
+    // over; nothing is recorded, as no withdrawal was asked for
+    if (result.rejection) {
+      return res
+        .status(403)
+        .json(withdrawalPolicy.rejection(proof.mint, result.rejection));
+    }
+    if (result.conflict) {
+      return res.status(400).json({ error: result.conflict });
+    }
+
+    res.json({
+      ok: true,
+      zkProofId: newZkProofId,
+      walletPubkey,
+      symbol: asset.symbol,
+      mint: asset.mint,
+      ...solAndLamports("amount", lamports, asset.decimals),
+      ...(encryptionKey
+        ? { encryptedNote: encryptNote(newNote, encryptionKey) }
+        : { note: newNote }),
+    });
+  })
+);
+
+// Shielded transfer: the withdraw circuit is reused with a recipient made
+// from the denomination pool's address and the new `commitment` (see
+// transferRecipientFields in src/zk.js), which binds the proof to "stays in
+// the pool, as this note". The new commitment goes into the same tree; its
+// note was built by the client, so the server never learns it. Notes in the
+// legacy tree can only be withdrawn. The body has been checked against the
+// API schema.
+async function createShieldedTransfer(req, res) {
+  const body = req.body;
+  const { proof, root, nullifierHash, commitment } = body;
+
+  const asset = requestAsset(body.mint);
+  if (!asset) {
+    return res.status(400).json({ error: MINT_ERROR });
+  }
+
+  const lamports = requestLamports(body, asset);
+  if (lamports === null) {
+    return res.status(400).json({ error: AMOUNT_ERROR });
+  }
+
+  const pool = findPool(denominationPools, asset.mint, lamports);
+  if (!pool) {
+    return res
+      .status(400)
+      .json({ error: "amount must be a pool denomination of this mint" });
+  }
+
+  if (!withdrawVKey) {
+    return res
+      .status(500)
+      .json({ error: "Shielded transfers are not configured on this server." });
+  }
+
+  const rootValue = parseFieldElement(root);
+  const nullifierValue = parseFieldElement(nullifierHash);
+  const commitmentValue = parseFieldElement(commitment);
+  if (rootValue === null || nullifierValue === null || commitmentValue === null) {
+    return res.status(400).json({
+      error: "root, nullifierHash and commitment must be field elements",
+    });
+  }
+
+  if (!(await pool.tree.isKnownRoot(rootValue))) {
+    return res.status(400).json({ error: "Unknown or expired Merkle root" });
+  }
+
+  const nullifierKey = nullifierValue.toString();
+  if (await store.getNullifier(nullifierKey)) {
+    return res.status(409).json({ error: "Note has already been spent" });
+  }
+  if (await store.isCommitmentRecorded(commitmentValue.toString())) {
+    return res.status(409).json({ error: "commitment already deposited" });
+  }
+
+  const valid = await verifyTransferProof(withdrawVKey, proof, {
+    root: rootValue,
+    nullifierHash: nullifierValue,
+    poolAddress: pool.address,
+    commitment: commitmentValue,
+    lamports,
+  });
+  if (!valid) {
+    return res.status(403).json({ error: "Invalid transfer proof" });
+  }
+
+  const leaf = commitmentLeaf(commitmentValue, lamports);
+  const result = await store.recordInternalTransfer({
+    mint: asset.mint,
+    lamports,
+    poolAddress: pool.address,
+    createdAt: new Date().toISOString(),
+    from: { nullifierHash: nullifierKey },
+    to: {
+      treeId: pool.treeId,
+      commitment: commitmentValue.toString(),
+      leaf: leaf.toString(),
+    },
+  });
+  if (result.conflict) {
+    return res.status(409).json({ error: result.conflict });
+  }
+
+  res.json({
+    ok: true,
+    mint: pool.mint,
+    denomination: pool.denomination,
+    leafIndex: result.leafIndex,
+    root: result.root.toString(),
+  });
+}
+
+// Whether a note's nullifier has been consumed (by a pending or sent
+// withdrawal, or an internal transfer)
+app.get(
+  "/api/nullifiers/:hash",
+  validateRequest,
+  route(async (req, res) => {
+    const nullifierValue = parseFieldElement(req.params.hash);
+    if (nullifierValue === null) {
+      return res.status(400).json({ error: "hash must be a field element" });
+    }
+
+    const row = await store.getNullifier(nullifierValue.toString());
+
+    res.json({
+      nullifierHash: nullifierValue.toString(),
+      spent: Boolean(row),
+      spentAt: row ? row.created_at : null,
+    });
+  })
+);
+
+// Denomination pools and the size of each one's anonymity set
+app.get(
+  "/api/pools",
+  validateRequest,
+  route(async (req, res) => {
+    const pools = await Promise.all(
+      denominationPools.map(async (p) => ({
+        symbol: p.symbol,
+        mint: p.mint,
+        denomination: p.denomination,
+        lamports: p.lamports.toString(),
+        poolAddress: p.address,
+        anonymitySet: await p.tree.size(),
+      }))
+    );
+
+    res.json({ pools });
+  })
+);
+
+// What a relayer adds for opening a recipient's token account of `asset`
+function accountFeeJson(asset) {
+  if (asset.mint === SOL_MINT) return {};
+  const fee = relayerAccountFee(relayerConfig, asset.mint);
+  return fee === null
+    ? { accountFee: null, accountFeeLamports: null }
+    : solAndLamports("accountFee", fee, asset.decimals);
+}
+
+// Relayers and their fee. Quotes every denomination of `mint` (SOL by
+// default), or just `amount` / `lamports` when given; `receive` is what the
+// recipient gets. For a token, `accountFee` is added to the fee when the
+// recipient has no token account yet (null: not relayed to them at all).
+app.get("/api/relayers", validateRequest, (req, res) => {
+  const asset = requestAsset(req.query.mint);
+  if (!asset) {
+    return res.status(400).json({ error: MINT_ERROR });
+  }
+
+  let amounts = denominationPools
+    .filter((p) => p.mint === asset.mint)
+    .map((p) => p.lamports);
+  if (hasAmount(req.query)) {
+    const lamports = requestLamports(req.query, asset);
+    if (lamports === null) {
+      return res.status(400).json({ error: AMOUNT_ERROR });
+    }
+    amounts = [lamports];
+  }
+
+  const quotes = amounts.map((lamports) => {
+    const fee = relayerFee(relayerConfig, lamports, asset.mint);
+    return {
+      ...solAndLamports("amount", lamports, asset.decimals),
+      ...solAndLamports("fee", fee, asset.decimals),
+      ...solAndLamports(
+        "receive",
+        fee < lamports ? lamports - fee : 0n,
+        asset.decimals
+      ),
+      covered: fee < lamports,
+    };
+  });
+
+  res.json({
+    symbol: asset.symbol,
+    mint: asset.mint,
+    relayers: relayerConfig.relayers.map((r) => ({ address: r.address })),
+    feeBps: Number(relayerConfig.feeBps),
+    ...solAndLamports("flatFee", relayerConfig.flatFeeLamports),
+    ...accountFeeJson(asset),
+    quotes,
+  });
+});
+
+// Current root of a denomination's commitment tree (?denomination=1, plus
+// &mint=USDC for token pools)
+app.get(
+  "/api/tree/root",
+  validateRequest,
+  route(async (req, res) => {
+    const tree = treeForDenomination(req.query.denomination, req.query.mint);
+    if (!tree) {
+      return res.status(404).json({ error: "unknown denomination" });
+    }
+
+    const [root, leafCount] = await Promise.all([tree.root(), tree.size()]);
+    res.json({
+      root: root.toString(),
+      leafCount,
+      depth: tree.depth,
+    });
+  })
+);
+
+// Authentication path for one leaf, to build a withdrawal proof offline
+app.get(
+  "/api/tree/path/:leafIndex",
+  validateRequest,
+  route(async (req, res) => {
+    const tree = treeForDenomination(req.query.denomination, req.query.mint);
+    if (!tree) {
+      return res.status(404).json({ error: "unknown denomination" });
+    }
+
+    const path = await tree.path(Number(req.params.leafIndex));
+    if (!path) {
+      return res.status(404).json({ error: "leaf not found" });
+    }
+
+    res.json(path);
+  })
+);
+
+// Run a reconciliation now and return the report
+app.get("/api/admin/reconcile", validateRequest, async (req, res) => {
+  try {
+    const report = await reconciler.run("MANUAL");
+    res.json(report);
+  } catch (err) {
+    console.error("[ZKNON] Reconciliation error:", err);
+    res.status(502).json({ error: "Reconciliation failed: " + err.message });
+  }
+});
+
+// Past reconciliation reports, newest first
+app.get(
+  "/api/admin/reconcile/reports",
+  validateRequest,
+  route(async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 20, 200);
+    res.json({ reports: await reconciler.history(limit) });
+  })
+);
+
+// Ledger rows of every wallet, newest first, with the state of their send
+// job. Filters: status, type, wallet, zkProofId, mint; `before` an id to
+// page back from.
+function adminTransactionJson(r) {
+  const { symbol, mint, decimals } = assetOf(r.mint);
+  return {
+    id: r.id,
+    walletPubkey: r.wallet_pubkey,
+    zkProofId: r.zk_proof_id,
+    type: r.type,
+    symbol,
+    mint,
+    ...solAndLamports("amount", r.amount_lamports, decimals),
+    recipient: r.recipient,
+    txSignature: r.tx_signature,
+    status: r.status,
+    relayer: r.relayer,
+    ...solAndLamports("relayerFee", r.relayer_fee_lamports, decimals),
+    poolAddress: r.pool_address,
+    rejectionCode: r.rejection_code,
+    createdAt: r.created_at,
+    job: r.job_state
+      ? {
+          state: r.job_state,
+          attempts: r.attempts,
+          nextAttemptAt: isoTime(r.next_attempt_at),
+          releaseAt: isoTime(r.release_at),
+          lastError: r.last_error,
+          signedBy: r.signed_by,
+        }
+      : null,
+  };
+}
+
+app.get(
+  "/api/admin/transactions",
+  validateRequest,
+  route(async (req, res) => {
+    const { status = null, type = null, wallet = null } = req.query;
+    let mint = null;
+    if (req.query.mint != null) {
+      mint = requestAsset(req.query.mint)?.mint;
+      if (!mint) return res.status(400).json({ error: MINT_ERROR });
+    }
+    const before = req.query.before == null ? null : Number(req.query.before);
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const rows = await store.listTransactions({
+      status,
+      type,
+      walletPubkey: wallet,
+      zkProofId: req.query.zkProofId ?? null,
+      mint,
+      beforeId: before,
+      limit,
+    });
+    res.json({ transactions: rows.map(adminTransactionJson) });
+  })
+);
+
+// Send a stuck withdrawal now, with a fresh set of attempts. It goes out
+// with the rest of its batch; a signed transaction that may still land is
+// checked before anything is signed again.
+app.post(
+  "/api/admin/withdrawals/:id/retry",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const result = await store.retryWithdrawal({
+      id,
+      now: Date.now(),
+      updatedAt: new Date().toISOString(),
+      audit: adminAudit(req, "withdrawal.retry", "transaction", id),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.json({ ids: result.ids });
+  })
+);
+
+// Cancel a withdrawal nothing has been signed for yet and return the amount
+// to its note (or free its nullifier). PENDING rows from before the send
+// queue have no job; check the chain before cancelling one of those.
+app.post(
+  "/api/admin/withdrawals/:id/cancel",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const result = await store.cancelStuckWithdrawal({
+      id,
+      updatedAt: new Date().toISOString(),
+      audit: adminAudit(req, "withdrawal.cancel", "transaction", id),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.json({ id, status: "CANCELLED" });
+  })
+);
+
+// The review queue, GET /api/admin/transactions?status=IN_REVIEW: those
+// over WITHDRAWAL_REVIEW_ABOVE_<symbol> wait for one of these. Both act on
+// the withdrawal's batch, the outputs sent in one transaction. An approved
+// one is queued (or scheduled, if its release is still ahead); a rejected
+// one gets its funds back, with code REVIEW_REJECTED and `reason` if given.
+app.post(
+  "/api/admin/withdrawals/:id/approve",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const result = await store.approveWithdrawal({
+      id,
+      now: Date.now(),
+      updatedAt: new Date().toISOString(),
+      audit: adminAudit(req, "withdrawal.approve", "transaction", id),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.json({ ids: result.ids });
+  })
+);
+
+app.post(
+  "/api/admin/withdrawals/:id/reject",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+    const { reason = null } = req.body || {};
+
+    const result = await store.rejectWithdrawal({
+      id,
+      rejection: {
+        code: "REVIEW_REJECTED",
+        error: reason ? `Rejected on review: ${reason}` : "Rejected on review",
+      },
+      updatedAt: new Date().toISOString(),
+      audit: adminAudit(req, "withdrawal.reject", "transaction", id, {
+        reason,
+      }),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.json({ ids: result.ids, status: "REJECTED" });
+  })
+);
+
+function controlsJson(c) {
+  return {
+    depositsPaused: c.deposits_paused,
+    withdrawalsPaused: c.withdrawals_paused,
+    reason: c.reason,
+    updatedAt: c.updated_at,
+  };
+}
+
+app.get(
+  "/api/admin/controls",
+  validateRequest,
+  route(async (req, res) => {
+    res.json({ controls: controlsJson(await store.getPoolControls()) });
+  })
+);
+
+// Pause or resume deposits and/or withdrawals for everyone. Paused
+// withdrawals also stop the send queue; `reason` is shown to clients.
+app.put(
+  "/api/admin/controls",
+  validateRequest,
+  route(async (req, res) => {
+    const { depositsPaused, withdrawalsPaused, reason = null } = req.body;
+
+    const controls = await store.setPoolControls({
+      depositsPaused,
+      withdrawalsPaused,
+      reason,
+      updatedAt: new Date().toISOString(),
+      audit: adminAudit(req, "controls.update", "pool", null, {
+        depositsPaused,
+        withdrawalsPaused,
+        reason,
+      }),
+    });
+    res.json({ controls: controlsJson(controls) });
+  })
+);
+
+app.get(
+  "/api/admin/zkproofs/:id",
+  validateRequest,
+  route(async (req, res) => {
+    const proof = await store.getZkProof(req.params.id);
+    if (!proof) {
+      return res.status(404).json({ error: "zk_proof not found" });
+    }
+    res.json({ proof: { ...zkProofJson(proof), frozenAt: proof.frozen_at } });
+  })
+);
+
+// Freeze a zk_proof, e.g. one credited by mistake, so nothing more can be
+// withdrawn or transferred from it; withdrawals already queued are not
+// touched. Unfreeze makes it spendable again.
+app.post(
+  "/api/admin/zkproofs/:id/:action(freeze|unfreeze)",
+  validateRequest,
+  route(async (req, res) => {
+    const { id, action } = req.params;
+    const reason = (req.body || {}).reason ?? null;
+
+    const proof = await store.setZkProofFrozen({
+      zkProofId: id,
+      frozenAt: action === "freeze" ? new Date().toISOString() : null,
+      audit: adminAudit(req, `zk_proof.${action}`, "zk_proof", id, { reason }),
+    });
+    if (!proof) {
+      return res.status(404).json({ error: "zk_proof not found" });
+    }
+    res.json({ proof: { ...zkProofJson(proof), frozenAt: proof.frozen_at } });
+  })
+);
+
+// Admin actions, newest first. Filters: action, targetType, targetId;
+// `before` an id to page back from.
+app.get(
+  "/api/admin/audit",
+  validateRequest,
+  route(async (req, res) => {
+    const before = req.query.before == null ? null : Number(req.query.before);
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const rows = await store.adminAuditLog({
+      action: req.query.action ?? null,
+      targetType: req.query.targetType ?? null,
+      targetId: req.query.targetId ?? null,
+      beforeId: before,
+      limit,
+    });
+    res.json({
+      entries: rows.map((r) => ({
+        id: r.id,
+        action: r.action,
+        targetType: r.target_type,
+        targetId: r.target_id,
+        actor: r.actor,
+        ip: r.ip,
+        details: r.details,
+        createdAt: r.created_at,
+      })),
+    });
+  })
+);
+
+function poolKeyJson(k) {
+  return {
+    address: k.address,
+    pool: k.pool,
+    state: k.state,
+    source: k.source,
+    signerLoaded: Boolean(findPoolSigner(k.address)),
+    signedWithdrawals: k.signed_withdrawals,
+    activatedAt: k.activated_at,
+    retiredAt: k.retired_at,
+    replacedBy: k.replaced_by,
+  };
+}
+
+function sweepJson(s) {
+  const { symbol, mint, decimals } = assetOf(s.mint);
+  return {
+    id: s.id,
+    from: s.from_address,
+    to: s.to_address,
+    symbol,
+    mint,
+    ...solAndLamports("amount", s.lamports, decimals),
+    reason: s.reason,
+    state: s.state,
+    signature: s.signature,
+    lastError: s.last_error,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at,
+  };
+}
+
+// Every key each pool wallet has had ("main", or a denomination pool's
+// label), with how many withdrawals it signed
+app.get(
+  "/api/admin/pool-keys",
+  validateRequest,
+  route(async (req, res) => {
+    const keys = await store.listPoolKeys();
+    res.json({ keys: keys.map(poolKeyJson) });
+  })
+);
+
+// Move the whole balance of `mint` held by a retired key into the current
+// key of its pool. Tokens first: the retired wallet pays the fees in SOL.
+app.post(
+  "/api/admin/pool-keys/:address/sweep",
+  validateRequest,
+  route(async (req, res) => {
+    const mint = requestAsset((req.body || {}).mint)?.mint;
+    if (!mint) return res.status(400).json({ error: MINT_ERROR });
+
+    const key = await store.getPoolKey(req.params.address);
+    if (!key) {
+      return res.status(404).json({ error: "Pool key not found" });
+    }
+    if (key.state !== "RETIRED") {
+      return res
+        .status(409)
+        .json({ error: "Only a retired pool key can be swept" });
+    }
+    const active = (await store.listPoolKeys()).find(
+      (k) => k.pool === key.pool && k.state === "ACTIVE"
+    );
+    // e.g. the pool was dropped from the config after its key was retired
+    if (!active) {
+      return res.status(409).json({ error: "No active pool key" });
+    }
+
+    const result = await sweeper.sweep({
+      from: key.address,
+      to: active.address,
+      mint,
+      reason: "ROTATION",
+      audit: adminAudit(req, "pool_key.sweep", "pool_key", key.address, {
+        to: active.address,
+        mint,
+      }),
+    });
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.status(202).json({ sweep: sweepJson(result.sweep) });
+  })
+);
+
+// Sweeps, newest first; `address` those out of or into one wallet
+app.get(
+  "/api/admin/sweeps",
+  validateRequest,
+  route(async (req, res) => {
+    const address = req.query.address ?? null;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const sweeps = await store.listSweeps({ address, limit });
+    res.json({ sweeps: sweeps.map(sweepJson) });
+  })
+);
+
+// Record a top-up of a hot pool wallet from cold storage, made by hand
+// (e.g. after a liquidity alert), once it is finalized: `to` the pool
+// wallet, `mint`, `amount` or `lamports`, and its `signature`. The ledger
+// then counts those funds at the hot wallet, not the cold one.
+app.post(
+  "/api/admin/sweeps/refill",
+  validateRequest,
+  route(async (req, res) => {
+    const coldAddress = hotWalletCaps.coldAddress;
+    if (!coldAddress) {
+      return res
+        .status(400)
+        .json({ error: "No cold wallet is configured (COLD_WALLET_ADDRESS)" });
+    }
+    const body = req.body;
+    const asset = requestAsset(body.mint);
+    if (!asset) return res.status(400).json({ error: MINT_ERROR });
+    const lamports = requestLamports(body, asset);
+    if (lamports === null) {
+      return res.status(400).json({ error: AMOUNT_ERROR });
+    }
+    const poolAddresses = [
+      POOL_ADDRESS,
+      ...denominationPools.map((p) => p.address),
+    ];
+    if (!poolAddresses.includes(body.to)) {
+      return res
+        .status(400)
+        .json({ error: "to must be a pool wallet address" });
+    }
+
+    let problem;
+    try {
+      problem = await verifyDepositTransfer(connection, {
+        signature: body.signature,
+        from: coldAddress,
+        to: body.to,
+        lamports,
+        mint: asset.mint,
+      });
+    } catch (err) {
+      console.error("[ZKNON] Refill verification RPC error:", err);
+      return res
+        .status(502)
+        .json({ error: "Could not fetch the transaction, retry later" });
+    }
+    if (problem) return res.status(400).json({ error: problem });
+
+    const result = await store.recordSweep({
+      fromAddress: coldAddress,
+      toAddress: body.to,
+      mint: asset.mint,
+      lamports,
+      reason: "REFILL",
+      signature: body.signature,
+      createdAt: new Date().toISOString(),
+      audit: adminAudit(req, "pool.refill", "pool_key", body.to, {
+        from: coldAddress,
+        mint: asset.mint,
+        signature: body.signature,
+      }),
+    });
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+    res.status(201).json({ sweep: sweepJson(result.sweep) });
+  })
+);
+
+function webhookJson(w) {
+  return {
+    id: w.id,
+    url: w.url,
+    events: w.event_types, // null: every type
+    description: w.description,
+    active: w.active,
+    createdAt: w.created_at,
+  };
+}
+
+function deliveryJson(d) {
+  return {
+    id: d.id,
+    webhookId: d.endpoint_id,
+    eventId: d.event_id,
+    eventType: d.event_type,
+    state: d.state,
+    attempts: d.attempts,
+    nextAttemptAt: d.state === "PENDING" ? isoTime(d.next_attempt_at) : null,
+    lastStatus: d.last_status,
+    lastError: d.last_error,
+    createdAt: d.created_at,
+    updatedAt: d.updated_at,
+    deliveredAt: d.delivered_at,
+  };
+}
+
+// Register an endpoint for all event types, or the `events` listed. Its
+// signing secret is only ever returned here.
+app.post(
+  "/api/admin/webhooks",
+  validateRequest,
+  route(async (req, res) => {
+    const { url, events = null, description = null } = req.body;
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      // reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return res.status(400).json({ error: "url must be an http(s) URL" });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await store.createWebhookEndpoint({
+      url: parsed.href,
+      secret,
+      eventTypes: events && [...new Set(events)],
+      description,
+      createdAt: new Date().toISOString(),
+      audit: adminAudit(req, "webhook.create", "webhook", null, {
+        url: parsed.href,
+        events,
+      }),
+    });
+
+    res.status(201).json({ webhook: webhookJson(webhook), secret });
+  })
+);
+
+app.get(
+  "/api/admin/webhooks",
+  validateRequest,
+  route(async (req, res) => {
+    const webhooks = await store.listWebhookEndpoints();
+    res.json({ webhooks: webhooks.map(webhookJson) });
+  })
+);
+
+// Stop sending to an endpoint. Its delivery log is kept, and its pending
+// deliveries wait until it is enabled again.
+app.post(
+  "/api/admin/webhooks/:id/:action(enable|disable)",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+    const { action } = req.params;
+    const audit = adminAudit(req, `webhook.${action}`, "webhook", id);
+    if (!(await store.setWebhookEndpointActive(id, action === "enable", audit))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ webhook: webhookJson(await store.getWebhookEndpoint(id)) });
+  })
+);
+
+// Delivery log of an endpoint, newest first; ?state= PENDING, DELIVERED or
+// FAILED
+app.get(
+  "/api/admin/webhooks/:id/deliveries",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+    const state = req.query.state ?? null;
+    if (!(await store.getWebhookEndpoint(id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const deliveries = await store.listWebhookDeliveries({
+      endpointId: id,
+      state,
+      limit,
+    });
+    res.json({ deliveries: deliveries.map(deliveryJson) });
+  })
+);
+
+// One delivery with every attempt made at it
+app.get(
+  "/api/admin/webhooks/deliveries/:id",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const delivery = await store.getWebhookDelivery(id);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    const attempts = await store.listWebhookAttempts(id);
+    res.json({
+      delivery: deliveryJson(delivery),
+      attempts: attempts.map((a) => ({
+        status: a.status,
+        error: a.error,
+        durationMs: a.duration_ms,
+        attemptedAt: a.attempted_at,
+      })),
+    });
+  })
+);
+
+// Send one delivery again, with a fresh set of attempts
+app.post(
+  "/api/admin/webhooks/deliveries/:id/replay",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+
+    const audit = adminAudit(req, "webhook.replay", "webhook_delivery", id);
+    if (!(await store.replayWebhookDelivery(id, Date.now(), audit))) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json({ ok: true });
+  })
+);
+
+// Send an endpoint the events fromEventId..toEventId (default: up to the
+// latest) of its types again, e.g. after it lost data or was disabled
+const MAX_WEBHOOK_REPLAY_EVENTS = 10_000;
+
+app.post(
+  "/api/admin/webhooks/:id/replay",
+  validateRequest,
+  route(async (req, res) => {
+    const id = Number(req.params.id);
+    const { fromEventId, toEventId = await store.lastEventId() } = req.body;
+    if (toEventId < fromEventId) {
+      return res
+        .status(400)
+        .json({ error: "toEventId must be >= fromEventId" });
+    }
+    if (toEventId - fromEventId >= MAX_WEBHOOK_REPLAY_EVENTS) {
+      return res.status(400).json({
+        error: `At most ${MAX_WEBHOOK_REPLAY_EVENTS} events can be replayed at once`,
+      });
+    }
+    if (!(await store.getWebhookEndpoint(id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const queued = await store.replayWebhookEvents({
+      endpointId: id,
+      fromEventId,
+      toEventId,
+      now: Date.now(),
+      audit: adminAudit(req, "webhook.replay_events", "webhook", id, {
+        fromEventId,
+        toEventId,
+      }),
+    });
+    res.json({ queued });
+  })
+);
+
+// History of the signed-in wallet
+app.get(
+  "/api/history",
+  requireWallet,
+  validateRequest,
+  route(async (req, res) => {
+    const wallet = sessionWallet(req, res, req.query.wallet);
+    if (!wallet) return;
+
+    const rows = await store.history(wallet);
+
+    const history = rows.map((r) => {
+      const { symbol, mint, decimals } = assetOf(r.mint);
+      return {
+        id: r.id,
+        walletPubkey: r.wallet_pubkey,
+        zkProofId: r.zk_proof_id,
+        type: r.type,
+        symbol,
+        mint,
+        ...solAndLamports("amount", r.amount_lamports, decimals),
+        recipient: r.recipient,
+        txSignature: r.tx_signature,
+        status: r.status,
+        relayer: r.relayer,
+        ...solAndLamports("relayerFee", r.relayer_fee_lamports, decimals),
+        releaseAt: isoTime(r.release_at),
+        rejectionCode: r.rejection_code,
+        createdAt: r.created_at,
+      };
+    });
+
+    res.json({ history });
+  })
+);
+
+// Server-Sent Events stream of the signed-in wallet's deposit and withdrawal
+// events, so clients need not poll /api/history. The session token may be
+// given as ?access_token= since EventSource cannot set headers. Browsers
+// reconnect with a Last-Event-ID header (or ?lastEventId=) and are sent
+// the events they missed first.
+const SSE_RETRY_MS = 3_000;
+const SSE_HEARTBEAT_MS = 25_000;
+
+function eventPayload(event) {
+  const { amountLamports, ...data } = event.data;
+  const { symbol, decimals } = assetOf(data.mint);
+  return {
+    ...data,
+    symbol,
+    ...solAndLamports("amount", BigInt(amountLamports), decimals),
+    createdAt: event.created_at,
+  };
+}
+
+app.get(
+  "/api/events",
+  requireWalletStream,
+  validateRequest,
+  route(async (req, res) => {
+    const wallet = sessionWallet(req, res, req.query.wallet);
+    if (!wallet) return;
+
+    const resumeFrom = req.get("last-event-id") ?? req.query.lastEventId;
+    const lastEventId = resumeFrom == null ? null : Number(resumeFrom);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    let unsubscribe = null;
+    let closed = false;
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      SSE_HEARTBEAT_MS
+    );
+    res.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    });
+
+    try {
+      unsubscribe = await eventHub.subscribe({
+        walletPubkey: wallet,
+        lastEventId,
+        send: (event) =>
+          res.write(
+            `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+              eventPayload(event)
+            )}\n\n`
+          ),
+      });
+    } catch (err) {
+      // headers are sent; end the stream and let the client reconnect
+      console.error("[ZKNON] Event stream error:", err);
+      return res.end();
+    }
+    if (closed) unsubscribe();
+  })
+);
+
+app.use((err, req, res, next) => {
+  console.error("[ZKNON] Request error:", err);
+  res.status(500).json({ error: "Internal server error" });
+});
+
+// ------------------ START ------------------
+
+// WITHDRAW rows from before the queue existed have no job and are left for
+// the operator to reconcile by hand
+const orphanedWithdrawals = await store.countOrphanedWithdrawals();
+if (orphanedWithdrawals > 0) {
+  console.warn(
+    "[ZKNON] PENDING withdrawals without a send job:",
+    orphanedWithdrawals
+  );
+}
+
+// Record the pool keys loaded now; a pool whose key changed since the last
+// start is rotated, and its withdrawals not signed yet move to the new key
+const poolKeys = [
+  { pool: "main", ...poolWallet },
+  ...denominationPools
+    .filter((p) => p.ownWallet)
+    .map((p) => ({ pool: p.label, address: p.address, source: p.source })),
+];
+for (const { pool, address, source } of poolKeys) {
+  const now = new Date().toISOString();
+  const { rotatedFrom, movedJobs } = await store.registerPoolKey({
+    pool,
+    address,
+    source,
+    now,
+    audit: {
+      action: "pool_key.rotate",
+      targetType: "pool",
+      targetId: pool,
+      actor: null,
+      ip: null,
+      createdAt: now,
+    },
+  });
+  if (rotatedFrom) {
+    console.warn(
+      `[ZKNON] Pool ${pool} key rotated ${rotatedFrom} -> ${address};`,
+      `${movedJobs} queued withdrawals moved, sweep the old key from the admin API`
+    );
+  }
+}
+
+withdrawalQueue.start();
+sweeper.start();
+reconciler.start(RECONCILE_INTERVAL_MS);
+webhookDispatcher.start();
 
 app.listen(PORT, () => {
   console.log(`[ZKNON] Backend listening on port ${PORT}`);
   console.log("[ZKNON] Pool address:", POOL_ADDRESS);
+  console.log("[ZKNON] Ledger store:", store.driver);
+  console.log("[ZKNON] Relayers:", relayerConfig.relayers.length);
+  console.log("[ZKNON] Assets:", assets.map((a) => a.symbol).join(", "));
 });
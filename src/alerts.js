@@ -0,0 +1,56 @@
+const ALERT_TIMEOUT_MS = 10_000;
+const DEFAULT_REPEAT_AFTER_MS = 15 * 60_000;
+
+/**
+ * Operator alerts: each is logged, and POSTed as JSON
+ * `{ text, key, details, createdAt }` to ALERT_WEBHOOK_URL when set (the
+ * `text` field is what Slack-style incoming webhooks show). An alert with
+ * the same `key` is not repeated for ALERT_REPEAT_SECONDS (default 15
+ * minutes), unless the problem was cleared meanwhile.
+ */
+export function createAlerter(env, { fetch = globalThis.fetch } = {}) {
+  const url = env.ALERT_WEBHOOK_URL || null;
+  const repeatAfterMs =
+    Number(env.ALERT_REPEAT_SECONDS) > 0
+      ? Number(env.ALERT_REPEAT_SECONDS) * 1000
+      : DEFAULT_REPEAT_AFTER_MS;
+  const sentAt = new Map();
+
+  async function post(body) {
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      console.error("[ZKNON] Alert not delivered:", body.key, err.message);
+    }
+  }
+
+  // Never throws: an alert that cannot be sent must not stop the caller
+  async function alert(key, message, details = null) {
+    const now = Date.now();
+    if (now - (sentAt.get(key) ?? -Infinity) < repeatAfterMs) return;
+    sentAt.set(key, now);
+
+    console.warn(`[ZKNON] ALERT ${message}`);
+    if (url) {
+      await post({
+        text: `[ZKNON] ${message}`,
+        key,
+        details,
+        createdAt: new Date(now).toISOString(),
+      });
+    }
+  }
+
+  // The problem behind `key` is over; the next one is alerted at once
+  function clear(key) {
+    sentAt.delete(key);
+  }
+
+  return { alert, clear };
+}
@@ -0,0 +1,149 @@
+import { createHash, createPublicKey, randomBytes, verify } from "crypto";
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+
+const NONCE_TTL_MS = 5 * 60_000;
+const DEFAULT_SESSION_TTL_MS = 60 * 60_000;
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function parsePubkey(walletPubkey) {
+  try {
+    return new PublicKey(walletPubkey);
+  } catch (err) {
+    return null;
+  }
+}
+
+// ed25519 check of a wallet's signMessage() output against its address
+function verifyWalletSignature(publicKey, message, signatureBase58) {
+  let signature;
+  try {
+    signature = bs58.decode(signatureBase58);
+  } catch (err) {
+    return false;
+  }
+  if (signature.length !== 64) return false;
+
+  const key = createPublicKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      x: Buffer.from(publicKey.toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  return verify(null, Buffer.from(message, "utf8"), key, signature);
+}
+
+// Sign-In-With-Solana style message; the wallet shows it to the user as is
+function signInMessage({ domain, walletPubkey, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    walletPubkey,
+    "",
+    "Sign in to ZKNON to manage your shielded notes.",
+    "",
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`,
+  ].join("\n");
+}
+
+/**
+ * Wallet sign-in: the client asks for a nonce, has the wallet sign the
+ * returned message, and trades the signature for a session token that is
+ * sent as `Authorization: Bearer <token>`.
+ *
+ * Nonces are single use and expire after five minutes. Only a hash of each
+ * session token is stored.
+ */
+export function createWalletAuth({
+  store,
+  domain,
+  sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+}) {
+  async function issueNonce(walletPubkey) {
+    if (!parsePubkey(walletPubkey)) {
+      return { error: "walletPubkey is not a valid address" };
+    }
+
+    const now = Date.now();
+    await store.deleteExpiredAuth(now);
+
+    const nonce = randomBytes(16).toString("hex");
+    const expiresAt = now + NONCE_TTL_MS;
+    const message = signInMessage({
+      domain,
+      walletPubkey,
+      nonce,
+      issuedAt: now,
+      expiresAt,
+    });
+    await store.createAuthNonce({ nonce, walletPubkey, message, expiresAt });
+
+    return { nonce, message, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  async function signIn({ walletPubkey, nonce, signature }) {
+    const now = Date.now();
+    const challenge = await store.consumeAuthNonce(nonce, now);
+    if (!challenge || challenge.wallet_pubkey !== walletPubkey) {
+      return { error: "Unknown or expired nonce" };
+    }
+
+    const publicKey = parsePubkey(walletPubkey);
+    if (
+      !publicKey ||
+      !verifyWalletSignature(publicKey, challenge.message, signature)
+    ) {
+      return { error: "Signature does not match walletPubkey" };
+    }
+
+    const token = randomBytes(32).toString("base64url");
+    const expiresAt = now + sessionTtlMs;
+    await store.createAuthSession({
+      tokenHash: sha256(token),
+      walletPubkey,
+      expiresAt,
+    });
+
+    return { token, walletPubkey, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function authenticate(token, req, res, next) {
+    if (!token) {
+      return res.status(401).json({ error: "Sign in with your wallet first" });
+    }
+
+    store
+      .getAuthSession(sha256(token), Date.now())
+      .then((session) => {
+        if (!session) {
+          return res
+            .status(401)
+            .json({ error: "Invalid or expired session, sign in again" });
+        }
+        req.walletPubkey = session.wallet_pubkey;
+        next();
+      })
+      .catch(next);
+  }
+
+  // Express middleware: sets req.walletPubkey from a valid session token
+  function requireWallet(req, res, next) {
+    const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    authenticate(token, req, res, next);
+  }
+
+  // Same for event streams: browsers' EventSource cannot send headers, so
+  // the token may also come as ?access_token=
+  function requireWalletStream(req, res, next) {
+    if (req.get("authorization")) return requireWallet(req, res, next);
+    authenticate(String(req.query.access_token || ""), req, res, next);
+  }
+
+  return { issueNonce, signIn, requireWallet, requireWalletStream };
+}
@@ -0,0 +1,161 @@
+// Lifecycle events a wallet can follow, each with the ledger row `id`:
+//   deposit.credited      a deposit was verified and credited
+//   withdrawal.awaiting_liquidity
+//                         it is due but waits for the pool's hot wallet
+//                         to be topped up
+//   withdrawal.submitted  a withdrawal's transaction was broadcast
+//   withdrawal.confirmed  it landed on chain
+//   withdrawal.failed     it was given up and its funds returned
+//   withdrawal.rejected   it was refused by the withdrawal policy, or
+//                         rejected on review (see ./policy.js)
+// The store writes each one in the same transaction as the change it
+// describes, so events are never lost and their ids give their order. An
+// id only becomes visible once every lower one has (see writeEvents() in
+// ./storage/postgres.js), so a reader that follows ids never skips one.
+export const EVENT_TYPES = [
+  "deposit.credited",
+  "withdrawal.awaiting_liquidity",
+  "withdrawal.submitted",
+  "withdrawal.confirmed",
+  "withdrawal.failed",
+  "withdrawal.rejected",
+];
+
+const DEFAULT_POLL_INTERVAL_MS = 1_000;
+const PAGE_SIZE = 500;
+
+// Payload of a withdrawal event for one output (job) of a batch. The amount
+// is the ledger amount, relayer fee included.
+export function withdrawalEventData(job) {
+  return {
+    id: job.transaction_id,
+    mint: job.mint,
+    amountLamports: (job.lamports + job.fee_lamports).toString(),
+    recipient: job.recipient,
+    txSignature: job.signature,
+    error: job.state === "FAILED" ? job.last_error : null,
+  };
+}
+
+// Payload of a withdrawal.rejected event for one ledger row, in the same
+// shape, with the rejection `code` (see ./policy.js) and why
+export function withdrawalRejectedData(row, { code, error }) {
+  return {
+    id: row.id,
+    mint: row.mint,
+    amountLamports: row.amount_lamports.toString(),
+    recipient: row.recipient,
+    txSignature: null,
+    error,
+    code,
+  };
+}
+
+/**
+ * Fans stored events out to live subscribers, e.g. Server-Sent Events
+ * clients. While anyone is subscribed one poller reads the new events of
+ * every wallet from the store, so events written by other processes on the
+ * same database are seen too. A subscriber that comes back with the id of
+ * the last event it saw is first sent what it missed.
+ */
+export function createEventHub({
+  store,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+}) {
+  const subscribers = new Set();
+  let cursor = null; // newest event id already fanned out
+  let timer = null;
+  let polling = false;
+
+  function deliver(sub, event) {
+    if (sub.missed) {
+      sub.missed.push(event);
+      return;
+    }
+    if (event.id <= sub.lastId) return;
+    sub.lastId = event.id;
+    sub.send(event);
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      if (cursor === null) cursor = await store.lastEventId();
+      let events;
+      do {
+        events = await store.eventsSince(cursor, PAGE_SIZE);
+        for (const event of events) {
+          cursor = event.id;
+          for (const sub of subscribers) {
+            if (sub.walletPubkey === event.wallet_pubkey) deliver(sub, event);
+          }
+        }
+      } while (events.length === PAGE_SIZE);
+    } catch (err) {
+      // store unavailable; the next poll picks up from the same cursor
+      console.error("[ZKNON] Event poll error:", err);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Nobody listening: events written meanwhile are only replayed on request
+  function stopPolling() {
+    clearInterval(timer);
+    timer = null;
+    cursor = null;
+  }
+
+  /**
+   * Calls `send(event)` with each new event of `walletPubkey`, in id order.
+   * With `lastEventId` the ones after it are sent from the store first.
+   * Returns the function that unsubscribes.
+   */
+  async function subscribe({ walletPubkey, lastEventId = null, send }) {
+    const sub = {
+      walletPubkey,
+      send,
+      lastId: lastEventId ?? 0,
+      // live events that arrive while the store is replayed wait here
+      missed: lastEventId === null ? null : [],
+    };
+    subscribers.add(sub);
+    if (!timer) {
+      poll();
+      timer = setInterval(poll, pollIntervalMs);
+    }
+
+    const unsubscribe = () => {
+      subscribers.delete(sub);
+      if (subscribers.size === 0) stopPolling();
+    };
+
+    if (sub.missed) {
+      try {
+        let events;
+        do {
+          events = await store.walletEventsSince(
+            walletPubkey,
+            sub.lastId,
+            PAGE_SIZE
+          );
+          for (const event of events) {
+            sub.lastId = event.id;
+            send(event);
+          }
+        } while (events.length === PAGE_SIZE);
+      } catch (err) {
+        unsubscribe();
+        throw err;
+      }
+      const live = sub.missed;
+      sub.missed = null;
+      for (const event of live) deliver(sub, event);
+    }
+
+    return unsubscribe;
+  }
+
+  return { subscribe };
+}
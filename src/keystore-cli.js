@@ -0,0 +1,76 @@
+import { readFileSync, writeFileSync } from "fs";
+import { Keypair } from "@solana/web3.js";
+import bs58 from "bs58";
+import dotenv from "dotenv";
+import { decryptKeystore, encryptKeystore, readKeystore } from "./keystore.js";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run keystore -- <command> <file>
+
+  new <file>      generate a pool key and write it to <file>, encrypted
+  import <file>   encrypt the secret key read from stdin (base58, or the
+                  JSON array of a keypair file) into <file>
+  address <file>  print the address of a keystore
+  check <file>    unlock a keystore and print its address
+
+The passphrase is read from KEYSTORE_PASSPHRASE. Point POOL_KEYSTORE_PATH
+at the file and give the server the same passphrase in
+POOL_KEYSTORE_PASSPHRASE (or POOL_KEYSTORE_PASSPHRASE_FILE).`;
+
+const log = (message) => console.error(`[ZKNON] ${message}`);
+
+function parseSecretKey(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith("[")
+    ? Uint8Array.from(JSON.parse(trimmed))
+    : bs58.decode(trimmed);
+}
+
+function passphrase() {
+  const value = process.env.KEYSTORE_PASSPHRASE;
+  if (!value) throw new Error("KEYSTORE_PASSPHRASE is not set");
+  return value;
+}
+
+// Never overwrites: a keystore may be the only copy of a key
+function writeKeystore(file, secretKey) {
+  const keystore = encryptKeystore(secretKey, passphrase());
+  secretKey.fill(0);
+  writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, {
+    flag: "wx",
+    mode: 0o600,
+  });
+  log(`Wrote keystore ${file}`);
+  console.log(keystore.address);
+}
+
+function main([command, file]) {
+  if (!file) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === "new") {
+    writeKeystore(file, Keypair.generate().secretKey);
+  } else if (command === "import") {
+    writeKeystore(file, parseSecretKey(readFileSync(0, "utf8")));
+  } else if (command === "address") {
+    console.log(readKeystore(file).address);
+  } else if (command === "check") {
+    const keystore = readKeystore(file);
+    decryptKeystore(keystore, passphrase()).fill(0);
+    console.log(keystore.address);
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error("[ZKNON] Keystore command failed:", err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,117 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "crypto";
+import { readFileSync } from "fs";
+import { Keypair } from "@solana/web3.js";
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// scrypt cost: 2^17 rounds of 128 MiB, about half a second per unlock
+const DEFAULT_KDF = { N: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 512 * 1024 * 1024;
+
+function deriveKey(passphrase, { N, r, p, salt }) {
+  const password = passphrase.normalize("NFKC");
+  return scryptSync(password, Buffer.from(salt, "hex"), 32, {
+    N,
+    r,
+    p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+}
+
+// The address is authenticated along with the ciphertext, so it cannot be
+// swapped for another in the file
+function additionalData(address) {
+  return Buffer.from(`zknon-keystore:v${KEYSTORE_VERSION}:${address}`);
+}
+
+/**
+ * Encrypt a Solana secret key (the 64 bytes of a keypair file) under
+ * `passphrase`: scrypt derives an AES-256-GCM key, so a wrong passphrase or
+ * a tampered file fails to decrypt rather than yielding a different key.
+ * The result is a JSON-able object whose `address` is in the clear.
+ */
+export function encryptKeystore(
+  secretKey,
+  passphrase,
+  { kdf = DEFAULT_KDF } = {}
+) {
+  if (
+    typeof passphrase !== "string" ||
+    passphrase.length < MIN_PASSPHRASE_LENGTH
+  ) {
+    throw new Error(
+      `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+  const address = Keypair.fromSecretKey(secretKey).publicKey.toBase58();
+
+  const kdfparams = { ...kdf, salt: randomBytes(32).toString("hex") };
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, deriveKey(passphrase, kdfparams), iv);
+  cipher.setAAD(additionalData(address));
+  const ciphertext = Buffer.concat([cipher.update(secretKey), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    address,
+    crypto: {
+      kdf: "scrypt",
+      kdfparams,
+      cipher: CIPHER,
+      iv: iv.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
+      ciphertext: ciphertext.toString("hex"),
+    },
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The 64-byte secret key in `keystore`, as a Buffer the caller should wipe
+ * once it has made a signer of it. Throws on a wrong passphrase or a
+ * damaged file.
+ */
+export function decryptKeystore(keystore, passphrase) {
+  const { version, address, crypto } = keystore || {};
+  if (
+    version !== KEYSTORE_VERSION ||
+    crypto?.kdf !== "scrypt" ||
+    crypto?.cipher !== CIPHER
+  ) {
+    throw new Error("Unsupported keystore format");
+  }
+
+  let secretKey;
+  try {
+    const decipher = createDecipheriv(
+      CIPHER,
+      deriveKey(String(passphrase ?? ""), crypto.kdfparams),
+      Buffer.from(crypto.iv, "hex")
+    );
+    decipher.setAAD(additionalData(address));
+    decipher.setAuthTag(Buffer.from(crypto.tag, "hex"));
+    secretKey = Buffer.concat([
+      decipher.update(Buffer.from(crypto.ciphertext, "hex")),
+      decipher.final(),
+    ]);
+  } catch (err) {
+    throw new Error("Wrong passphrase, or the keystore is damaged");
+  }
+
+  if (Keypair.fromSecretKey(secretKey).publicKey.toBase58() !== address) {
+    secretKey.fill(0);
+    throw new Error("Keystore address does not match its key");
+  }
+  return secretKey;
+}
+
+export function readKeystore(path) {
+  return JSON.parse(readFileSync(path, "utf8"));
+}
@@ -0,0 +1,273 @@
+import { createHash } from "crypto";
+import { poseidon2 } from "poseidon-lite";
+
+// BN254 scalar field, the field every circom/snarkjs signal lives in
+export const FIELD_SIZE = BigInt(
+  "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
+
+export const MERKLE_TREE_DEPTH = 20;
+export const ROOT_HISTORY_SIZE = 30;
+
+// Value of an empty leaf: sha256("zknon") reduced into the field
+export const ZERO_VALUE =
+  BigInt("0x" + createHash("sha256").update("zknon").digest("hex")) %
+  FIELD_SIZE;
+
+export function hashPair(left, right) {
+  return poseidon2([left, right]);
+}
+
+// zeros[i] is the root of an empty subtree of height i
+function buildZeros(depth) {
+  const zeros = [ZERO_VALUE];
+  for (let i = 1; i <= depth; i++) {
+    zeros.push(hashPair(zeros[i - 1], zeros[i - 1]));
+  }
+  return zeros;
+}
+
+/**
+ * Parse a field element given as a decimal or 0x-hex string.
+ * Returns null for anything that is not a canonical element of the field.
+ */
+export function parseFieldElement(value) {
+  if (typeof value !== "string" || !/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) {
+    return null;
+  }
+  const n = BigInt(value);
+  return n < FIELD_SIZE ? n : null;
+}
+
+// Positions of the sibling at every level on the way from a leaf to the root
+function siblingPositions(leafIndex, depth) {
+  const positions = [];
+  for (let level = 0; level < depth; level++) {
+    positions.push({ level, index: (leafIndex >> level) ^ 1 });
+  }
+  return positions;
+}
+
+/**
+ * Hash `leaf` up to the root using `siblingAt(level, index)` for the
+ * neighbours. Returns every node on the path (for persisting an insert) and
+ * the authentication path in the shape the withdraw circuit expects.
+ */
+function climb(leafIndex, leaf, siblingAt, depth) {
+  const nodes = [{ level: 0, index: leafIndex, hash: leaf }];
+  const pathElements = [];
+  const pathIndices = [];
+
+  let current = leaf;
+  let index = leafIndex;
+  for (let level = 0; level < depth; level++) {
+    const isRight = index & 1;
+    const sibling = siblingAt(level, index ^ 1);
+    pathElements.push(sibling);
+    pathIndices.push(isRight);
+
+    current = isRight ? hashPair(sibling, current) : hashPair(current, sibling);
+    index >>= 1;
+    nodes.push({ level: level + 1, index, hash: current });
+  }
+
+  return { nodes, root: current, pathElements, pathIndices };
+}
+
+function formatPath(leafIndex, { root, pathElements, pathIndices }) {
+  return {
+    leafIndex,
+    root: root.toString(),
+    pathElements: pathElements.map((e) => e.toString()),
+    pathIndices,
+  };
+}
+
+/**
+ * Append-only Poseidon Merkle tree persisted in SQLite (merkle_nodes,
+ * merkle_roots), one per `treeId`. Synchronous so inserts can run inside a
+ * caller's db.transaction() together with the rest of a deposit.
+ */
+export function createSqliteMerkleStore(db, treeId, depth = MERKLE_TREE_DEPTH) {
+  const zeros = buildZeros(depth);
+
+  const selectNode = db.prepare(
+    "SELECT hash FROM merkle_nodes WHERE tree_id = ? AND level = ? AND idx = ?"
+  );
+  const upsertNode = db.prepare(`
+    INSERT INTO merkle_nodes (tree_id, level, idx, hash) VALUES (?, ?, ?, ?)
+    ON CONFLICT (tree_id, level, idx) DO UPDATE SET hash = excluded.hash
+  `);
+  const upsertRoot = db.prepare(`
+    INSERT INTO merkle_roots (tree_id, slot, root, leaf_count, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (tree_id, slot) DO UPDATE SET
+      root = excluded.root,
+      leaf_count = excluded.leaf_count,
+      created_at = excluded.created_at
+  `);
+
+  function nodeAt(level, index) {
+    const row = selectNode.get(treeId, level, index);
+    return row ? BigInt(row.hash) : zeros[level];
+  }
+
+  function size() {
+    return db
+      .prepare(
+        "SELECT COUNT(*) AS n FROM merkle_nodes WHERE tree_id = ? AND level = 0"
+      )
+      .get(treeId).n;
+  }
+
+  function root() {
+    return nodeAt(depth, 0);
+  }
+
+  function insert(leaf) {
+    const leafIndex = size();
+    if (leafIndex >= 2 ** depth) {
+      throw new Error("Merkle tree is full");
+    }
+
+    const { nodes, root: newRoot } = climb(leafIndex, leaf, nodeAt, depth);
+    for (const node of nodes) {
+      upsertNode.run(treeId, node.level, node.index, node.hash.toString());
+    }
+    upsertRoot.run(
+      treeId,
+      leafIndex % ROOT_HISTORY_SIZE,
+      newRoot.toString(),
+      leafIndex + 1,
+      new Date().toISOString()
+    );
+
+    return { leafIndex, root: newRoot };
+  }
+
+  function isKnownRoot(candidate) {
+    return Boolean(
+      db
+        .prepare("SELECT 1 FROM merkle_roots WHERE tree_id = ? AND root = ?")
+        .get(treeId, candidate.toString())
+    );
+  }
+
+  function path(leafIndex) {
+    if (leafIndex >= size()) return null;
+    return formatPath(
+      leafIndex,
+      climb(leafIndex, nodeAt(0, leafIndex), nodeAt, depth)
+    );
+  }
+
+  return { treeId, depth, size, root, insert, isKnownRoot, path };
+}
+
+/**
+ * Postgres flavour of createSqliteMerkleStore. `insert` takes the client of
+ * an open transaction and holds a per-tree advisory lock until it commits,
+ * so concurrent deposits into one tree are appended one at a time.
+ */
+export function createPgMerkleStore(pool, treeId, depth = MERKLE_TREE_DEPTH) {
+  const zeros = buildZeros(depth);
+
+  async function loadNodes(db, positions) {
+    const { rows } = await db.query(
+      `
+      SELECT n.level, n.idx, n.hash
+      FROM merkle_nodes n
+      JOIN unnest($2::int[], $3::int[]) AS p(level, idx)
+        ON n.level = p.level AND n.idx = p.idx
+      WHERE n.tree_id = $1
+      `,
+      [treeId, positions.map((p) => p.level), positions.map((p) => p.index)]
+    );
+    const found = new Map(
+      rows.map((r) => [`${r.level}:${r.idx}`, BigInt(r.hash)])
+    );
+    return (level, index) => found.get(`${level}:${index}`) ?? zeros[level];
+  }
+
+  async function size(db = pool) {
+    const { rows } = await db.query(
+      "SELECT COUNT(*)::int AS n FROM merkle_nodes WHERE tree_id = $1 AND level = 0",
+      [treeId]
+    );
+    return rows[0].n;
+  }
+
+  async function root(db = pool) {
+    const { rows } = await db.query(
+      "SELECT hash FROM merkle_nodes WHERE tree_id = $1 AND level = $2 AND idx = 0",
+      [treeId, depth]
+    );
+    return rows.length ? BigInt(rows[0].hash) : zeros[depth];
+  }
+
+  async function insert(client, leaf) {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `merkle:${treeId}`,
+    ]);
+
+    const leafIndex = await size(client);
+    if (leafIndex >= 2 ** depth) {
+      throw new Error("Merkle tree is full");
+    }
+
+    const siblingAt = await loadNodes(
+      client,
+      siblingPositions(leafIndex, depth)
+    );
+    const { nodes, root: newRoot } = climb(leafIndex, leaf, siblingAt, depth);
+
+    await client.query(
+      `
+      INSERT INTO merkle_nodes (tree_id, level, idx, hash)
+      SELECT $1, * FROM unnest($2::int[], $3::int[], $4::text[])
+      ON CONFLICT (tree_id, level, idx) DO UPDATE SET hash = EXCLUDED.hash
+      `,
+      [
+        treeId,
+        nodes.map((n) => n.level),
+        nodes.map((n) => n.index),
+        nodes.map((n) => n.hash.toString()),
+      ]
+    );
+    await client.query(
+      `
+      INSERT INTO merkle_roots (tree_id, slot, root, leaf_count, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (tree_id, slot) DO UPDATE SET
+        root = EXCLUDED.root,
+        leaf_count = EXCLUDED.leaf_count,
+        created_at = EXCLUDED.created_at
+      `,
+      [treeId, leafIndex % ROOT_HISTORY_SIZE, newRoot.toString(), leafIndex + 1]
+    );
+
+    return { leafIndex, root: newRoot };
+  }
+
+  async function isKnownRoot(candidate, db = pool) {
+    const { rows } = await db.query(
+      "SELECT 1 FROM merkle_roots WHERE tree_id = $1 AND root = $2",
+      [treeId, candidate.toString()]
+    );
+    return rows.length > 0;
+  }
+
+  async function path(leafIndex) {
+    if (leafIndex >= (await size())) return null;
+    const siblingAt = await loadNodes(pool, [
+      { level: 0, index: leafIndex },
+      ...siblingPositions(leafIndex, depth),
+    ]);
+    return formatPath(
+      leafIndex,
+      climb(leafIndex, siblingAt(0, leafIndex), siblingAt, depth)
+    );
+  }
+
+  return { treeId, depth, size, root, insert, isKnownRoot, path };
+}
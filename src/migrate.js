@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import { createStore } from "./storage/index.js";
+import {
+  migrateDown,
+  migrateUp,
+  migrationLabel,
+  migrationStatus,
+} from "./storage/migrator.js";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+  up [version]   apply pending migrations (up to and including version)
+  down [steps]   revert the last applied migration, or the last <steps>
+  status         list migrations and whether they are applied
+
+The store is chosen like the server's: DB_DRIVER, SQLITE_PATH, DATABASE_URL.`;
+
+const log = (message) => console.log(`[ZKNON] ${message}`);
+
+async function main([command = "status", arg]) {
+  if (arg !== undefined && !(Number.isInteger(Number(arg)) && Number(arg) > 0)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const store = createStore(process.env);
+  try {
+    if (command === "up") {
+      const to = arg === undefined ? Infinity : Number(arg);
+      const done = await migrateUp(store, { to, log });
+      if (done.length === 0) log("Schema is up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : Number(arg);
+      const done = await migrateDown(store, { steps, log });
+      if (done.length === 0) log("Nothing to revert");
+    } else if (command === "status") {
+      console.log(`Store: ${store.driver}`);
+      for (const m of await migrationStatus(store)) {
+        const state = m.unknown ? "unknown" : m.applied ? "applied" : "pending";
+        const at = m.appliedAt ? `  ${new Date(m.appliedAt).toISOString()}` : "";
+        console.log(`  ${state.padEnd(8)} ${migrationLabel(m)}${at}`);
+      }
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error("[ZKNON] Migration failed:", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+import {
+  createCipheriv,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+} from "crypto";
+
+export const NOTE_ENCRYPTION_SCHEME = "x25519-hkdf-sha256-aes-256-gcm";
+
+// What the note vault takes: labels of the client's choosing (typically the
+// zkProofId) and ciphertext of at most this many characters
+export const VAULT_LABEL = /^[A-Za-z0-9._:-]{1,128}$/;
+export const VAULT_MAX_CIPHERTEXT = 8192;
+
+/**
+ * Parse a recipient's X25519 public key, given as base64 of its 32 raw
+ * bytes. Returns a KeyObject, or null if the value is not such a key.
+ */
+export function parseEncryptionKey(value) {
+  if (typeof value !== "string") return null;
+  const raw = Buffer.from(value, "base64");
+  if (raw.length !== 32) return null;
+  try {
+    return createPublicKey({
+      key: { kty: "OKP", crv: "X25519", x: raw.toString("base64url") },
+      format: "jwk",
+    });
+  } catch (err) {
+    return null;
+  }
+}
+
+function rawPublicKey(keyObject) {
+  return Buffer.from(keyObject.export({ format: "jwk" }).x, "base64url");
+}
+
+/**
+ * Encrypt a secret note so only the holder of the X25519 private key for
+ * `recipientKey` can read it. An ephemeral key pair is made per note; the
+ * AES-256-GCM key is HKDF-SHA256 of the shared secret, with salt =
+ * ephemeralPublicKey || recipientPublicKey and info = the scheme name.
+ * `ciphertext` ends with the 16-byte GCM tag; every field is base64.
+ */
+export function encryptNote(note, recipientKey) {
+  const ephemeral = generateKeyPairSync("x25519");
+  const shared = diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: recipientKey,
+  });
+  const ephemeralPublicKey = rawPublicKey(ephemeral.publicKey);
+  const salt = Buffer.concat([ephemeralPublicKey, rawPublicKey(recipientKey)]);
+  const key = Buffer.from(
+    hkdfSync("sha256", shared, salt, NOTE_ENCRYPTION_SCHEME, 32)
+  );
+
+  const nonce = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(note, "utf8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  return {
+    scheme: NOTE_ENCRYPTION_SCHEME,
+    ephemeralPublicKey: ephemeralPublicKey.toString("base64"),
+    nonce: nonce.toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/**
+ * Message a wallet signs to derive its note vault key. ed25519 signatures
+ * are deterministic, so the same wallet always gets the same signature and
+ * can rebuild the key on any device; clients run it through HKDF-SHA256 to
+ * get the key their backups are encrypted with. Changing the text, or the
+ * domain in it, would lock every owner out of their existing backups.
+ */
+export function vaultKeyMessage(domain, walletPubkey) {
+  return [
+    `${domain} note vault key`,
+    walletPubkey,
+    "",
+    "Sign to unlock your ZKNON note backups. Only sign this on ZKNON.",
+    "",
+    "Version: 1",
+  ].join("\n");
+}
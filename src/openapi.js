@@ -0,0 +1,1837 @@
+import { readFileSync } from "fs";
+import bs58 from "bs58";
+import { EVENT_TYPES } from "./events.js";
+import { VAULT_LABEL, VAULT_MAX_CIPHERTEXT } from "./notes.js";
+import { REJECTION_CODES } from "./policy.js";
+import { LEGACY_TREE_ID } from "./pools.js";
+import { SOL_MINT } from "./solana.js";
+import { TRANSACTION_STATUSES, TRANSACTION_TYPES } from "./storage/index.js";
+import { DELIVERY_STATES } from "./webhooks.js";
+
+const { version } = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const response = (description, name = "Error") => ({
+  description,
+  ...json(ref(name)),
+});
+
+// Answers every route below can give besides its own
+const COMMON_RESPONSES = {
+  400: response("Invalid request", "ValidationError"),
+  429: response("Rate limited; see the Retry-After header"),
+  500: response("Server error"),
+};
+
+const SIGNED_IN_RESPONSES = {
+  401: response("Not signed in"),
+  403: response("Signed in as a different wallet"),
+};
+
+const ADMIN_RESPONSES = {
+  401: response("Wrong or missing admin key"),
+  503: response("The admin API is not configured"),
+};
+
+// A ledger row, webhook or delivery named in the path
+const ID_PARAMETER = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "integer", minimum: 1 },
+};
+
+// Paging of the admin lists, newest first
+const LIMIT_PARAMETER = {
+  name: "limit",
+  in: "query",
+  description: "How many to return, at most 200",
+  schema: { type: "integer", minimum: 1 },
+};
+
+const BEFORE_PARAMETER = {
+  name: "before",
+  in: "query",
+  description: "Only those with a lower id, to page back from",
+  schema: { type: "integer", minimum: 1 },
+};
+
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  ...(description && { description }),
+  schema,
+});
+
+const object = (properties, required = []) => ({
+  type: "object",
+  required,
+  properties,
+});
+
+// A decimal amount or an integer count of base units, in or out; given
+// with its `${key}Lamports` twin (see solAndLamports in index.js)
+function amountProperties(key) {
+  return {
+    [key]: ref("AmountOut"),
+    [`${key}Lamports`]: ref("LamportsOut"),
+  };
+}
+
+function amountRequired(key) {
+  return [key, `${key}Lamports`];
+}
+
+// Either amount or lamports must be given
+const AMOUNT_OR_LAMPORTS = {
+  anyOf: [{ required: ["amount"] }, { required: ["lamports"] }],
+};
+
+/**
+ * The OpenAPI 3.1 document of the API: sign-in, the wallet-facing routes
+ * (zk proofs, deposits, withdrawals, internal transfers, history, events
+ * and the note vault), the public pool, relayer and tree lookups, and the
+ * admin API. `assets` fills in the mints this server takes,
+ * `maxWithdrawalOutputs` how far a withdrawal may be split.
+ */
+export function buildOpenApiDocument({ assets, maxWithdrawalOutputs }) {
+  const schemas = {
+    Address: {
+      type: "string",
+      format: "solana-address",
+      description: "Base58 Solana public key",
+    },
+    Signature: {
+      type: "string",
+      pattern: "^[1-9A-HJ-NP-Za-km-z]{64,88}$",
+      description: "Base58 transaction signature",
+    },
+    Mint: {
+      type: "string",
+      enum: [...new Set(assets.flatMap((a) => [a.symbol, a.mint]))],
+      description: "Asset symbol or mint address; SOL when omitted",
+    },
+    Amount: {
+      type: ["number", "string"],
+      pattern: "^\\d+(\\.\\d+)?$",
+      exclusiveMinimum: 0,
+      description:
+        "Decimal amount of the asset, with at most its decimals (e.g. 0.1)",
+    },
+    Lamports: {
+      type: ["integer", "string"],
+      pattern: "^\\d+$",
+      minimum: 0,
+      maximum: Number.MAX_SAFE_INTEGER,
+      description: "Integer amount of base units (lamports for SOL)",
+    },
+    MintOut: {
+      anyOf: [{ const: SOL_MINT }, ref("Address")],
+      description: `Mint address, or "${SOL_MINT}" for SOL`,
+    },
+    AmountOut: { type: "string", pattern: "^\\d+(\\.\\d+)?$" },
+    LamportsOut: { type: "string", pattern: "^\\d+$" },
+    FieldElement: {
+      type: "string",
+      pattern: "^(0x[0-9a-fA-F]+|[0-9]+)$",
+      description: "BN254 field element, decimal or 0x hex",
+    },
+    ZkProofId: {
+      type: "string",
+      pattern: "^ZKP-[0-9A-F]{14}$",
+      examples: ["ZKP-3F9A0C71B2E4D8"],
+    },
+    Note: { type: "string", minLength: 1, description: "Secret note" },
+    Time: { type: "string", format: "date-time" },
+    Groth16Proof: {
+      type: "object",
+      required: ["pi_a", "pi_b", "pi_c"],
+      properties: {
+        pi_a: { type: "array" },
+        pi_b: { type: "array" },
+        pi_c: { type: "array" },
+        protocol: { type: "string" },
+        curve: { type: "string" },
+      },
+    },
+
+    NonceRequest: object({ walletPubkey: ref("Address") }, ["walletPubkey"]),
+    SignInRequest: object(
+      {
+        walletPubkey: ref("Address"),
+        nonce: { type: "string", minLength: 1 },
+        signature: {
+          type: "string",
+          minLength: 1,
+          description: "Base58 ed25519 signature of the nonce's message",
+        },
+      },
+      ["walletPubkey", "nonce", "signature"]
+    ),
+    GenerateZkProofRequest: {
+      type: "object",
+      properties: {
+        walletPubkey: ref("Address"),
+        mint: ref("Mint"),
+      },
+    },
+    DepositRequest: {
+      type: "object",
+      required: ["walletPubkey", "txSignature"],
+      properties: {
+        walletPubkey: ref("Address"),
+        zkProofId: ref("ZkProofId"),
+        commitment: ref("FieldElement"),
+        amount: ref("Amount"),
+        lamports: ref("Lamports"),
+        txSignature: ref("Signature"),
+        mint: ref("Mint"),
+      },
+      allOf: [
+        {
+          anyOf: [{ required: ["zkProofId"] }, { required: ["commitment"] }],
+        },
+        AMOUNT_OR_LAMPORTS,
+      ],
+    },
+    WithdrawalOutput: {
+      type: "object",
+      required: ["recipient"],
+      properties: {
+        recipient: ref("Address"),
+        amount: ref("Amount"),
+        lamports: ref("Lamports"),
+      },
+      ...AMOUNT_OR_LAMPORTS,
+    },
+    WithdrawalOptions: {
+      type: "object",
+      properties: {
+        relayer: ref("Address"),
+        maxFeeLamports: ref("Lamports"),
+        releaseAt: ref("Time"),
+        minDelaySeconds: { type: "integer", minimum: 0 },
+        maxDelaySeconds: { type: "integer", minimum: 0 },
+      },
+    },
+    NoteWithdrawalRequest: {
+      type: "object",
+      required: ["zkProofId", "note"],
+      properties: {
+        zkProofId: ref("ZkProofId"),
+        note: ref("Note"),
+        outputs: {
+          type: "array",
+          minItems: 1,
+          maxItems: maxWithdrawalOutputs,
+          items: ref("WithdrawalOutput"),
+        },
+      },
+      // one recipient and amount, or outputs of them
+      if: { required: ["outputs"] },
+      else: ref("WithdrawalOutput"),
+    },
+    ShieldedWithdrawalRequest: {
+      type: "object",
+      required: ["proof", "root", "nullifierHash", "recipient"],
+      properties: {
+        proof: ref("Groth16Proof"),
+        root: ref("FieldElement"),
+        nullifierHash: ref("FieldElement"),
+        recipient: ref("Address"),
+        amount: ref("Amount"),
+        lamports: ref("Lamports"),
+        mint: ref("Mint"),
+      },
+      ...AMOUNT_OR_LAMPORTS,
+    },
+    WithdrawalRequest: {
+      type: "object",
+      allOf: [ref("WithdrawalOptions")],
+      if: { required: ["proof"] },
+      then: ref("ShieldedWithdrawalRequest"),
+      else: ref("NoteWithdrawalRequest"),
+    },
+    NoteTransferRequest: {
+      type: "object",
+      required: ["zkProofId", "note"],
+      properties: {
+        zkProofId: ref("ZkProofId"),
+        note: ref("Note"),
+        amount: ref("Amount"),
+        lamports: ref("Lamports"),
+        recipientWallet: ref("Address"),
+        encryptTo: {
+          type: "string",
+          description: "Recipient's X25519 public key, base64 of 32 bytes",
+        },
+      },
+      ...AMOUNT_OR_LAMPORTS,
+    },
+    ShieldedTransferRequest: {
+      type: "object",
+      required: ["proof", "root", "nullifierHash", "commitment"],
+      properties: {
+        proof: ref("Groth16Proof"),
+        root: ref("FieldElement"),
+        nullifierHash: ref("FieldElement"),
+        commitment: ref("FieldElement"),
+        amount: ref("Amount"),
+        lamports: ref("Lamports"),
+        mint: ref("Mint"),
+      },
+      ...AMOUNT_OR_LAMPORTS,
+    },
+    TransferRequest: {
+      type: "object",
+      if: { required: ["proof"] },
+      then: ref("ShieldedTransferRequest"),
+      else: ref("NoteTransferRequest"),
+    },
+    VaultNoteRequest: object(
+      {
+        ciphertext: {
+          type: "string",
+          minLength: 1,
+          maxLength: VAULT_MAX_CIPHERTEXT,
+          description: "The note, encrypted client-side",
+        },
+      },
+      ["ciphertext"]
+    ),
+
+    Reason: {
+      type: ["string", "null"],
+      maxLength: 500,
+      description: "Why, for the audit log",
+    },
+    ReasonRequest: object({ reason: ref("Reason") }),
+    ControlsRequest: {
+      ...object({
+        depositsPaused: { type: "boolean" },
+        withdrawalsPaused: { type: "boolean" },
+        reason: ref("Reason"),
+      }),
+      anyOf: [
+        { required: ["depositsPaused"] },
+        { required: ["withdrawalsPaused"] },
+      ],
+    },
+    PoolKeySweepRequest: object({ mint: ref("Mint") }),
+    RefillRequest: {
+      ...object(
+        {
+          to: ref("Address"),
+          mint: ref("Mint"),
+          amount: ref("Amount"),
+          lamports: ref("Lamports"),
+          signature: ref("Signature"),
+        },
+        ["to", "signature"]
+      ),
+      ...AMOUNT_OR_LAMPORTS,
+    },
+    WebhookRequest: object(
+      {
+        url: {
+          type: "string",
+          pattern: "^https?://",
+          description: "http(s) URL events are POSTed to",
+        },
+        events: {
+          type: ["array", "null"],
+          minItems: 1,
+          items: { type: "string", enum: EVENT_TYPES },
+          description: "Event types to send; every type when null",
+        },
+        description: { type: ["string", "null"], maxLength: 200 },
+      },
+      ["url"]
+    ),
+    WebhookReplayRequest: object(
+      {
+        fromEventId: { type: "integer", minimum: 1 },
+        toEventId: {
+          type: "integer",
+          minimum: 1,
+          description: "The latest event when omitted",
+        },
+      },
+      ["fromEventId"]
+    ),
+
+    Error: {
+      type: "object",
+      required: ["error"],
+      properties: {
+        error: { type: "string" },
+        reason: { type: ["string", "null"] },
+      },
+    },
+    ValidationError: {
+      type: "object",
+      required: ["error"],
+      properties: {
+        error: { type: "string" },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["in", "path", "message"],
+            properties: {
+              in: {
+                type: "string",
+                enum: ["path", "query", "header", "body"],
+              },
+              path: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    WithdrawalRejected: {
+      type: "object",
+      required: ["error", "code", "id"],
+      properties: {
+        error: { type: "string" },
+        code: { type: "string", enum: REJECTION_CODES },
+        id: { type: "integer" },
+      },
+    },
+    Nonce: object(
+      {
+        nonce: { type: "string" },
+        message: { type: "string", description: "What the wallet signs" },
+        expiresAt: ref("Time"),
+      },
+      ["nonce", "message", "expiresAt"]
+    ),
+    Session: object(
+      {
+        token: { type: "string" },
+        walletPubkey: ref("Address"),
+        expiresAt: ref("Time"),
+      },
+      ["token", "walletPubkey", "expiresAt"]
+    ),
+    GeneratedZkProof: {
+      type: "object",
+      required: ["zkProofId", "note", "symbol", "mint"],
+      properties: {
+        zkProofId: ref("ZkProofId"),
+        note: ref("Note"),
+        symbol: { type: "string" },
+        mint: ref("MintOut"),
+      },
+    },
+    ZkProof: {
+      type: "object",
+      required: [
+        "zkProofId",
+        "walletPubkey",
+        "mint",
+        ...amountRequired("total"),
+        ...amountRequired("spent"),
+        ...amountRequired("balance"),
+        "frozen",
+        "createdAt",
+      ],
+      properties: {
+        zkProofId: ref("ZkProofId"),
+        walletPubkey: ref("Address"),
+        symbol: { type: ["string", "null"] },
+        mint: ref("MintOut"),
+        ...amountProperties("total"),
+        ...amountProperties("spent"),
+        ...amountProperties("balance"),
+        frozen: { type: "boolean" },
+        createdAt: ref("Time"),
+      },
+    },
+    DepositRecorded: {
+      type: "object",
+      required: ["ok"],
+      properties: {
+        ok: { const: true },
+        mint: ref("MintOut"),
+        denomination: { type: "string" },
+        leafIndex: { type: "integer" },
+        root: ref("FieldElement"),
+      },
+    },
+    WithdrawalAccepted: {
+      type: "object",
+      required: ["status", "id", "releaseAt", "mint", "relayer"],
+      properties: {
+        status: { type: "string", enum: ["PENDING", "SCHEDULED", "IN_REVIEW"] },
+        id: { type: "integer" },
+        releaseAt: { type: ["string", "null"], format: "date-time" },
+        mint: ref("MintOut"),
+        relayer: { type: ["string", "null"] },
+        ...amountProperties("relayerFee"),
+        outputs: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "recipient"],
+            properties: {
+              id: { type: "integer" },
+              recipient: ref("Address"),
+              ...amountProperties("amount"),
+              ...amountProperties("relayerFee"),
+            },
+          },
+        },
+      },
+    },
+    NoteTransferred: {
+      type: "object",
+      required: [
+        "ok",
+        "zkProofId",
+        "walletPubkey",
+        "mint",
+        ...amountRequired("amount"),
+      ],
+      properties: {
+        ok: { const: true },
+        zkProofId: ref("ZkProofId"),
+        walletPubkey: ref("Address"),
+        symbol: { type: "string" },
+        mint: ref("MintOut"),
+        ...amountProperties("amount"),
+        note: ref("Note"),
+        encryptedNote: object(
+          {
+            scheme: { type: "string" },
+            ephemeralPublicKey: { type: "string" },
+            nonce: { type: "string" },
+            ciphertext: { type: "string" },
+          },
+          ["scheme", "ephemeralPublicKey", "nonce", "ciphertext"]
+        ),
+      },
+    },
+    VaultNote: object(
+      {
+        label: { type: "string" },
+        ciphertext: { type: "string" },
+        createdAt: ref("Time"),
+        updatedAt: ref("Time"),
+      },
+      ["label", "ciphertext", "createdAt", "updatedAt"]
+    ),
+    LedgerIds: object({ ids: { type: "array", items: { type: "integer" } } }, [
+      "ids",
+    ]),
+    PoolControls: object(
+      {
+        depositsPaused: { type: "boolean" },
+        withdrawalsPaused: { type: "boolean" },
+        reason: { type: ["string", "null"] },
+        updatedAt: { type: ["string", "null"] },
+      },
+      ["depositsPaused", "withdrawalsPaused"]
+    ),
+    AdminZkProof: {
+      allOf: [ref("ZkProof")],
+      properties: { frozenAt: { type: ["string", "null"] } },
+    },
+    Sweep: object(
+      {
+        id: { type: "integer" },
+        from: ref("Address"),
+        to: ref("Address"),
+        symbol: { type: ["string", "null"] },
+        mint: ref("MintOut"),
+        ...amountProperties("amount"),
+        reason: { type: "string" },
+        state: { type: "string" },
+        signature: { type: ["string", "null"] },
+        lastError: { type: ["string", "null"] },
+        createdAt: ref("Time"),
+        updatedAt: ref("Time"),
+      },
+      ["id", "from", "to", "mint", "reason", "state"]
+    ),
+    Webhook: object(
+      {
+        id: { type: "integer" },
+        url: { type: "string" },
+        events: {
+          type: ["array", "null"],
+          items: { type: "string", enum: EVENT_TYPES },
+        },
+        description: { type: ["string", "null"] },
+        active: { type: "boolean" },
+        createdAt: ref("Time"),
+      },
+      ["id", "url", "events", "active"]
+    ),
+    HistoryEntry: {
+      type: "object",
+      required: ["id", "type", "mint", "status", "createdAt"],
+      properties: {
+        id: { type: "integer" },
+        walletPubkey: { type: ["string", "null"] },
+        zkProofId: { type: ["string", "null"] },
+        type: { type: "string" },
+        symbol: { type: ["string", "null"] },
+        mint: ref("MintOut"),
+        ...amountProperties("amount"),
+        recipient: { type: ["string", "null"] },
+        txSignature: { type: ["string", "null"] },
+        status: { type: "string" },
+        relayer: { type: ["string", "null"] },
+        ...amountProperties("relayerFee"),
+        releaseAt: { type: ["string", "null"], format: "date-time" },
+        rejectionCode: {
+          type: ["string", "null"],
+          enum: [...REJECTION_CODES, null],
+        },
+        createdAt: ref("Time"),
+      },
+    },
+    NullifierStatus: object(
+      {
+        nullifierHash: ref("FieldElement"),
+        spent: { type: "boolean" },
+        spentAt: { type: ["string", "null"] },
+      },
+      ["nullifierHash", "spent", "spentAt"]
+    ),
+    Pool: object(
+      {
+        symbol: { type: "string" },
+        mint: ref("MintOut"),
+        denomination: { type: "string" },
+        lamports: ref("LamportsOut"),
+        poolAddress: ref("Address"),
+        anonymitySet: { type: "integer" },
+      },
+      [
+        "symbol",
+        "mint",
+        "denomination",
+        "lamports",
+        "poolAddress",
+        "anonymitySet",
+      ]
+    ),
+    RelayerQuote: object(
+      {
+        ...amountProperties("amount"),
+        ...amountProperties("fee"),
+        ...amountProperties("receive"),
+        covered: {
+          type: "boolean",
+          description: "Whether the amount is more than the fee",
+        },
+      },
+      [
+        ...amountRequired("amount"),
+        ...amountRequired("fee"),
+        ...amountRequired("receive"),
+        "covered",
+      ]
+    ),
+    Relayers: object(
+      {
+        symbol: { type: "string" },
+        mint: ref("MintOut"),
+        relayers: {
+          type: "array",
+          items: object({ address: ref("Address") }, ["address"]),
+        },
+        feeBps: { type: "number" },
+        ...amountProperties("flatFee"),
+        accountFee: {
+          type: ["string", "null"],
+          description:
+            "Added for a recipient without a token account; null when not relayed to one",
+        },
+        accountFeeLamports: { type: ["string", "null"] },
+        quotes: { type: "array", items: ref("RelayerQuote") },
+      },
+      [
+        "symbol",
+        "mint",
+        "relayers",
+        "feeBps",
+        ...amountRequired("flatFee"),
+        "quotes",
+      ]
+    ),
+    TreeRoot: object(
+      {
+        root: ref("FieldElement"),
+        leafCount: { type: "integer" },
+        depth: { type: "integer" },
+      },
+      ["root", "leafCount", "depth"]
+    ),
+    TreePath: object(
+      {
+        leafIndex: { type: "integer" },
+        root: ref("FieldElement"),
+        pathElements: { type: "array", items: ref("FieldElement") },
+        pathIndices: { type: "array", items: { enum: [0, 1] } },
+      },
+      ["leafIndex", "root", "pathElements", "pathIndices"]
+    ),
+    UnrecordedTransfer: object(
+      {
+        signature: { type: "string" },
+        mint: ref("MintOut"),
+        from: { type: ["string", "null"] },
+        to: { type: ["string", "null"] },
+        lamports: ref("LamportsOut"),
+        blockTime: { type: ["integer", "null"] },
+      },
+      ["signature", "mint", "lamports"]
+    ),
+    ReconcileReport: object(
+      {
+        id: { type: "integer" },
+        trigger: { type: "string", enum: ["MANUAL", "SCHEDULED"] },
+        ok: { type: "boolean" },
+        createdAt: ref("Time"),
+        pools: {
+          type: "array",
+          items: object(
+            {
+              address: ref("Address"),
+              mint: ref("MintOut"),
+              account: ref("Address"),
+              liabilitiesLamports: ref("LamportsOut"),
+              balanceLamports: ref("LamportsOut"),
+              surplusLamports: { type: "string", pattern: "^-?\\d+$" },
+              covered: { type: "boolean" },
+            },
+            [
+              "address",
+              "mint",
+              "liabilitiesLamports",
+              "balanceLamports",
+              "surplusLamports",
+              "covered",
+            ]
+          ),
+        },
+        unrecordedDeposits: { type: "array", items: ref("UnrecordedTransfer") },
+        orphanTransfers: { type: "array", items: ref("UnrecordedTransfer") },
+        stuckWithdrawals: {
+          type: "array",
+          items: object(
+            {
+              id: { type: "integer" },
+              zkProofId: { type: ["string", "null"] },
+              mint: ref("MintOut"),
+              ...amountProperties("amount"),
+              recipient: { type: ["string", "null"] },
+              createdAt: ref("Time"),
+              jobState: { type: ["string", "null"] },
+              attempts: { type: "integer" },
+              lastError: { type: ["string", "null"] },
+            },
+            ["id", "mint", ...amountRequired("amount")]
+          ),
+        },
+      },
+      [
+        "id",
+        "trigger",
+        "ok",
+        "createdAt",
+        "pools",
+        "unrecordedDeposits",
+        "orphanTransfers",
+        "stuckWithdrawals",
+      ]
+    ),
+    AdminTransaction: {
+      allOf: [ref("HistoryEntry")],
+      properties: {
+        poolAddress: { type: ["string", "null"] },
+        job: {
+          ...object(
+            {
+              state: { type: "string" },
+              attempts: { type: "integer" },
+              nextAttemptAt: { type: ["string", "null"] },
+              releaseAt: { type: ["string", "null"] },
+              lastError: { type: ["string", "null"] },
+              signedBy: { type: ["string", "null"] },
+            },
+            ["state", "attempts"]
+          ),
+          type: ["object", "null"],
+          description: "Its send job; null for a deposit or transfer",
+        },
+      },
+    },
+    AuditEntry: object(
+      {
+        id: { type: "integer" },
+        action: { type: "string" },
+        targetType: { type: "string" },
+        targetId: { type: ["string", "null"] },
+        actor: { type: ["string", "null"] },
+        ip: { type: ["string", "null"] },
+        details: { type: ["object", "null"] },
+        createdAt: ref("Time"),
+      },
+      ["id", "action", "targetType", "createdAt"]
+    ),
+    PoolKey: object(
+      {
+        address: ref("Address"),
+        pool: {
+          type: "string",
+          description: '"main", or the label of a denomination pool',
+        },
+        state: { type: "string" },
+        source: { type: "string" },
+        signerLoaded: { type: "boolean" },
+        signedWithdrawals: { type: "integer" },
+        activatedAt: { type: ["string", "null"] },
+        retiredAt: { type: ["string", "null"] },
+        replacedBy: { type: ["string", "null"] },
+      },
+      [
+        "address",
+        "pool",
+        "state",
+        "source",
+        "signerLoaded",
+        "signedWithdrawals",
+      ]
+    ),
+    WebhookDelivery: object(
+      {
+        id: { type: "integer" },
+        webhookId: { type: "integer" },
+        eventId: { type: "integer" },
+        eventType: { type: "string", enum: EVENT_TYPES },
+        state: { type: "string", enum: DELIVERY_STATES },
+        attempts: { type: "integer" },
+        nextAttemptAt: { type: ["string", "null"] },
+        lastStatus: { type: ["integer", "null"] },
+        lastError: { type: ["string", "null"] },
+        createdAt: ref("Time"),
+        updatedAt: ref("Time"),
+        deliveredAt: { type: ["string", "null"] },
+      },
+      ["id", "webhookId", "eventId", "eventType", "state", "attempts"]
+    ),
+  };
+
+  const walletQuery = {
+    name: "wallet",
+    in: "query",
+    description: "Must be the signed-in wallet when given",
+    schema: ref("Address"),
+  };
+
+  const zkProofIdParameter = {
+    name: "id",
+    in: "path",
+    required: true,
+    schema: ref("ZkProofId"),
+  };
+
+  const labelParameter = {
+    name: "label",
+    in: "path",
+    required: true,
+    schema: { type: "string", pattern: VAULT_LABEL.source },
+  };
+
+  // A denomination pool's tree: its amount (or "legacy") and asset
+  const treeParameters = [
+    {
+      name: "denomination",
+      in: "query",
+      required: true,
+      description: `Amount of the pool, e.g. 0.1, or "${LEGACY_TREE_ID}" for the tree of deposits from before the denomination pools`,
+      schema: {
+        type: "string",
+        pattern: `^(\\d+(\\.\\d+)?|${LEGACY_TREE_ID})$`,
+      },
+    },
+    query("mint", ref("Mint")),
+  ];
+
+  const paths = {
+    "/health": {
+      get: {
+        summary: "Liveness check",
+        responses: {
+          200: {
+            description: "Up, with the main pool wallet",
+            ...json(
+              object({ ok: { const: true }, poolAddress: ref("Address") }, [
+                "ok",
+                "poolAddress",
+              ])
+            ),
+          },
+        },
+      },
+    },
+    "/api/openapi.json": {
+      get: {
+        summary: "This document",
+        responses: {
+          200: {
+            description: "The OpenAPI document",
+            ...json(object({}, ["openapi", "info", "paths", "components"])),
+          },
+        },
+      },
+    },
+    "/api/auth/nonce": {
+      post: {
+        summary: "Sign-in challenge for a wallet",
+        description:
+          "Sign message with the wallet, then trade it at POST /api/auth/verify",
+        requestBody: { required: true, ...json(ref("NonceRequest")) },
+        responses: {
+          200: response("The challenge", "Nonce"),
+        },
+      },
+    },
+    "/api/auth/verify": {
+      post: {
+        summary: "Trade a signed challenge for a session token",
+        requestBody: { required: true, ...json(ref("SignInRequest")) },
+        responses: {
+          200: response("Signed in", "Session"),
+          401: response("Unknown or expired nonce, or a wrong signature"),
+        },
+      },
+    },
+    "/api/zkproofs/generate": {
+      post: {
+        summary: "Create a zk proof id and secret note",
+        security: [{ session: [] }],
+        requestBody: json(ref("GenerateZkProofRequest")),
+        responses: {
+          200: response("The new note; shown only once", "GeneratedZkProof"),
+          ...SIGNED_IN_RESPONSES,
+          503: response("No free zk proof id, retry"),
+        },
+      },
+    },
+    "/api/zkproofs": {
+      get: {
+        summary: "The signed-in wallet's zk proofs",
+        security: [{ session: [] }],
+        parameters: [walletQuery],
+        responses: {
+          200: {
+            description: "Zk proofs with their balances",
+            ...json({
+              type: "object",
+              required: ["proofs"],
+              properties: {
+                proofs: { type: "array", items: ref("ZkProof") },
+              },
+            }),
+          },
+          ...SIGNED_IN_RESPONSES,
+        },
+      },
+    },
+    "/api/deposits": {
+      post: {
+        summary: "Record a deposit sent to the pool",
+        description:
+          "Credits zkProofId, or with commitment inserts a shielded note into the commitment tree of its denomination",
+        requestBody: { required: true, ...json(ref("DepositRequest")) },
+        responses: {
+          200: response("Deposit recorded", "DepositRecorded"),
+          404: response("zk proof not found for this wallet"),
+          409: response("Already recorded"),
+          502: response("Could not fetch the transaction, retry"),
+          503: response("Deposits are paused"),
+        },
+      },
+    },
+    "/api/withdrawals": {
+      post: {
+        summary: "Withdraw from a note or a shielded commitment",
+        description:
+          "A zkProofId + note spend (optionally split into outputs), or, when proof is given, a shielded spend proven with Groth16",
+        requestBody: { required: true, ...json(ref("WithdrawalRequest")) },
+        responses: {
+          200: response("Accepted and queued", "WithdrawalAccepted"),
+          403: {
+            description: "Wrong note or proof, or refused by the policy",
+            ...json({
+              anyOf: [ref("WithdrawalRejected"), ref("Error")],
+            }),
+          },
+          404: response("zk proof not found"),
+          409: response("Already spent"),
+          423: response("zk proof frozen by the operator"),
+          503: response("Withdrawals paused, or screening unavailable"),
+        },
+      },
+    },
+    "/api/withdrawals/{id}/cancel": {
+      post: {
+        summary: "Cancel a scheduled withdrawal before its release",
+        security: [{ session: [] }],
+        parameters: [ID_PARAMETER],
+        responses: {
+          200: {
+            description: "Cancelled; the amount is back on the note",
+            ...json({
+              type: "object",
+              required: ["status", "id"],
+              properties: {
+                status: { const: "CANCELLED" },
+                id: { type: "integer" },
+              },
+            }),
+          },
+          ...SIGNED_IN_RESPONSES,
+          404: response("Withdrawal not found"),
+          409: response("Too late to cancel"),
+        },
+      },
+    },
+    "/api/transfers/internal": {
+      post: {
+        summary: "Move value from one note to a new one inside the pool",
+        description:
+          "A zkProofId + note spend creates a zk proof for recipientWallet (the sender's by default) and returns its note, or only encrypted to encryptTo; when proof is given, a whole shielded note is spent into commitment",
+        requestBody: { required: true, ...json(ref("TransferRequest")) },
+        responses: {
+          200: {
+            description: "Transferred",
+            ...json({
+              anyOf: [ref("NoteTransferred"), ref("DepositRecorded")],
+            }),
+          },
+          403: response(
+            "Wrong note or proof, or over a withdrawal limit (with its code)"
+          ),
+          404: response("zk proof not found"),
+          409: response("Already spent, or commitment already recorded"),
+          423: response("zk proof frozen by the operator"),
+          503: response("Withdrawals paused, or no free zk proof id"),
+        },
+      },
+    },
+    "/api/history": {
+      get: {
+        summary: "The signed-in wallet's deposits and withdrawals",
+        security: [{ session: [] }],
+        parameters: [walletQuery],
+        responses: {
+          200: {
+            description: "Ledger rows, newest first",
+            ...json({
+              type: "object",
+              required: ["history"],
+              properties: {
+                history: { type: "array", items: ref("HistoryEntry") },
+              },
+            }),
+          },
+          ...SIGNED_IN_RESPONSES,
+        },
+      },
+    },
+    "/api/events": {
+      get: {
+        summary: "Server-sent events of the signed-in wallet",
+        description:
+          "A text/event-stream of its deposits, withdrawals and transfers as they happen, each with its event id; a reconnecting client gets the ones after Last-Event-ID first",
+        security: [{ session: [] }],
+        parameters: [
+          walletQuery,
+          query(
+            "access_token",
+            { type: "string" },
+            "The session token, for clients that cannot set headers (EventSource)"
+          ),
+          {
+            name: "Last-Event-ID",
+            in: "header",
+            description: "Resume after this event",
+            schema: { type: "integer", minimum: 0 },
+          },
+          query(
+            "lastEventId",
+            { type: "integer", minimum: 0 },
+            "Last-Event-ID, when it cannot be sent as a header"
+          ),
+        ],
+        responses: {
+          200: {
+            description: "The event stream",
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+          ...SIGNED_IN_RESPONSES,
+        },
+      },
+    },
+    "/api/nullifiers/{hash}": {
+      get: {
+        summary: "Whether a note's nullifier has been spent",
+        parameters: [
+          {
+            name: "hash",
+            in: "path",
+            required: true,
+            schema: ref("FieldElement"),
+          },
+        ],
+        responses: {
+          200: response("Spent or not", "NullifierStatus"),
+        },
+      },
+    },
+    "/api/pools": {
+      get: {
+        summary: "Denomination pools and the size of their anonymity sets",
+        responses: {
+          200: {
+            description: "Every pool",
+            ...json(
+              object({ pools: { type: "array", items: ref("Pool") } }, [
+                "pools",
+              ])
+            ),
+          },
+        },
+      },
+    },
+    "/api/relayers": {
+      get: {
+        summary: "Relayers and what they charge",
+        description:
+          "Quotes every denomination of mint, or just amount / lamports when given",
+        parameters: [
+          query("mint", ref("Mint")),
+          query("amount", ref("Amount")),
+          query("lamports", ref("Lamports")),
+        ],
+        responses: {
+          200: response("Relayers and quotes", "Relayers"),
+        },
+      },
+    },
+    "/api/tree/root": {
+      get: {
+        summary: "Current root of a denomination's commitment tree",
+        parameters: treeParameters,
+        responses: {
+          200: response("The root", "TreeRoot"),
+          404: response("No pool of that denomination"),
+        },
+      },
+    },
+    "/api/tree/path/{leafIndex}": {
+      get: {
+        summary: "Authentication path of a leaf, to prove a withdrawal",
+        parameters: [
+          {
+            name: "leafIndex",
+            in: "path",
+            required: true,
+            schema: { type: "integer", minimum: 0 },
+          },
+          ...treeParameters,
+        ],
+        responses: {
+          200: response("The path up to the current root", "TreePath"),
+          404: response("No pool of that denomination, or no such leaf yet"),
+        },
+      },
+    },
+  };
+
+  const admin = (operation) => ({
+    security: [{ admin: [] }],
+    ...operation,
+    responses: { ...ADMIN_RESPONSES, ...operation.responses },
+  });
+  const adminWithdrawal = (summary, requestBody, ok) =>
+    admin({
+      summary,
+      parameters: [ID_PARAMETER],
+      ...(requestBody && { requestBody: json(requestBody) }),
+      responses: {
+        200: ok,
+        404: response("Withdrawal not found"),
+        409: response("Not in a state to do that"),
+      },
+    });
+  const withProof = {
+    description: "The zk proof",
+    ...json(object({ proof: ref("AdminZkProof") }, ["proof"])),
+  };
+  const withWebhook = {
+    description: "The webhook",
+    ...json(object({ webhook: ref("Webhook") }, ["webhook"])),
+  };
+  const withSweep = (description) => ({
+    description,
+    ...json(object({ sweep: ref("Sweep") }, ["sweep"])),
+  });
+  const ok = (description) => ({
+    description,
+    ...json(object({ ok: { const: true } }, ["ok"])),
+  });
+
+  const list = (summary, key, items, parameters) =>
+    admin({
+      summary,
+      ...(parameters && { parameters }),
+      responses: {
+        200: {
+          description: summary,
+          ...json(object({ [key]: { type: "array", items } }, [key])),
+        },
+      },
+    });
+
+  Object.assign(paths, {
+    "/api/vault/notes": {
+      get: {
+        summary: "The signed-in wallet's note backups",
+        security: [{ session: [] }],
+        responses: {
+          200: {
+            description: "Backups, and the message to sign for their key",
+            ...json(
+              object(
+                {
+                  keyMessage: { type: "string" },
+                  notes: { type: "array", items: ref("VaultNote") },
+                },
+                ["keyMessage", "notes"]
+              )
+            ),
+          },
+          401: response("Not signed in"),
+        },
+      },
+    },
+    "/api/vault/notes/{label}": {
+      put: {
+        summary: "Store or replace the backup under label",
+        security: [{ session: [] }],
+        parameters: [labelParameter],
+        requestBody: { required: true, ...json(ref("VaultNoteRequest")) },
+        responses: {
+          200: {
+            description: "Replaced",
+            ...json(
+              object({ label: { type: "string" }, created: { const: false } }, [
+                "label",
+                "created",
+              ])
+            ),
+          },
+          201: {
+            description: "Stored",
+            ...json(
+              object({ label: { type: "string" }, created: { const: true } }, [
+                "label",
+                "created",
+              ])
+            ),
+          },
+          401: response("Not signed in"),
+          409: response("Too many backups"),
+        },
+      },
+      delete: {
+        summary: "Delete the backup under label",
+        security: [{ session: [] }],
+        parameters: [labelParameter],
+        responses: {
+          200: ok("Deleted"),
+          401: response("Not signed in"),
+          404: response("Backup not found"),
+        },
+      },
+    },
+
+    "/api/admin/reconcile": {
+      get: admin({
+        summary: "Reconcile the ledger with the pool wallets now",
+        responses: {
+          200: response("The report, also saved", "ReconcileReport"),
+          502: response("Reconciliation failed"),
+        },
+      }),
+    },
+    "/api/admin/reconcile/reports": {
+      get: list(
+        "Past reconciliation reports, newest first",
+        "reports",
+        ref("ReconcileReport"),
+        [LIMIT_PARAMETER]
+      ),
+    },
+    "/api/admin/transactions": {
+      get: list(
+        "Ledger rows of every wallet, newest first, with their send jobs",
+        "transactions",
+        ref("AdminTransaction"),
+        [
+          query("status", { type: "string", enum: TRANSACTION_STATUSES }),
+          query("type", { type: "string", enum: TRANSACTION_TYPES }),
+          query("wallet", ref("Address")),
+          query("zkProofId", ref("ZkProofId")),
+          query("mint", ref("Mint")),
+          BEFORE_PARAMETER,
+          LIMIT_PARAMETER,
+        ]
+      ),
+    },
+    "/api/admin/withdrawals/{id}/retry": {
+      post: adminWithdrawal("Send a stuck withdrawal now", null, {
+        description: "Queued again, with its batch",
+        ...json(ref("LedgerIds")),
+      }),
+    },
+    "/api/admin/withdrawals/{id}/cancel": {
+      post: adminWithdrawal(
+        "Cancel a withdrawal nothing has been signed for yet",
+        null,
+        {
+          description: "Cancelled; the amount is back on the note",
+          ...json(
+            object(
+              { id: { type: "integer" }, status: { const: "CANCELLED" } },
+              ["id", "status"]
+            )
+          ),
+        }
+      ),
+    },
+    "/api/admin/withdrawals/{id}/approve": {
+      post: adminWithdrawal("Approve a withdrawal held for review", null, {
+        description: "Approved, with its batch",
+        ...json(ref("LedgerIds")),
+      }),
+    },
+    "/api/admin/withdrawals/{id}/reject": {
+      post: adminWithdrawal(
+        "Reject a withdrawal held for review",
+        ref("ReasonRequest"),
+        {
+          description: "Rejected, with its batch; the funds are returned",
+          ...json({
+            allOf: [ref("LedgerIds")],
+            properties: { status: { const: "REJECTED" } },
+          }),
+        }
+      ),
+    },
+    "/api/admin/controls": {
+      get: admin({
+        summary: "Whether deposits and withdrawals are paused",
+        responses: {
+          200: {
+            description: "The controls in force",
+            ...json(object({ controls: ref("PoolControls") }, ["controls"])),
+          },
+        },
+      }),
+      put: admin({
+        summary: "Pause or resume deposits and/or withdrawals",
+        requestBody: { required: true, ...json(ref("ControlsRequest")) },
+        responses: {
+          200: {
+            description: "The controls now in force",
+            ...json(object({ controls: ref("PoolControls") }, ["controls"])),
+          },
+        },
+      }),
+    },
+    "/api/admin/zkproofs/{id}": {
+      get: admin({
+        summary: "A zk proof of any wallet, with its balance",
+        parameters: [zkProofIdParameter],
+        responses: {
+          200: withProof,
+          404: response("zk proof not found"),
+        },
+      }),
+    },
+    "/api/admin/zkproofs/{id}/{action}": {
+      post: admin({
+        summary: "Freeze or unfreeze a zk proof",
+        parameters: [
+          zkProofIdParameter,
+          {
+            name: "action",
+            in: "path",
+            required: true,
+            schema: { type: "string", enum: ["freeze", "unfreeze"] },
+          },
+        ],
+        requestBody: json(ref("ReasonRequest")),
+        responses: {
+          200: withProof,
+          404: response("zk proof not found"),
+        },
+      }),
+    },
+    "/api/admin/audit": {
+      get: list("Admin actions, newest first", "entries", ref("AuditEntry"), [
+        query("action", { type: "string" }, "e.g. controls.update"),
+        query("targetType", { type: "string" }),
+        query("targetId", { type: "string" }),
+        BEFORE_PARAMETER,
+        LIMIT_PARAMETER,
+      ]),
+    },
+    "/api/admin/pool-keys": {
+      get: list(
+        "Every key each pool wallet has had, with what it signed",
+        "keys",
+        ref("PoolKey")
+      ),
+    },
+    "/api/admin/pool-keys/{address}/sweep": {
+      post: admin({
+        summary: "Move a retired key's balance into its pool's current key",
+        parameters: [
+          {
+            name: "address",
+            in: "path",
+            required: true,
+            schema: ref("Address"),
+          },
+        ],
+        requestBody: json(ref("PoolKeySweepRequest")),
+        responses: {
+          202: withSweep("Submitted"),
+          404: response("Pool key not found"),
+          409: response("Not retired, no active key, or nothing to sweep"),
+        },
+      }),
+    },
+    "/api/admin/sweeps": {
+      get: list("Sweeps and refills, newest first", "sweeps", ref("Sweep"), [
+        query("address", ref("Address"), "Only those out of or into it"),
+        LIMIT_PARAMETER,
+      ]),
+    },
+    "/api/admin/sweeps/refill": {
+      post: admin({
+        summary: "Record a top-up of a hot pool wallet from cold storage",
+        requestBody: { required: true, ...json(ref("RefillRequest")) },
+        responses: {
+          201: withSweep("Recorded"),
+          409: response("Already recorded"),
+          502: response("Could not fetch the transaction, retry"),
+        },
+      }),
+    },
+    "/api/admin/webhooks": {
+      get: list("Webhook endpoints", "webhooks", ref("Webhook")),
+      post: admin({
+        summary: "Register a webhook endpoint",
+        requestBody: { required: true, ...json(ref("WebhookRequest")) },
+        responses: {
+          201: {
+            description: "Registered; its signing secret is shown only once",
+            ...json(
+              object({ webhook: ref("Webhook"), secret: { type: "string" } }, [
+                "webhook",
+                "secret",
+              ])
+            ),
+          },
+        },
+      }),
+    },
+    "/api/admin/webhooks/{id}/{action}": {
+      post: admin({
+        summary: "Enable or disable a webhook endpoint",
+        parameters: [
+          ID_PARAMETER,
+          {
+            name: "action",
+            in: "path",
+            required: true,
+            schema: { type: "string", enum: ["enable", "disable"] },
+          },
+        ],
+        responses: {
+          200: withWebhook,
+          404: response("Webhook not found"),
+        },
+      }),
+    },
+    "/api/admin/webhooks/{id}/deliveries": {
+      get: admin({
+        summary: "Delivery log of an endpoint, newest first",
+        parameters: [
+          ID_PARAMETER,
+          query("state", { type: "string", enum: DELIVERY_STATES }),
+          LIMIT_PARAMETER,
+        ],
+        responses: {
+          200: {
+            description: "Its deliveries",
+            ...json(
+              object(
+                {
+                  deliveries: { type: "array", items: ref("WebhookDelivery") },
+                },
+                ["deliveries"]
+              )
+            ),
+          },
+          404: response("Webhook not found"),
+        },
+      }),
+    },
+    "/api/admin/webhooks/deliveries/{id}": {
+      get: admin({
+        summary: "A delivery with every attempt made at it",
+        parameters: [ID_PARAMETER],
+        responses: {
+          200: {
+            description: "The delivery and its attempts, oldest first",
+            ...json(
+              object(
+                {
+                  delivery: ref("WebhookDelivery"),
+                  attempts: {
+                    type: "array",
+                    items: object(
+                      {
+                        status: { type: ["integer", "null"] },
+                        error: { type: ["string", "null"] },
+                        durationMs: { type: ["integer", "null"] },
+                        attemptedAt: ref("Time"),
+                      },
+                      ["attemptedAt"]
+                    ),
+                  },
+                },
+                ["delivery", "attempts"]
+              )
+            ),
+          },
+          404: response("Delivery not found"),
+        },
+      }),
+    },
+    "/api/admin/webhooks/{id}/replay": {
+      post: admin({
+        summary: "Send an endpoint a range of events again",
+        parameters: [ID_PARAMETER],
+        requestBody: { required: true, ...json(ref("WebhookReplayRequest")) },
+        responses: {
+          200: {
+            description: "How many deliveries were queued",
+            ...json(object({ queued: { type: "integer" } }, ["queued"])),
+          },
+          404: response("Webhook not found"),
+        },
+      }),
+    },
+    "/api/admin/webhooks/deliveries/{id}/replay": {
+      post: admin({
+        summary: "Send one delivery again",
+        parameters: [ID_PARAMETER],
+        responses: {
+          200: ok("Queued"),
+          404: response("Delivery not found"),
+        },
+      }),
+    },
+  });
+
+  for (const operations of Object.values(paths)) {
+    for (const operation of Object.values(operations)) {
+      operation.responses = { ...COMMON_RESPONSES, ...operation.responses };
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "ZK-NON API", version },
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        session: {
+          type: "http",
+          scheme: "bearer",
+          description: "Session token from POST /api/auth/verify",
+        },
+        admin: {
+          type: "http",
+          scheme: "bearer",
+          description: "ADMIN_API_KEY",
+        },
+      },
+    },
+  };
+}
+
+// ------------------ VALIDATION ------------------
+
+// The JSON Schema keywords used above, and no more
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "a boolean",
+  object: "an object",
+  array: "an array",
+  null: "null",
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+const FORMATS = {
+  "solana-address": [
+    (value) => {
+      try {
+        return bs58.decode(value).length === 32;
+      } catch (err) {
+        return false;
+      }
+    },
+    "must be a base58 Solana address",
+  ],
+  "date-time": [
+    (value) => !Number.isNaN(Date.parse(value)),
+    "must be an ISO 8601 time",
+  ],
+};
+
+const items = (n) => (n === 1 ? "1 item" : `${n} items`);
+
+function at(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Problems with `value` against `schema`, as [{ path, message }] (empty
+ * when it matches); `path` names the value in them. `$ref`s are resolved
+ * in `document`.
+ */
+export function schemaErrors(document, schema, value, path = "") {
+  if (schema.$ref) {
+    const name = schema.$ref.replace("#/components/schemas/", "");
+    const target = document.components.schemas[name];
+    return schemaErrors(document, target, value, path);
+  }
+
+  const check = (s, v = value, p = path) => schemaErrors(document, s, v, p);
+  const fail = (message, p = path) => [{ path: p, message }];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      return fail(`must be ${types.map((t) => TYPE_NAMES[t]).join(" or ")}`);
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  const errors = [];
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(...fail(`must be at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(...fail(`must be at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(...fail(`must match ${schema.pattern}`));
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format[0](value)) errors.push(...fail(format[1]));
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(...fail(`must be >= ${schema.minimum}`));
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push(...fail(`must be > ${schema.exclusiveMinimum}`));
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(...fail(`must be <= ${schema.maximum}`));
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(...fail(`must have at least ${items(schema.minItems)}`));
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(...fail(`must have at most ${items(schema.maxItems)}`));
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...check(schema.items, item, at(path, i)));
+      });
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(...fail("is required", at(path, key)));
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      errors.push(...check(property, value[key], at(path, key)));
+    }
+  }
+
+  for (const part of schema.allOf || []) errors.push(...check(part));
+  if (schema.anyOf) {
+    const failures = schema.anyOf.map((part) => check(part));
+    if (failures.every((f) => f.length > 0)) {
+      // named from the value they are about: "amount is required, or ..."
+      const relative = (e) =>
+        e.path === path
+          ? e.message
+          : `${e.path.slice(path.length).replace(/^\./, "")} ${e.message}`;
+      errors.push(...fail(failures.flat().map(relative).join(", or ")));
+    }
+  }
+  if (schema.if) {
+    const branch = check(schema.if).length === 0 ? schema.then : schema.else;
+    if (branch) errors.push(...check(branch));
+  }
+  return errors;
+}
+
+// "/api/withdrawals/:id/cancel" -> "/api/withdrawals/{id}/cancel", and
+// "/:action(enable|disable)" -> "/{action}"
+function openApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)(\([^)]*\))?/g, "{$1}");
+}
+
+// A parameter as the request gives it, undefined when it does not
+function parameterOf(req, { name, in: where }) {
+  if (where === "path") return req.params[name];
+  if (where === "header") return req.get(name);
+  return req.query[name];
+}
+
+// Parameters arrive as strings; integer ones are checked as numbers
+function parameterValue(parameter, value) {
+  if (parameter.schema.type === "integer" && /^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Express middleware checking requests against `document`, for routes
+ * that list it (it needs req.route, so goes in the route, not app.use):
+ * a request not matching its operation gets a 400
+ *   { error, errors: [{ in: "path" | "query" | "header" | "body", path,
+ *     message }] }
+ * With `checkResponses`, JSON responses are checked too and mismatches
+ * logged, to catch the document drifting from the handlers.
+ */
+export function createRequestValidator(
+  document,
+  { checkResponses = false } = {}
+) {
+  return function validateRequest(req, res, next) {
+    const path = openApiPath(req.route.path);
+    const operation = document.paths[path]?.[req.method.toLowerCase()];
+    if (!operation) return next();
+
+    const errors = [];
+    for (const parameter of operation.parameters || []) {
+      const value = parameterOf(req, parameter);
+      if (value === undefined) {
+        if (parameter.required) {
+          errors.push({
+            in: parameter.in,
+            path: parameter.name,
+            message: "is required",
+          });
+        }
+        continue;
+      }
+      for (const error of schemaErrors(
+        document,
+        parameter.schema,
+        parameterValue(parameter, value),
+        parameter.name
+      )) {
+        errors.push({ in: parameter.in, ...error });
+      }
+    }
+    if (operation.requestBody) {
+      const { schema } = operation.requestBody.content["application/json"];
+      for (const error of schemaErrors(document, schema, req.body ?? {})) {
+        errors.push({ in: "body", ...error });
+      }
+    }
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Request does not match the API schema", errors });
+    }
+
+    if (checkResponses) {
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        const described = operation.responses[res.statusCode];
+        const schema = described?.content?.["application/json"].schema;
+        const problems = schema
+          ? schemaErrors(document, schema, body)
+          : [{ path: "", message: "status is not in the API schema" }];
+        if (problems.length > 0) {
+          console.warn(
+            "[ZKNON] Response does not match the API schema:",
+            req.method,
+            path,
+            res.statusCode,
+            problems
+          );
+        }
+        return send(body);
+      };
+    }
+    next();
+  };
+}
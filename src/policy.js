@@ -0,0 +1,143 @@
+import { formatUnits, parseUnits } from "./solana.js";
+
+// Why a withdrawal was refused: sent as `code` with the error, and kept on
+// its REJECTED ledger rows
+// NOTE_LIMIT_EXCEEDED  would take the note over its limit for 24 hours
+// DAILY_LIMIT_EXCEEDED would take the note's owner over its limit for 24
+//                      hours (for a shielded spend, its pool wallet)
+// RECIPIENT_DENIED     a recipient was screened out (see ./screening.js)
+// REVIEW_REJECTED      held for review, and rejected by an admin
+export const REJECTION_CODES = [
+  "NOTE_LIMIT_EXCEEDED",
+  "DAILY_LIMIT_EXCEEDED",
+  "RECIPIENT_DENIED",
+  "REVIEW_REJECTED",
+];
+
+const DAY_MS = 24 * 60 * 60_000;
+
+const LIMIT_SETTINGS = {
+  perNote: "WITHDRAWAL_LIMIT_PER_NOTE",
+  perDay: "WITHDRAWAL_LIMIT_PER_DAY",
+  reviewAbove: "WITHDRAWAL_REVIEW_ABOVE",
+};
+
+/**
+ * Withdrawal limits per asset, in its units (e.g.
+ * WITHDRAWAL_LIMIT_PER_DAY_SOL=50):
+ *   WITHDRAWAL_LIMIT_PER_NOTE_<symbol>  most a note pays out in 24 hours
+ *   WITHDRAWAL_LIMIT_PER_DAY_<symbol>   most a wallet's notes pay out in 24
+ *                                       hours, or shielded spends from one
+ *                                       pool wallet
+ *   WITHDRAWAL_REVIEW_ABOVE_<symbol>    larger withdrawals wait for an admin
+ * Returns a Map from mint to { asset, perNote, perDay, reviewAbove } in
+ * base units, null where unset; assets with none set are left out. Throws
+ * on a bad setting.
+ */
+export function loadWithdrawalLimits(env, assets) {
+  const limits = new Map();
+  for (const asset of assets) {
+    const limit = { asset, perNote: null, perDay: null, reviewAbove: null };
+    for (const [field, setting] of Object.entries(LIMIT_SETTINGS)) {
+      const value = env[`${setting}_${asset.symbol}`];
+      if (!value) continue;
+      limit[field] = parseUnits(value, asset.decimals);
+      if (limit[field] === null) {
+        throw new Error(
+          `${setting}_${asset.symbol} is not an amount of ${asset.symbol}`
+        );
+      }
+    }
+    const { perNote, perDay, reviewAbove } = limit;
+    if (perNote !== null || perDay !== null || reviewAbove !== null) {
+      limits.set(asset.mint, limit);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Decides whether a withdrawal may go ahead. Every recipient is screened
+ * first (see ./screening.js). check() resolves to
+ *   { rejection: { code, error } }  refused; record it and say why
+ *   { unavailable }                 a screener failed; refuse, record nothing
+ *   { review, limits }              allowed; held for an admin when `review`
+ * The limits are not checked here: `limits` ({ perNote, perDay, since },
+ * or null) goes to store.createWithdrawal(), which sums what was withdrawn
+ * in the same transaction that locks the funds, so concurrent requests
+ * cannot together go over; limitsOf() gives them for an internal transfer.
+ * What the store refuses is described by rejection().
+ */
+export function createWithdrawalPolicy({ limits = new Map(), screeners = [] }) {
+  async function screen(recipients) {
+    for (const address of new Set(recipients)) {
+      for (const screener of screeners) {
+        const reason = await screener.screen(address);
+        if (reason === null) continue;
+        console.warn(
+          `[ZKNON] Recipient screened out by ${screener.name}:`,
+          address,
+          reason
+        );
+        return {
+          code: "RECIPIENT_DENIED",
+          error: `Recipient ${address} cannot be paid from this pool`,
+        };
+      }
+    }
+    return null;
+  }
+
+  async function check({ mint, outputs }) {
+    let rejection;
+    try {
+      rejection = await screen(outputs.map((o) => o.recipient));
+    } catch (err) {
+      console.error("[ZKNON] Recipient screening error:", err);
+      return { unavailable: "Recipient screening is unavailable, retry later" };
+    }
+    if (rejection) return { rejection };
+
+    const limit = limits.get(mint);
+    if (!limit) return { review: false, limits: null };
+    const total = outputs.reduce((sum, o) => sum + o.lamports, 0n);
+    return {
+      review: limit.reviewAbove !== null && total > limit.reviewAbove,
+      limits: limitsOf(mint),
+    };
+  }
+
+  // The limits ({ perNote, perDay, since }, or null) a spend of `mint` is
+  // held to by the store; also those of an internal transfer out of a note,
+  // which is neither screened nor reviewed
+  function limitsOf(mint) {
+    const limit = limits.get(mint);
+    if (!limit || (limit.perNote === null && limit.perDay === null)) {
+      return null;
+    }
+    return {
+      perNote: limit.perNote,
+      perDay: limit.perDay,
+      since: new Date(Date.now() - DAY_MS).toISOString(),
+    };
+  }
+
+  // { code, error } for the { code, left } store.createWithdrawal()
+  // refused a withdrawal of `mint` with
+  function rejection(mint, { code, left }) {
+    const { asset, perNote, perDay } = limits.get(mint);
+    const units = (lamports) =>
+      `${formatUnits(lamports, asset.decimals)} ${asset.symbol}`;
+    const error =
+      code === "NOTE_LIMIT_EXCEEDED"
+        ? `At most ${units(
+            perNote
+          )} can be withdrawn from a note per 24 hours; ${units(left)} is left`
+        : `Withdrawals are limited to ${units(perDay)} per 24 hours; ${units(
+            left
+          )} is left`;
+    return { code, error };
+  }
+
+  return { check, limitsOf, rejection };
+}
@@ -0,0 +1,131 @@
+import { SOL_DECIMALS, SOL_MINT, parseUnits } from "./solana.js";
+import { loadPoolSigner } from "./signers.js";
+
+export const DEFAULT_DENOMINATIONS = "0.1,1,10,100";
+export const DEFAULT_TOKEN_DENOMINATIONS = "1,10,100,1000";
+
+// Mints that only need to be named in TOKENS
+const KNOWN_TOKENS = {
+  USDC: { mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", decimals: 6 },
+};
+
+// Tree holding commitments deposited before denomination pools existed.
+// It takes no new deposits but its notes stay withdrawable.
+export const LEGACY_TREE_ID = "legacy";
+
+// Ledger account used for rows that belong to the shielded pool rather than
+// to a single zk_proof
+export const SHIELDED_POOL = "shielded_pool";
+
+// "0.1" -> "0_1" for SOL, ("USDC", "10") -> "USDC_10"; used to build
+// per-denomination env var names
+function envLabel(asset, denomination) {
+  const label = denomination.replace(".", "_");
+  return asset.mint === SOL_MINT ? label : `${asset.symbol}_${label}`;
+}
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Assets with shielded pools: SOL, plus the SPL tokens listed in `TOKENS`
+ * (comma separated symbols). Each token needs TOKEN_MINT_<symbol> and
+ * TOKEN_DECIMALS_<symbol> unless it is a known one such as USDC.
+ */
+export function loadAssets(env) {
+  const tokens = splitList(env.TOKENS || "").map((symbol) => {
+    const known = KNOWN_TOKENS[symbol] || {};
+    const mint = env[`TOKEN_MINT_${symbol}`] || known.mint;
+    const decimals = Number(env[`TOKEN_DECIMALS_${symbol}`] ?? known.decimals);
+    if (!mint || !Number.isInteger(decimals) || decimals < 0) {
+      throw new Error(
+        `TOKENS lists ${symbol}: set TOKEN_MINT_${symbol} and TOKEN_DECIMALS_${symbol}`
+      );
+    }
+    return { symbol, mint, decimals };
+  });
+
+  return [{ symbol: "SOL", mint: SOL_MINT, decimals: SOL_DECIMALS }, ...tokens];
+}
+
+// `value` is a symbol ("USDC") or a mint address; SOL when empty
+export function findAsset(assets, value) {
+  if (!value) return assets[0];
+  return assets.find((a) => a.symbol === value || a.mint === value) || null;
+}
+
+/**
+ * Build the fixed-denomination pools of every asset: `DENOMINATIONS` for SOL
+ * and DENOMINATIONS_<symbol> for tokens (comma separated amounts). Each pool
+ * can have its own hot wallet through POOL_KEYSTORE_PATH_<label>,
+ * POOL_SECRET_KEY_BASE58_<label> or POOL_PUBKEY_<label> (see
+ * loadPoolSigner in ./signers.js), where the label is the amount with "."
+ * replaced by "_", prefixed with the symbol for tokens (e.g.
+ * POOL_PUBKEY_0_1, POOL_PUBKEY_USDC_10). Pools without their own wallet
+ * (ownWallet false) fall back to the main pool's `fallback`
+ * { address, signer }. Token pools hold their funds in the wallet's
+ * associated token account.
+ */
+export function loadDenominationPools(env, fallback, assets = loadAssets(env)) {
+  return assets.flatMap((asset) => assetPools(env, fallback, asset));
+}
+
+function assetPools(env, fallback, asset) {
+  const isSol = asset.mint === SOL_MINT;
+  const envName = isSol ? "DENOMINATIONS" : `DENOMINATIONS_${asset.symbol}`;
+  const denominations = splitList(
+    env[envName] || (isSol ? DEFAULT_DENOMINATIONS : DEFAULT_TOKEN_DENOMINATIONS)
+  );
+
+  return denominations.map((denomination) => {
+    const lamports = parseUnits(denomination, asset.decimals);
+    if (!(lamports > 0n)) {
+      throw new Error(`Invalid denomination in ${envName}: ${denomination}`);
+    }
+
+    const label = envLabel(asset, denomination);
+    const wallet = loadPoolSigner(env, `_${label}`);
+
+    return {
+      symbol: asset.symbol,
+      mint: asset.mint,
+      decimals: asset.decimals,
+      denomination,
+      lamports,
+      // SOL trees keep the ids they had before token pools existed
+      treeId: isSol ? String(lamports) : `${asset.mint}:${lamports}`,
+      label,
+      ownWallet: Boolean(wallet),
+      address: wallet ? wallet.address : fallback.address,
+      signer: wallet ? wallet.signer : fallback.signer,
+      source: wallet ? wallet.source : null,
+    };
+  });
+}
+
+// `lamports` are base units of `mint`
+export function findPool(pools, mint, lamports) {
+  return (
+    pools.find((p) => p.mint === mint && p.lamports === lamports) || null
+  );
+}
+
+export function findPoolByTreeId(pools, treeId) {
+  return pools.find((p) => p.treeId === treeId) || null;
+}
+
+// Resolve a `denomination` query value ("1", "0.1" or "legacy") of `asset`
+// to a tree id
+export function resolveTreeId(pools, asset, denomination) {
+  if (denomination === LEGACY_TREE_ID) {
+    return asset.mint === SOL_MINT ? LEGACY_TREE_ID : null;
+  }
+  const lamports = parseUnits(denomination, asset.decimals);
+  if (lamports === null) return null;
+  const pool = findPool(pools, asset.mint, lamports);
+  return pool ? pool.treeId : null;
+}
@@ -0,0 +1,100 @@
+export const RATE_LIMIT_STORES = ["memory", "sql"];
+
+// How often counters whose window is over are dropped
+const PRUNE_INTERVAL_MS = 60_000;
+
+/**
+ * Counters kept in this process: fast, but each instance counts on its own
+ * and a restart forgets them.
+ */
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  async function hitRateLimit(key, windowMs, now) {
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { ...counter };
+  }
+
+  async function peekRateLimit(key, now) {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? { ...counter } : null;
+  }
+
+  async function resetRateLimit(key) {
+    counters.delete(key);
+  }
+
+  async function deleteExpiredRateLimits(now) {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    hitRateLimit,
+    peekRateLimit,
+    resetRateLimit,
+    deleteExpiredRateLimits,
+  };
+}
+
+/**
+ * Pick where the counters live from `RATE_LIMIT_STORE`: "memory" (default)
+ * or "sql", the rate_limits table of the ledger store, which every instance
+ * behind a load balancer shares.
+ */
+export function createRateLimitStore(env, ledgerStore) {
+  const kind = env.RATE_LIMIT_STORE || "memory";
+
+  if (kind === "memory") return createMemoryRateLimitStore();
+  if (kind === "sql") return ledgerStore;
+
+  throw new Error(
+    `Unknown RATE_LIMIT_STORE "${kind}", expected one of: ${RATE_LIMIT_STORES.join(", ")}`
+  );
+}
+
+/**
+ * Fixed-window rate limiting. A budget `{ max, windowMs }` lets a key (a
+ * route and client IP, a wallet, a zk_proof_id...) be hit `max` times in a
+ * window that opens with its first hit; past that, consume resolves to the
+ * ms left until the window is over, to send as Retry-After.
+ *
+ * `store` is any of createRateLimitStore's; hitting a key is a single
+ * atomic write, so concurrent requests cannot slip past the budget.
+ */
+export function createRateLimiter({ store }) {
+  let prunedAt = 0;
+
+  async function consume(key, { max, windowMs }) {
+    const now = Date.now();
+    if (now - prunedAt >= PRUNE_INTERVAL_MS) {
+      prunedAt = now;
+      await store.deleteExpiredRateLimits(now);
+    }
+
+    const { count, resetAt } = await store.hitRateLimit(key, windowMs, now);
+    return count > max ? Math.max(resetAt - now, 1) : 0;
+  }
+
+  // Whether `key` has used up `max` in its current window, without counting
+  // a hit: the ms left until the window is over, or 0
+  async function check(key, { max }) {
+    const now = Date.now();
+    const counter = await store.peekRateLimit(key, now);
+    return counter && counter.count >= max
+      ? Math.max(counter.resetAt - now, 1)
+      : 0;
+  }
+
+  async function reset(key) {
+    await store.resetRateLimit(key);
+  }
+
+  return { consume, check, reset };
+}
@@ -0,0 +1,216 @@
+import { PublicKey } from "@solana/web3.js";
+import {
+  SOL_MINT,
+  formatUnits,
+  parsedTransfers,
+  tokenAccountAddress,
+} from "./solana.js";
+
+const SIGNATURE_LIMIT = 100;
+const DEFAULT_STUCK_AFTER_MS = 15 * 60_000;
+
+const holdingKey = (address, mint) => `${address}/${mint}`;
+
+/**
+ * Compares what the ledger owes against what the pool wallets hold.
+ *
+ * For every pool address and mint: liabilities are confirmed deposits minus
+ * confirmed withdrawals booked against it (pending withdrawals are still
+ * owed, and still sitting in the pool), moved along by confirmed sweeps
+ * between pool wallets and to and from cold storage (see ./sweeps.js).
+ * SOL is checked against the wallet
+ * balance, SPL tokens against its associated token account. The latest
+ * on-chain signatures are matched against the ledger to find transfers
+ * nobody recorded. Every run is saved through the store; amounts in the
+ * report are integer strings of base units.
+ *
+ * `poolHoldings()` lists the { address, mint } pairs to check; `assets`
+ * gives the decimals of each mint.
+ */
+export function createReconciler({
+  store,
+  connection,
+  mainPoolAddress,
+  poolHoldings,
+  assets,
+  stuckAfterMs = DEFAULT_STUCK_AFTER_MS,
+}) {
+  let timer = null;
+
+  function decimalsOf(mint) {
+    return assets.find((a) => a.mint === mint)?.decimals ?? 0;
+  }
+
+  async function ledgerLiabilities() {
+    const rows = await store.ledgerLiabilities();
+    const owed = new Map();
+    for (const r of rows) {
+      const key = holdingKey(r.pool_address || mainPoolAddress, r.mint);
+      owed.set(key, (owed.get(key) || 0n) + r.lamports);
+    }
+    return owed;
+  }
+
+  // Token balance of an account; 0 until its first deposit creates it
+  async function tokenBalance(account) {
+    try {
+      const { value } = await connection.getTokenAccountBalance(
+        new PublicKey(account),
+        "finalized"
+      );
+      return BigInt(value.amount);
+    } catch (err) {
+      if (/could not find account/i.test(err.message)) return 0n;
+      throw err;
+    }
+  }
+
+  async function stuckWithdrawals() {
+    const cutoff = new Date(Date.now() - stuckAfterMs).toISOString();
+    const rows = await store.stuckWithdrawals(cutoff);
+    return rows.map((r) => ({
+      id: r.id,
+      zkProofId: r.zk_proof_id,
+      mint: r.mint,
+      amount: formatUnits(r.amount_lamports, decimalsOf(r.mint)),
+      amountLamports: r.amount_lamports.toString(),
+      recipient: r.recipient,
+      createdAt: r.created_at,
+      jobState: r.job_state || null,
+      attempts: r.attempts ?? 0,
+      lastError: r.last_error || null,
+    }));
+  }
+
+  // Unrecorded transfers of `mint` into or out of `account` (the wallet for
+  // SOL, its token account otherwise), split by direction
+  async function unrecordedTransfers(account, mint, recorded) {
+    const signatures = await connection.getSignaturesForAddress(
+      new PublicKey(account),
+      { limit: SIGNATURE_LIMIT }
+    );
+    const unknown = signatures
+      .filter((s) => !s.err && !recorded.has(s.signature))
+      .map((s) => s.signature);
+    if (unknown.length === 0) return { incoming: [], outgoing: [] };
+
+    const parsed = await connection.getParsedTransactions(unknown, {
+      commitment: "finalized",
+      maxSupportedTransactionVersion: 0,
+    });
+
+    const incoming = [];
+    const outgoing = [];
+    parsed.forEach((tx, i) => {
+      if (!tx || tx.meta?.err) return;
+      for (const t of parsedTransfers(tx)) {
+        if ((t.mint === SOL_MINT) !== (mint === SOL_MINT)) continue;
+        const entry = {
+          signature: unknown[i],
+          mint,
+          from: t.source,
+          to: t.destination,
+          lamports: t.amount.toString(),
+          blockTime: tx.blockTime ?? null,
+        };
+        if (t.destination === account) incoming.push(entry);
+        else if (t.source === account) outgoing.push(entry);
+      }
+    });
+    return { incoming, outgoing };
+  }
+
+  async function run(trigger = "MANUAL") {
+    const liabilities = await ledgerLiabilities();
+    const recorded = new Set(await store.recordedSignatures());
+    const holdings = new Map(
+      poolHoldings().map((h) => [holdingKey(h.address, h.mint), h])
+    );
+    for (const key of liabilities.keys()) {
+      const [address, mint] = key.split("/");
+      if (!holdings.has(key)) holdings.set(key, { address, mint });
+    }
+
+    const pools = [];
+    const unrecordedDeposits = [];
+    const orphanTransfers = [];
+    for (const [key, { address, mint }] of holdings) {
+      const account =
+        mint === SOL_MINT ? address : tokenAccountAddress(mint, address);
+      const balance =
+        mint === SOL_MINT
+          ? BigInt(
+              await connection.getBalance(new PublicKey(address), "finalized")
+            )
+          : await tokenBalance(account);
+      const owed = liabilities.get(key) || 0n;
+      pools.push({
+        address,
+        mint,
+        account,
+        liabilitiesLamports: owed.toString(),
+        balanceLamports: balance.toString(),
+        surplusLamports: (balance - owed).toString(),
+        covered: balance >= owed,
+      });
+
+      const { incoming, outgoing } = await unrecordedTransfers(
+        account,
+        mint,
+        recorded
+      );
+      unrecordedDeposits.push(...incoming);
+      orphanTransfers.push(...outgoing);
+    }
+
+    const stuck = await stuckWithdrawals();
+    const ok =
+      pools.every((p) => p.covered) &&
+      unrecordedDeposits.length === 0 &&
+      orphanTransfers.length === 0 &&
+      stuck.length === 0;
+
+    const createdAt = new Date().toISOString();
+    const report = {
+      ok,
+      createdAt,
+      pools,
+      unrecordedDeposits,
+      orphanTransfers,
+      stuckWithdrawals: stuck,
+    };
+
+    const id = await store.saveReconciliationReport({
+      trigger,
+      ok,
+      report,
+      createdAt,
+    });
+
+    if (!ok) {
+      console.warn("[ZKNON] Reconciliation found problems, report", id);
+    }
+
+    return { id, trigger, ...report };
+  }
+
+  async function history(limit = 20) {
+    const rows = await store.reconciliationReports(limit);
+    return rows.map((r) => ({ id: r.id, trigger: r.trigger, ...r.report }));
+  }
+
+  function start(intervalMs) {
+    timer = setInterval(() => {
+      run("SCHEDULED").catch((err) => {
+        console.error("[ZKNON] Scheduled reconciliation error:", err);
+      });
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, history, start, stop };
+}
@@ -0,0 +1,80 @@
+import bs58 from "bs58";
+import { SOL_MINT, parseLamports, parseUnits } from "./solana.js";
+import { localSigner } from "./signers.js";
+
+const MAX_FEE_BPS = 10_000n;
+
+/**
+ * Relayers pay the network fee of a withdrawal in place of the pool, so a
+ * recipient address with no SOL on it can still be used. In return they
+ * earn a fee that comes out of the withdrawn amount: RELAYER_FEE_LAMPORTS
+ * flat plus RELAYER_FEE_BPS basis points of the amount (both default 0).
+ * Token withdrawals pay the basis points only, in the token.
+ *
+ * As fee payer a relayer also funds the rent of a recipient's token account
+ * when a token withdrawal has to open it. RELAYER_ACCOUNT_FEE_<symbol> (in
+ * the token's units, e.g. RELAYER_ACCOUNT_FEE_USDC=0.5) is charged for that
+ * on top; tokens without one are not relayed to such recipients.
+ *
+ * Their keys come from RELAYER_SECRET_KEYS_BASE58 (comma separated).
+ */
+export function loadRelayers(env, assets = []) {
+  const relayers = (env.RELAYER_SECRET_KEYS_BASE58 || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((secret, i) => {
+      try {
+        const signer = localSigner(bs58.decode(secret), "env");
+        return { address: signer.address, signer };
+      } catch (err) {
+        console.error(
+          `[ZKNON] Failed to decode relayer ${i + 1} in RELAYER_SECRET_KEYS_BASE58:`,
+          err
+        );
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const feeBps = parseLamports(env.RELAYER_FEE_BPS || "0");
+  if (feeBps === null || feeBps > MAX_FEE_BPS) {
+    throw new Error(`Invalid RELAYER_FEE_BPS: ${env.RELAYER_FEE_BPS}`);
+  }
+  const flatFeeLamports = parseLamports(env.RELAYER_FEE_LAMPORTS || "0");
+  if (flatFeeLamports === null) {
+    throw new Error(`Invalid RELAYER_FEE_LAMPORTS: ${env.RELAYER_FEE_LAMPORTS}`);
+  }
+
+  const accountFees = new Map();
+  for (const { symbol, mint, decimals } of assets) {
+    const value = env[`RELAYER_ACCOUNT_FEE_${symbol}`];
+    if (mint === SOL_MINT || !value) continue;
+    const fee = parseUnits(value, decimals);
+    if (fee === null) {
+      throw new Error(
+        `RELAYER_ACCOUNT_FEE_${symbol} is not an amount of ${symbol}`
+      );
+    }
+    accountFees.set(mint, fee);
+  }
+
+  return { relayers, feeBps, flatFeeLamports, accountFees };
+}
+
+export function findRelayer(config, address) {
+  return config.relayers.find((r) => r.address === address) || null;
+}
+
+// Fee a relayer takes out of a withdrawal of `lamports` base units of
+// `mint`, rounded down
+export function relayerFee(config, lamports, mint = SOL_MINT) {
+  const share = (lamports * config.feeBps) / MAX_FEE_BPS;
+  return mint === SOL_MINT ? config.flatFeeLamports + share : share;
+}
+
+// What a relayer adds to its fee for opening a recipient's token account of
+// `mint`, in base units; null when it does not open them
+export function relayerAccountFee(config, mint) {
+  return config.accountFees.get(mint) ?? null;
+}
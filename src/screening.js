@@ -0,0 +1,65 @@
+import { readFileSync, statSync } from "fs";
+import { PublicKey } from "@solana/web3.js";
+
+/**
+ * Recipient screening. A screener is `{ name, screen(address) }`, where
+ * screen() resolves to null for an address that may be paid and to the
+ * reason it may not otherwise, and throws when it cannot tell (the
+ * withdrawal is then refused as unavailable, never let through). A
+ * sanctions API or an outside compliance service plugs in the same way as
+ * the denylist file below; loadScreeners() is where they are configured.
+ */
+
+// A file of addresses, one per line, each optionally followed by why it
+// is listed; `#` starts a comment:
+//
+//   9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin  OFAC SDN 2024-06
+//
+// The file is read again whenever it changes, so entries can be added
+// without a restart. A line that is not an address fails the load.
+export function denylistScreener(path) {
+  let loadedAt = null;
+  let entries = new Map();
+
+  function load() {
+    const { mtimeMs } = statSync(path);
+    if (mtimeMs === loadedAt) return;
+
+    const next = new Map();
+    readFileSync(path, "utf8")
+      .split("\n")
+      .forEach((line, i) => {
+        const text = line.replace(/#.*/, "").trim();
+        if (!text) return;
+        const [address, ...reason] = text.split(/\s+/);
+        try {
+          new PublicKey(address);
+        } catch (err) {
+          throw new Error(`${path}:${i + 1}: ${address} is not an address`);
+        }
+        next.set(address, reason.join(" ") || null);
+      });
+    entries = next;
+    loadedAt = mtimeMs;
+  }
+
+  async function screen(address) {
+    load();
+    if (!entries.has(address)) return null;
+    return entries.get(address) || "listed in the denylist";
+  }
+
+  return { name: "denylist", load, screen };
+}
+
+// The screeners configured in `env`; SCREENING_DENYLIST_PATH is checked
+// here once, so a bad file stops the server from starting
+export function loadScreeners(env) {
+  const screeners = [];
+  if (env.SCREENING_DENYLIST_PATH) {
+    const denylist = denylistScreener(env.SCREENING_DENYLIST_PATH);
+    denylist.load();
+    screeners.push(denylist);
+  }
+  return screeners;
+}
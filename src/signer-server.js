@@ -0,0 +1,84 @@
+import { timingSafeEqual } from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { decryptKeystore, readKeystore } from "./keystore.js";
+import { localSigner } from "./signers.js";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run signer -- <keystore> [keystore...]
+
+  Stands in for a KMS or HSM signing service: unlocks the keystores with
+  KEYSTORE_PASSPHRASE and signs for their addresses on 127.0.0.1, port
+  SIGNER_PORT (default 4200). Requests must carry
+  "Authorization: Bearer <SIGNER_TOKEN>".
+
+    POST /sign  {"address", "message" (base64)}  -> {"signature" (base64)}
+    GET  /keys                                   -> {"addresses"}
+
+Point the server at it with POOL_SIGNER_URL=http://127.0.0.1:4200,
+POOL_SIGNER_TOKEN and POOL_PUBKEY set to the pool address.`;
+
+const log = (message) => console.error(`[ZKNON] ${message}`);
+
+function main(files) {
+  const token = process.env.SIGNER_TOKEN;
+  const passphrase = process.env.KEYSTORE_PASSPHRASE;
+  const port = Number(process.env.SIGNER_PORT || 4200);
+  if (files.length === 0 || !token || !passphrase || !(port > 0)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const signers = new Map();
+  for (const file of files) {
+    const signer = localSigner(
+      decryptKeystore(readKeystore(file), passphrase),
+      "keystore"
+    );
+    signers.set(signer.address, signer);
+    log(`Signing for ${signer.address}`);
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  function authorized(req) {
+    const given = Buffer.from(req.get("authorization") || "");
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  const app = express();
+  app.use(express.json({ limit: "16kb" }));
+  app.use((req, res, next) => {
+    if (!authorized(req)) return res.status(401).json({ error: "Unauthorized" });
+    next();
+  });
+
+  app.get("/keys", (req, res) => {
+    res.json({ addresses: [...signers.keys()] });
+  });
+
+  app.post("/sign", async (req, res) => {
+    const { address, message } = req.body || {};
+    const signer = signers.get(address);
+    if (!signer) {
+      return res.status(404).json({ error: "No key for this address" });
+    }
+    if (typeof message !== "string" || message.length === 0) {
+      return res.status(400).json({ error: "message (base64) is required" });
+    }
+
+    const signature = await signer.sign(Buffer.from(message, "base64"));
+    log(`Signed for ${address}`);
+    res.json({ signature: signature.toString("base64") });
+  });
+
+  app.listen(port, "127.0.0.1", () => log(`Signer on 127.0.0.1:${port}`));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error("[ZKNON] Signer failed to start:", err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,217 @@
+import { createPrivateKey, createPublicKey, sign, verify } from "crypto";
+import { readFileSync } from "fs";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+import { decryptKeystore, readKeystore } from "./keystore.js";
+
+const REMOTE_SIGN_TIMEOUT_MS = 10_000;
+
+function publicKeyObject(publicKey) {
+  return createPublicKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      x: Buffer.from(publicKey.toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+}
+
+export function verifySignature(publicKey, message, signature) {
+  return (
+    signature.length === 64 &&
+    verify(null, message, publicKeyObject(publicKey), signature)
+  );
+}
+
+/**
+ * A signer holds one ed25519 key and signs transaction messages with it:
+ * `{ address, publicKey, source, sign(message) }`, where sign resolves to
+ * the 64-byte signature. Code that builds transactions only ever gets
+ * signers, never secret keys (see signTransaction).
+ *
+ * localSigner keeps the key in this process, as a crypto KeyObject made from
+ * `secretKey` (64 bytes, as in a keypair file), which is wiped.
+ */
+export function localSigner(secretKey, source) {
+  const publicKey = Keypair.fromSecretKey(secretKey).publicKey;
+  const privateKey = createPrivateKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      d: Buffer.from(secretKey.subarray(0, 32)).toString("base64url"),
+      x: Buffer.from(publicKey.toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  secretKey.fill(0);
+
+  return {
+    address: publicKey.toBase58(),
+    publicKey,
+    source,
+    async sign(message) {
+      return sign(null, message, privateKey);
+    },
+  };
+}
+
+/**
+ * A key held by a signing service (a KMS or HSM front, or the stand-in in
+ * ./signer-server.js): `POST <url>/sign` with `{ address, message }`
+ * (base64) and `Authorization: Bearer <token>` answers `{ signature }`
+ * (base64). The signature is checked against `address` before use.
+ */
+export function remoteSigner({
+  url,
+  token,
+  address,
+  fetch = globalThis.fetch,
+}) {
+  const publicKey = new PublicKey(address);
+
+  async function signRemotely(message) {
+    const res = await fetch(`${url.replace(/\/+$/, "")}/sign`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        address,
+        message: Buffer.from(message).toString("base64"),
+      }),
+      signal: AbortSignal.timeout(REMOTE_SIGN_TIMEOUT_MS),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(
+        `Remote signer refused ${address}: ${body.error || `HTTP ${res.status}`}`
+      );
+    }
+
+    const signature = Buffer.from(String(body.signature || ""), "base64");
+    if (!verifySignature(publicKey, message, signature)) {
+      throw new Error(`Remote signer sent a bad signature for ${address}`);
+    }
+    return signature;
+  }
+
+  return { address, publicKey, source: "remote", sign: signRemotely };
+}
+
+// Adds the signature of every signer to `tx`, a Transaction whose fee
+// payer and blockhash are set
+export async function signTransaction(tx, signers) {
+  const message = tx.serializeMessage();
+  for (const signer of signers) {
+    tx.addSignature(signer.publicKey, await signer.sign(message));
+  }
+  return tx;
+}
+
+function keystorePassphrase(env, suffix) {
+  const file =
+    env[`POOL_KEYSTORE_PASSPHRASE_FILE${suffix}`] ||
+    env.POOL_KEYSTORE_PASSPHRASE_FILE;
+  if (file) return readFileSync(file, "utf8").replace(/\r?\n$/, "");
+  return (
+    env[`POOL_KEYSTORE_PASSPHRASE${suffix}`] ?? env.POOL_KEYSTORE_PASSPHRASE
+  );
+}
+
+function envRemoteSigner(env, address) {
+  if (!env.POOL_SIGNER_TOKEN) {
+    throw new Error("POOL_SIGNER_TOKEN is required with POOL_SIGNER_URL");
+  }
+  return remoteSigner({
+    url: env.POOL_SIGNER_URL,
+    token: env.POOL_SIGNER_TOKEN,
+    address,
+  });
+}
+
+function keystoreSigner(path, passphrase) {
+  try {
+    const secretKey = decryptKeystore(readKeystore(path), passphrase);
+    return localSigner(secretKey, "keystore");
+  } catch (err) {
+    throw new Error(`Cannot unlock keystore ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * The wallet of a pool, from the first of these that is set, `suffix` being
+ * "" for the main pool and "_<label>" for a denomination pool's own wallet:
+ *
+ *   POOL_KEYSTORE_PATH<suffix>      encrypted keystore (see ./keystore.js),
+ *                                   unlocked with POOL_KEYSTORE_PASSPHRASE
+ *                                   (or the file POOL_KEYSTORE_PASSPHRASE_FILE)
+ *   POOL_SECRET_KEY_BASE58<suffix>  raw secret key; deprecated
+ *   POOL_PUBKEY<suffix>             address only; signed for by the remote
+ *                                   signer at POOL_SIGNER_URL if set, else
+ *                                   deposits only
+ *
+ * Resolves to { address, signer, source } (signer null for an address
+ * only), or null when none is set. A POOL_PUBKEY<suffix> next to a key must
+ * be that key's address.
+ */
+export function loadPoolSigner(env, suffix = "") {
+  const keystorePath = env[`POOL_KEYSTORE_PATH${suffix}`];
+  const secretName = `POOL_SECRET_KEY_BASE58${suffix}`;
+  const pubkey = env[`POOL_PUBKEY${suffix}`];
+
+  let signer = null;
+  if (keystorePath) {
+    signer = keystoreSigner(keystorePath, keystorePassphrase(env, suffix));
+  } else if (env[secretName]) {
+    try {
+      signer = localSigner(bs58.decode(env[secretName].trim()), "env");
+      console.warn(
+        `[ZKNON] ${secretName} is a raw secret key; move it to an encrypted keystore (POOL_KEYSTORE_PATH${suffix})`
+      );
+    } catch (err) {
+      console.error(`[ZKNON] Failed to decode ${secretName}:`, err);
+    }
+  }
+
+  if (signer) {
+    if (pubkey && pubkey !== signer.address) {
+      throw new Error(
+        `POOL_PUBKEY${suffix} ${pubkey} is not the address of the loaded key ${signer.address}`
+      );
+    }
+    return { address: signer.address, signer, source: signer.source };
+  }
+  if (!pubkey) return null;
+  if (env.POOL_SIGNER_URL) {
+    const signer = envRemoteSigner(env, pubkey);
+    return { address: pubkey, signer, source: "remote" };
+  }
+  return { address: pubkey, signer: null, source: "watch" };
+}
+
+/**
+ * Keys a pool wallet has been rotated away from, still needed to sign what
+ * they have in flight and to sweep what they hold: the keystores listed in
+ * POOL_RETIRED_KEYSTORE_PATHS (comma separated, same passphrase), and with
+ * POOL_SIGNER_URL any other address, which the remote signer may hold.
+ * Returns a lookup of the signer of an address (null if there is none).
+ */
+export function loadRetiredSigners(env) {
+  const signers = (env.POOL_RETIRED_KEYSTORE_PATHS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((path) => keystoreSigner(path, keystorePassphrase(env, "")));
+
+  const remote = new Map();
+  return (address) => {
+    const local = signers.find((s) => s.address === address);
+    if (local || !env.POOL_SIGNER_URL) return local || null;
+    if (!remote.has(address)) {
+      remote.set(address, envRemoteSigner(env, address));
+    }
+    return remote.get(address);
+  };
+}
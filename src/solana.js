@@ -0,0 +1,278 @@
+import { PublicKey, SystemProgram, Transaction } from "@solana/web3.js";
+import {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+
+// Mint key used for native SOL wherever a row or pool carries a mint
+export const SOL_MINT = "SOL";
+export const SOL_DECIMALS = 9;
+
+// Network fee of a transaction with one signature
+export const SIGNATURE_FEE_LAMPORTS = 5000n;
+
+// Transfers per pool transaction; with the token account creation an SPL
+// output costs about 90 bytes of the 1232 a transaction may take
+export const MAX_OUTPUTS_PER_TX = 6;
+
+const UNITS_PATTERN = /^\d+$/;
+
+/**
+ * Parse a decimal amount ("1", "0.25", or a number) of a token with
+ * `decimals` decimals into base units (lamports for SOL) as a BigInt,
+ * without going through floating point. Returns null for anything that is
+ * not a non-negative amount with at most `decimals` decimals.
+ */
+export function parseUnits(amount, decimals) {
+  if (typeof amount === "number") {
+    if (!Number.isFinite(amount)) return null;
+    amount = String(amount);
+  }
+  if (typeof amount !== "string") return null;
+
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(amount.trim());
+  if (!match) return null;
+
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > decimals) return null;
+  return (
+    BigInt(whole) * 10n ** BigInt(decimals) +
+    BigInt(fraction.padEnd(decimals, "0") || "0")
+  );
+}
+
+// 1500000000n, 9 -> "1.5"
+export function formatUnits(units, decimals) {
+  const value = BigInt(units);
+  const sign = value < 0n ? "-" : "";
+  const abs = value < 0n ? -value : value;
+  const scale = 10n ** BigInt(decimals);
+  const fraction = String(abs % scale)
+    .padStart(decimals, "0")
+    .replace(/0+$/, "");
+  return `${sign}${abs / scale}${fraction ? `.${fraction}` : ""}`;
+}
+
+export function solToLamports(amountSol) {
+  return parseUnits(amountSol, SOL_DECIMALS);
+}
+
+export function lamportsToSol(lamports) {
+  return formatUnits(lamports, SOL_DECIMALS);
+}
+
+// Parse a whole count of base units (integer string or safe integer) into a
+// BigInt
+export function parseLamports(value) {
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+  }
+  if (typeof value !== "string" || !UNITS_PATTERN.test(value.trim())) {
+    return null;
+  }
+  return BigInt(value.trim());
+}
+
+// Associated token account of `owner` for `mint` (classic Token program)
+export function tokenAccountAddress(mint, owner) {
+  return getAssociatedTokenAddressSync(
+    new PublicKey(mint),
+    new PublicKey(owner),
+    true
+  ).toBase58();
+}
+
+// Which of `owners` have no associated token account for `mint` yet, as
+// one boolean per owner
+export async function missingTokenAccounts(connection, mint, owners) {
+  const accounts = await connection.getMultipleAccountsInfo(
+    owners.map((owner) => new PublicKey(tokenAccountAddress(mint, owner))),
+    "confirmed"
+  );
+  return accounts.map((account) => account === null);
+}
+
+// What `owner` holds of `mint`, in base units: its SOL balance, or the
+// balance of its associated token account (0 until that exists)
+export async function walletBalance(connection, owner, mint, commitment) {
+  if (mint === SOL_MINT) {
+    const lamports = await connection.getBalance(
+      new PublicKey(owner),
+      commitment
+    );
+    return BigInt(lamports);
+  }
+  try {
+    const { value } = await connection.getTokenAccountBalance(
+      new PublicKey(tokenAccountAddress(mint, owner)),
+      commitment
+    );
+    return BigInt(value.amount);
+  } catch (err) {
+    if (/could not find account/i.test(err.message)) return 0n;
+    throw err;
+  }
+}
+
+// Flatten top-level and inner instructions of a jsonParsed transaction.
+function allInstructions(parsedTx) {
+  const top = parsedTx.transaction?.message?.instructions || [];
+  const inner = (parsedTx.meta?.innerInstructions || []).flatMap(
+    (ix) => ix.instructions || []
+  );
+  return [...top, ...inner];
+}
+
+/**
+ * SOL and SPL token transfers in a jsonParsed transaction, as
+ * { mint, source, destination, authority, amount }. Token accounts stand in
+ * for source/destination of token transfers; `mint` is null for a plain
+ * token `transfer`, which does not name it.
+ */
+export function parsedTransfers(parsedTx) {
+  const transfers = [];
+  for (const ix of allInstructions(parsedTx)) {
+    const type = ix.parsed?.type;
+    const info = ix.parsed?.info || {};
+
+    if (ix.program === "system" && type === "transfer") {
+      transfers.push({
+        mint: SOL_MINT,
+        source: info.source,
+        destination: info.destination,
+        authority: info.source,
+        amount: BigInt(info.lamports),
+      });
+    } else if (
+      ix.program === "spl-token" &&
+      (type === "transfer" || type === "transferChecked")
+    ) {
+      transfers.push({
+        mint: info.mint || null,
+        source: info.source,
+        destination: info.destination,
+        authority: info.authority || info.multisigAuthority,
+        amount: BigInt(info.amount ?? info.tokenAmount.amount),
+      });
+    }
+  }
+  return transfers;
+}
+
+function isMatchingTransfer(t, { from, to, lamports, mint }) {
+  if (t.amount !== BigInt(lamports)) return false;
+
+  if (mint === SOL_MINT) {
+    return t.mint === SOL_MINT && t.source === from && t.destination === to;
+  }
+  return (
+    t.mint !== SOL_MINT &&
+    (t.mint === null || t.mint === mint) &&
+    t.authority === from &&
+    t.destination === tokenAccountAddress(mint, to)
+  );
+}
+
+/**
+ * Check that `signature` is a finalized, successful transfer of exactly
+ * `lamports` base units of `mint` from `from` to `to`. SOL must be a
+ * SystemProgram transfer between the two wallets; SPL tokens a Token
+ * program transfer signed by `from` into the associated token account of
+ * `to`.
+ *
+ * Resolves to null when the transfer checks out, or to a short reason string
+ * suitable for a 400 response. RPC failures are thrown to the caller.
+ */
+export async function verifyDepositTransfer(
+  connection,
+  { signature, from, to, lamports, mint = SOL_MINT }
+) {
+  const parsedTx = await connection.getParsedTransaction(signature, {
+    commitment: "finalized",
+    maxSupportedTransactionVersion: 0,
+  });
+
+  if (!parsedTx) {
+    return "Deposit transaction not found or not finalized yet";
+  }
+  if (!parsedTx.meta || parsedTx.meta.err) {
+    return "Deposit transaction failed on chain";
+  }
+
+  const matched = parsedTransfers(parsedTx).some((t) =>
+    isMatchingTransfer(t, { from, to, lamports, mint })
+  );
+  if (!matched) {
+    return "Deposit transaction is not a transfer of the claimed amount from this wallet to the pool";
+  }
+
+  return null;
+}
+
+function addTransfer(tx, { mint, from, to, amount, payer }) {
+  if (mint === SOL_MINT) {
+    tx.add(
+      SystemProgram.transfer({ fromPubkey: from, toPubkey: to, lamports: amount })
+    );
+    return;
+  }
+
+  const mintKey = new PublicKey(mint);
+  const destination = getAssociatedTokenAddressSync(mintKey, to, true);
+  // no-op when the recipient already has the account; otherwise the fee
+  // payer funds its rent
+  tx.add(
+    createAssociatedTokenAccountIdempotentInstruction(
+      payer,
+      destination,
+      to,
+      mintKey
+    ),
+    createTransferInstruction(
+      getAssociatedTokenAddressSync(mintKey, from, true),
+      destination,
+      from,
+      amount
+    )
+  );
+}
+
+/**
+ * Build one transaction paying every `{ recipient, lamports }` of `outputs`
+ * in base units of `mint` (SOL by default) out of the pool wallet `from`.
+ * It comes back unsigned: the pool's signer (and the relayer's) sign it
+ * with signTransaction from ./signers.js, and the caller decides when (and
+ * whether) to broadcast it; the signature is known up front. Keep outputs
+ * to MAX_OUTPUTS_PER_TX so it fits in a packet.
+ *
+ * With a `relayer` address, the relayer pays the network fee and receives
+ * `feeLamports` from the pool in the same transaction.
+ */
+export function buildPoolTransfer({
+  from,
+  outputs,
+  blockhash,
+  mint = SOL_MINT,
+  relayer = null,
+  feeLamports = 0n,
+}) {
+  const pool = new PublicKey(from);
+  const payer = relayer ? new PublicKey(relayer) : pool;
+  const tx = new Transaction({ recentBlockhash: blockhash, feePayer: payer });
+
+  for (const { recipient, lamports } of outputs) {
+    addTransfer(tx, {
+      mint,
+      from: pool,
+      to: new PublicKey(recipient),
+      amount: lamports,
+      payer,
+    });
+  }
+  if (relayer && feeLamports > 0n) {
+    addTransfer(tx, { mint, from: pool, to: payer, amount: feeLamports, payer });
+  }
+
+  return tx;
+}
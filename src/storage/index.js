@@ -0,0 +1,61 @@
+import { createSqliteStore } from "./sqlite.js";
+import { createPgStore } from "./postgres.js";
+import { MERKLE_TREE_DEPTH } from "../merkle.js";
+
+export const STORAGE_DRIVERS = ["sqlite", "postgres"];
+
+// What a ledger row can be, and where it can stand
+export const TRANSACTION_TYPES = [
+  "DEPOSIT",
+  "WITHDRAW",
+  "TRANSFER_OUT",
+  "TRANSFER_IN",
+];
+export const TRANSACTION_STATUSES = [
+  "PENDING",
+  "IN_REVIEW",
+  "SCHEDULED",
+  "CONFIRMED",
+  "FAILED",
+  "CANCELLED",
+  "REJECTED",
+];
+
+/**
+ * Pick the ledger store from `DB_DRIVER` ("sqlite" by default, or
+ * "postgres" with DATABASE_URL). Both implement the same async interface,
+ * documented on the methods of ./sqlite.js, so the routes, the withdrawal
+ * queue and the reconciler never see SQL. The schema must be migrated (see
+ * ./migrator.js) before use. MERKLE_TREE_DEPTH sets the depth of the
+ * commitment trees, which must match the withdraw circuit.
+ */
+export function createStore(env) {
+  const driver = env.DB_DRIVER || "sqlite";
+  const options = { treeDepth: loadTreeDepth(env) };
+
+  if (driver === "sqlite") {
+    return createSqliteStore(env.SQLITE_PATH || "zknon.db", options);
+  }
+  if (driver === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("DATABASE_URL is required when DB_DRIVER=postgres");
+    }
+    return createPgStore(env.DATABASE_URL, options);
+  }
+
+  throw new Error(
+    `Unknown DB_DRIVER "${driver}", expected one of: ${STORAGE_DRIVERS.join(
+      ", "
+    )}`
+  );
+}
+
+function loadTreeDepth(env) {
+  if (!env.MERKLE_TREE_DEPTH) return MERKLE_TREE_DEPTH;
+  const depth = Number(env.MERKLE_TREE_DEPTH);
+  // leaf indexes are handled with 32-bit bitwise operators
+  if (!Number.isInteger(depth) || depth < 1 || depth > 31) {
+    throw new Error("MERKLE_TREE_DEPTH must be an integer from 1 to 31");
+  }
+  return depth;
+}
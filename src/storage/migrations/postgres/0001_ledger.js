@@ -1,14 +1,6 @@
-import pg from "pg";
-
-const { Pool } = pg;
-
-export const pool = new Pool({
-  connectionString: process.env.DATABASE_URL
-});
-
-export async function initDb() {
+export async function up(db) {
   // ZK proof commitments
-  await pool.query(`
+  await db.query(`
     CREATE TABLE IF NOT EXISTS zk_proofs (
       id SERIAL PRIMARY KEY,
       zk_proof_id TEXT UNIQUE NOT NULL,
@@ -21,7 +13,7 @@ export async function initDb() {
   `);
 
   // Deposits / withdrawals log
-  await pool.query(`
+  await db.query(`
     CREATE TABLE IF NOT EXISTS zk_transfers (
       id SERIAL PRIMARY KEY,
       zk_proof_id TEXT NOT NULL REFERENCES zk_proofs(zk_proof_id),
@@ -34,3 +26,6 @@ export async function initDb() {
     );
   `);
 }
+
+// No down: these tables may predate migrations, holding a ledger this step
+// only adopted, so the baseline is never reverted (see migrateDown)
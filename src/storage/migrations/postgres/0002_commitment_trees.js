@@ -0,0 +1,70 @@
+export async function up(db) {
+  // Shielded notes: commitments appended to one Merkle tree per
+  // denomination pool (tree_id = lamports)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS commitments (
+      tree_id TEXT NOT NULL,
+      leaf_index INTEGER NOT NULL,
+      commitment TEXT UNIQUE NOT NULL,
+      leaf TEXT NOT NULL,
+      tx_signature TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (tree_id, leaf_index)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS merkle_nodes (
+      tree_id TEXT NOT NULL,
+      level INTEGER NOT NULL,
+      idx INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      PRIMARY KEY (tree_id, level, idx)
+    );
+  `);
+
+  // Ring buffer of recent roots, slot = leaf_index % ROOT_HISTORY_SIZE
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS merkle_roots (
+      tree_id TEXT NOT NULL,
+      slot INTEGER NOT NULL,
+      root TEXT NOT NULL,
+      leaf_count INTEGER NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (tree_id, slot)
+    );
+  `);
+
+  // Tree tables from before denomination pools had no tree_id; their rows
+  // become the 'legacy' tree
+  const treeKeys = {
+    commitments: "tree_id, leaf_index",
+    merkle_nodes: "tree_id, level, idx",
+    merkle_roots: "tree_id, slot"
+  };
+  for (const [table, key] of Object.entries(treeKeys)) {
+    await db.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_schema = current_schema()
+            AND table_name = '${table}' AND column_name = 'tree_id'
+        ) THEN
+          ALTER TABLE ${table} ADD COLUMN tree_id TEXT NOT NULL DEFAULT 'legacy';
+          ALTER TABLE ${table} ALTER COLUMN tree_id DROP DEFAULT;
+          ALTER TABLE ${table} DROP CONSTRAINT ${table}_pkey;
+          ALTER TABLE ${table} ADD PRIMARY KEY (${key});
+        END IF;
+      END $$;
+    `);
+  }
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS merkle_roots;
+    DROP TABLE IF EXISTS merkle_nodes;
+    DROP TABLE IF EXISTS commitments;
+  `);
+}
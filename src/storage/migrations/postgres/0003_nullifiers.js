@@ -0,0 +1,32 @@
+export async function up(db) {
+  // Spent notes; the primary key is what stops a double-spend
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS nullifiers (
+      nullifier_hash TEXT PRIMARY KEY,
+      transfer_id INTEGER NOT NULL REFERENCES zk_transfers(id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Shielded rows are not tied to a zk_proof
+  await db.query(`
+    ALTER TABLE zk_transfers ALTER COLUMN zk_proof_id DROP NOT NULL;
+    ALTER TABLE zk_transfers ADD COLUMN IF NOT EXISTS nullifier_hash TEXT;
+  `);
+
+  // A deposit signature can only ever be credited once
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS zk_transfers_deposit_signature_idx
+    ON zk_transfers (tx_signature)
+    WHERE direction = 'DEPOSIT';
+  `);
+}
+
+// zk_proof_id stays nullable: shielded rows without one may exist by now
+export async function down(db) {
+  await db.query(`
+    DROP INDEX IF EXISTS zk_transfers_deposit_signature_idx;
+    DROP TABLE IF EXISTS nullifiers;
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS nullifier_hash;
+  `);
+}
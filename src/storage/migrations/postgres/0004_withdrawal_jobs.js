@@ -0,0 +1,38 @@
+export async function up(db) {
+  // Rows written before this server sent withdrawals itself were final
+  // when recorded, hence the CONFIRMED default
+  await db.query(`
+    ALTER TABLE zk_transfers
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'CONFIRMED';
+  `);
+
+  // Durable send queue for WITHDRAW rows, see src/withdrawals.js
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS withdrawal_jobs (
+      id SERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL UNIQUE REFERENCES zk_transfers(id),
+      recipient TEXT NOT NULL,
+      lamports BIGINT NOT NULL,
+      signer TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'QUEUED',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at BIGINT NOT NULL,
+      signature TEXT,
+      raw_tx TEXT,
+      last_valid_block_height BIGINT,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS withdrawal_jobs_due_idx
+    ON withdrawal_jobs (state, next_attempt_at);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS withdrawal_jobs;
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS status;
+  `);
+}
@@ -0,0 +1,23 @@
+export async function up(db) {
+  // Pool wallet the row moved funds in or out of (NULL: the main pool)
+  await db.query(`
+    ALTER TABLE zk_transfers ADD COLUMN IF NOT EXISTS pool_address TEXT;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id SERIAL PRIMARY KEY,
+      trigger TEXT NOT NULL,
+      ok BOOLEAN NOT NULL,
+      report JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS reconciliation_reports;
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS pool_address;
+  `);
+}
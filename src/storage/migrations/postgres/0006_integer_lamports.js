@@ -0,0 +1,28 @@
+// Balances and amounts move from NUMERIC SOL to BIGINT lamports. NUMERIC(36,9)
+// already holds whole lamports, so the conversion is exact.
+
+const COLUMNS = [
+  { table: "zk_proofs", from: "total_amount", to: "total_lamports" },
+  { table: "zk_proofs", from: "spent_amount", to: "spent_lamports" },
+  { table: "zk_transfers", from: "amount", to: "amount_lamports" }
+];
+
+export async function up(db) {
+  for (const { table, from, to } of COLUMNS) {
+    await db.query(`
+      ALTER TABLE ${table} ADD COLUMN ${to} BIGINT NOT NULL DEFAULT 0;
+      UPDATE ${table} SET ${to} = ROUND(${from} * 1000000000)::bigint;
+      ALTER TABLE ${table} DROP COLUMN ${from};
+    `);
+  }
+}
+
+export async function down(db) {
+  for (const { table, from, to } of COLUMNS) {
+    await db.query(`
+      ALTER TABLE ${table} ADD COLUMN ${from} NUMERIC(36,9) NOT NULL DEFAULT 0;
+      UPDATE ${table} SET ${from} = ${to} / 1000000000.0;
+      ALTER TABLE ${table} DROP COLUMN ${to};
+    `);
+  }
+}
@@ -0,0 +1,24 @@
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_nonces (
+      nonce TEXT PRIMARY KEY,
+      wallet_pubkey TEXT NOT NULL,
+      message TEXT NOT NULL,
+      expires_at BIGINT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      wallet_pubkey TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS auth_sessions;
+    DROP TABLE IF EXISTS auth_nonces;
+  `);
+}
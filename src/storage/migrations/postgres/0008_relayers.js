@@ -0,0 +1,21 @@
+export async function up(db) {
+  // Relayer that paid the network fee of a WITHDRAW and its cut of the
+  // amount; job lamports are what the recipient receives
+  await db.query(`
+    ALTER TABLE zk_transfers ADD COLUMN IF NOT EXISTS relayer TEXT;
+    ALTER TABLE zk_transfers
+      ADD COLUMN IF NOT EXISTS relayer_fee_lamports BIGINT NOT NULL DEFAULT 0;
+    ALTER TABLE withdrawal_jobs ADD COLUMN IF NOT EXISTS relayer TEXT;
+    ALTER TABLE withdrawal_jobs
+      ADD COLUMN IF NOT EXISTS fee_lamports BIGINT NOT NULL DEFAULT 0;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE withdrawal_jobs DROP COLUMN IF EXISTS fee_lamports;
+    ALTER TABLE withdrawal_jobs DROP COLUMN IF EXISTS relayer;
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS relayer_fee_lamports;
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS relayer;
+  `);
+}
@@ -0,0 +1,19 @@
+// Notes, ledger rows and send jobs carry the mint they are denominated in;
+// 'SOL' for native SOL, otherwise the SPL mint address. Lamport columns hold
+// base units of that mint.
+
+const TABLES = ["zk_proofs", "zk_transfers", "withdrawal_jobs"];
+
+export async function up(db) {
+  for (const table of TABLES) {
+    await db.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS mint TEXT NOT NULL DEFAULT 'SOL'`
+    );
+  }
+}
+
+export async function down(db) {
+  for (const table of TABLES) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS mint`);
+  }
+}
@@ -0,0 +1,17 @@
+export async function up(db) {
+  // Withdrawals held back until release_at (epoch ms) sit in job state
+  // 'SCHEDULED' with ledger status 'SCHEDULED'; cancelled ones end in
+  // 'CANCELLED'. NULL: sent right away.
+  await db.query(`
+    ALTER TABLE withdrawal_jobs ADD COLUMN IF NOT EXISTS release_at BIGINT;
+  `);
+}
+
+export async function down(db) {
+  // Older code only knows QUEUED jobs, so scheduled ones go out now
+  await db.query(`
+    UPDATE zk_transfers SET status = 'PENDING' WHERE status = 'SCHEDULED';
+    UPDATE withdrawal_jobs SET state = 'QUEUED' WHERE state = 'SCHEDULED';
+    ALTER TABLE withdrawal_jobs DROP COLUMN IF EXISTS release_at;
+  `);
+}
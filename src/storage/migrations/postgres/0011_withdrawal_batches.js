@@ -0,0 +1,18 @@
+export async function up(db) {
+  // Jobs sharing a batch_id go out in one transaction and move through
+  // their states together; a lone job's batch_id is its transaction_id
+  await db.query(`
+    ALTER TABLE withdrawal_jobs ADD COLUMN IF NOT EXISTS batch_id INTEGER;
+    UPDATE withdrawal_jobs SET batch_id = transaction_id WHERE batch_id IS NULL;
+
+    CREATE INDEX IF NOT EXISTS withdrawal_jobs_batch_idx
+    ON withdrawal_jobs (batch_id);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP INDEX IF EXISTS withdrawal_jobs_batch_idx;
+    ALTER TABLE withdrawal_jobs DROP COLUMN IF EXISTS batch_id;
+  `);
+}
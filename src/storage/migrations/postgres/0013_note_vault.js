@@ -0,0 +1,20 @@
+export async function up(db) {
+  // Notes backed up by their owner, encrypted client-side; the server only
+  // ever sees ciphertext. label is chosen by the client, e.g. the zkProofId.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS note_backups (
+      wallet_pubkey TEXT NOT NULL,
+      label TEXT NOT NULL,
+      ciphertext TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (wallet_pubkey, label)
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS note_backups;
+  `);
+}
@@ -0,0 +1,22 @@
+export async function up(db) {
+  // Deposit and withdrawal lifecycle events of each wallet, written in the
+  // same transaction as the change they describe (see src/events.js)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id BIGSERIAL PRIMARY KEY,
+      wallet_pubkey TEXT NOT NULL,
+      type TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS events_wallet_idx
+    ON events (wallet_pubkey, id);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS events;
+  `);
+}
@@ -0,0 +1,66 @@
+export async function up(db) {
+  // Operator-registered receivers of the events table (see src/webhooks.js),
+  // one delivery per event per endpoint retried until it is DELIVERED or
+  // FAILED, and every attempt of it for the delivery log. The cursor is the
+  // newest event already fanned out; it starts at the current one so events
+  // from before webhooks existed are not sent.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id BIGSERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      event_types TEXT[],
+      description TEXT,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      endpoint_id BIGINT NOT NULL REFERENCES webhook_endpoints(id),
+      event_id BIGINT NOT NULL REFERENCES events(id),
+      state TEXT NOT NULL CHECK (state IN ('PENDING', 'DELIVERED', 'FAILED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at BIGINT NOT NULL,
+      last_status INTEGER,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ,
+      UNIQUE (endpoint_id, event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+    ON webhook_deliveries (state, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id BIGSERIAL PRIMARY KEY,
+      delivery_id BIGINT NOT NULL REFERENCES webhook_deliveries(id),
+      status INTEGER,
+      error TEXT,
+      duration_ms INTEGER NOT NULL,
+      attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS webhook_attempts_delivery_idx
+    ON webhook_attempts (delivery_id, id);
+
+    CREATE TABLE IF NOT EXISTS webhook_cursor (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      last_event_id BIGINT NOT NULL
+    );
+
+    INSERT INTO webhook_cursor (id, last_event_id)
+    SELECT 1, COALESCE(MAX(id), 0) FROM events
+    ON CONFLICT (id) DO NOTHING;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS webhook_cursor;
+    DROP TABLE IF EXISTS webhook_attempts;
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `);
+}
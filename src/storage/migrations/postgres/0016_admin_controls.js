@@ -0,0 +1,54 @@
+export async function up(db) {
+  // frozen_at is set while the operator has frozen the note: it cannot be
+  // spent. pool_controls holds the operator's global switches in its one
+  // row. admin_audit_log gets every admin action, written with the change
+  // it made, and refuses updates and deletes.
+  await db.query(`
+    ALTER TABLE zk_proofs ADD COLUMN IF NOT EXISTS frozen_at TIMESTAMPTZ;
+
+    CREATE TABLE IF NOT EXISTS pool_controls (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      deposits_paused BOOLEAN NOT NULL DEFAULT FALSE,
+      withdrawals_paused BOOLEAN NOT NULL DEFAULT FALSE,
+      reason TEXT,
+      updated_at TIMESTAMPTZ
+    );
+
+    INSERT INTO pool_controls (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      actor TEXT,
+      ip TEXT,
+      details JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx
+    ON admin_audit_log (target_type, target_id);
+
+    CREATE OR REPLACE FUNCTION admin_audit_log_append_only()
+    RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+    CREATE TRIGGER admin_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS admin_audit_log;
+    DROP FUNCTION IF EXISTS admin_audit_log_append_only();
+    DROP TABLE IF EXISTS pool_controls;
+    ALTER TABLE zk_proofs DROP COLUMN IF EXISTS frozen_at;
+  `);
+}
@@ -0,0 +1,21 @@
+export async function up(db) {
+  // Request counters of the rate limiter when RATE_LIMIT_STORE=sql (see
+  // src/ratelimit.js), keyed e.g. "withdraw:ip:1.2.3.4". A row is stale once
+  // reset_at (epoch ms) has passed.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at BIGINT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS rate_limits_reset_at
+    ON rate_limits (reset_at);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS rate_limits;
+  `);
+}
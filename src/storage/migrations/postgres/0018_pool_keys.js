@@ -0,0 +1,56 @@
+export async function up(db) {
+  // pool_keys has every key a pool wallet has had, by the pool's label
+  // ("main", or a denomination pool's e.g. "0_1"): one ACTIVE per pool, the
+  // ones it replaced RETIRED. pool_sweeps are transfers of a pool wallet's
+  // whole balance of one mint to another pool wallet, e.g. out of a retired
+  // key; the ledger counts the funds at to_address once CONFIRMED. signed_by
+  // is the pool key that signed a job's transaction (signer may still change
+  // before that, when its key is rotated).
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS pool_keys (
+      address TEXT PRIMARY KEY,
+      pool TEXT NOT NULL,
+      state TEXT NOT NULL,
+      source TEXT NOT NULL,
+      activated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      retired_at TIMESTAMPTZ,
+      replaced_by TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS pool_keys_pool_idx ON pool_keys (pool, state);
+
+    CREATE TABLE IF NOT EXISTS pool_sweeps (
+      id BIGSERIAL PRIMARY KEY,
+      from_address TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      lamports BIGINT NOT NULL,
+      reason TEXT NOT NULL,
+      state TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      raw_tx TEXT NOT NULL,
+      last_valid_block_height BIGINT NOT NULL,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS pool_sweeps_from_idx
+    ON pool_sweeps (from_address, mint, state);
+
+    ALTER TABLE withdrawal_jobs ADD COLUMN IF NOT EXISTS signed_by TEXT;
+
+    UPDATE withdrawal_jobs SET signed_by = signer WHERE signature IS NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS withdrawal_jobs_signed_by_idx
+    ON withdrawal_jobs (signed_by);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE withdrawal_jobs DROP COLUMN IF EXISTS signed_by;
+    DROP TABLE IF EXISTS pool_sweeps;
+    DROP TABLE IF EXISTS pool_keys;
+  `);
+}
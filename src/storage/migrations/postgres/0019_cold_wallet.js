@@ -0,0 +1,18 @@
+export async function up(db) {
+  // Sweeps now also move a hot wallet's excess over its cap to cold storage
+  // (THRESHOLD), and top-ups from cold storage made by hand are recorded
+  // (REFILL). Those were not signed here, so have no raw_tx or
+  // last_valid_block_height. A signature is recorded once.
+  await db.query(`
+    ALTER TABLE pool_sweeps ALTER COLUMN raw_tx DROP NOT NULL;
+    ALTER TABLE pool_sweeps ALTER COLUMN last_valid_block_height DROP NOT NULL;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS pool_sweeps_signature_idx
+    ON pool_sweeps (signature);
+  `);
+}
+
+// The columns stay nullable: recorded top-ups may exist by now
+export async function down(db) {
+  await db.query("DROP INDEX IF EXISTS pool_sweeps_signature_idx");
+}
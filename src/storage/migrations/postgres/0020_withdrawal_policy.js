@@ -0,0 +1,13 @@
+export async function up(db) {
+  // Withdrawals refused by the policy (see src/policy.js) are kept as
+  // REJECTED rows, with the code they were refused with
+  await db.query(`
+    ALTER TABLE zk_transfers ADD COLUMN IF NOT EXISTS rejection_code TEXT;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE zk_transfers DROP COLUMN IF EXISTS rejection_code;
+  `);
+}
@@ -0,0 +1,45 @@
+import * as ledger from "./0001_ledger.js";
+import * as commitmentTrees from "./0002_commitment_trees.js";
+import * as nullifiers from "./0003_nullifiers.js";
+import * as withdrawalJobs from "./0004_withdrawal_jobs.js";
+import * as reconciliation from "./0005_reconciliation.js";
+import * as integerLamports from "./0006_integer_lamports.js";
+import * as walletAuth from "./0007_wallet_auth.js";
+import * as relayers from "./0008_relayers.js";
+import * as mints from "./0009_mints.js";
+import * as scheduledWithdrawals from "./0010_scheduled_withdrawals.js";
+import * as withdrawalBatches from "./0011_withdrawal_batches.js";
+import * as internalTransfers from "./0012_internal_transfers.js";
+import * as noteVault from "./0013_note_vault.js";
+import * as events from "./0014_events.js";
+import * as webhooks from "./0015_webhooks.js";
+import * as adminControls from "./0016_admin_controls.js";
+import * as rateLimits from "./0017_rate_limits.js";
+import * as poolKeys from "./0018_pool_keys.js";
+import * as coldWallet from "./0019_cold_wallet.js";
+import * as withdrawalPolicy from "./0020_withdrawal_policy.js";
+
+// Append only, numbered like the SQLite list. Every step also has to cope
+// with databases that were set up by the old initDb(), hence IF NOT EXISTS.
+export const migrations = [
+  { version: 1, name: "ledger", ...ledger },
+  { version: 2, name: "commitment_trees", ...commitmentTrees },
+  { version: 3, name: "nullifiers", ...nullifiers },
+  { version: 4, name: "withdrawal_jobs", ...withdrawalJobs },
+  { version: 5, name: "reconciliation", ...reconciliation },
+  { version: 6, name: "integer_lamports", ...integerLamports },
+  { version: 7, name: "wallet_auth", ...walletAuth },
+  { version: 8, name: "relayers", ...relayers },
+  { version: 9, name: "mints", ...mints },
+  { version: 10, name: "scheduled_withdrawals", ...scheduledWithdrawals },
+  { version: 11, name: "withdrawal_batches", ...withdrawalBatches },
+  { version: 12, name: "internal_transfers", ...internalTransfers },
+  { version: 13, name: "note_vault", ...noteVault },
+  { version: 14, name: "events", ...events },
+  { version: 15, name: "webhooks", ...webhooks },
+  { version: 16, name: "admin_controls", ...adminControls },
+  { version: 17, name: "rate_limits", ...rateLimits },
+  { version: 18, name: "pool_keys", ...poolKeys },
+  { version: 19, name: "cold_wallet", ...coldWallet },
+  { version: 20, name: "withdrawal_policy", ...withdrawalPolicy }
+];
@@ -0,0 +1,30 @@
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS zk_proofs (
+      id TEXT PRIMARY KEY,
+      wallet_pubkey TEXT NOT NULL,
+      note_hash TEXT NOT NULL,
+      total REAL NOT NULL DEFAULT 0,
+      spent REAL NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_pubkey TEXT NOT NULL,
+      zk_proof_id TEXT NOT NULL,
+      type TEXT NOT NULL, -- 'DEPOSIT' | 'WITHDRAW'
+      amount REAL NOT NULL,
+      recipient TEXT,
+      tx_signature TEXT,
+      status TEXT NOT NULL DEFAULT 'PENDING', -- 'PENDING' | 'CONFIRMED' | 'FAILED'
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transactions_tx_signature
+      ON transactions (tx_signature);
+  `);
+}
+
+// No down: these tables may predate migrations, holding a ledger this step
+// only adopted, so the baseline is never reverted (see migrateDown)
@@ -0,0 +1,85 @@
+import { createSqliteMerkleStore } from "../../../merkle.js";
+import { LEGACY_TREE_ID } from "../../../pools.js";
+import { hasColumn, hasTable } from "./helpers.js";
+
+const TREE_TABLES = ["commitments", "merkle_nodes", "merkle_roots"];
+
+export function up(db) {
+  // The tree tables predate denomination pools and had no tree_id. Set
+  // them aside; their rows are copied into the legacy tree below.
+  for (const table of TREE_TABLES) {
+    if (hasTable(db, table) && !hasColumn(db, table, "tree_id")) {
+      db.exec(`ALTER TABLE ${table} RENAME TO ${table}_pre_pools`);
+    }
+  }
+
+  db.exec(`
+    -- one commitment tree per denomination pool (tree_id = lamports)
+    CREATE TABLE IF NOT EXISTS commitments (
+      tree_id TEXT NOT NULL,
+      leaf_index INTEGER NOT NULL,
+      commitment TEXT NOT NULL UNIQUE,
+      leaf TEXT NOT NULL,
+      tx_signature TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (tree_id, leaf_index)
+    );
+
+    -- commitment tree: every non-zero node, plus a ring buffer of recent roots
+    CREATE TABLE IF NOT EXISTS merkle_nodes (
+      tree_id TEXT NOT NULL,
+      level INTEGER NOT NULL,
+      idx INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      PRIMARY KEY (tree_id, level, idx)
+    );
+
+    CREATE TABLE IF NOT EXISTS merkle_roots (
+      tree_id TEXT NOT NULL,
+      slot INTEGER NOT NULL,
+      root TEXT NOT NULL,
+      leaf_count INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (tree_id, slot)
+    );
+  `);
+
+  for (const table of TREE_TABLES) {
+    if (!hasTable(db, `${table}_pre_pools`)) continue;
+
+    const columns = db
+      .prepare(`PRAGMA table_info(${table}_pre_pools)`)
+      .all()
+      .map((c) => c.name)
+      .join(", ");
+    db.prepare(
+      `INSERT INTO ${table} (tree_id, ${columns})
+       SELECT ?, ${columns} FROM ${table}_pre_pools`
+    ).run(LEGACY_TREE_ID);
+    db.exec(`DROP TABLE ${table}_pre_pools`);
+  }
+
+  // Commitments recorded before the tree was persisted have no nodes yet
+  const treeIds = db
+    .prepare("SELECT DISTINCT tree_id FROM commitments")
+    .all()
+    .map((r) => r.tree_id);
+  for (const treeId of treeIds) {
+    const tree = createSqliteMerkleStore(db, treeId);
+    const missing = db
+      .prepare(
+        `SELECT leaf FROM commitments WHERE tree_id = ? AND leaf_index >= ?
+         ORDER BY leaf_index`
+      )
+      .all(treeId, tree.size());
+    for (const row of missing) tree.insert(BigInt(row.leaf));
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS merkle_roots;
+    DROP TABLE IF EXISTS merkle_nodes;
+    DROP TABLE IF EXISTS commitments;
+  `);
+}
@@ -0,0 +1,28 @@
+import { ensureColumn } from "./helpers.js";
+
+export function up(db) {
+  ensureColumn(db, "transactions", "nullifier_hash", "TEXT");
+
+  db.exec(`
+    -- spent notes; the primary key is what stops a double-spend
+    CREATE TABLE IF NOT EXISTS nullifiers (
+      nullifier_hash TEXT PRIMARY KEY,
+      transaction_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- nullifiers used to be tracked by a unique index on transactions
+    INSERT OR IGNORE INTO nullifiers (nullifier_hash, transaction_id, created_at)
+      SELECT nullifier_hash, id, created_at FROM transactions
+      WHERE nullifier_hash IS NOT NULL AND status <> 'FAILED';
+
+    DROP INDEX IF EXISTS idx_transactions_nullifier_hash;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS nullifiers;
+    ALTER TABLE transactions DROP COLUMN nullifier_hash;
+  `);
+}
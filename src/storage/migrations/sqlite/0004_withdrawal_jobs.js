@@ -0,0 +1,28 @@
+export function up(db) {
+  db.exec(`
+    -- durable send queue for WITHDRAW rows, see src/withdrawals.js
+    CREATE TABLE IF NOT EXISTS withdrawal_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL UNIQUE,
+      recipient TEXT NOT NULL,
+      lamports INTEGER NOT NULL,
+      signer TEXT NOT NULL, -- pool pubkey that pays out
+      state TEXT NOT NULL DEFAULT 'QUEUED', -- 'QUEUED' | 'SENDING' | 'SUBMITTED' | 'CONFIRMED' | 'FAILED'
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL, -- epoch ms
+      signature TEXT,
+      raw_tx TEXT, -- signed bytes (base64) of the current attempt
+      last_valid_block_height INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_withdrawal_jobs_due
+      ON withdrawal_jobs (state, next_attempt_at);
+  `);
+}
+
+export function down(db) {
+  db.exec("DROP TABLE IF EXISTS withdrawal_jobs");
+}
@@ -0,0 +1,23 @@
+import { ensureColumn } from "./helpers.js";
+
+export function up(db) {
+  // pool wallet the row moved funds in or out of (NULL: the main pool)
+  ensureColumn(db, "transactions", "pool_address", "TEXT");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trigger TEXT NOT NULL, -- 'SCHEDULED' | 'MANUAL'
+      ok INTEGER NOT NULL,
+      report TEXT NOT NULL, -- JSON, see src/reconcile.js
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS reconciliation_reports;
+    ALTER TABLE transactions DROP COLUMN pool_address;
+  `);
+}
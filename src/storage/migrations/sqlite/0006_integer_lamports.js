@@ -0,0 +1,29 @@
+// Balances and amounts move from REAL SOL to INTEGER lamports. Existing
+// values are rounded to the nearest lamport, which also drops the float
+// drift that sums like total = total + 0.1 accumulated.
+
+const COLUMNS = [
+  { table: "zk_proofs", from: "total", to: "total_lamports" },
+  { table: "zk_proofs", from: "spent", to: "spent_lamports" },
+  { table: "transactions", from: "amount", to: "amount_lamports" },
+];
+
+export function up(db) {
+  for (const { table, from, to } of COLUMNS) {
+    db.exec(`
+      ALTER TABLE ${table} ADD COLUMN ${to} INTEGER NOT NULL DEFAULT 0;
+      UPDATE ${table} SET ${to} = CAST(ROUND(${from} * 1000000000) AS INTEGER);
+      ALTER TABLE ${table} DROP COLUMN ${from};
+    `);
+  }
+}
+
+export function down(db) {
+  for (const { table, from, to } of COLUMNS) {
+    db.exec(`
+      ALTER TABLE ${table} ADD COLUMN ${from} REAL NOT NULL DEFAULT 0;
+      UPDATE ${table} SET ${from} = ${to} / 1000000000.0;
+      ALTER TABLE ${table} DROP COLUMN ${to};
+    `);
+  }
+}
@@ -0,0 +1,25 @@
+export function up(db) {
+  db.exec(`
+    -- single-use sign-in challenges, see src/auth.js
+    CREATE TABLE IF NOT EXISTS auth_nonces (
+      nonce TEXT PRIMARY KEY,
+      wallet_pubkey TEXT NOT NULL,
+      message TEXT NOT NULL, -- exact text the wallet has to sign
+      expires_at INTEGER NOT NULL -- epoch ms
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token_hash TEXT PRIMARY KEY, -- sha256 of the bearer token
+      wallet_pubkey TEXT NOT NULL,
+      expires_at INTEGER NOT NULL, -- epoch ms
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS auth_sessions;
+    DROP TABLE IF EXISTS auth_nonces;
+  `);
+}
@@ -0,0 +1,22 @@
+export function up(db) {
+  db.exec(`
+    -- relayer that paid the network fee of a WITHDRAW, and its cut of the
+    -- amount (NULL / 0: sent by the pool itself)
+    ALTER TABLE transactions ADD COLUMN relayer TEXT;
+    ALTER TABLE transactions ADD COLUMN relayer_fee_lamports INTEGER NOT NULL DEFAULT 0;
+
+    -- job lamports are what the recipient receives; fee_lamports go to the
+    -- relayer in the same transaction
+    ALTER TABLE withdrawal_jobs ADD COLUMN relayer TEXT;
+    ALTER TABLE withdrawal_jobs ADD COLUMN fee_lamports INTEGER NOT NULL DEFAULT 0;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE withdrawal_jobs DROP COLUMN fee_lamports;
+    ALTER TABLE withdrawal_jobs DROP COLUMN relayer;
+    ALTER TABLE transactions DROP COLUMN relayer_fee_lamports;
+    ALTER TABLE transactions DROP COLUMN relayer;
+  `);
+}
@@ -0,0 +1,17 @@
+// Notes, ledger rows and send jobs carry the mint they are denominated in;
+// 'SOL' for native SOL, otherwise the SPL mint address. Lamport columns hold
+// base units of that mint.
+
+const TABLES = ["zk_proofs", "transactions", "withdrawal_jobs"];
+
+export function up(db) {
+  for (const table of TABLES) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN mint TEXT NOT NULL DEFAULT 'SOL'`);
+  }
+}
+
+export function down(db) {
+  for (const table of TABLES) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN mint`);
+  }
+}
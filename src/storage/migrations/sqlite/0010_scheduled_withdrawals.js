@@ -0,0 +1,19 @@
+export function up(db) {
+  db.exec(`
+    -- withdrawals held back until release_at (epoch ms) sit in job state
+    -- 'SCHEDULED' with ledger status 'SCHEDULED'; cancelled ones end in
+    -- 'CANCELLED'. NULL: sent right away.
+    ALTER TABLE withdrawal_jobs ADD COLUMN release_at INTEGER;
+  `);
+}
+
+export function down(db) {
+  // older code only knows QUEUED jobs, so scheduled ones go out now
+  db.exec(`
+    UPDATE transactions SET status = 'PENDING'
+    WHERE status = 'SCHEDULED';
+    UPDATE withdrawal_jobs SET state = 'QUEUED'
+    WHERE state = 'SCHEDULED';
+    ALTER TABLE withdrawal_jobs DROP COLUMN release_at;
+  `);
+}
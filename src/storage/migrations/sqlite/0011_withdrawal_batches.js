@@ -0,0 +1,18 @@
+export function up(db) {
+  db.exec(`
+    -- jobs sharing a batch_id go out in one transaction and move through
+    -- their states together; a lone job's batch_id is its transaction_id
+    ALTER TABLE withdrawal_jobs ADD COLUMN batch_id INTEGER;
+    UPDATE withdrawal_jobs SET batch_id = transaction_id;
+
+    CREATE INDEX IF NOT EXISTS idx_withdrawal_jobs_batch
+      ON withdrawal_jobs (batch_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_withdrawal_jobs_batch;
+    ALTER TABLE withdrawal_jobs DROP COLUMN batch_id;
+  `);
+}
@@ -0,0 +1,30 @@
+// Note-to-note transfers inside the pool book a TRANSFER_OUT row on the
+// spent note and a TRANSFER_IN row on the new one (transactions.type has no
+// constraint). Commitments they insert came with no on-chain deposit, so
+// commitments.tx_signature becomes nullable, which SQLite can only do by
+// rebuilding the table.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE commitments_new (
+      tree_id TEXT NOT NULL,
+      leaf_index INTEGER NOT NULL,
+      commitment TEXT NOT NULL UNIQUE,
+      leaf TEXT NOT NULL,
+      tx_signature TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (tree_id, leaf_index)
+    );
+
+    INSERT INTO commitments_new
+      (tree_id, leaf_index, commitment, leaf, tx_signature, created_at)
+    SELECT tree_id, leaf_index, commitment, leaf, tx_signature, created_at
+    FROM commitments;
+
+    DROP TABLE commitments;
+    ALTER TABLE commitments_new RENAME TO commitments;
+  `);
+}
+
+// tx_signature stays nullable: transfer commitments may exist by now
+export function down() {}
@@ -0,0 +1,20 @@
+export function up(db) {
+  db.exec(`
+    -- notes backed up by their owner, encrypted client-side; the server
+    -- only ever sees ciphertext
+    CREATE TABLE IF NOT EXISTS note_backups (
+      wallet_pubkey TEXT NOT NULL,
+      label TEXT NOT NULL, -- chosen by the client, e.g. the zkProofId
+      ciphertext TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (wallet_pubkey, label)
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS note_backups;
+  `);
+}
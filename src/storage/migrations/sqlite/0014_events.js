@@ -0,0 +1,22 @@
+export function up(db) {
+  db.exec(`
+    -- deposit and withdrawal lifecycle events of each wallet, written in the
+    -- same transaction as the change they describe (see src/events.js)
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_pubkey TEXT NOT NULL,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL, -- JSON
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_events_wallet
+      ON events (wallet_pubkey, id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS events;
+  `);
+}
@@ -0,0 +1,65 @@
+export function up(db) {
+  db.exec(`
+    -- operator-registered receivers of the events table (see src/webhooks.js)
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL, -- HMAC-SHA256 key of the signature header
+      event_types TEXT, -- JSON array; NULL for every type
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL
+    );
+
+    -- one row per event per endpoint, retried until it is DELIVERED or FAILED
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id),
+      event_id INTEGER NOT NULL REFERENCES events(id),
+      state TEXT NOT NULL CHECK (state IN ('PENDING', 'DELIVERED', 'FAILED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL, -- epoch ms
+      last_status INTEGER, -- HTTP status of the last attempt
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      delivered_at TEXT,
+      UNIQUE (endpoint_id, event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+      ON webhook_deliveries (state, next_attempt_at);
+
+    -- every attempt of a delivery, for the delivery log
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id),
+      status INTEGER,
+      error TEXT,
+      duration_ms INTEGER NOT NULL,
+      attempted_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery
+      ON webhook_attempts (delivery_id, id);
+
+    -- newest event already fanned out to the endpoints; starts at the
+    -- current one so events from before webhooks existed are not sent
+    CREATE TABLE IF NOT EXISTS webhook_cursor (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      last_event_id INTEGER NOT NULL
+    );
+
+    INSERT OR IGNORE INTO webhook_cursor (id, last_event_id)
+    SELECT 1, COALESCE(MAX(id), 0) FROM events;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_cursor;
+    DROP TABLE IF EXISTS webhook_attempts;
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `);
+}
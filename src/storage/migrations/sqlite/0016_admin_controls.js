@@ -0,0 +1,53 @@
+export function up(db) {
+  db.exec(`
+    -- set while the operator has frozen the note: it cannot be spent
+    ALTER TABLE zk_proofs ADD COLUMN frozen_at TEXT;
+
+    -- global switches of the operator; the one row always exists
+    CREATE TABLE IF NOT EXISTS pool_controls (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      deposits_paused INTEGER NOT NULL DEFAULT 0,
+      withdrawals_paused INTEGER NOT NULL DEFAULT 0,
+      reason TEXT,
+      updated_at TEXT
+    );
+
+    INSERT OR IGNORE INTO pool_controls (id) VALUES (1);
+
+    -- every admin action, written with the change it made; never updated
+    -- or deleted
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      actor TEXT, -- X-Admin-Actor of the request, if given
+      ip TEXT,
+      details TEXT, -- JSON
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+      ON admin_audit_log (target_type, target_id);
+
+    CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update
+    BEFORE UPDATE ON admin_audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete
+    BEFORE DELETE ON admin_audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+    END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS admin_audit_log;
+    DROP TABLE IF EXISTS pool_controls;
+    ALTER TABLE zk_proofs DROP COLUMN frozen_at;
+  `);
+}
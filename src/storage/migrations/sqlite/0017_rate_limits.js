@@ -0,0 +1,20 @@
+export function up(db) {
+  db.exec(`
+    -- request counters of the rate limiter when RATE_LIMIT_STORE=sql
+    -- (see src/ratelimit.js); a row is stale once reset_at (ms) has passed
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY, -- e.g. "withdraw:ip:1.2.3.4"
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS rate_limits_reset_at
+    ON rate_limits (reset_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS rate_limits;
+  `);
+}
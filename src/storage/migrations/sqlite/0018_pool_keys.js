@@ -0,0 +1,58 @@
+export function up(db) {
+  db.exec(`
+    -- every key a pool wallet has had, by the pool's label ("main", or a
+    -- denomination pool's e.g. "0_1"); one ACTIVE per pool, the ones it
+    -- replaced RETIRED
+    CREATE TABLE IF NOT EXISTS pool_keys (
+      address TEXT PRIMARY KEY,
+      pool TEXT NOT NULL,
+      state TEXT NOT NULL, -- ACTIVE | RETIRED
+      source TEXT NOT NULL, -- keystore | env | remote | watch
+      activated_at TEXT NOT NULL,
+      retired_at TEXT,
+      replaced_by TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pool_keys_pool ON pool_keys (pool, state);
+
+    -- transfers of a pool wallet's whole balance of one mint to another
+    -- pool wallet, e.g. out of a retired key; the ledger counts the funds
+    -- at to_address once CONFIRMED
+    CREATE TABLE IF NOT EXISTS pool_sweeps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_address TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      lamports INTEGER NOT NULL,
+      reason TEXT NOT NULL, -- ROTATION
+      state TEXT NOT NULL, -- SUBMITTED | CONFIRMED | FAILED
+      signature TEXT NOT NULL,
+      raw_tx TEXT NOT NULL,
+      last_valid_block_height INTEGER NOT NULL,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pool_sweeps_from
+      ON pool_sweeps (from_address, mint, state);
+
+    -- pool key that signed the job's transaction (signer may still change
+    -- before that, when its key is rotated)
+    ALTER TABLE withdrawal_jobs ADD COLUMN signed_by TEXT;
+
+    UPDATE withdrawal_jobs SET signed_by = signer WHERE signature IS NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_withdrawal_jobs_signed_by
+      ON withdrawal_jobs (signed_by);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_withdrawal_jobs_signed_by;
+    ALTER TABLE withdrawal_jobs DROP COLUMN signed_by;
+    DROP TABLE IF EXISTS pool_sweeps;
+    DROP TABLE IF EXISTS pool_keys;
+  `);
+}
@@ -0,0 +1,44 @@
+// Sweeps now also move a hot wallet's excess over its cap to cold storage
+// (THRESHOLD), and top-ups from cold storage made by hand are recorded
+// (REFILL). Those were not signed here, so raw_tx and
+// last_valid_block_height become nullable, which SQLite can only do by
+// rebuilding the table. A signature is recorded once.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE pool_sweeps_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_address TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      lamports INTEGER NOT NULL,
+      reason TEXT NOT NULL, -- ROTATION | THRESHOLD | REFILL
+      state TEXT NOT NULL, -- SUBMITTED | CONFIRMED | FAILED
+      signature TEXT NOT NULL,
+      raw_tx TEXT,
+      last_valid_block_height INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    INSERT INTO pool_sweeps_new
+    SELECT id, from_address, to_address, mint, lamports, reason, state,
+           signature, raw_tx, last_valid_block_height, last_error,
+           created_at, updated_at
+    FROM pool_sweeps;
+
+    DROP TABLE pool_sweeps;
+    ALTER TABLE pool_sweeps_new RENAME TO pool_sweeps;
+
+    CREATE INDEX IF NOT EXISTS idx_pool_sweeps_from
+      ON pool_sweeps (from_address, mint, state);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pool_sweeps_signature
+      ON pool_sweeps (signature);
+  `);
+}
+
+// The columns stay nullable: recorded top-ups may exist by now
+export function down(db) {
+  db.exec("DROP INDEX IF EXISTS idx_pool_sweeps_signature");
+}
@@ -0,0 +1,13 @@
+export function up(db) {
+  // Withdrawals refused by the policy (see src/policy.js) are kept as
+  // REJECTED rows, with the code they were refused with
+  db.exec(`
+    ALTER TABLE transactions ADD COLUMN rejection_code TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE transactions DROP COLUMN rejection_code;
+  `);
+}
@@ -0,0 +1,105 @@
+/**
+ * Numbered schema migrations on top of a store's `migrations` primitives
+ * (definitions, applied, apply, revert). Migration lists live in
+ * ./migrations/<driver>/index.js; the runner itself is driver agnostic.
+ */
+
+export function migrationLabel(migration) {
+  return `${String(migration.version).padStart(4, "0")}_${migration.name}`;
+}
+
+export async function migrationStatus(store) {
+  const { definitions } = store.migrations;
+  const applied = await store.migrations.applied();
+  const appliedAt = new Map(applied.map((r) => [r.version, r.applied_at]));
+
+  const rows = definitions.map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: appliedAt.has(m.version),
+    appliedAt: appliedAt.get(m.version) || null,
+  }));
+
+  // applied by a newer version of the code
+  const known = new Set(definitions.map((m) => m.version));
+  const unknown = applied
+    .filter((r) => !known.has(r.version))
+    .map((r) => ({
+      version: r.version,
+      name: r.name,
+      applied: true,
+      appliedAt: r.applied_at,
+      unknown: true,
+    }));
+
+  return [...rows, ...unknown].sort((a, b) => a.version - b.version);
+}
+
+export async function pendingMigrations(store) {
+  const status = await migrationStatus(store);
+  return status.filter((m) => !m.applied);
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` (default: all).
+ * Refuses to run against a database migrated by newer code.
+ */
+export async function migrateUp(store, { to = Infinity, log = () => {} } = {}) {
+  const status = await migrationStatus(store);
+  const unknown = status.filter((m) => m.unknown);
+  if (unknown.length) {
+    throw new Error(
+      `Database has migrations this code does not know: ${unknown
+        .map(migrationLabel)
+        .join(", ")}`
+    );
+  }
+
+  const pending = new Set(
+    status.filter((m) => !m.applied && m.version <= to).map((m) => m.version)
+  );
+  const done = [];
+  for (const migration of store.migrations.definitions) {
+    if (!pending.has(migration.version)) continue;
+    if (await store.migrations.apply(migration)) {
+      log(`Applied migration ${migrationLabel(migration)}`);
+      done.push(migration);
+    }
+  }
+  return done;
+}
+
+// Revert the `steps` most recently applied migrations, newest first.
+// Refuses, before reverting any, if one of them has no `down` (the
+// baseline, whose tables may hold a ledger older than the migrations).
+export async function migrateDown(store, { steps = 1, log = () => {} } = {}) {
+  const byVersion = new Map(
+    store.migrations.definitions.map((m) => [m.version, m])
+  );
+  const applied = (await store.migrations.applied())
+    .map((r) => r.version)
+    .sort((a, b) => b - a)
+    .slice(0, steps);
+
+  const reverting = applied.map((version) => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Cannot revert unknown migration ${version}`);
+    }
+    if (!migration.down) {
+      throw new Error(
+        `Cannot revert migration ${migrationLabel(migration)}: it has no down step`
+      );
+    }
+    return migration;
+  });
+
+  const done = [];
+  for (const migration of reverting) {
+    if (await store.migrations.revert(migration)) {
+      log(`Reverted migration ${migrationLabel(migration)}`);
+      done.push(migration);
+    }
+  }
+  return done;
+}
@@ -0,0 +1,2089 @@
+import pg from "pg";
+import { MERKLE_TREE_DEPTH, createPgMerkleStore } from "../merkle.js";
+import { withdrawalEventData, withdrawalRejectedData } from "../events.js";
+import { SHIELDED_POOL } from "../pools.js";
+import { MAX_OUTPUTS_PER_TX } from "../solana.js";
+import {
+  operatorCancelConflict,
+  operatorRetryConflict,
+} from "../withdrawals.js";
+import { migrations as pgMigrations } from "./migrations/postgres/index.js";
+
+const { Pool } = pg;
+
+// Other BIGINT columns (epoch ms, block heights, counts) stay well inside a
+// double, so hand them back as numbers like better-sqlite3 does. Lamport
+// columns are selected as text and parsed into BigInt instead.
+const types = {
+  getTypeParser: (oid, format) =>
+    oid === pg.types.builtins.INT8
+      ? Number
+      : pg.types.getTypeParser(oid, format),
+};
+
+function withBigInts(row, ...columns) {
+  if (!row) return null;
+  const out = { ...row };
+  for (const c of columns) out[c] = BigInt(row[c]);
+  return out;
+}
+
+const PROOF_COLUMNS = `
+  zk_proof_id AS id, wallet_pubkey, note_hash, mint,
+  total_lamports::text AS total_lamports, spent_lamports::text AS spent_lamports,
+  created_at, frozen_at
+`;
+
+// Columns of zk_transfers under the names the routes use (see ./index.js)
+const TRANSFER_COLUMNS = `
+  id, wallet_pubkey, COALESCE(zk_proof_id, '${SHIELDED_POOL}') AS zk_proof_id,
+  direction AS type, mint, amount_lamports::text AS amount_lamports, recipient,
+  tx_signature, status, relayer,
+  relayer_fee_lamports::text AS relayer_fee_lamports, rejection_code,
+  (SELECT release_at FROM withdrawal_jobs j
+   WHERE j.transaction_id = zk_transfers.id) AS release_at,
+  created_at
+`;
+
+const JOB_COLUMNS = `
+  id, transaction_id, batch_id, recipient, lamports::text AS lamports,
+  fee_lamports::text AS fee_lamports, mint, signer, signed_by, relayer,
+  state, attempts, next_attempt_at, release_at, signature, raw_tx,
+  last_valid_block_height, last_error, created_at, updated_at
+`;
+
+// Jobs nothing has been signed for yet, and all jobs not settled yet
+const UNSIGNED_JOB_STATES =
+  "'IN_REVIEW', 'SCHEDULED', 'QUEUED', 'AWAITING_LIQUIDITY'";
+const UNSETTLED_JOB_STATES = `${UNSIGNED_JOB_STATES}, 'SENDING', 'SUBMITTED'`;
+
+const SWEEP_COLUMNS = `
+  id, from_address, to_address, mint, lamports::text AS lamports, reason,
+  state, signature, raw_tx, last_valid_block_height, last_error, created_at,
+  updated_at
+`;
+
+const POOL_KEY_COLUMNS = `
+  address, pool, state, source, activated_at, retired_at, replaced_by,
+  (SELECT COUNT(*) FROM withdrawal_jobs j WHERE j.signed_by = pool_keys.address)
+    AS signed_withdrawals
+`;
+
+/**
+ * Postgres implementation of the storage interface (see ./index.js). Its
+ * methods behave as documented on their ./sqlite.js counterparts.
+ *
+ * The tables keep their original names (zk_proofs.zk_proof_id,
+ * zk_transfers.direction); queries alias them to
+ * the row shape the routes expect. Writes that touch several tables run in
+ * one transaction on a dedicated client.
+ */
+export function createPgStore(
+  connectionString,
+  { treeDepth = MERKLE_TREE_DEPTH } = {}
+) {
+  const pool = new Pool({ connectionString, types });
+
+  // Events queued by insertEvent() for the transaction of each client
+  const queuedEvents = new WeakMap();
+
+  // Runs fn(client) in a transaction. A result with `conflict` set is rolled
+  // back and returned as is.
+  async function transaction(fn) {
+    const client = await pool.connect();
+    const events = [];
+    queuedEvents.set(client, events);
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      if (result && result.conflict) {
+        await client.query("ROLLBACK");
+      } else {
+        await writeEvents(client, events);
+        await client.query("COMMIT");
+      }
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      queuedEvents.delete(client);
+      client.release();
+    }
+  }
+
+  // ---------- schema migrations ----------
+
+  async function ensureMigrationsTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  }
+
+  // Holds the migration lock for the rest of the transaction, so two
+  // processes starting at once cannot run the same step
+  async function lockMigrations(client, version) {
+    await client.query(
+      "SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))"
+    );
+    const { rows } = await client.query(
+      `SELECT 1 FROM schema_migrations WHERE version = $1`,
+      [version]
+    );
+    return rows.length > 0;
+  }
+
+  // Each step runs in its own transaction together with its bookkeeping
+  // row. Resolves to false if another process applied or reverted it first.
+  const migrations = {
+    definitions: pgMigrations,
+    async applied() {
+      await ensureMigrationsTable();
+      const { rows } = await pool.query(
+        `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+      );
+      return rows;
+    },
+    async apply(migration) {
+      await ensureMigrationsTable();
+      const result = await transaction(async (client) => {
+        if (await lockMigrations(client, migration.version)) {
+          return { conflict: "already applied" };
+        }
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+        return {};
+      });
+      return !result.conflict;
+    },
+    async revert(migration) {
+      await ensureMigrationsTable();
+      const result = await transaction(async (client) => {
+        if (!(await lockMigrations(client, migration.version))) {
+          return { conflict: "not applied" };
+        }
+        await migration.down(client);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+          migration.version,
+        ]);
+        return {};
+      });
+      return !result.conflict;
+    },
+  };
+
+  async function close() {
+    await pool.end();
+  }
+
+  // ---------- zk_proofs ----------
+
+  async function insertZkProof({
+    id,
+    walletPubkey,
+    noteHash,
+    mint,
+    createdAt,
+  }) {
+    const { rowCount } = await pool.query(
+      `
+      INSERT INTO zk_proofs (zk_proof_id, wallet_pubkey, note_hash, mint, created_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (zk_proof_id) DO NOTHING
+      `,
+      [id, walletPubkey, noteHash, mint, createdAt]
+    );
+    return rowCount > 0;
+  }
+
+  async function getZkProof(id) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${PROOF_COLUMNS}
+      FROM zk_proofs
+      WHERE zk_proof_id = $1
+      `,
+      [id]
+    );
+    return withBigInts(rows[0], "total_lamports", "spent_lamports");
+  }
+
+  async function listZkProofs(walletPubkey) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${PROOF_COLUMNS}
+      FROM zk_proofs
+      WHERE wallet_pubkey = $1
+      ORDER BY created_at DESC
+      `,
+      [walletPubkey]
+    );
+    return rows.map((r) => withBigInts(r, "total_lamports", "spent_lamports"));
+  }
+
+  // ---------- events ----------
+
+  // Event ids come from a sequence, which hands them out before commit, so
+  // a reader could see one before a lower one that is still being written
+  // and move past it. Events are therefore written last, under a lock that
+  // keeps every other writer of events out until this transaction commits:
+  // an id only becomes visible after all lower ones have. Nothing else is
+  // locked after it, so it cannot take part in a deadlock.
+  async function writeEvents(client, events) {
+    if (events.length === 0) return;
+    await client.query(`LOCK TABLE events IN EXCLUSIVE MODE`);
+    for (const event of events) await client.query(event);
+  }
+
+  // Queues an event for the end of the transaction `client` is in
+  function insertEvent(client, walletPubkey, type, data, createdAt) {
+    queuedEvents.get(client).push({
+      text: `
+        INSERT INTO events (wallet_pubkey, type, data, created_at)
+        VALUES ($1, $2, $3, $4)
+      `,
+      values: [walletPubkey, type, JSON.stringify(data), createdAt],
+    });
+  }
+
+  // Filed under the wallet of the job's ledger row
+  function insertWithdrawalEvent(client, type, job) {
+    queuedEvents.get(client).push({
+      text: `
+        INSERT INTO events (wallet_pubkey, type, data, created_at)
+        SELECT wallet_pubkey, $1, $2, $3 FROM zk_transfers WHERE id = $4
+      `,
+      values: [
+        type,
+        JSON.stringify(withdrawalEventData(job)),
+        job.updated_at,
+        job.transaction_id,
+      ],
+    });
+  }
+
+  async function lastEventId() {
+    const { rows } = await pool.query(
+      `SELECT COALESCE(MAX(id), 0) AS id FROM events`
+    );
+    return rows[0].id;
+  }
+
+  async function eventsSince(afterId, limit) {
+    const { rows } = await pool.query(
+      `
+      SELECT id, wallet_pubkey, type, data, created_at FROM events
+      WHERE id > $1
+      ORDER BY id
+      LIMIT $2
+      `,
+      [afterId, limit]
+    );
+    return rows;
+  }
+
+  async function walletEventsSince(walletPubkey, afterId, limit) {
+    const { rows } = await pool.query(
+      `
+      SELECT id, wallet_pubkey, type, data, created_at FROM events
+      WHERE wallet_pubkey = $1 AND id > $2
+      ORDER BY id
+      LIMIT $3
+      `,
+      [walletPubkey, afterId, limit]
+    );
+    return rows;
+  }
+
+  // ---------- webhooks ----------
+
+  const ENDPOINT_COLUMNS =
+    "id, url, secret, event_types, description, active, created_at";
+
+  async function createWebhookEndpoint({
+    url,
+    secret,
+    eventTypes,
+    description,
+    createdAt,
+    audit,
+  }) {
+    return transaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        INSERT INTO webhook_endpoints (url, secret, event_types, description, created_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${ENDPOINT_COLUMNS}
+        `,
+        [url, secret, eventTypes, description, createdAt]
+      );
+      await insertAudit(client, { ...audit, targetId: rows[0].id });
+      return rows[0];
+    });
+  }
+
+  async function getWebhookEndpoint(id) {
+    const { rows } = await pool.query(
+      `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async function listWebhookEndpoints() {
+    const { rows } = await pool.query(
+      `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints ORDER BY id`
+    );
+    return rows;
+  }
+
+  async function setWebhookEndpointActive(id, active, audit) {
+    return transaction(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE webhook_endpoints SET active = $1 WHERE id = $2`,
+        [active, id]
+      );
+      if (rowCount === 0) return false;
+      await insertAudit(client, audit);
+      return true;
+    });
+  }
+
+  // Endpoint `w` is subscribed to the type of event `e`
+  const ENDPOINT_WANTS_EVENT = `
+    (w.event_types IS NULL OR e.type = ANY (w.event_types))
+  `;
+
+  // Turns up to `limit` events past the cursor into PENDING deliveries for
+  // the endpoints active now, moving the cursor with them. Resolves to the
+  // number of events taken. Ids become visible in order (see writeEvents),
+  // so the cursor never skips an event that is still being written.
+  async function enqueueWebhookDeliveries(now, limit) {
+    return transaction(async (client) => {
+      const cursor = await client.query(
+        `SELECT last_event_id FROM webhook_cursor WHERE id = 1 FOR UPDATE`
+      );
+      const { rows } = await client.query(
+        `
+        SELECT id FROM events
+        WHERE id > $1
+        ORDER BY id
+        LIMIT $2
+        `,
+        [cursor.rows[0].last_event_id, limit]
+      );
+      if (rows.length === 0) return 0;
+
+      const upTo = rows[rows.length - 1].id;
+      await client.query(
+        `
+        INSERT INTO webhook_deliveries
+          (endpoint_id, event_id, state, attempts, next_attempt_at, created_at, updated_at)
+        SELECT w.id, e.id, 'PENDING', 0, $1, $2, $2
+        FROM events e
+        JOIN webhook_endpoints w ON w.active AND ${ENDPOINT_WANTS_EVENT}
+        WHERE e.id = ANY ($3)
+        ORDER BY e.id, w.id
+        ON CONFLICT (endpoint_id, event_id) DO NOTHING
+        `,
+        [now, new Date(now).toISOString(), rows.map((r) => r.id)]
+      );
+      await client.query(
+        `UPDATE webhook_cursor SET last_event_id = $1 WHERE id = 1`,
+        [upTo]
+      );
+      return rows.length;
+    });
+  }
+
+  async function dueWebhookDeliveries(now, limit) {
+    const { rows } = await pool.query(
+      `
+      SELECT d.id, d.endpoint_id, d.attempts, w.url, w.secret,
+        e.id AS event_id, e.wallet_pubkey, e.type, e.data, e.created_at
+      FROM webhook_deliveries d
+      JOIN webhook_endpoints w ON w.id = d.endpoint_id
+      JOIN events e ON e.id = d.event_id
+      WHERE d.state = 'PENDING' AND d.next_attempt_at <= $1 AND w.active
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT $2
+      `,
+      [now, limit]
+    );
+    return rows.map(
+      ({ event_id, wallet_pubkey, type, data, created_at, ...d }) => ({
+        ...d,
+        event: { id: event_id, wallet_pubkey, type, data, created_at },
+      })
+    );
+  }
+
+  // Logs one attempt and moves the delivery on: DELIVERED, FAILED, or
+  // PENDING again at nextAttemptAt
+  async function recordWebhookAttempt(a) {
+    await transaction(async (client) => {
+      await client.query(
+        `
+        INSERT INTO webhook_attempts (delivery_id, status, error, duration_ms, attempted_at)
+        VALUES ($1, $2, $3, $4, $5)
+        `,
+        [a.deliveryId, a.status, a.error, a.durationMs, a.attemptedAt]
+      );
+      await client.query(
+        `
+        UPDATE webhook_deliveries
+        SET state = $1, attempts = $2, next_attempt_at = $3, last_status = $4,
+            last_error = $5, updated_at = $6,
+            delivered_at = CASE WHEN $1 = 'DELIVERED' THEN $6 ELSE delivered_at END
+        WHERE id = $7
+        `,
+        [
+          a.state,
+          a.attempts,
+          a.nextAttemptAt,
+          a.status,
+          a.error,
+          a.attemptedAt,
+          a.deliveryId,
+        ]
+      );
+    });
+  }
+
+  const DELIVERY_COLUMNS = `
+    d.id, d.endpoint_id, d.event_id, e.type AS event_type, d.state,
+    d.attempts, d.next_attempt_at, d.last_status, d.last_error, d.created_at,
+    d.updated_at, d.delivered_at
+  `;
+
+  async function listWebhookDeliveries({ endpointId, state = null, limit }) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries d JOIN events e ON e.id = d.event_id
+      WHERE d.endpoint_id = $1 AND ($2::text IS NULL OR d.state = $2)
+      ORDER BY d.id DESC
+      LIMIT $3
+      `,
+      [endpointId, state, limit]
+    );
+    return rows;
+  }
+
+  async function getWebhookDelivery(id) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries d JOIN events e ON e.id = d.event_id
+      WHERE d.id = $1
+      `,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async function listWebhookAttempts(deliveryId) {
+    const { rows } = await pool.query(
+      `
+      SELECT id, status, error, duration_ms, attempted_at FROM webhook_attempts
+      WHERE delivery_id = $1
+      ORDER BY id
+      `,
+      [deliveryId]
+    );
+    return rows;
+  }
+
+  // Sends a delivery again from scratch, whatever its state
+  async function replayWebhookDelivery(id, now, audit) {
+    return transaction(async (client) => {
+      const { rowCount } = await client.query(
+        `
+        UPDATE webhook_deliveries
+        SET state = 'PENDING', attempts = 0, next_attempt_at = $1, updated_at = $2
+        WHERE id = $3
+        `,
+        [now, new Date(now).toISOString(), id]
+      );
+      if (rowCount === 0) return false;
+      await insertAudit(client, audit);
+      return true;
+    });
+  }
+
+  // Queues the events fromEventId..toEventId the endpoint is subscribed to
+  // for it again, including ones it never had a delivery for. Resolves to
+  // the number of deliveries queued.
+  async function replayWebhookEvents({
+    endpointId,
+    fromEventId,
+    toEventId,
+    now,
+    audit,
+  }) {
+    return transaction(async (client) => {
+      const { rowCount } = await client.query(
+        `
+        INSERT INTO webhook_deliveries
+          (endpoint_id, event_id, state, attempts, next_attempt_at, created_at, updated_at)
+        SELECT w.id, e.id, 'PENDING', 0, $1, $2, $2
+        FROM events e
+        JOIN webhook_endpoints w ON w.id = $3 AND ${ENDPOINT_WANTS_EVENT}
+        WHERE e.id >= $4 AND e.id <= $5
+        ORDER BY e.id
+        ON CONFLICT (endpoint_id, event_id) DO UPDATE
+        SET state = 'PENDING', attempts = 0,
+            next_attempt_at = EXCLUDED.next_attempt_at,
+            updated_at = EXCLUDED.updated_at
+        `,
+        [now, new Date(now).toISOString(), endpointId, fromEventId, toEventId]
+      );
+      await insertAudit(client, audit);
+      return rowCount;
+    });
+  }
+
+  // ---------- deposits ----------
+
+  // Shielded deposits from before this store also wrote a zk_transfers row
+  // are only in commitments; either table means the signature was credited.
+  async function depositSignatureSeen(db, txSignature) {
+    const { rows } = await db.query(
+      `
+      SELECT 1 FROM zk_transfers WHERE direction = 'DEPOSIT' AND tx_signature = $1
+      UNION ALL
+      SELECT 1 FROM commitments WHERE tx_signature = $1
+      `,
+      [txSignature]
+    );
+    return rows.length > 0;
+  }
+
+  async function isDepositRecorded(txSignature) {
+    return depositSignatureSeen(pool, txSignature);
+  }
+
+  async function isCommitmentRecorded(commitment) {
+    const { rows } = await pool.query(
+      `SELECT 1 FROM commitments WHERE commitment = $1`,
+      [commitment]
+    );
+    return rows.length > 0;
+  }
+
+  async function recordDeposit(deposit) {
+    try {
+      return await transaction(async (client) => {
+        // serialise concurrent requests for the same signature across both tables
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          deposit.txSignature,
+        ]);
+        if (await depositSignatureSeen(client, deposit.txSignature)) {
+          return { conflict: "txSignature has already been recorded" };
+        }
+
+        let inserted = {};
+        if (deposit.commitment) {
+          const { treeId, commitment, leaf } = deposit.commitment;
+          const { rows: taken } = await client.query(
+            `SELECT 1 FROM commitments WHERE commitment = $1`,
+            [commitment]
+          );
+          if (taken.length > 0) {
+            return { conflict: "commitment already deposited" };
+          }
+
+          inserted = await merkleTree(treeId).insert(client, BigInt(leaf));
+          await client.query(
+            `
+            INSERT INTO commitments (tree_id, leaf_index, commitment, leaf, tx_signature, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            `,
+            [
+              treeId,
+              inserted.leafIndex,
+              commitment,
+              leaf,
+              deposit.txSignature,
+              deposit.createdAt,
+            ]
+          );
+        } else {
+          await client.query(
+            `UPDATE zk_proofs SET total_lamports = total_lamports + $1 WHERE zk_proof_id = $2`,
+            [deposit.lamports, deposit.zkProofId]
+          );
+        }
+
+        const { rows: row } = await client.query(
+          `
+          INSERT INTO zk_transfers
+          (zk_proof_id, wallet_pubkey, direction, mint, amount_lamports, recipient, tx_signature, status, pool_address, created_at)
+          VALUES ($1, $2, 'DEPOSIT', $3, $4, $5, $6, 'CONFIRMED', $7, $8)
+          RETURNING id
+          `,
+          [
+            deposit.zkProofId || null,
+            deposit.walletPubkey,
+            deposit.mint,
+            deposit.lamports,
+            SHIELDED_POOL,
+            deposit.txSignature,
+            deposit.poolAddress,
+            deposit.createdAt,
+          ]
+        );
+
+        insertEvent(
+          client,
+          deposit.walletPubkey,
+          "deposit.credited",
+          {
+            id: row[0].id,
+            zkProofId: deposit.zkProofId || null,
+            mint: deposit.mint,
+            amountLamports: deposit.lamports.toString(),
+            txSignature: deposit.txSignature,
+          },
+          deposit.createdAt
+        );
+
+        return inserted;
+      });
+    } catch (err) {
+      // unique_violation on a deposit signature or commitment: lost a race
+      if (err.code === "23505") {
+        return { conflict: "deposit has already been recorded" };
+      }
+      throw err;
+    }
+  }
+
+  // ---------- withdrawals ----------
+
+  // Adds `lamports` to what the zk_proof has spent if that much is left and
+  // the note is not frozen; resolves to the conflict message otherwise
+  async function lockProofFunds(client, zkProofId, lamports) {
+    const { rowCount } = await client.query(
+      `
+      UPDATE zk_proofs SET spent_lamports = spent_lamports + $1
+      WHERE zk_proof_id = $2 AND frozen_at IS NULL
+        AND total_lamports - spent_lamports >= $1
+      `,
+      [lamports, zkProofId]
+    );
+    if (rowCount > 0) return null;
+    const { rows } = await client.query(
+      `SELECT frozen_at FROM zk_proofs WHERE zk_proof_id = $1`,
+      [zkProofId]
+    );
+    return rows[0]?.frozen_at
+      ? "zk_proof is frozen by the operator"
+      : "Insufficient shielded balance";
+  }
+
+  // Counts transfers out of a zk_proof too, as the SQLite store explains
+  async function withdrawnSince(client, where, params, mint, since) {
+    const { rows } = await client.query(
+      `
+      SELECT COALESCE(SUM(amount_lamports), 0)::text AS lamports
+      FROM zk_transfers
+      WHERE ${where} AND mint = $${params.length + 1}
+        AND (direction = 'WITHDRAW'
+          OR (direction = 'TRANSFER_OUT' AND zk_proof_id IS NOT NULL))
+        AND status NOT IN ('FAILED', 'CANCELLED', 'REJECTED')
+        AND created_at >= $${params.length + 2}
+      `,
+      [...params, mint, since]
+    );
+    return BigInt(rows[0].lamports);
+  }
+
+  // Shielded spends (zk_proof_id NULL here) count per pool wallet
+  async function overLimit(client, w, total) {
+    const { perNote, perDay, since } = w.limits;
+    const over = (code, limit, withdrawn) =>
+      withdrawn + total > limit
+        ? { code, left: withdrawn < limit ? limit - withdrawn : 0n }
+        : null;
+
+    // withdrawals from the same note or owner, or shielded ones from the
+    // same pool wallet, check their limits one at a time
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `withdrawal_limits:${
+        w.zkProofId ? w.walletPubkey : `shielded:${w.poolAddress}`
+      }`,
+    ]);
+    if (perNote !== null) {
+      const withdrawn = w.zkProofId
+        ? await withdrawnSince(
+            client,
+            "zk_proof_id = $1",
+            [w.zkProofId],
+            w.mint,
+            since
+          )
+        : 0n;
+      const rejection = over("NOTE_LIMIT_EXCEEDED", perNote, withdrawn);
+      if (rejection) return rejection;
+    }
+    if (perDay !== null) {
+      const withdrawn = w.zkProofId
+        ? await withdrawnSince(
+            client,
+            "wallet_pubkey = $1 AND zk_proof_id IS NOT NULL",
+            [w.walletPubkey],
+            w.mint,
+            since
+          )
+        : await withdrawnSince(
+            client,
+            "zk_proof_id IS NULL AND pool_address = $1",
+            [w.poolAddress],
+            w.mint,
+            since
+          );
+      return over("DAILY_LIMIT_EXCEEDED", perDay, withdrawn);
+    }
+    return null;
+  }
+
+  // With `review` the rows wait IN_REVIEW for an admin (see
+  // approveWithdrawal), whether or not they are scheduled too
+  async function createWithdrawal(w) {
+    const releaseAt = w.releaseAt ?? null;
+    const scheduled = releaseAt !== null;
+    const held = w.review ? "IN_REVIEW" : null;
+    const total = w.outputs.reduce((sum, o) => sum + o.lamports, 0n);
+    return transaction(async (client) => {
+      if (w.limits) {
+        const rejection = await overLimit(client, w, total);
+        if (rejection) return { rejection };
+      }
+      if (w.zkProofId) {
+        const conflict = await lockProofFunds(client, w.zkProofId, total);
+        if (conflict) return { conflict };
+      }
+
+      const ids = [];
+      let batchId = null;
+      for (const [i, output] of w.outputs.entries()) {
+        const feeLamports = output.feeLamports || 0n;
+        const { rows: inserted } = await client.query(
+          `
+          INSERT INTO zk_transfers
+          (zk_proof_id, wallet_pubkey, direction, mint, amount_lamports, recipient, tx_signature, status, nullifier_hash, pool_address, relayer, relayer_fee_lamports, created_at)
+          VALUES ($1, $2, 'WITHDRAW', $3, $4, $5, NULL, $6, $7, $8, $9, $10, $11)
+          RETURNING id
+          `,
+          [
+            w.zkProofId || null,
+            w.walletPubkey,
+            w.mint,
+            output.lamports,
+            output.recipient,
+            held || (scheduled ? "SCHEDULED" : "PENDING"),
+            w.nullifierHash || null,
+            w.poolAddress,
+            w.relayer || null,
+            feeLamports,
+            w.createdAt,
+          ]
+        );
+        const id = inserted[0].id;
+        ids.push(id);
+        if (i % MAX_OUTPUTS_PER_TX === 0) batchId = id;
+
+        await client.query(
+          `
+          INSERT INTO withdrawal_jobs
+          (transaction_id, batch_id, recipient, mint, lamports, fee_lamports, signer, relayer, state, attempts, next_attempt_at, release_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 0, $10, $11)
+          `,
+          [
+            id,
+            batchId,
+            output.recipient,
+            w.mint,
+            output.lamports - feeLamports,
+            feeLamports,
+            w.poolAddress,
+            w.relayer || null,
+            held || (scheduled ? "SCHEDULED" : "QUEUED"),
+            scheduled ? releaseAt : Date.now(),
+            releaseAt,
+          ]
+        );
+      }
+
+      if (w.nullifierHash) {
+        try {
+          // a concurrent spend of the same note blocks here, then fails with 23505
+          await client.query(
+            `INSERT INTO nullifiers (nullifier_hash, transfer_id, created_at) VALUES ($1, $2, $3)`,
+            [w.nullifierHash, ids[0], w.createdAt]
+          );
+        } catch (err) {
+          if (err.code === "23505") {
+            return { conflict: "Note has already been spent" };
+          }
+          throw err;
+        }
+      }
+
+      return { ids };
+    });
+  }
+
+  // Keeps a withdrawal the policy refused as REJECTED rows, one per
+  // output, with `rejection.code`; nothing is locked or queued
+  async function recordRejectedWithdrawal(w) {
+    return transaction(async (client) => {
+      const ids = [];
+      for (const output of w.outputs) {
+        const { rows } = await client.query(
+          `
+          INSERT INTO zk_transfers
+          (zk_proof_id, wallet_pubkey, direction, mint, amount_lamports, recipient, tx_signature, status, pool_address, relayer, relayer_fee_lamports, rejection_code, created_at)
+          VALUES ($1, $2, 'WITHDRAW', $3, $4, $5, NULL, 'REJECTED', $6, $7, $8, $9, $10)
+          RETURNING id
+          `,
+          [
+            w.zkProofId || null,
+            w.walletPubkey,
+            w.mint,
+            output.lamports,
+            output.recipient,
+            w.poolAddress,
+            w.relayer || null,
+            output.feeLamports || 0n,
+            w.rejection.code,
+            w.createdAt,
+          ]
+        );
+        const id = rows[0].id;
+        ids.push(id);
+        insertEvent(
+          client,
+          w.walletPubkey,
+          "withdrawal.rejected",
+          withdrawalRejectedData(
+            {
+              id,
+              mint: w.mint,
+              amount_lamports: output.lamports,
+              recipient: output.recipient,
+            },
+            w.rejection
+          ),
+          w.createdAt
+        );
+      }
+      return { ids };
+    });
+  }
+
+  async function getNullifier(nullifierHash) {
+    const { rows } = await pool.query(
+      `SELECT nullifier_hash, created_at FROM nullifiers WHERE nullifier_hash = $1`,
+      [nullifierHash]
+    );
+    return rows[0] || null;
+  }
+
+  async function history(walletPubkey) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${TRANSFER_COLUMNS}
+      FROM zk_transfers
+      WHERE wallet_pubkey = $1
+      ORDER BY created_at DESC, id DESC
+      `,
+      [walletPubkey]
+    );
+    return rows.map((r) =>
+      withBigInts(r, "amount_lamports", "relayer_fee_lamports")
+    );
+  }
+
+  // ---------- internal transfers ----------
+
+  async function recordInternalTransfer(t) {
+    const { from, to } = t;
+    try {
+      return await transaction(async (client) => {
+        if (t.limits && from.zkProofId) {
+          const rejection = await overLimit(
+            client,
+            { ...from, mint: t.mint, limits: t.limits },
+            t.lamports
+          );
+          if (rejection) return { rejection };
+        }
+        if (from.zkProofId) {
+          const conflict = await lockProofFunds(
+            client,
+            from.zkProofId,
+            t.lamports
+          );
+          if (conflict) return { conflict };
+        }
+
+        let inserted = {};
+        if (to.zkProofId) {
+          const { rowCount } = await client.query(
+            `
+            INSERT INTO zk_proofs (zk_proof_id, wallet_pubkey, note_hash, mint, total_lamports, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (zk_proof_id) DO NOTHING
+            `,
+            [
+              to.zkProofId,
+              to.walletPubkey,
+              to.noteHash,
+              t.mint,
+              t.lamports,
+              t.createdAt,
+            ]
+          );
+          if (rowCount === 0) {
+            return { conflict: "ID collision, retry request" };
+          }
+        } else {
+          const { rows: taken } = await client.query(
+            `SELECT 1 FROM commitments WHERE commitment = $1`,
+            [to.commitment]
+          );
+          if (taken.length > 0) {
+            return { conflict: "commitment already deposited" };
+          }
+
+          inserted = await merkleTree(to.treeId).insert(
+            client,
+            BigInt(to.leaf)
+          );
+          await client.query(
+            `
+            INSERT INTO commitments (tree_id, leaf_index, commitment, leaf, tx_signature, created_at)
+            VALUES ($1, $2, $3, $4, NULL, $5)
+            `,
+            [to.treeId, inserted.leafIndex, to.commitment, to.leaf, t.createdAt]
+          );
+        }
+
+        const insertRow = `
+          INSERT INTO zk_transfers
+          (zk_proof_id, wallet_pubkey, direction, mint, amount_lamports, recipient, tx_signature, status, nullifier_hash, pool_address, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NULL, 'CONFIRMED', $7, $8, $9)
+          RETURNING id
+        `;
+        const { rows: out } = await client.query(insertRow, [
+          from.zkProofId || null,
+          from.walletPubkey || SHIELDED_POOL,
+          "TRANSFER_OUT",
+          t.mint,
+          t.lamports,
+          to.zkProofId || SHIELDED_POOL,
+          from.nullifierHash || null,
+          t.poolAddress,
+          t.createdAt,
+        ]);
+        const { rows: into } = await client.query(insertRow, [
+          to.zkProofId || null,
+          to.walletPubkey || SHIELDED_POOL,
+          "TRANSFER_IN",
+          t.mint,
+          t.lamports,
+          SHIELDED_POOL,
+          null,
+          t.poolAddress,
+          t.createdAt,
+        ]);
+        const ids = [out[0].id, into[0].id];
+
+        if (from.nullifierHash) {
+          // a concurrent spend of the same note blocks here, then fails with 23505
+          await client.query(
+            `INSERT INTO nullifiers (nullifier_hash, transfer_id, created_at) VALUES ($1, $2, $3)`,
+            [from.nullifierHash, ids[0], t.createdAt]
+          );
+        }
+
+        return { ids, ...inserted };
+      });
+    } catch (err) {
+      // unique_violation on the nullifier or the new commitment: lost a race
+      if (err.code === "23505") {
+        return { conflict: "Note or commitment has already been used" };
+      }
+      throw err;
+    }
+  }
+
+  // ---------- withdrawal jobs ----------
+
+  // Jobs that have been settled (e.g. cancelled by the operator while the
+  // queue held them) are left alone; resolves to whether the job was updated
+  async function updateJob(db, job) {
+    const { rowCount } = await db.query(
+      `
+      UPDATE withdrawal_jobs
+      SET state = $2,
+          attempts = $3,
+          next_attempt_at = $4,
+          signature = $5,
+          raw_tx = $6,
+          last_valid_block_height = $7,
+          last_error = $8,
+          updated_at = $9,
+          signed_by = $10
+      WHERE id = $1 AND state NOT IN ('CONFIRMED', 'FAILED', 'CANCELLED')
+      `,
+      [
+        job.id,
+        job.state,
+        job.attempts,
+        job.next_attempt_at,
+        job.signature,
+        job.raw_tx,
+        job.last_valid_block_height,
+        job.last_error,
+        job.updated_at,
+        job.signed_by,
+      ]
+    );
+    return rowCount > 0;
+  }
+
+  // Up to `limit` batches with a job that is due, each an array of its
+  // unfinished jobs; jobs IN_REVIEW are never due
+  async function dueWithdrawalBatches(now, limit) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${JOB_COLUMNS} FROM withdrawal_jobs
+      WHERE state IN (${UNSETTLED_JOB_STATES}) AND state != 'IN_REVIEW'
+        AND batch_id IN (
+          SELECT batch_id FROM withdrawal_jobs
+          WHERE state IN (${UNSETTLED_JOB_STATES}) AND state != 'IN_REVIEW'
+            AND next_attempt_at <= $1
+          GROUP BY batch_id
+          ORDER BY MIN(id)
+          LIMIT $2
+        )
+      ORDER BY batch_id, id
+      `,
+      [now, limit]
+    );
+
+    const batches = new Map();
+    for (const r of rows) {
+      const job = withBigInts(r, "lamports", "fee_lamports");
+      if (!batches.has(job.batch_id)) batches.set(job.batch_id, []);
+      batches.get(job.batch_id).push(job);
+    }
+    return [...batches.values()];
+  }
+
+  // The jobs of a batch always change together: if one of them has been
+  // settled meanwhile nothing is written and this resolves to false. With
+  // `event` (see ../events.js) one is recorded for each job.
+  async function updateWithdrawalJobs(jobs, event = null) {
+    return transaction(async (client) => {
+      // locked, so an operator cancel cannot slip in between check and write
+      const { rows } = await client.query(
+        `
+        SELECT state FROM withdrawal_jobs WHERE id = ANY ($1)
+        ORDER BY id
+        FOR UPDATE
+        `,
+        [jobs.map((job) => job.id)]
+      );
+      const settled = ["CONFIRMED", "FAILED", "CANCELLED"];
+      if (rows.some((r) => settled.includes(r.state))) return false;
+
+      for (const job of jobs) {
+        await updateJob(client, job);
+        if (event) insertWithdrawalEvent(client, event, job);
+      }
+      return true;
+    });
+  }
+
+  async function confirmWithdrawals(jobs) {
+    await transaction(async (client) => {
+      for (const job of jobs) {
+        if (!(await updateJob(client, job))) continue;
+        await client.query(
+          `UPDATE zk_transfers SET status = 'CONFIRMED', tx_signature = $1 WHERE id = $2`,
+          [job.signature, job.transaction_id]
+        );
+        insertWithdrawalEvent(client, "withdrawal.confirmed", job);
+      }
+    });
+  }
+
+  // Settles a WITHDRAW row that will never be sent with `status` and
+  // returns the shielded funds: releases the nullifier of a shielded spend,
+  // or the locked amount of a zk_proof spend
+  async function returnFunds(client, transactionId, status) {
+    const { rows } = await client.query(
+      `
+      UPDATE zk_transfers SET status = $2 WHERE id = $1
+      RETURNING id, zk_proof_id, nullifier_hash, amount_lamports::text AS amount_lamports
+      `,
+      [transactionId, status]
+    );
+    const row = rows[0];
+    if (row.nullifier_hash) {
+      await client.query(
+        `DELETE FROM nullifiers WHERE nullifier_hash = $1 AND transfer_id = $2`,
+        [row.nullifier_hash, row.id]
+      );
+    } else {
+      await client.query(
+        `UPDATE zk_proofs SET spent_lamports = spent_lamports - $1 WHERE zk_proof_id = $2`,
+        [row.amount_lamports, row.zk_proof_id]
+      );
+    }
+  }
+
+  async function failWithdrawals(jobs) {
+    await transaction(async (client) => {
+      for (const job of jobs) {
+        if (!(await updateJob(client, job))) continue;
+        await returnFunds(client, job.transaction_id, "FAILED");
+        insertWithdrawalEvent(client, "withdrawal.failed", job);
+      }
+    });
+  }
+
+  // SCHEDULED -> QUEUED once release_at has passed. Jobs cancelled in the
+  // meantime are skipped; resolves to how many were released.
+  async function releaseWithdrawals(jobs) {
+    return transaction(async (client) => {
+      let count = 0;
+      for (const job of jobs) {
+        const { rowCount } = await client.query(
+          `
+          UPDATE withdrawal_jobs SET state = 'QUEUED', updated_at = $2
+          WHERE id = $1 AND state = 'SCHEDULED'
+          `,
+          [job.id, job.updated_at]
+        );
+        if (rowCount === 0) continue;
+        await client.query(
+          `UPDATE zk_transfers SET status = 'PENDING' WHERE id = $1`,
+          [job.transaction_id]
+        );
+        count += 1;
+      }
+      return count;
+    });
+  }
+
+  // Resolves to null when `walletPubkey` has no withdrawal `id`, and to a
+  // conflict once it has been released (or approved, if it was in review)
+  async function cancelWithdrawal({ id, walletPubkey, updatedAt }) {
+    return transaction(async (client) => {
+      const { rows: owned } = await client.query(
+        `
+        SELECT 1 FROM zk_transfers
+        WHERE id = $1 AND direction = 'WITHDRAW' AND wallet_pubkey = $2
+        `,
+        [id, walletPubkey]
+      );
+      if (owned.length === 0) return null;
+
+      // the row lock also makes a concurrent release wait for us
+      const { rowCount } = await client.query(
+        `
+        UPDATE withdrawal_jobs SET state = 'CANCELLED', updated_at = $2
+        WHERE transaction_id = $1 AND state IN ('IN_REVIEW', 'SCHEDULED')
+        `,
+        [id, updatedAt]
+      );
+      if (rowCount === 0) {
+        return { conflict: "Withdrawal is no longer scheduled" };
+      }
+      await returnFunds(client, id, "CANCELLED");
+      return { id };
+    });
+  }
+
+  async function countOrphanedWithdrawals() {
+    const { rows } = await pool.query(`
+      SELECT COUNT(*) AS n FROM zk_transfers t
+      WHERE t.direction = 'WITHDRAW' AND t.status = 'PENDING'
+        AND NOT EXISTS (SELECT 1 FROM withdrawal_jobs j WHERE j.transaction_id = t.id)
+    `);
+    return rows[0].n;
+  }
+
+  // ---------- reconciliation ----------
+
+  async function ledgerLiabilities() {
+    const { rows } = await pool.query(`
+      SELECT pool_address, mint, SUM(lamports)::text AS lamports
+      FROM (
+        SELECT pool_address, mint,
+          CASE WHEN status != 'CONFIRMED' THEN 0
+               WHEN direction = 'DEPOSIT' THEN amount_lamports
+               WHEN direction = 'WITHDRAW' THEN -amount_lamports
+               ELSE 0 END AS lamports
+        FROM zk_transfers
+        UNION ALL
+        SELECT to_address, mint, lamports FROM pool_sweeps
+        WHERE state = 'CONFIRMED'
+        UNION ALL
+        SELECT from_address, mint, -lamports FROM pool_sweeps
+        WHERE state = 'CONFIRMED'
+      ) AS movements
+      GROUP BY pool_address, mint
+    `);
+    return rows.map((r) => withBigInts(r, "lamports"));
+  }
+
+  async function recordedSignatures() {
+    const { rows } = await pool.query(`
+      SELECT tx_signature AS signature FROM zk_transfers
+      WHERE tx_signature IS NOT NULL
+      UNION
+      SELECT tx_signature FROM commitments
+      UNION
+      SELECT signature FROM withdrawal_jobs WHERE signature IS NOT NULL
+      UNION
+      SELECT signature FROM pool_sweeps
+    `);
+    return rows.map((r) => r.signature);
+  }
+
+  async function stuckWithdrawals(cutoff) {
+    const { rows } = await pool.query(
+      `
+      SELECT t.id, COALESCE(t.zk_proof_id, '${SHIELDED_POOL}') AS zk_proof_id, t.mint,
+             t.amount_lamports::text AS amount_lamports, t.recipient, t.created_at,
+             j.state AS job_state, j.attempts, j.last_error
+      FROM zk_transfers t
+      LEFT JOIN withdrawal_jobs j ON j.transaction_id = t.id
+      WHERE t.direction = 'WITHDRAW' AND t.status = 'PENDING'
+        AND t.created_at < $1
+      ORDER BY t.id
+      `,
+      [cutoff]
+    );
+    return rows.map((r) => withBigInts(r, "amount_lamports"));
+  }
+
+  async function saveReconciliationReport({ trigger, ok, report, createdAt }) {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO reconciliation_reports (trigger, ok, report, created_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+      `,
+      [trigger, ok, JSON.stringify(report), createdAt]
+    );
+    return rows[0].id;
+  }
+
+  async function reconciliationReports(limit) {
+    const { rows } = await pool.query(
+      `
+      SELECT id, trigger, report FROM reconciliation_reports
+      ORDER BY id DESC
+      LIMIT $1
+      `,
+      [limit]
+    );
+    return rows;
+  }
+
+  // ---------- admin ----------
+
+  // Every admin write records an `audit` entry { action, targetType,
+  // targetId, actor, ip, details, createdAt } in the same transaction
+  async function insertAudit(client, audit) {
+    await client.query(
+      `
+      INSERT INTO admin_audit_log (action, target_type, target_id, actor, ip, details, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `,
+      [
+        audit.action,
+        audit.targetType ?? null,
+        audit.targetId == null ? null : String(audit.targetId),
+        audit.actor ?? null,
+        audit.ip ?? null,
+        audit.details == null ? null : JSON.stringify(audit.details),
+        audit.createdAt,
+      ]
+    );
+  }
+
+  async function adminAuditLog({
+    action = null,
+    targetType = null,
+    targetId = null,
+    beforeId = null,
+    limit,
+  }) {
+    const { rows } = await pool.query(
+      `
+      SELECT id, action, target_type, target_id, actor, ip, details, created_at
+      FROM admin_audit_log
+      WHERE ($1::text IS NULL OR action = $1)
+        AND ($2::text IS NULL OR target_type = $2)
+        AND ($3::text IS NULL OR target_id = $3)
+        AND ($4::bigint IS NULL OR id < $4)
+      ORDER BY id DESC
+      LIMIT $5
+      `,
+      [action, targetType, targetId, beforeId, limit]
+    );
+    return rows;
+  }
+
+  async function getPoolControls() {
+    const { rows } = await pool.query(
+      `
+      SELECT deposits_paused, withdrawals_paused, reason, updated_at
+      FROM pool_controls WHERE id = 1
+      `
+    );
+    return rows[0];
+  }
+
+  // A switch left undefined keeps its setting
+  async function setPoolControls({
+    depositsPaused,
+    withdrawalsPaused,
+    reason,
+    updatedAt,
+    audit,
+  }) {
+    return transaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        UPDATE pool_controls
+        SET deposits_paused = COALESCE($1, deposits_paused),
+            withdrawals_paused = COALESCE($2, withdrawals_paused),
+            reason = $3, updated_at = $4
+        WHERE id = 1
+        RETURNING deposits_paused, withdrawals_paused, reason, updated_at
+        `,
+        [
+          depositsPaused ?? null,
+          withdrawalsPaused ?? null,
+          reason ?? null,
+          updatedAt,
+        ]
+      );
+      await insertAudit(client, audit);
+      return rows[0];
+    });
+  }
+
+  // Freezes the zk_proof at `frozenAt`, or unfreezes it when that is null.
+  // Resolves to the proof, or null if there is none.
+  async function setZkProofFrozen({ zkProofId, frozenAt, audit }) {
+    return transaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        UPDATE zk_proofs
+        SET frozen_at = CASE WHEN $1::timestamptz IS NULL THEN NULL
+                             ELSE COALESCE(frozen_at, $1) END
+        WHERE zk_proof_id = $2
+        RETURNING ${PROOF_COLUMNS}
+        `,
+        [frozenAt, zkProofId]
+      );
+      if (rows.length === 0) return null;
+      await insertAudit(client, audit);
+      return withBigInts(rows[0], "total_lamports", "spent_lamports");
+    });
+  }
+
+  // Ledger rows of every wallet, newest first, with the state of their send
+  // job if they have one. Each filter left null matches everything.
+  async function listTransactions({
+    status = null,
+    type = null,
+    walletPubkey = null,
+    zkProofId = null,
+    mint = null,
+    beforeId = null,
+    limit,
+  }) {
+    const { rows } = await pool.query(
+      `
+      SELECT t.id, t.wallet_pubkey, COALESCE(t.zk_proof_id, '${SHIELDED_POOL}') AS zk_proof_id,
+             t.direction AS type, t.mint, t.amount_lamports::text AS amount_lamports,
+             t.recipient, t.tx_signature, t.status, t.relayer,
+             t.relayer_fee_lamports::text AS relayer_fee_lamports, t.pool_address,
+             t.rejection_code, t.created_at, j.state AS job_state, j.attempts,
+             j.next_attempt_at, j.release_at, j.last_error, j.signed_by
+      FROM zk_transfers t
+      LEFT JOIN withdrawal_jobs j ON j.transaction_id = t.id
+      WHERE ($1::text IS NULL OR t.status = $1)
+        AND ($2::text IS NULL OR t.direction = $2)
+        AND ($3::text IS NULL OR t.wallet_pubkey = $3)
+        AND ($4::text IS NULL OR COALESCE(t.zk_proof_id, '${SHIELDED_POOL}') = $4)
+        AND ($5::text IS NULL OR t.mint = $5)
+        AND ($6::bigint IS NULL OR t.id < $6)
+      ORDER BY t.id DESC
+      LIMIT $7
+      `,
+      [status, type, walletPubkey, zkProofId, mint, beforeId, limit]
+    );
+    return rows.map((r) =>
+      withBigInts(r, "amount_lamports", "relayer_fee_lamports")
+    );
+  }
+
+  // Locks a withdrawal and its job for an operator change, job first like
+  // the queue's writes do
+  async function withdrawalWithJob(client, id) {
+    const { rows: jobs } = await client.query(
+      `
+      SELECT state, batch_id FROM withdrawal_jobs WHERE transaction_id = $1
+      FOR UPDATE
+      `,
+      [id]
+    );
+    const { rows } = await client.query(
+      `
+      SELECT status FROM zk_transfers
+      WHERE id = $1 AND direction = 'WITHDRAW'
+      FOR UPDATE
+      `,
+      [id]
+    );
+    if (rows.length === 0) return null;
+    return {
+      status: rows[0].status,
+      job_state: jobs[0]?.state ?? null,
+      batch_id: jobs[0]?.batch_id ?? null,
+    };
+  }
+
+  // Makes the batch of a stuck withdrawal due now with a fresh set of
+  // attempts. Resolves to null if there is no withdrawal `id`, a conflict
+  // if it has no job left to send, or the ids of the batch's withdrawals.
+  async function retryWithdrawal({ id, now, updatedAt, audit }) {
+    return transaction(async (client) => {
+      const row = await withdrawalWithJob(client, id);
+      if (!row) return null;
+      const conflict = operatorRetryConflict(row);
+      if (conflict) return { conflict };
+
+      const { rows } = await client.query(
+        `
+        UPDATE withdrawal_jobs SET attempts = 0, next_attempt_at = $1, updated_at = $2
+        WHERE batch_id = $3
+          AND state IN ('QUEUED', 'AWAITING_LIQUIDITY', 'SENDING', 'SUBMITTED')
+        RETURNING transaction_id
+        `,
+        [now, updatedAt, row.batch_id]
+      );
+      await insertAudit(client, audit);
+      return { ids: rows.map((r) => r.transaction_id) };
+    });
+  }
+
+  // Cancels a withdrawal nothing has been signed for yet (or one from
+  // before the queue, with no job at all) and returns its funds. Resolves
+  // to null if there is no withdrawal `id`, or a conflict if a transaction
+  // of it may still land.
+  async function cancelStuckWithdrawal({ id, updatedAt, audit }) {
+    return transaction(async (client) => {
+      const row = await withdrawalWithJob(client, id);
+      if (!row) return null;
+      const conflict = operatorCancelConflict(row);
+      if (conflict) return { conflict };
+
+      await client.query(
+        `
+        UPDATE withdrawal_jobs SET state = 'CANCELLED', updated_at = $2
+        WHERE transaction_id = $1 AND state IN (${UNSIGNED_JOB_STATES})
+        `,
+        [id, updatedAt]
+      );
+      await returnFunds(client, id, "CANCELLED");
+      await insertAudit(client, audit);
+      return { id };
+    });
+  }
+
+  // The review queue: an approved batch goes on to the queue, SCHEDULED if
+  // its release_at is still ahead; a rejected one is settled like a cancel,
+  // its rows REJECTED with `rejection.code`. Both act on the batch of
+  // withdrawal `id` and resolve to null if there is no withdrawal `id`, a
+  // conflict if it is not in review, or the ids of the batch's withdrawals.
+  async function approveWithdrawal({ id, now, updatedAt, audit }) {
+    return transaction(async (client) => {
+      const row = await withdrawalWithJob(client, id);
+      if (!row) return null;
+      if (row.job_state !== "IN_REVIEW") {
+        return { conflict: "Withdrawal is not awaiting review" };
+      }
+
+      const { rows: jobs } = await client.query(
+        `
+        UPDATE withdrawal_jobs
+        SET state = CASE WHEN release_at > $1 THEN 'SCHEDULED' ELSE 'QUEUED' END,
+            next_attempt_at = CASE WHEN release_at > $1 THEN release_at ELSE $1 END,
+            updated_at = $2
+        WHERE batch_id = $3 AND state = 'IN_REVIEW'
+        RETURNING transaction_id, state
+        `,
+        [now, updatedAt, row.batch_id]
+      );
+      for (const job of jobs) {
+        await client.query(
+          `UPDATE zk_transfers SET status = $1 WHERE id = $2`,
+          [
+            job.state === "SCHEDULED" ? "SCHEDULED" : "PENDING",
+            job.transaction_id,
+          ]
+        );
+      }
+      await insertAudit(client, audit);
+      return { ids: jobs.map((job) => job.transaction_id) };
+    });
+  }
+
+  async function rejectWithdrawal({ id, rejection, updatedAt, audit }) {
+    return transaction(async (client) => {
+      const row = await withdrawalWithJob(client, id);
+      if (!row) return null;
+      if (row.job_state !== "IN_REVIEW") {
+        return { conflict: "Withdrawal is not awaiting review" };
+      }
+
+      const { rows: jobs } = await client.query(
+        `
+        UPDATE withdrawal_jobs
+        SET state = 'CANCELLED', last_error = $1, updated_at = $2
+        WHERE batch_id = $3 AND state = 'IN_REVIEW'
+        RETURNING transaction_id
+        `,
+        [rejection.error, updatedAt, row.batch_id]
+      );
+      for (const { transaction_id: transactionId } of jobs) {
+        await returnFunds(client, transactionId, "REJECTED");
+        const { rows } = await client.query(
+          `
+          UPDATE zk_transfers SET rejection_code = $1 WHERE id = $2
+          RETURNING id, wallet_pubkey, mint, amount_lamports::text AS amount_lamports, recipient
+          `,
+          [rejection.code, transactionId]
+        );
+        insertEvent(
+          client,
+          rows[0].wallet_pubkey,
+          "withdrawal.rejected",
+          withdrawalRejectedData(rows[0], rejection),
+          updatedAt
+        );
+      }
+      await insertAudit(client, audit);
+      return { ids: jobs.map((job) => job.transaction_id) };
+    });
+  }
+
+  // ---------- wallet auth ----------
+
+  async function createAuthNonce({ nonce, walletPubkey, message, expiresAt }) {
+    await pool.query(
+      `
+      INSERT INTO auth_nonces (nonce, wallet_pubkey, message, expires_at)
+      VALUES ($1, $2, $3, $4)
+      `,
+      [nonce, walletPubkey, message, expiresAt]
+    );
+  }
+
+  // Single use: the nonce is gone whether or not the signature checks out
+  async function consumeAuthNonce(nonce, now) {
+    const { rows } = await pool.query(
+      `
+      DELETE FROM auth_nonces WHERE nonce = $1 AND expires_at > $2
+      RETURNING wallet_pubkey, message, expires_at
+      `,
+      [nonce, now]
+    );
+    return rows[0] || null;
+  }
+
+  async function createAuthSession({ tokenHash, walletPubkey, expiresAt }) {
+    await pool.query(
+      `
+      INSERT INTO auth_sessions (token_hash, wallet_pubkey, expires_at)
+      VALUES ($1, $2, $3)
+      `,
+      [tokenHash, walletPubkey, expiresAt]
+    );
+  }
+
+  async function getAuthSession(tokenHash, now) {
+    const { rows } = await pool.query(
+      `
+      SELECT wallet_pubkey, expires_at FROM auth_sessions
+      WHERE token_hash = $1 AND expires_at > $2
+      `,
+      [tokenHash, now]
+    );
+    return rows[0] || null;
+  }
+
+  async function deleteExpiredAuth(now) {
+    await pool.query(`DELETE FROM auth_nonces WHERE expires_at <= $1`, [now]);
+    await pool.query(`DELETE FROM auth_sessions WHERE expires_at <= $1`, [now]);
+  }
+
+  // ---------- rate limits ----------
+
+  // Counts a hit on `key`, opening a new window of `windowMs` when the last
+  // one is over. Resolves to { count, resetAt } of the current window.
+  async function hitRateLimit(key, windowMs, now) {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN rate_limits.reset_at <= $3 THEN 1
+                     ELSE rate_limits.count + 1 END,
+        reset_at = CASE WHEN rate_limits.reset_at <= $3 THEN EXCLUDED.reset_at
+                        ELSE rate_limits.reset_at END
+      RETURNING count, reset_at
+    `,
+      [key, now + windowMs, now]
+    );
+    return { count: rows[0].count, resetAt: rows[0].reset_at };
+  }
+
+  // { count, resetAt } of the window of `key` open at `now`, or null
+  async function peekRateLimit(key, now) {
+    const { rows } = await pool.query(
+      `SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > $2`,
+      [key, now]
+    );
+    return rows[0] ? { count: rows[0].count, resetAt: rows[0].reset_at } : null;
+  }
+
+  async function resetRateLimit(key) {
+    await pool.query(`DELETE FROM rate_limits WHERE key = $1`, [key]);
+  }
+
+  async function deleteExpiredRateLimits(now) {
+    await pool.query(`DELETE FROM rate_limits WHERE reset_at <= $1`, [now]);
+  }
+
+  // ---------- pool keys and sweeps ----------
+
+  // Records `address` as the ACTIVE key of `pool`. When it replaces another
+  // key, that one is RETIRED and the withdrawals it has not signed yet move
+  // to the new key, jobs and ledger rows; `audit` is written with the
+  // details. Resolves to { rotatedFrom, movedJobs }, rotatedFrom null when
+  // the key did not change.
+  async function registerPoolKey({
+    pool: poolLabel,
+    address,
+    source,
+    now,
+    audit,
+  }) {
+    return transaction(async (client) => {
+      // instances booting side by side register one at a time
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        `pool_key:${poolLabel}`,
+      ]);
+      const { rows } = await client.query(
+        "SELECT address FROM pool_keys WHERE pool = $1 AND state = 'ACTIVE'",
+        [poolLabel]
+      );
+      const active = rows[0];
+      if (active && active.address === address) {
+        await client.query(
+          "UPDATE pool_keys SET source = $1 WHERE address = $2",
+          [source, address]
+        );
+        return { rotatedFrom: null, movedJobs: 0 };
+      }
+
+      let movedJobs = 0;
+      if (active) {
+        await client.query(
+          `
+          UPDATE pool_keys SET state = 'RETIRED', retired_at = $1, replaced_by = $2
+          WHERE address = $3
+          `,
+          [now, address, active.address]
+        );
+        await client.query(
+          `
+          UPDATE zk_transfers SET pool_address = $1
+          WHERE id IN (
+            SELECT transaction_id FROM withdrawal_jobs
+            WHERE signer = $2 AND state IN (${UNSIGNED_JOB_STATES})
+          )
+          `,
+          [address, active.address]
+        );
+        ({ rowCount: movedJobs } = await client.query(
+          `
+          UPDATE withdrawal_jobs SET signer = $1
+          WHERE signer = $2 AND state IN (${UNSIGNED_JOB_STATES})
+          `,
+          [address, active.address]
+        ));
+      }
+
+      await client.query(
+        `
+        INSERT INTO pool_keys (address, pool, state, source, activated_at)
+        VALUES ($1, $2, 'ACTIVE', $3, $4)
+        ON CONFLICT (address) DO UPDATE SET
+          pool = EXCLUDED.pool, state = 'ACTIVE', source = EXCLUDED.source,
+          activated_at = EXCLUDED.activated_at, retired_at = NULL,
+          replaced_by = NULL
+        `,
+        [address, poolLabel, source, now]
+      );
+
+      if (active) {
+        await insertAudit(client, {
+          ...audit,
+          details: { from: active.address, to: address, movedJobs },
+        });
+      }
+      return { rotatedFrom: active ? active.address : null, movedJobs };
+    });
+  }
+
+  // Every pool key, each with how many withdrawals it signed
+  async function listPoolKeys() {
+    const { rows } = await pool.query(
+      `SELECT ${POOL_KEY_COLUMNS} FROM pool_keys ORDER BY pool, activated_at DESC`
+    );
+    return rows;
+  }
+
+  async function getPoolKey(address) {
+    const { rows } = await pool.query(
+      `SELECT ${POOL_KEY_COLUMNS} FROM pool_keys WHERE address = $1`,
+      [address]
+    );
+    return rows[0] || null;
+  }
+
+  const sweepFromRow = (row) => withBigInts(row, "lamports");
+
+  // Saves a signed sweep as SUBMITTED, before it is broadcast. Conflicts
+  // while the wallet has a sweep in flight, or for a ROTATION sweep (the
+  // whole balance) withdrawals too, whose amounts it did not allow for.
+  // `audit` is written when given. Resolves to { sweep }.
+  async function createSweep(sweep) {
+    return transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        `pool_sweep:${sweep.fromAddress}`,
+      ]);
+      const inFlight = await client.query(
+        "SELECT 1 FROM pool_sweeps WHERE from_address = $1 AND state = 'SUBMITTED'",
+        [sweep.fromAddress]
+      );
+      if (inFlight.rowCount > 0) {
+        return { conflict: "A sweep of this wallet is still in flight" };
+      }
+      if (sweep.reason === "ROTATION") {
+        const sending = await client.query(
+          `
+          SELECT 1 FROM withdrawal_jobs
+          WHERE signer = $1 AND state IN (${UNSETTLED_JOB_STATES})
+          `,
+          [sweep.fromAddress]
+        );
+        if (sending.rowCount > 0) {
+          return {
+            conflict: "Withdrawals from this wallet are still in flight",
+          };
+        }
+      }
+
+      const { rows } = await client.query(
+        `
+        INSERT INTO pool_sweeps
+        (from_address, to_address, mint, lamports, reason, state, signature, raw_tx, last_valid_block_height, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, 'SUBMITTED', $6, $7, $8, $9, $9)
+        RETURNING ${SWEEP_COLUMNS}
+        `,
+        [
+          sweep.fromAddress,
+          sweep.toAddress,
+          sweep.mint,
+          sweep.lamports.toString(),
+          sweep.reason,
+          sweep.signature,
+          sweep.rawTx,
+          sweep.lastValidBlockHeight,
+          sweep.createdAt,
+        ]
+      );
+      if (sweep.audit) {
+        await insertAudit(client, {
+          ...sweep.audit,
+          details: {
+            ...sweep.audit.details,
+            sweepId: rows[0].id,
+            lamports: String(sweep.lamports),
+          },
+        });
+      }
+      return { sweep: sweepFromRow(rows[0]) };
+    });
+  }
+
+  // Records a transfer between pool wallets that was made outside this
+  // server, e.g. a top-up from cold storage, as a CONFIRMED sweep. Conflicts
+  // when its signature is already recorded. Resolves to { sweep }.
+  async function recordSweep(sweep) {
+    return transaction(async (client) => {
+      const { rows } = await client.query(
+        `
+        INSERT INTO pool_sweeps
+        (from_address, to_address, mint, lamports, reason, state, signature, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, 'CONFIRMED', $6, $7, $7)
+        ON CONFLICT (signature) DO NOTHING
+        RETURNING ${SWEEP_COLUMNS}
+        `,
+        [
+          sweep.fromAddress,
+          sweep.toAddress,
+          sweep.mint,
+          sweep.lamports.toString(),
+          sweep.reason,
+          sweep.signature,
+          sweep.createdAt,
+        ]
+      );
+      if (rows.length === 0) {
+        return { conflict: "This transfer is already recorded" };
+      }
+      await insertAudit(client, {
+        ...sweep.audit,
+        details: {
+          ...sweep.audit.details,
+          sweepId: rows[0].id,
+          lamports: String(sweep.lamports),
+        },
+      });
+      return { sweep: sweepFromRow(rows[0]) };
+    });
+  }
+
+  // What the unsettled withdrawal jobs paying out of `signer` in `mint`
+  // still have to take from it, relayer fees included; only those already
+  // signed with `signedOnly`
+  async function pendingOutflow({ signer, mint, signedOnly = false }) {
+    const states = signedOnly ? "'SENDING', 'SUBMITTED'" : UNSETTLED_JOB_STATES;
+    const { rows } = await pool.query(
+      `
+      SELECT COALESCE(SUM(lamports + fee_lamports), 0)::text AS lamports
+      FROM withdrawal_jobs
+      WHERE signer = $1 AND mint = $2 AND state IN (${states})
+      `,
+      [signer, mint]
+    );
+    return BigInt(rows[0].lamports);
+  }
+
+  // Only SUBMITTED sweeps change; resolves to whether this one did
+  async function updateSweep({ id, state, lastError, updatedAt }) {
+    const { rowCount } = await pool.query(
+      `
+      UPDATE pool_sweeps SET state = $1, last_error = $2, updated_at = $3
+      WHERE id = $4 AND state = 'SUBMITTED'
+      `,
+      [state, lastError, updatedAt, id]
+    );
+    return rowCount > 0;
+  }
+
+  async function submittedSweeps() {
+    const { rows } = await pool.query(
+      `SELECT ${SWEEP_COLUMNS} FROM pool_sweeps WHERE state = 'SUBMITTED' ORDER BY id`
+    );
+    return rows.map(sweepFromRow);
+  }
+
+  // Sweeps out of or into `address` (every one when null), newest first
+  async function listSweeps({ address = null, limit }) {
+    const { rows } = await pool.query(
+      `
+      SELECT ${SWEEP_COLUMNS} FROM pool_sweeps
+      WHERE $1::text IS NULL OR from_address = $1 OR to_address = $1
+      ORDER BY id DESC
+      LIMIT $2
+      `,
+      [address, limit]
+    );
+    return rows.map(sweepFromRow);
+  }
+
+  // ---------- note vault ----------
+
+  // Replaces the backup under `label`, or adds it unless the wallet already
+  // has `maxNotes`. Resolves to { created }.
+  async function saveNoteBackup({
+    walletPubkey,
+    label,
+    ciphertext,
+    updatedAt,
+    maxNotes,
+  }) {
+    return transaction(async (client) => {
+      // serialise a wallet's writes so the count below stays true
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        walletPubkey,
+      ]);
+      const { rowCount } = await client.query(
+        `
+        UPDATE note_backups SET ciphertext = $1, updated_at = $2
+        WHERE wallet_pubkey = $3 AND label = $4
+        `,
+        [ciphertext, updatedAt, walletPubkey, label]
+      );
+      if (rowCount > 0) return { created: false };
+
+      const { rows } = await client.query(
+        `SELECT COUNT(*)::int AS n FROM note_backups WHERE wallet_pubkey = $1`,
+        [walletPubkey]
+      );
+      if (rows[0].n >= maxNotes) {
+        return {
+          conflict: `A wallet can back up at most ${maxNotes} notes`,
+        };
+      }
+      await client.query(
+        `
+        INSERT INTO note_backups (wallet_pubkey, label, ciphertext, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $4)
+        `,
+        [walletPubkey, label, ciphertext, updatedAt]
+      );
+      return { created: true };
+    });
+  }
+
+  async function listNoteBackups(walletPubkey) {
+    const { rows } = await pool.query(
+      `
+      SELECT label, ciphertext, created_at, updated_at FROM note_backups
+      WHERE wallet_pubkey = $1
+      ORDER BY created_at, label
+      `,
+      [walletPubkey]
+    );
+    return rows;
+  }
+
+  async function deleteNoteBackup({ walletPubkey, label }) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM note_backups WHERE wallet_pubkey = $1 AND label = $2`,
+      [walletPubkey, label]
+    );
+    return rowCount > 0;
+  }
+
+  // ---------- commitment trees ----------
+
+  const trees = new Map();
+
+  function merkleTree(treeId) {
+    if (!trees.has(treeId)) {
+      trees.set(treeId, createPgMerkleStore(pool, treeId, treeDepth));
+    }
+    return trees.get(treeId);
+  }
+
+  return {
+    driver: "postgres",
+    migrations,
+    close,
+    insertZkProof,
+    getZkProof,
+    listZkProofs,
+    isDepositRecorded,
+    isCommitmentRecorded,
+    recordDeposit,
+    createWithdrawal,
+    recordRejectedWithdrawal,
+    getNullifier,
+    recordInternalTransfer,
+    history,
+    dueWithdrawalBatches,
+    updateWithdrawalJobs,
+    confirmWithdrawals,
+    failWithdrawals,
+    releaseWithdrawals,
+    cancelWithdrawal,
+    countOrphanedWithdrawals,
+    ledgerLiabilities,
+    recordedSignatures,
+    stuckWithdrawals,
+    saveReconciliationReport,
+    reconciliationReports,
+    createAuthNonce,
+    consumeAuthNonce,
+    createAuthSession,
+    getAuthSession,
+    deleteExpiredAuth,
+    hitRateLimit,
+    peekRateLimit,
+    resetRateLimit,
+    deleteExpiredRateLimits,
+    registerPoolKey,
+    listPoolKeys,
+    getPoolKey,
+    createSweep,
+    updateSweep,
+    submittedSweeps,
+    recordSweep,
+    pendingOutflow,
+    listSweeps,
+    saveNoteBackup,
+    listNoteBackups,
+    deleteNoteBackup,
+    lastEventId,
+    eventsSince,
+    walletEventsSince,
+    createWebhookEndpoint,
+    getWebhookEndpoint,
+    listWebhookEndpoints,
+    setWebhookEndpointActive,
+    enqueueWebhookDeliveries,
+    dueWebhookDeliveries,
+    recordWebhookAttempt,
+    listWebhookDeliveries,
+    getWebhookDelivery,
+    listWebhookAttempts,
+    replayWebhookDelivery,
+    replayWebhookEvents,
+    adminAuditLog,
+    getPoolControls,
+    setPoolControls,
+    setZkProofFrozen,
+    listTransactions,
+    retryWithdrawal,
+    cancelStuckWithdrawal,
+    approveWithdrawal,
+    rejectWithdrawal,
+    merkleTree,
+  };
+}
@@ -0,0 +1,2027 @@
+import Database from "better-sqlite3";
+import { MERKLE_TREE_DEPTH, createSqliteMerkleStore } from "../merkle.js";
+import { withdrawalEventData, withdrawalRejectedData } from "../events.js";
+import { SHIELDED_POOL } from "../pools.js";
+import { MAX_OUTPUTS_PER_TX } from "../solana.js";
+import {
+  operatorCancelConflict,
+  operatorRetryConflict,
+} from "../withdrawals.js";
+import { migrations as sqliteMigrations } from "./migrations/sqlite/index.js";
+
+// better-sqlite3 hands INTEGER back as a double; lamport columns are
+// selected as text instead and parsed into BigInt so no value is rounded
+function lamportsAsText(...columns) {
+  return columns.map((c) => `CAST(${c} AS TEXT) AS ${c}`).join(", ");
+}
+
+function withBigInts(row, ...columns) {
+  if (!row) return null;
+  const out = { ...row };
+  for (const c of columns) out[c] = BigInt(row[c]);
+  return out;
+}
+
+const PROOF_COLUMNS = `id, wallet_pubkey, note_hash, mint, ${lamportsAsText(
+  "total_lamports",
+  "spent_lamports"
+)}, created_at, frozen_at`;
+
+const JOB_COLUMNS = `id, transaction_id, batch_id, recipient, ${lamportsAsText(
+  "lamports",
+  "fee_lamports"
+)}, mint, signer, signed_by, relayer, state, attempts, next_attempt_at,
+  release_at, signature, raw_tx, last_valid_block_height, last_error,
+  created_at, updated_at`;
+
+// Jobs nothing has been signed for yet, and all jobs not settled yet
+const UNSIGNED_JOB_STATES =
+  "'IN_REVIEW', 'SCHEDULED', 'QUEUED', 'AWAITING_LIQUIDITY'";
+const UNSETTLED_JOB_STATES = `${UNSIGNED_JOB_STATES}, 'SENDING', 'SUBMITTED'`;
+
+const SWEEP_COLUMNS = `id, from_address, to_address, mint, ${lamportsAsText(
+  "lamports"
+)}, reason, state, signature, raw_tx, last_valid_block_height, last_error,
+  created_at, updated_at`;
+
+const POOL_KEY_COLUMNS = `address, pool, state, source, activated_at,
+  retired_at, replaced_by,
+  (SELECT COUNT(*) FROM withdrawal_jobs j WHERE j.signed_by = pool_keys.address)
+    AS signed_withdrawals`;
+
+/**
+ * SQLite implementation of the storage interface (see ./index.js). The
+ * comments on its methods are the contract ./postgres.js keeps too.
+ *
+ * Rows come back in one shape whichever store is behind it:
+ *   zk_proofs:    { id, wallet_pubkey, note_hash, mint, total_lamports,
+ *                   spent_lamports, created_at, frozen_at }
+ *   transactions: { id, wallet_pubkey, zk_proof_id, type, mint,
+ *                   amount_lamports, recipient, tx_signature, status,
+ *                   relayer, relayer_fee_lamports, rejection_code,
+ *                   created_at }
+ *   note_backups: { label, ciphertext, created_at, updated_at }
+ *   events:       { id, wallet_pubkey, type, data (object), created_at }
+ *   webhook_endpoints: { id, url, secret, event_types (array, or null for
+ *                   every type), description, active (boolean), created_at }
+ *   pool_keys:    { address, pool, state, source, activated_at, retired_at,
+ *                   replaced_by, signed_withdrawals }
+ *   pool_sweeps and withdrawal_jobs rows as created in the schema
+ * Every lamport value, in and out, is a BigInt in base units of the row's
+ * mint ("SOL" or an SPL mint address).
+ *
+ * Writes that must be atomic are single methods. Those that can lose a
+ * race, or find the row past the point where they are safe, resolve to
+ * `{ conflict: message }` instead of writing. The operator's writes take an
+ * `audit` entry { action, targetType, targetId, actor, ip, details,
+ * createdAt } that is appended to admin_audit_log in the same transaction.
+ *
+ * better-sqlite3 is synchronous; every method is still async so route
+ * handlers are written once for both stores. Multi-statement writes run in a
+ * db.transaction(), which SQLite serialises, so no row locks are needed.
+ *
+ * Commitment trees are `treeDepth` levels deep, the depth the withdraw
+ * circuit was compiled for.
+ */
+export function createSqliteStore(
+  filename,
+  { treeDepth = MERKLE_TREE_DEPTH } = {}
+) {
+  const db = new Database(filename);
+  db.pragma("journal_mode = wal");
+
+  const trees = new Map();
+
+  // Statements are prepared on first use, since the tables only exist once
+  // migrations have run
+  const statements = new Map();
+  function prepare(sql) {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  }
+
+  function rawTree(treeId) {
+    if (!trees.has(treeId)) {
+      trees.set(treeId, createSqliteMerkleStore(db, treeId, treeDepth));
+    }
+    return trees.get(treeId);
+  }
+
+  // ---------- schema migrations ----------
+
+  function ensureMigrationsTable() {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+  }
+
+  const isApplied = (version) =>
+    Boolean(
+      db
+        .prepare("SELECT 1 FROM schema_migrations WHERE version = ?")
+        .get(version)
+    );
+
+  // Each step runs in its own transaction together with its bookkeeping
+  // row. Returns false if another process applied or reverted it first.
+  const migrations = {
+    definitions: sqliteMigrations,
+    async applied() {
+      ensureMigrationsTable();
+      return db
+        .prepare(
+          "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+        )
+        .all();
+    },
+    async apply(migration) {
+      ensureMigrationsTable();
+      return db
+        .transaction(() => {
+          if (isApplied(migration.version)) return false;
+          migration.up(db);
+          db.prepare(
+            "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)"
+          ).run(migration.version, migration.name, new Date().toISOString());
+          return true;
+        })
+        .immediate();
+    },
+    async revert(migration) {
+      ensureMigrationsTable();
+      return db
+        .transaction(() => {
+          if (!isApplied(migration.version)) return false;
+          migration.down(db);
+          db.prepare("DELETE FROM schema_migrations WHERE version = ?").run(
+            migration.version
+          );
+          return true;
+        })
+        .immediate();
+    },
+  };
+
+  async function close() {
+    db.close();
+  }
+
+  // ---------- zk_proofs ----------
+
+  async function insertZkProof({
+    id,
+    walletPubkey,
+    noteHash,
+    mint,
+    createdAt,
+  }) {
+    const info = db
+      .prepare(
+        `
+        INSERT OR IGNORE INTO zk_proofs (id, wallet_pubkey, note_hash, mint, total_lamports, spent_lamports, created_at)
+        VALUES (?, ?, ?, ?, 0, 0, ?)
+      `
+      )
+      .run(id, walletPubkey, noteHash, mint, createdAt);
+    return info.changes > 0;
+  }
+
+  const proofFromRow = (row) =>
+    withBigInts(row, "total_lamports", "spent_lamports");
+
+  async function getZkProof(id) {
+    return proofFromRow(
+      prepare(`SELECT ${PROOF_COLUMNS} FROM zk_proofs WHERE id = ?`).get(id)
+    );
+  }
+
+  async function listZkProofs(walletPubkey) {
+    return db
+      .prepare(
+        `
+        SELECT ${PROOF_COLUMNS}
+        FROM zk_proofs
+        WHERE wallet_pubkey = ?
+        ORDER BY datetime(created_at) DESC
+      `
+      )
+      .all(walletPubkey)
+      .map(proofFromRow);
+  }
+
+  // ---------- events ----------
+
+  function insertEvent(walletPubkey, type, data, createdAt) {
+    prepare(
+      `
+      INSERT INTO events (wallet_pubkey, type, data, created_at)
+      VALUES (?, ?, ?, ?)
+    `
+    ).run(walletPubkey, type, JSON.stringify(data), createdAt);
+  }
+
+  // Filed under the wallet of the job's ledger row
+  function insertWithdrawalEvent(type, job) {
+    prepare(
+      `
+      INSERT INTO events (wallet_pubkey, type, data, created_at)
+      SELECT wallet_pubkey, ?, ?, ? FROM transactions WHERE id = ?
+    `
+    ).run(
+      type,
+      JSON.stringify(withdrawalEventData(job)),
+      job.updated_at,
+      job.transaction_id
+    );
+  }
+
+  const eventFromRow = (row) => ({ ...row, data: JSON.parse(row.data) });
+
+  async function lastEventId() {
+    return prepare("SELECT COALESCE(MAX(id), 0) AS id FROM events").get().id;
+  }
+
+  async function eventsSince(afterId, limit) {
+    return prepare(
+      `
+      SELECT id, wallet_pubkey, type, data, created_at FROM events
+      WHERE id > ?
+      ORDER BY id
+      LIMIT ?
+    `
+    )
+      .all(afterId, limit)
+      .map(eventFromRow);
+  }
+
+  async function walletEventsSince(walletPubkey, afterId, limit) {
+    return prepare(
+      `
+      SELECT id, wallet_pubkey, type, data, created_at FROM events
+      WHERE wallet_pubkey = ? AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `
+    )
+      .all(walletPubkey, afterId, limit)
+      .map(eventFromRow);
+  }
+
+  // ---------- webhooks ----------
+
+  const endpointFromRow = (row) =>
+    row && {
+      ...row,
+      event_types: row.event_types && JSON.parse(row.event_types),
+      active: row.active === 1,
+    };
+
+  const ENDPOINT_COLUMNS =
+    "id, url, secret, event_types, description, active, created_at";
+
+  const createWebhookEndpointTx = db.transaction((w) => {
+    const id = Number(
+      prepare(
+        `
+        INSERT INTO webhook_endpoints (url, secret, event_types, description, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `
+      ).run(
+        w.url,
+        w.secret,
+        w.eventTypes ? JSON.stringify(w.eventTypes) : null,
+        w.description,
+        w.createdAt
+      ).lastInsertRowid
+    );
+    insertAudit({ ...w.audit, targetId: id });
+    return id;
+  });
+
+  async function createWebhookEndpoint(endpoint) {
+    return getWebhookEndpoint(createWebhookEndpointTx(endpoint));
+  }
+
+  async function getWebhookEndpoint(id) {
+    return endpointFromRow(
+      prepare(
+        `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = ?`
+      ).get(id)
+    );
+  }
+
+  async function listWebhookEndpoints() {
+    return prepare(
+      `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints ORDER BY id`
+    )
+      .all()
+      .map(endpointFromRow);
+  }
+
+  const setWebhookEndpointActiveTx = db.transaction((id, active, audit) => {
+    const info = prepare(
+      "UPDATE webhook_endpoints SET active = ? WHERE id = ?"
+    ).run(active ? 1 : 0, id);
+    if (info.changes === 0) return false;
+    insertAudit(audit);
+    return true;
+  });
+
+  async function setWebhookEndpointActive(id, active, audit) {
+    return setWebhookEndpointActiveTx(id, active, audit);
+  }
+
+  // Endpoint `w` is subscribed to the type of event `e`
+  const ENDPOINT_WANTS_EVENT = `
+    (w.event_types IS NULL
+     OR EXISTS (SELECT 1 FROM json_each(w.event_types) WHERE value = e.type))
+  `;
+
+  // Turns up to `limit` events past the cursor into PENDING deliveries for
+  // the endpoints active now, moving the cursor with them. Resolves to the
+  // number of events taken.
+  const enqueueWebhookDeliveriesTx = db.transaction((now, limit) => {
+    const cursor = prepare(
+      "SELECT last_event_id FROM webhook_cursor WHERE id = 1"
+    ).get().last_event_id;
+    const ids = prepare(
+      "SELECT id FROM events WHERE id > ? ORDER BY id LIMIT ?"
+    )
+      .pluck()
+      .all(cursor, limit);
+    if (ids.length === 0) return 0;
+
+    const createdAt = new Date(now).toISOString();
+    prepare(
+      `
+      INSERT OR IGNORE INTO webhook_deliveries
+        (endpoint_id, event_id, state, attempts, next_attempt_at, created_at, updated_at)
+      SELECT w.id, e.id, 'PENDING', 0, ?, ?, ?
+      FROM events e
+      JOIN webhook_endpoints w ON w.active = 1 AND ${ENDPOINT_WANTS_EVENT}
+      WHERE e.id > ? AND e.id <= ?
+      ORDER BY e.id, w.id
+    `
+    ).run(now, createdAt, createdAt, cursor, ids[ids.length - 1]);
+    prepare("UPDATE webhook_cursor SET last_event_id = ? WHERE id = 1").run(
+      ids[ids.length - 1]
+    );
+    return ids.length;
+  });
+
+  async function enqueueWebhookDeliveries(now, limit) {
+    return enqueueWebhookDeliveriesTx.immediate(now, limit);
+  }
+
+  async function dueWebhookDeliveries(now, limit) {
+    return prepare(
+      `
+      SELECT d.id, d.endpoint_id, d.attempts, w.url, w.secret,
+        e.id AS event_id, e.wallet_pubkey, e.type, e.data, e.created_at
+      FROM webhook_deliveries d
+      JOIN webhook_endpoints w ON w.id = d.endpoint_id
+      JOIN events e ON e.id = d.event_id
+      WHERE d.state = 'PENDING' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `
+    )
+      .all(now, limit)
+      .map(({ event_id, wallet_pubkey, type, data, created_at, ...d }) => ({
+        ...d,
+        event: eventFromRow({
+          id: event_id,
+          wallet_pubkey,
+          type,
+          data,
+          created_at,
+        }),
+      }));
+  }
+
+  // Logs one attempt and moves the delivery on: DELIVERED, FAILED, or
+  // PENDING again at nextAttemptAt
+  const recordWebhookAttemptTx = db.transaction((a) => {
+    prepare(
+      `
+      INSERT INTO webhook_attempts (delivery_id, status, error, duration_ms, attempted_at)
+      VALUES (?, ?, ?, ?, ?)
+    `
+    ).run(a.deliveryId, a.status, a.error, a.durationMs, a.attemptedAt);
+    prepare(
+      `
+      UPDATE webhook_deliveries
+      SET state = ?, attempts = ?, next_attempt_at = ?, last_status = ?,
+          last_error = ?, updated_at = ?,
+          delivered_at = CASE WHEN ? = 'DELIVERED' THEN ? ELSE delivered_at END
+      WHERE id = ?
+    `
+    ).run(
+      a.state,
+      a.attempts,
+      a.nextAttemptAt,
+      a.status,
+      a.error,
+      a.attemptedAt,
+      a.state,
+      a.attemptedAt,
+      a.deliveryId
+    );
+  });
+
+  async function recordWebhookAttempt(attempt) {
+    recordWebhookAttemptTx(attempt);
+  }
+
+  const DELIVERY_COLUMNS = `
+    d.id, d.endpoint_id, d.event_id, e.type AS event_type, d.state,
+    d.attempts, d.next_attempt_at, d.last_status, d.last_error, d.created_at,
+    d.updated_at, d.delivered_at
+  `;
+
+  async function listWebhookDeliveries({ endpointId, state = null, limit }) {
+    return prepare(
+      `
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries d JOIN events e ON e.id = d.event_id
+      WHERE d.endpoint_id = ? AND (? IS NULL OR d.state = ?)
+      ORDER BY d.id DESC
+      LIMIT ?
+    `
+    ).all(endpointId, state, state, limit);
+  }
+
+  async function getWebhookDelivery(id) {
+    return (
+      prepare(
+        `
+        SELECT ${DELIVERY_COLUMNS}
+        FROM webhook_deliveries d JOIN events e ON e.id = d.event_id
+        WHERE d.id = ?
+      `
+      ).get(id) || null
+    );
+  }
+
+  async function listWebhookAttempts(deliveryId) {
+    return prepare(
+      `
+      SELECT id, status, error, duration_ms, attempted_at FROM webhook_attempts
+      WHERE delivery_id = ?
+      ORDER BY id
+    `
+    ).all(deliveryId);
+  }
+
+  // Sends a delivery again from scratch, whatever its state
+  const replayWebhookDeliveryTx = db.transaction((id, now, audit) => {
+    const info = prepare(
+      `
+      UPDATE webhook_deliveries
+      SET state = 'PENDING', attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `
+    ).run(now, new Date(now).toISOString(), id);
+    if (info.changes === 0) return false;
+    insertAudit(audit);
+    return true;
+  });
+
+  async function replayWebhookDelivery(id, now, audit) {
+    return replayWebhookDeliveryTx(id, now, audit);
+  }
+
+  // Queues the events fromEventId..toEventId the endpoint is subscribed to
+  // for it again, including ones it never had a delivery for. Resolves to
+  // the number of deliveries queued.
+  const replayWebhookEventsTx = db.transaction((r) => {
+    const createdAt = new Date(r.now).toISOString();
+    const info = prepare(
+      `
+      INSERT INTO webhook_deliveries
+        (endpoint_id, event_id, state, attempts, next_attempt_at, created_at, updated_at)
+      SELECT w.id, e.id, 'PENDING', 0, ?, ?, ?
+      FROM events e
+      JOIN webhook_endpoints w ON w.id = ? AND ${ENDPOINT_WANTS_EVENT}
+      WHERE e.id >= ? AND e.id <= ?
+      ORDER BY e.id
+      ON CONFLICT (endpoint_id, event_id) DO UPDATE
+      SET state = 'PENDING', attempts = 0,
+          next_attempt_at = excluded.next_attempt_at,
+          updated_at = excluded.updated_at
+    `
+    ).run(
+      r.now,
+      createdAt,
+      createdAt,
+      r.endpointId,
+      r.fromEventId,
+      r.toEventId
+    );
+    insertAudit(r.audit);
+    return info.changes;
+  });
+
+  async function replayWebhookEvents(replay) {
+    return replayWebhookEventsTx(replay);
+  }
+
+  // ---------- deposits ----------
+
+  const findDepositBySignature = (txSignature) =>
+    prepare(
+      "SELECT id FROM transactions WHERE type = 'DEPOSIT' AND tx_signature = ?"
+    ).get(txSignature);
+  const findCommitment = (commitment) =>
+    prepare("SELECT leaf_index FROM commitments WHERE commitment = ?").get(
+      commitment
+    );
+
+  async function isDepositRecorded(txSignature) {
+    return Boolean(findDepositBySignature(txSignature));
+  }
+
+  async function isCommitmentRecorded(commitment) {
+    return Boolean(findCommitment(commitment));
+  }
+
+  const recordDepositTx = db.transaction((deposit) => {
+    if (findDepositBySignature(deposit.txSignature)) {
+      return { conflict: "txSignature has already been recorded" };
+    }
+
+    let inserted = {};
+    if (deposit.commitment) {
+      const { treeId, commitment, leaf } = deposit.commitment;
+      if (findCommitment(commitment)) {
+        return { conflict: "commitment already deposited" };
+      }
+
+      inserted = rawTree(treeId).insert(BigInt(leaf));
+      prepare(
+        `
+        INSERT INTO commitments (tree_id, leaf_index, commitment, leaf, tx_signature, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `
+      ).run(
+        treeId,
+        inserted.leafIndex,
+        commitment,
+        leaf,
+        deposit.txSignature,
+        deposit.createdAt
+      );
+    } else {
+      prepare(
+        "UPDATE zk_proofs SET total_lamports = total_lamports + ? WHERE id = ?"
+      ).run(deposit.lamports, deposit.zkProofId);
+    }
+
+    const row = prepare(
+      `
+      INSERT INTO transactions
+      (wallet_pubkey, zk_proof_id, type, mint, amount_lamports, recipient, tx_signature, status, pool_address, created_at)
+      VALUES (?, ?, 'DEPOSIT', ?, ?, ?, ?, 'CONFIRMED', ?, ?)
+    `
+    ).run(
+      deposit.walletPubkey,
+      deposit.zkProofId || SHIELDED_POOL,
+      deposit.mint,
+      deposit.lamports,
+      SHIELDED_POOL,
+      deposit.txSignature,
+      deposit.poolAddress,
+      deposit.createdAt
+    );
+
+    insertEvent(
+      deposit.walletPubkey,
+      "deposit.credited",
+      {
+        id: Number(row.lastInsertRowid),
+        zkProofId: deposit.zkProofId || null,
+        mint: deposit.mint,
+        amountLamports: deposit.lamports.toString(),
+        txSignature: deposit.txSignature,
+      },
+      deposit.createdAt
+    );
+
+    return inserted;
+  });
+
+  // Credits `lamports` to zk_proof `zkProofId`, or with `commitment`
+  // { treeId, commitment, leaf } inserts the note into its tree, and books
+  // the DEPOSIT row and its deposit.credited event. Conflicts when the
+  // signature or commitment is already recorded; resolves to the tree
+  // insert { leafIndex, root } of a commitment, {} otherwise.
+  async function recordDeposit(deposit) {
+    return recordDepositTx(deposit);
+  }
+
+  // ---------- withdrawals ----------
+
+  // Adds `lamports` to what the zk_proof has spent if that much is left and
+  // the note is not frozen; resolves to the conflict message otherwise
+  function lockProofFunds(zkProofId, lamports) {
+    const locked = prepare(
+      `
+      UPDATE zk_proofs SET spent_lamports = spent_lamports + @lamports
+      WHERE id = @id AND frozen_at IS NULL
+        AND total_lamports - spent_lamports >= @lamports
+    `
+    ).run({ lamports, id: zkProofId });
+    if (locked.changes > 0) return null;
+    const frozen = prepare("SELECT frozen_at FROM zk_proofs WHERE id = ?").get(
+      zkProofId
+    )?.frozen_at;
+    return frozen
+      ? "zk_proof is frozen by the operator"
+      : "Insufficient shielded balance";
+  }
+
+  // What WITHDRAW rows of `mint` matching `where` asked for since `since`,
+  // leaving out those that failed, were cancelled or were rejected. What a
+  // note moved to another by internal transfer counts too, or the new note
+  // would start over; a shielded transfer stays in its pool, and the new
+  // note is counted when it is withdrawn from the same wallet.
+  function withdrawnSince(where, params, mint, since) {
+    const { lamports } = prepare(
+      `
+      SELECT CAST(COALESCE(SUM(amount_lamports), 0) AS TEXT) AS lamports
+      FROM transactions
+      WHERE ${where} AND mint = ?
+        AND (type = 'WITHDRAW' OR (type = 'TRANSFER_OUT' AND zk_proof_id <> ?))
+        AND status NOT IN ('FAILED', 'CANCELLED', 'REJECTED')
+        AND datetime(created_at) >= datetime(?)
+    `
+    ).get(...params, mint, SHIELDED_POOL, since);
+    return BigInt(lamports);
+  }
+
+  // The first of `w.limits` a withdrawal of `total` would go over, as
+  // { code, left }, or null. A note counts what it paid out since
+  // `limits.since`, and a day what its owner's notes did; a shielded spend
+  // empties its note at once and has no owner to ask, so its day counts
+  // the shielded withdrawals paid from the same pool wallet.
+  function overLimit(w, total) {
+    const { perNote, perDay, since } = w.limits;
+    const over = (code, limit, withdrawn) =>
+      withdrawn + total > limit
+        ? { code, left: withdrawn < limit ? limit - withdrawn : 0n }
+        : null;
+
+    if (perNote !== null) {
+      const withdrawn = w.zkProofId
+        ? withdrawnSince("zk_proof_id = ?", [w.zkProofId], w.mint, since)
+        : 0n;
+      const rejection = over("NOTE_LIMIT_EXCEEDED", perNote, withdrawn);
+      if (rejection) return rejection;
+    }
+    if (perDay !== null) {
+      const withdrawn = w.zkProofId
+        ? withdrawnSince(
+            "wallet_pubkey = ? AND zk_proof_id <> ?",
+            [w.walletPubkey, SHIELDED_POOL],
+            w.mint,
+            since
+          )
+        : withdrawnSince(
+            "zk_proof_id = ? AND pool_address = ?",
+            [SHIELDED_POOL, w.poolAddress],
+            w.mint,
+            since
+          );
+      return over("DAILY_LIMIT_EXCEEDED", perDay, withdrawn);
+    }
+    return null;
+  }
+
+  // Books one WITHDRAW row and one job per `{ recipient, lamports,
+  // feeLamports }` of `outputs` and locks their total, from zk_proof
+  // `zkProofId` or by spending `nullifierHash`. Each row carries its full
+  // amount; with a relayer its job sends lamports - feeLamports to the
+  // recipient and feeLamports to the relayer. With `releaseAt` (epoch ms)
+  // rows and jobs stay SCHEDULED until releaseWithdrawals. With `review`
+  // the rows wait IN_REVIEW for an admin (see approveWithdrawal), whether
+  // or not they are scheduled too. With `limits` { perNote, perDay, since }
+  // (base units, null where unset) it books nothing and resolves to
+  // { rejection: { code, left } } if the total would go over one (see
+  // overLimit). Resolves to { ids } of the rows.
+  const createWithdrawalTx = db.transaction((w) => {
+    const releaseAt = w.releaseAt ?? null;
+    const scheduled = releaseAt !== null;
+    const held = w.review ? "IN_REVIEW" : null;
+    const total = w.outputs.reduce((sum, o) => sum + o.lamports, 0n);
+    if (w.limits) {
+      const rejection = overLimit(w, total);
+      if (rejection) return { rejection };
+    }
+    if (w.zkProofId) {
+      const conflict = lockProofFunds(w.zkProofId, total);
+      if (conflict) return { conflict };
+    }
+
+    if (
+      w.nullifierHash &&
+      db
+        .prepare("SELECT 1 FROM nullifiers WHERE nullifier_hash = ?")
+        .get(w.nullifierHash)
+    ) {
+      return { conflict: "Note has already been spent" };
+    }
+
+    const ids = [];
+    let batchId = null;
+    w.outputs.forEach((output, i) => {
+      const feeLamports = output.feeLamports || 0n;
+      const info = prepare(
+        `
+        INSERT INTO transactions
+        (wallet_pubkey, zk_proof_id, type, mint, amount_lamports, recipient, tx_signature, status, nullifier_hash, pool_address, relayer, relayer_fee_lamports, created_at)
+        VALUES (?, ?, 'WITHDRAW', ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?)
+      `
+      ).run(
+        w.walletPubkey,
+        w.zkProofId || SHIELDED_POOL,
+        w.mint,
+        output.lamports,
+        output.recipient,
+        held || (scheduled ? "SCHEDULED" : "PENDING"),
+        w.nullifierHash || null,
+        w.poolAddress,
+        w.relayer || null,
+        feeLamports,
+        w.createdAt
+      );
+      const id = Number(info.lastInsertRowid);
+      ids.push(id);
+      if (i % MAX_OUTPUTS_PER_TX === 0) batchId = id;
+
+      prepare(
+        `
+        INSERT INTO withdrawal_jobs
+        (transaction_id, batch_id, recipient, mint, lamports, fee_lamports, signer, relayer, state, attempts, next_attempt_at, release_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+      `
+      ).run(
+        id,
+        batchId,
+        output.recipient,
+        w.mint,
+        output.lamports - feeLamports,
+        feeLamports,
+        w.poolAddress,
+        w.relayer || null,
+        held || (scheduled ? "SCHEDULED" : "QUEUED"),
+        scheduled ? releaseAt : Date.now(),
+        releaseAt
+      );
+    });
+
+    if (w.nullifierHash) {
+      prepare(
+        `
+        INSERT INTO nullifiers (nullifier_hash, transaction_id, created_at)
+        VALUES (?, ?, ?)
+      `
+      ).run(w.nullifierHash, ids[0], w.createdAt);
+    }
+
+    return { ids };
+  });
+
+  async function createWithdrawal(withdrawal) {
+    return createWithdrawalTx(withdrawal);
+  }
+
+  // Keeps a withdrawal the policy refused as REJECTED rows, one per
+  // output, with `rejection.code` and a withdrawal.rejected event each;
+  // nothing is locked or queued
+  const recordRejectedWithdrawalTx = db.transaction((w) => {
+    const ids = [];
+    for (const output of w.outputs) {
+      const info = prepare(
+        `
+        INSERT INTO transactions
+        (wallet_pubkey, zk_proof_id, type, mint, amount_lamports, recipient, tx_signature, status, pool_address, relayer, relayer_fee_lamports, rejection_code, created_at)
+        VALUES (?, ?, 'WITHDRAW', ?, ?, ?, NULL, 'REJECTED', ?, ?, ?, ?, ?)
+      `
+      ).run(
+        w.walletPubkey,
+        w.zkProofId || SHIELDED_POOL,
+        w.mint,
+        output.lamports,
+        output.recipient,
+        w.poolAddress,
+        w.relayer || null,
+        output.feeLamports || 0n,
+        w.rejection.code,
+        w.createdAt
+      );
+      const id = Number(info.lastInsertRowid);
+      ids.push(id);
+      insertEvent(
+        w.walletPubkey,
+        "withdrawal.rejected",
+        withdrawalRejectedData(
+          {
+            id,
+            mint: w.mint,
+            amount_lamports: output.lamports,
+            recipient: output.recipient,
+          },
+          w.rejection
+        ),
+        w.createdAt
+      );
+    }
+    return { ids };
+  });
+
+  async function recordRejectedWithdrawal(withdrawal) {
+    return recordRejectedWithdrawalTx(withdrawal);
+  }
+
+  async function getNullifier(nullifierHash) {
+    return (
+      db
+        .prepare(
+          "SELECT nullifier_hash, created_at FROM nullifiers WHERE nullifier_hash = ?"
+        )
+        .get(nullifierHash) || null
+    );
+  }
+
+  async function history(walletPubkey) {
+    return db
+      .prepare(
+        `
+        SELECT id, wallet_pubkey, zk_proof_id, type, mint,
+               ${lamportsAsText("amount_lamports")}, recipient,
+               tx_signature, status, relayer,
+               ${lamportsAsText("relayer_fee_lamports")}, rejection_code,
+               (SELECT release_at FROM withdrawal_jobs j
+                WHERE j.transaction_id = transactions.id) AS release_at,
+               created_at
+        FROM transactions
+        WHERE wallet_pubkey = ?
+        ORDER BY datetime(created_at) DESC, id DESC
+      `
+      )
+      .all(walletPubkey)
+      .map((r) => withBigInts(r, "amount_lamports", "relayer_fee_lamports"));
+  }
+
+  // ---------- internal transfers ----------
+
+  // Moves `lamports` from one note to a new one with no on-chain send:
+  // `from` is { walletPubkey, zkProofId } or { nullifierHash }, `to` a new
+  // zk_proof { walletPubkey, zkProofId, noteHash } or a commitment
+  // { treeId, commitment, leaf }. Books a TRANSFER_OUT and a TRANSFER_IN
+  // row, which reconciliation leaves out. With `limits` a transfer from a
+  // zk_proof is held to them like a withdrawal (see createWithdrawal).
+  const recordInternalTransferTx = db.transaction((t) => {
+    const { from, to } = t;
+    // checked before anything is written: returning a conflict commits
+    if (
+      to.zkProofId &&
+      prepare("SELECT 1 FROM zk_proofs WHERE id = ?").get(to.zkProofId)
+    ) {
+      return { conflict: "ID collision, retry request" };
+    }
+    if (t.limits && from.zkProofId) {
+      const rejection = overLimit(
+        { ...from, mint: t.mint, limits: t.limits },
+        t.lamports
+      );
+      if (rejection) return { rejection };
+    }
+    if (from.zkProofId) {
+      const conflict = lockProofFunds(from.zkProofId, t.lamports);
+      if (conflict) return { conflict };
+    } else if (
+      prepare("SELECT 1 FROM nullifiers WHERE nullifier_hash = ?").get(
+        from.nullifierHash
+      )
+    ) {
+      return { conflict: "Note has already been spent" };
+    }
+
+    let inserted = {};
+    if (to.zkProofId) {
+      prepare(
+        `
+        INSERT INTO zk_proofs (id, wallet_pubkey, note_hash, mint, total_lamports, spent_lamports, created_at)
+        VALUES (?, ?, ?, ?, ?, 0, ?)
+      `
+      ).run(
+        to.zkProofId,
+        to.walletPubkey,
+        to.noteHash,
+        t.mint,
+        t.lamports,
+        t.createdAt
+      );
+    } else {
+      if (findCommitment(to.commitment)) {
+        return { conflict: "commitment already deposited" };
+      }
+      inserted = rawTree(to.treeId).insert(BigInt(to.leaf));
+      prepare(
+        `
+        INSERT INTO commitments (tree_id, leaf_index, commitment, leaf, tx_signature, created_at)
+        VALUES (?, ?, ?, ?, NULL, ?)
+      `
+      ).run(to.treeId, inserted.leafIndex, to.commitment, to.leaf, t.createdAt);
+    }
+
+    const insertRow = prepare(
+      `
+      INSERT INTO transactions
+      (wallet_pubkey, zk_proof_id, type, mint, amount_lamports, recipient, tx_signature, status, nullifier_hash, pool_address, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, NULL, 'CONFIRMED', ?, ?, ?)
+    `
+    );
+    const out = insertRow.run(
+      from.walletPubkey || SHIELDED_POOL,
+      from.zkProofId || SHIELDED_POOL,
+      "TRANSFER_OUT",
+      t.mint,
+      t.lamports,
+      to.zkProofId || SHIELDED_POOL,
+      from.nullifierHash || null,
+      t.poolAddress,
+      t.createdAt
+    );
+    const into = insertRow.run(
+      to.walletPubkey || SHIELDED_POOL,
+      to.zkProofId || SHIELDED_POOL,
+      "TRANSFER_IN",
+      t.mint,
+      t.lamports,
+      SHIELDED_POOL,
+      null,
+      t.poolAddress,
+      t.createdAt
+    );
+    const ids = [Number(out.lastInsertRowid), Number(into.lastInsertRowid)];
+
+    if (from.nullifierHash) {
+      prepare(
+        `
+        INSERT INTO nullifiers (nullifier_hash, transaction_id, created_at)
+        VALUES (?, ?, ?)
+      `
+      ).run(from.nullifierHash, ids[0], t.createdAt);
+    }
+
+    return { ids, ...inserted };
+  });
+
+  async function recordInternalTransfer(transfer) {
+    return recordInternalTransferTx(transfer);
+  }
+
+  // ---------- withdrawal jobs ----------
+
+  // Jobs are grouped into batches of up to MAX_OUTPUTS_PER_TX that are sent
+  // as one transaction, so the job methods take and settle whole batches
+
+  // Jobs that have been settled (e.g. cancelled by the operator while the
+  // queue held them) are left alone; returns whether the job was updated
+  const updateJob = (job) =>
+    prepare(`
+      UPDATE withdrawal_jobs
+      SET state = @state,
+          attempts = @attempts,
+          next_attempt_at = @next_attempt_at,
+          signed_by = @signed_by,
+          signature = @signature,
+          raw_tx = @raw_tx,
+          last_valid_block_height = @last_valid_block_height,
+          last_error = @last_error,
+          updated_at = @updated_at
+      WHERE id = @id AND state NOT IN ('CONFIRMED', 'FAILED', 'CANCELLED')
+    `).run(job).changes > 0;
+
+  // Up to `limit` batches with a job that is due, each an array of its
+  // unfinished jobs; jobs IN_REVIEW are never due
+  async function dueWithdrawalBatches(now, limit) {
+    const rows = db
+      .prepare(
+        `
+        SELECT ${JOB_COLUMNS} FROM withdrawal_jobs
+        WHERE state IN (${UNSETTLED_JOB_STATES}) AND state != 'IN_REVIEW'
+          AND batch_id IN (
+            SELECT batch_id FROM withdrawal_jobs
+            WHERE state IN (${UNSETTLED_JOB_STATES}) AND state != 'IN_REVIEW'
+              AND next_attempt_at <= ?
+            GROUP BY batch_id
+            ORDER BY MIN(id)
+            LIMIT ?
+          )
+        ORDER BY batch_id, id
+      `
+      )
+      .all(now, limit)
+      .map((r) => withBigInts(r, "lamports", "fee_lamports"));
+
+    const batches = new Map();
+    for (const job of rows) {
+      if (!batches.has(job.batch_id)) batches.set(job.batch_id, []);
+      batches.get(job.batch_id).push(job);
+    }
+    return [...batches.values()];
+  }
+
+  // The jobs of a batch always change together: if one of them has been
+  // settled meanwhile nothing is written and this resolves to false. With
+  // `event` (see ../events.js) one is recorded for each job.
+  async function updateWithdrawalJobs(jobs, event = null) {
+    return db.transaction(() => {
+      const settled = prepare(
+        `
+        SELECT COUNT(*) AS n FROM withdrawal_jobs
+        WHERE id IN (SELECT value FROM json_each(?))
+          AND state IN ('CONFIRMED', 'FAILED', 'CANCELLED')
+      `
+      ).get(JSON.stringify(jobs.map((job) => job.id))).n;
+      if (settled > 0) return false;
+
+      for (const job of jobs) {
+        updateJob(job);
+        if (event) insertWithdrawalEvent(event, job);
+      }
+      return true;
+    })();
+  }
+
+  // Marks the rows of the jobs CONFIRMED with their signature, each with its
+  // withdrawal.confirmed event; jobs settled meanwhile are skipped
+  async function confirmWithdrawals(jobs) {
+    db.transaction(() => {
+      for (const job of jobs) {
+        if (!updateJob(job)) continue;
+        prepare(
+          "UPDATE transactions SET status = 'CONFIRMED', tx_signature = ? WHERE id = ?"
+        ).run(job.signature, job.transaction_id);
+        insertWithdrawalEvent("withdrawal.confirmed", job);
+      }
+    })();
+  }
+
+  // Settles a WITHDRAW row that will never be sent with `status` and
+  // returns the shielded funds: releases the nullifier of a shielded spend,
+  // or the locked amount of a zk_proof spend
+  function returnFunds(transactionId, status) {
+    const row = prepare(
+      "SELECT id, zk_proof_id, nullifier_hash FROM transactions WHERE id = ?"
+    ).get(transactionId);
+    prepare("UPDATE transactions SET status = ? WHERE id = ?").run(
+      status,
+      row.id
+    );
+    if (row.nullifier_hash) {
+      prepare(
+        "DELETE FROM nullifiers WHERE nullifier_hash = ? AND transaction_id = ?"
+      ).run(row.nullifier_hash, row.id);
+    } else {
+      prepare(
+        `
+        UPDATE zk_proofs
+        SET spent_lamports = spent_lamports -
+          (SELECT amount_lamports FROM transactions WHERE id = ?)
+        WHERE id = ?
+      `
+      ).run(row.id, row.zk_proof_id);
+    }
+  }
+
+  // Marks the rows of the jobs FAILED and returns their funds, each with its
+  // withdrawal.failed event; jobs settled meanwhile are skipped
+  async function failWithdrawals(jobs) {
+    db.transaction(() => {
+      for (const job of jobs) {
+        if (!updateJob(job)) continue;
+        returnFunds(job.transaction_id, "FAILED");
+        insertWithdrawalEvent("withdrawal.failed", job);
+      }
+    })();
+  }
+
+  // SCHEDULED -> QUEUED once release_at has passed. Jobs cancelled in the
+  // meantime are skipped; resolves to how many were released.
+  async function releaseWithdrawals(jobs) {
+    return db.transaction(() => {
+      let count = 0;
+      for (const job of jobs) {
+        const released = prepare(
+          `
+          UPDATE withdrawal_jobs
+          SET state = 'QUEUED', updated_at = ?
+          WHERE id = ? AND state = 'SCHEDULED'
+        `
+        ).run(job.updated_at, job.id);
+        if (released.changes === 0) continue;
+        prepare("UPDATE transactions SET status = 'PENDING' WHERE id = ?").run(
+          job.transaction_id
+        );
+        count += 1;
+      }
+      return count;
+    })();
+  }
+
+  // Resolves to null when `walletPubkey` has no withdrawal `id`, and to a
+  // conflict once it has been released (or approved, if it was in review)
+  async function cancelWithdrawal({ id, walletPubkey, updatedAt }) {
+    return db.transaction(() => {
+      const owned = prepare(
+        "SELECT 1 FROM transactions WHERE id = ? AND type = 'WITHDRAW' AND wallet_pubkey = ?"
+      ).get(id, walletPubkey);
+      if (!owned) return null;
+
+      const cancelled = prepare(
+        `
+        UPDATE withdrawal_jobs
+        SET state = 'CANCELLED', updated_at = ?
+        WHERE transaction_id = ? AND state IN ('IN_REVIEW', 'SCHEDULED')
+      `
+      ).run(updatedAt, id);
+      if (cancelled.changes === 0) {
+        return { conflict: "Withdrawal is no longer scheduled" };
+      }
+      returnFunds(id, "CANCELLED");
+      return { id };
+    })();
+  }
+
+  // WITHDRAW rows from before the queue existed have no job
+  async function countOrphanedWithdrawals() {
+    return db
+      .prepare(
+        `
+        SELECT COUNT(*) AS n FROM transactions t
+        WHERE t.type = 'WITHDRAW' AND t.status = 'PENDING'
+          AND NOT EXISTS (SELECT 1 FROM withdrawal_jobs j WHERE j.transaction_id = t.id)
+      `
+      )
+      .get().n;
+  }
+
+  // ---------- reconciliation ----------
+
+  // What the ledger owes per pool address and mint: confirmed deposits less
+  // confirmed withdrawals, with confirmed pool_sweeps moving liabilities
+  // from one address to another (see ../sweeps.js)
+  async function ledgerLiabilities() {
+    return db
+      .prepare(
+        `
+        SELECT pool_address, mint, CAST(SUM(lamports) AS TEXT) AS lamports
+        FROM (
+          SELECT pool_address, mint,
+            CASE WHEN status != 'CONFIRMED' THEN 0
+                 WHEN type = 'DEPOSIT' THEN amount_lamports
+                 WHEN type = 'WITHDRAW' THEN -amount_lamports
+                 ELSE 0 END AS lamports
+          FROM transactions
+          UNION ALL
+          SELECT to_address, mint, lamports FROM pool_sweeps
+          WHERE state = 'CONFIRMED'
+          UNION ALL
+          SELECT from_address, mint, -lamports FROM pool_sweeps
+          WHERE state = 'CONFIRMED'
+        )
+        GROUP BY pool_address, mint
+      `
+      )
+      .all()
+      .map((r) => withBigInts(r, "lamports"));
+  }
+
+  async function recordedSignatures() {
+    return db
+      .prepare(
+        `
+        SELECT tx_signature AS signature FROM transactions
+        WHERE tx_signature IS NOT NULL
+        UNION
+        SELECT signature FROM withdrawal_jobs WHERE signature IS NOT NULL
+        UNION
+        SELECT signature FROM pool_sweeps
+      `
+      )
+      .all()
+      .map((r) => r.signature);
+  }
+
+  async function stuckWithdrawals(cutoff) {
+    return db
+      .prepare(
+        `
+        SELECT t.id, t.zk_proof_id, t.mint,
+               CAST(t.amount_lamports AS TEXT) AS amount_lamports,
+               t.recipient, t.created_at,
+               j.state AS job_state, j.attempts, j.last_error
+        FROM transactions t
+        LEFT JOIN withdrawal_jobs j ON j.transaction_id = t.id
+        WHERE t.type = 'WITHDRAW' AND t.status = 'PENDING'
+          AND datetime(t.created_at) < datetime(?)
+        ORDER BY t.id
+      `
+      )
+      .all(cutoff)
+      .map((r) => withBigInts(r, "amount_lamports"));
+  }
+
+  async function saveReconciliationReport({ trigger, ok, report, createdAt }) {
+    const info = db
+      .prepare(
+        `
+        INSERT INTO reconciliation_reports (trigger, ok, report, created_at)
+        VALUES (?, ?, ?, ?)
+      `
+      )
+      .run(trigger, ok ? 1 : 0, JSON.stringify(report), createdAt);
+    return Number(info.lastInsertRowid);
+  }
+
+  async function reconciliationReports(limit) {
+    return db
+      .prepare(
+        `
+        SELECT id, trigger, report FROM reconciliation_reports
+        ORDER BY id DESC
+        LIMIT ?
+      `
+      )
+      .all(limit)
+      .map((r) => ({ ...r, report: JSON.parse(r.report) }));
+  }
+
+  // ---------- admin ----------
+
+  // Every admin write records an `audit` entry { action, targetType,
+  // targetId, actor, ip, details, createdAt } in the same transaction
+  function insertAudit(audit) {
+    prepare(
+      `
+      INSERT INTO admin_audit_log (action, target_type, target_id, actor, ip, details, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      audit.action,
+      audit.targetType ?? null,
+      audit.targetId == null ? null : String(audit.targetId),
+      audit.actor ?? null,
+      audit.ip ?? null,
+      audit.details == null ? null : JSON.stringify(audit.details),
+      audit.createdAt
+    );
+  }
+
+  async function adminAuditLog({
+    action = null,
+    targetType = null,
+    targetId = null,
+    beforeId = null,
+    limit,
+  }) {
+    return prepare(
+      `
+      SELECT id, action, target_type, target_id, actor, ip, details, created_at
+      FROM admin_audit_log
+      WHERE (@action IS NULL OR action = @action)
+        AND (@targetType IS NULL OR target_type = @targetType)
+        AND (@targetId IS NULL OR target_id = @targetId)
+        AND (@beforeId IS NULL OR id < @beforeId)
+      ORDER BY id DESC
+      LIMIT @limit
+    `
+    )
+      .all({ action, targetType, targetId, beforeId, limit })
+      .map((r) => ({ ...r, details: r.details && JSON.parse(r.details) }));
+  }
+
+  async function getPoolControls() {
+    const row = prepare(
+      `
+      SELECT deposits_paused, withdrawals_paused, reason, updated_at
+      FROM pool_controls WHERE id = 1
+    `
+    ).get();
+    return {
+      ...row,
+      deposits_paused: row.deposits_paused === 1,
+      withdrawals_paused: row.withdrawals_paused === 1,
+    };
+  }
+
+  // A switch left undefined keeps its setting
+  const setPoolControlsTx = db.transaction((c) => {
+    const flag = (value) => (value === undefined ? null : value ? 1 : 0);
+    prepare(
+      `
+      UPDATE pool_controls
+      SET deposits_paused = COALESCE(?, deposits_paused),
+          withdrawals_paused = COALESCE(?, withdrawals_paused),
+          reason = ?, updated_at = ?
+      WHERE id = 1
+    `
+    ).run(
+      flag(c.depositsPaused),
+      flag(c.withdrawalsPaused),
+      c.reason ?? null,
+      c.updatedAt
+    );
+    insertAudit(c.audit);
+  });
+
+  async function setPoolControls(controls) {
+    setPoolControlsTx(controls);
+    return getPoolControls();
+  }
+
+  // Freezes the zk_proof at `frozenAt`, or unfreezes it when that is null.
+  // Resolves to the proof, or null if there is none.
+  const setZkProofFrozenTx = db.transaction(
+    ({ zkProofId, frozenAt, audit }) => {
+      const info = prepare(
+        `
+      UPDATE zk_proofs
+      SET frozen_at = CASE WHEN ? IS NULL THEN NULL ELSE COALESCE(frozen_at, ?) END
+      WHERE id = ?
+    `
+      ).run(frozenAt, frozenAt, zkProofId);
+      if (info.changes === 0) return false;
+      insertAudit(audit);
+      return true;
+    }
+  );
+
+  async function setZkProofFrozen(change) {
+    return setZkProofFrozenTx(change) ? getZkProof(change.zkProofId) : null;
+  }
+
+  // Ledger rows of every wallet, newest first, with the state of their send
+  // job if they have one. Each filter left null matches everything.
+  async function listTransactions({
+    status = null,
+    type = null,
+    walletPubkey = null,
+    zkProofId = null,
+    mint = null,
+    beforeId = null,
+    limit,
+  }) {
+    return prepare(
+      `
+      SELECT t.id, t.wallet_pubkey, t.zk_proof_id, t.type, t.mint,
+             CAST(t.amount_lamports AS TEXT) AS amount_lamports, t.recipient,
+             t.tx_signature, t.status, t.relayer,
+             CAST(t.relayer_fee_lamports AS TEXT) AS relayer_fee_lamports,
+             t.pool_address, t.rejection_code, t.created_at,
+             j.state AS job_state, j.attempts, j.next_attempt_at, j.release_at,
+             j.last_error, j.signed_by
+      FROM transactions t
+      LEFT JOIN withdrawal_jobs j ON j.transaction_id = t.id
+      WHERE (@status IS NULL OR t.status = @status)
+        AND (@type IS NULL OR t.type = @type)
+        AND (@walletPubkey IS NULL OR t.wallet_pubkey = @walletPubkey)
+        AND (@zkProofId IS NULL OR t.zk_proof_id = @zkProofId)
+        AND (@mint IS NULL OR t.mint = @mint)
+        AND (@beforeId IS NULL OR t.id < @beforeId)
+      ORDER BY t.id DESC
+      LIMIT @limit
+    `
+    )
+      .all({ status, type, walletPubkey, zkProofId, mint, beforeId, limit })
+      .map((r) => withBigInts(r, "amount_lamports", "relayer_fee_lamports"));
+  }
+
+  const withdrawalWithJob = (id) =>
+    prepare(
+      `
+      SELECT t.status, j.state AS job_state, j.batch_id
+      FROM transactions t
+      LEFT JOIN withdrawal_jobs j ON j.transaction_id = t.id
+      WHERE t.id = ? AND t.type = 'WITHDRAW'
+    `
+    ).get(id);
+
+  // Makes the batch of a stuck withdrawal due now with a fresh set of
+  // attempts. Resolves to null if there is no withdrawal `id`, a conflict
+  // if it has no job left to send, or the ids of the batch's withdrawals.
+  const retryWithdrawalTx = db.transaction(({ id, now, updatedAt, audit }) => {
+    const row = withdrawalWithJob(id);
+    if (!row) return null;
+    const conflict = operatorRetryConflict(row);
+    if (conflict) return { conflict };
+
+    const ids = prepare(
+      `
+      UPDATE withdrawal_jobs SET attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE batch_id = ?
+        AND state IN ('QUEUED', 'AWAITING_LIQUIDITY', 'SENDING', 'SUBMITTED')
+      RETURNING transaction_id
+    `
+    )
+      .pluck()
+      .all(now, updatedAt, row.batch_id);
+    insertAudit(audit);
+    return { ids };
+  });
+
+  async function retryWithdrawal(retry) {
+    return retryWithdrawalTx(retry);
+  }
+
+  // Cancels a withdrawal nothing has been signed for yet (or one from
+  // before the queue, with no job at all) and returns its funds. Resolves
+  // to null if there is no withdrawal `id`, or a conflict if a transaction
+  // of it may still land.
+  const cancelStuckWithdrawalTx = db.transaction(({ id, updatedAt, audit }) => {
+    const row = withdrawalWithJob(id);
+    if (!row) return null;
+    const conflict = operatorCancelConflict(row);
+    if (conflict) return { conflict };
+
+    prepare(
+      `
+      UPDATE withdrawal_jobs SET state = 'CANCELLED', updated_at = ?
+      WHERE transaction_id = ? AND state IN (${UNSIGNED_JOB_STATES})
+    `
+    ).run(updatedAt, id);
+    returnFunds(id, "CANCELLED");
+    insertAudit(audit);
+    return { id };
+  });
+
+  async function cancelStuckWithdrawal(cancel) {
+    return cancelStuckWithdrawalTx(cancel);
+  }
+
+  // The review queue: an approved batch goes on to the queue, SCHEDULED if
+  // its release_at is still ahead; a rejected one is settled like a cancel,
+  // its rows REJECTED with `rejection.code`. Both act on the batch of
+  // withdrawal `id` and resolve to null if there is no withdrawal `id`, a
+  // conflict if it is not in review, or the ids of the batch's withdrawals.
+  const approveWithdrawalTx = db.transaction(
+    ({ id, now, updatedAt, audit }) => {
+      const row = withdrawalWithJob(id);
+      if (!row) return null;
+      if (row.job_state !== "IN_REVIEW") {
+        return { conflict: "Withdrawal is not awaiting review" };
+      }
+
+      const jobs = prepare(
+        `
+        UPDATE withdrawal_jobs
+        SET state = CASE WHEN release_at > @now THEN 'SCHEDULED' ELSE 'QUEUED' END,
+            next_attempt_at = CASE WHEN release_at > @now THEN release_at ELSE @now END,
+            updated_at = @updatedAt
+        WHERE batch_id = @batchId AND state = 'IN_REVIEW'
+        RETURNING transaction_id, state
+      `
+      ).all({ now, updatedAt, batchId: row.batch_id });
+      for (const job of jobs) {
+        prepare("UPDATE transactions SET status = ? WHERE id = ?").run(
+          job.state === "SCHEDULED" ? "SCHEDULED" : "PENDING",
+          job.transaction_id
+        );
+      }
+      insertAudit(audit);
+      return { ids: jobs.map((job) => job.transaction_id) };
+    }
+  );
+
+  async function approveWithdrawal(approval) {
+    return approveWithdrawalTx(approval);
+  }
+
+  const rejectWithdrawalTx = db.transaction(
+    ({ id, rejection, updatedAt, audit }) => {
+      const row = withdrawalWithJob(id);
+      if (!row) return null;
+      if (row.job_state !== "IN_REVIEW") {
+        return { conflict: "Withdrawal is not awaiting review" };
+      }
+
+      const ids = prepare(
+        `
+        UPDATE withdrawal_jobs
+        SET state = 'CANCELLED', last_error = ?, updated_at = ?
+        WHERE batch_id = ? AND state = 'IN_REVIEW'
+        RETURNING transaction_id
+      `
+      )
+        .pluck()
+        .all(rejection.error, updatedAt, row.batch_id);
+      for (const transactionId of ids) {
+        returnFunds(transactionId, "REJECTED");
+        const rejected = prepare(
+          `
+          UPDATE transactions SET rejection_code = ? WHERE id = ?
+          RETURNING id, wallet_pubkey, mint,
+                    CAST(amount_lamports AS TEXT) AS amount_lamports, recipient
+        `
+        ).get(rejection.code, transactionId);
+        insertEvent(
+          rejected.wallet_pubkey,
+          "withdrawal.rejected",
+          withdrawalRejectedData(rejected, rejection),
+          updatedAt
+        );
+      }
+      insertAudit(audit);
+      return { ids };
+    }
+  );
+
+  async function rejectWithdrawal(rejection) {
+    return rejectWithdrawalTx(rejection);
+  }
+
+  // ---------- wallet auth ----------
+
+  async function createAuthNonce({ nonce, walletPubkey, message, expiresAt }) {
+    prepare(
+      `
+      INSERT INTO auth_nonces (nonce, wallet_pubkey, message, expires_at)
+      VALUES (?, ?, ?, ?)
+    `
+    ).run(nonce, walletPubkey, message, expiresAt);
+  }
+
+  // Single use: the nonce is gone whether or not the signature checks out
+  async function consumeAuthNonce(nonce, now) {
+    return (
+      prepare(
+        `
+        DELETE FROM auth_nonces WHERE nonce = ? AND expires_at > ?
+        RETURNING wallet_pubkey, message, expires_at
+      `
+      ).get(nonce, now) || null
+    );
+  }
+
+  async function createAuthSession({ tokenHash, walletPubkey, expiresAt }) {
+    prepare(
+      `
+      INSERT INTO auth_sessions (token_hash, wallet_pubkey, expires_at)
+      VALUES (?, ?, ?)
+    `
+    ).run(tokenHash, walletPubkey, expiresAt);
+  }
+
+  async function getAuthSession(tokenHash, now) {
+    return (
+      prepare(
+        `
+        SELECT wallet_pubkey, expires_at FROM auth_sessions
+        WHERE token_hash = ? AND expires_at > ?
+      `
+      ).get(tokenHash, now) || null
+    );
+  }
+
+  async function deleteExpiredAuth(now) {
+    db.transaction(() => {
+      prepare("DELETE FROM auth_nonces WHERE expires_at <= ?").run(now);
+      prepare("DELETE FROM auth_sessions WHERE expires_at <= ?").run(now);
+    })();
+  }
+
+  // ---------- rate limits ----------
+
+  // Backing for the rate limiter when RATE_LIMIT_STORE=sql (see
+  // ../ratelimit.js)
+
+  // Counts a hit on `key`, opening a new window of `windowMs` when the last
+  // one is over. Resolves to { count, resetAt } of the current window.
+  async function hitRateLimit(key, windowMs, now) {
+    const row = prepare(
+      `
+      INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+        reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+      RETURNING count, reset_at
+    `
+    ).get(key, now + windowMs, now, now);
+    return { count: row.count, resetAt: row.reset_at };
+  }
+
+  // { count, resetAt } of the window of `key` open at `now`, or null
+  async function peekRateLimit(key, now) {
+    const row = prepare(
+      "SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?"
+    ).get(key, now);
+    return row ? { count: row.count, resetAt: row.reset_at } : null;
+  }
+
+  async function resetRateLimit(key) {
+    prepare("DELETE FROM rate_limits WHERE key = ?").run(key);
+  }
+
+  async function deleteExpiredRateLimits(now) {
+    prepare("DELETE FROM rate_limits WHERE reset_at <= ?").run(now);
+  }
+
+  // ---------- pool keys and sweeps ----------
+
+  // Records `address` as the ACTIVE key of `pool`. When it replaces another
+  // key, that one is RETIRED and the withdrawals it has not signed yet move
+  // to the new key, jobs and ledger rows; `audit` is written with the
+  // details. Resolves to { rotatedFrom, movedJobs }, rotatedFrom null when
+  // the key did not change.
+  const registerPoolKeyTx = db.transaction(
+    ({ pool, address, source, now, audit }) => {
+      const active = prepare(
+        "SELECT address FROM pool_keys WHERE pool = ? AND state = 'ACTIVE'"
+      ).get(pool);
+      if (active && active.address === address) {
+        prepare("UPDATE pool_keys SET source = ? WHERE address = ?").run(
+          source,
+          address
+        );
+        return { rotatedFrom: null, movedJobs: 0 };
+      }
+
+      let movedJobs = 0;
+      if (active) {
+        prepare(
+          `
+          UPDATE pool_keys SET state = 'RETIRED', retired_at = ?, replaced_by = ?
+          WHERE address = ?
+        `
+        ).run(now, address, active.address);
+        prepare(
+          `
+          UPDATE transactions SET pool_address = ?
+          WHERE id IN (
+            SELECT transaction_id FROM withdrawal_jobs
+            WHERE signer = ? AND state IN (${UNSIGNED_JOB_STATES})
+          )
+        `
+        ).run(address, active.address);
+        movedJobs = prepare(
+          `
+          UPDATE withdrawal_jobs SET signer = ?
+          WHERE signer = ? AND state IN (${UNSIGNED_JOB_STATES})
+        `
+        ).run(address, active.address).changes;
+      }
+
+      prepare(
+        `
+        INSERT INTO pool_keys (address, pool, state, source, activated_at)
+        VALUES (?, ?, 'ACTIVE', ?, ?)
+        ON CONFLICT (address) DO UPDATE SET
+          pool = excluded.pool, state = 'ACTIVE', source = excluded.source,
+          activated_at = excluded.activated_at, retired_at = NULL,
+          replaced_by = NULL
+      `
+      ).run(address, pool, source, now);
+
+      if (active) {
+        insertAudit({
+          ...audit,
+          details: { from: active.address, to: address, movedJobs },
+        });
+      }
+      return { rotatedFrom: active ? active.address : null, movedJobs };
+    }
+  );
+
+  async function registerPoolKey(key) {
+    return registerPoolKeyTx(key);
+  }
+
+  // Every pool key, each with how many withdrawals it signed
+  async function listPoolKeys() {
+    return prepare(
+      `SELECT ${POOL_KEY_COLUMNS} FROM pool_keys ORDER BY pool, activated_at DESC`
+    ).all();
+  }
+
+  async function getPoolKey(address) {
+    return (
+      prepare(
+        `SELECT ${POOL_KEY_COLUMNS} FROM pool_keys WHERE address = ?`
+      ).get(address) || null
+    );
+  }
+
+  const sweepFromRow = (row) => row && withBigInts(row, "lamports");
+
+  const getSweep = (id) =>
+    sweepFromRow(
+      prepare(`SELECT ${SWEEP_COLUMNS} FROM pool_sweeps WHERE id = ?`).get(id)
+    );
+
+  // Saves a signed sweep as SUBMITTED, before it is broadcast. Conflicts
+  // while the wallet has a sweep in flight, or for a ROTATION sweep (the
+  // whole balance) withdrawals too, whose amounts it did not allow for.
+  // `audit` is written when given. Resolves to { sweep }.
+  const createSweepTx = db.transaction((sweep) => {
+    if (
+      prepare(
+        "SELECT 1 FROM pool_sweeps WHERE from_address = ? AND state = 'SUBMITTED'"
+      ).get(sweep.fromAddress)
+    ) {
+      return { conflict: "A sweep of this wallet is still in flight" };
+    }
+    if (
+      sweep.reason === "ROTATION" &&
+      prepare(
+        `
+        SELECT 1 FROM withdrawal_jobs
+        WHERE signer = ? AND state IN (${UNSETTLED_JOB_STATES})
+      `
+      ).get(sweep.fromAddress)
+    ) {
+      return { conflict: "Withdrawals from this wallet are still in flight" };
+    }
+
+    const { lastInsertRowid } = prepare(
+      `
+      INSERT INTO pool_sweeps
+      (from_address, to_address, mint, lamports, reason, state, signature, raw_tx, last_valid_block_height, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'SUBMITTED', ?, ?, ?, ?, ?)
+    `
+    ).run(
+      sweep.fromAddress,
+      sweep.toAddress,
+      sweep.mint,
+      sweep.lamports,
+      sweep.reason,
+      sweep.signature,
+      sweep.rawTx,
+      sweep.lastValidBlockHeight,
+      sweep.createdAt,
+      sweep.createdAt
+    );
+    const id = Number(lastInsertRowid);
+    if (sweep.audit) {
+      insertAudit({
+        ...sweep.audit,
+        details: {
+          ...sweep.audit.details,
+          sweepId: id,
+          lamports: String(sweep.lamports),
+        },
+      });
+    }
+    return { sweep: getSweep(id) };
+  });
+
+  async function createSweep(sweep) {
+    return createSweepTx(sweep);
+  }
+
+  // Records a transfer between pool wallets that was made outside this
+  // server, e.g. a top-up from cold storage, as a CONFIRMED sweep. Conflicts
+  // when its signature is already recorded. Resolves to { sweep }.
+  const recordSweepTx = db.transaction((sweep) => {
+    if (
+      prepare("SELECT 1 FROM pool_sweeps WHERE signature = ?").get(
+        sweep.signature
+      )
+    ) {
+      return { conflict: "This transfer is already recorded" };
+    }
+
+    const { lastInsertRowid } = prepare(
+      `
+      INSERT INTO pool_sweeps
+      (from_address, to_address, mint, lamports, reason, state, signature, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'CONFIRMED', ?, ?, ?)
+    `
+    ).run(
+      sweep.fromAddress,
+      sweep.toAddress,
+      sweep.mint,
+      sweep.lamports,
+      sweep.reason,
+      sweep.signature,
+      sweep.createdAt,
+      sweep.createdAt
+    );
+    const id = Number(lastInsertRowid);
+    insertAudit({
+      ...sweep.audit,
+      details: {
+        ...sweep.audit.details,
+        sweepId: id,
+        lamports: String(sweep.lamports),
+      },
+    });
+    return { sweep: getSweep(id) };
+  });
+
+  async function recordSweep(sweep) {
+    return recordSweepTx(sweep);
+  }
+
+  // What the unsettled withdrawal jobs paying out of `signer` in `mint`
+  // still have to take from it, relayer fees included; only those already
+  // signed with `signedOnly`
+  async function pendingOutflow({ signer, mint, signedOnly = false }) {
+    const states = signedOnly ? "'SENDING', 'SUBMITTED'" : UNSETTLED_JOB_STATES;
+    const { lamports } = prepare(
+      `
+      SELECT CAST(COALESCE(SUM(lamports + fee_lamports), 0) AS TEXT) AS lamports
+      FROM withdrawal_jobs
+      WHERE signer = ? AND mint = ? AND state IN (${states})
+    `
+    ).get(signer, mint);
+    return BigInt(lamports);
+  }
+
+  // Only SUBMITTED sweeps change; resolves to whether this one did
+  async function updateSweep({ id, state, lastError, updatedAt }) {
+    return (
+      prepare(
+        `
+        UPDATE pool_sweeps SET state = ?, last_error = ?, updated_at = ?
+        WHERE id = ? AND state = 'SUBMITTED'
+      `
+      ).run(state, lastError, updatedAt, id).changes > 0
+    );
+  }
+
+  async function submittedSweeps() {
+    return prepare(
+      `SELECT ${SWEEP_COLUMNS} FROM pool_sweeps WHERE state = 'SUBMITTED' ORDER BY id`
+    )
+      .all()
+      .map(sweepFromRow);
+  }
+
+  // Sweeps out of or into `address` (every one when null), newest first
+  async function listSweeps({ address = null, limit }) {
+    return prepare(
+      `
+      SELECT ${SWEEP_COLUMNS} FROM pool_sweeps
+      WHERE @address IS NULL OR from_address = @address OR to_address = @address
+      ORDER BY id DESC
+      LIMIT @limit
+    `
+    )
+      .all({ address, limit })
+      .map(sweepFromRow);
+  }
+
+  // ---------- note vault ----------
+
+  // Replaces the backup under `label`, or adds it unless the wallet already
+  // has `maxNotes`. Resolves to { created }.
+  async function saveNoteBackup({
+    walletPubkey,
+    label,
+    ciphertext,
+    updatedAt,
+    maxNotes,
+  }) {
+    return db
+      .transaction(() => {
+        const replaced = prepare(
+          `
+        UPDATE note_backups SET ciphertext = ?, updated_at = ?
+        WHERE wallet_pubkey = ? AND label = ?
+      `
+        ).run(ciphertext, updatedAt, walletPubkey, label);
+        if (replaced.changes > 0) return { created: false };
+
+        const { n } = prepare(
+          "SELECT COUNT(*) AS n FROM note_backups WHERE wallet_pubkey = ?"
+        ).get(walletPubkey);
+        if (n >= maxNotes) {
+          return {
+            conflict: `A wallet can back up at most ${maxNotes} notes`,
+          };
+        }
+        prepare(
+          `
+        INSERT INTO note_backups (wallet_pubkey, label, ciphertext, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `
+        ).run(walletPubkey, label, ciphertext, updatedAt, updatedAt);
+        return { created: true };
+      })
+      .immediate();
+  }
+
+  async function listNoteBackups(walletPubkey) {
+    return prepare(
+      `
+      SELECT label, ciphertext, created_at, updated_at FROM note_backups
+      WHERE wallet_pubkey = ?
+      ORDER BY datetime(created_at), label
+    `
+    ).all(walletPubkey);
+  }
+
+  async function deleteNoteBackup({ walletPubkey, label }) {
+    const info = prepare(
+      "DELETE FROM note_backups WHERE wallet_pubkey = ? AND label = ?"
+    ).run(walletPubkey, label);
+    return info.changes > 0;
+  }
+
+  // ---------- commitment trees ----------
+
+  function merkleTree(treeId) {
+    const tree = rawTree(treeId);
+    return {
+      treeId,
+      depth: tree.depth,
+      size: async () => tree.size(),
+      root: async () => tree.root(),
+      isKnownRoot: async (root) => tree.isKnownRoot(root),
+      path: async (leafIndex) => tree.path(leafIndex),
+    };
+  }
+
+  return {
+    driver: "sqlite",
+    migrations,
+    close,
+    insertZkProof,
+    getZkProof,
+    listZkProofs,
+    isDepositRecorded,
+    isCommitmentRecorded,
+    recordDeposit,
+    createWithdrawal,
+    recordRejectedWithdrawal,
+    getNullifier,
+    recordInternalTransfer,
+    history,
+    dueWithdrawalBatches,
+    updateWithdrawalJobs,
+    confirmWithdrawals,
+    failWithdrawals,
+    releaseWithdrawals,
+    cancelWithdrawal,
+    countOrphanedWithdrawals,
+    ledgerLiabilities,
+    recordedSignatures,
+    stuckWithdrawals,
+    saveReconciliationReport,
+    reconciliationReports,
+    createAuthNonce,
+    consumeAuthNonce,
+    createAuthSession,
+    getAuthSession,
+    deleteExpiredAuth,
+    hitRateLimit,
+    peekRateLimit,
+    resetRateLimit,
+    deleteExpiredRateLimits,
+    registerPoolKey,
+    listPoolKeys,
+    getPoolKey,
+    createSweep,
+    updateSweep,
+    submittedSweeps,
+    recordSweep,
+    pendingOutflow,
+    listSweeps,
+    saveNoteBackup,
+    listNoteBackups,
+    deleteNoteBackup,
+    lastEventId,
+    eventsSince,
+    walletEventsSince,
+    createWebhookEndpoint,
+    getWebhookEndpoint,
+    listWebhookEndpoints,
+    setWebhookEndpointActive,
+    enqueueWebhookDeliveries,
+    dueWebhookDeliveries,
+    recordWebhookAttempt,
+    listWebhookDeliveries,
+    getWebhookDelivery,
+    listWebhookAttempts,
+    replayWebhookDelivery,
+    replayWebhookEvents,
+    adminAuditLog,
+    getPoolControls,
+    setPoolControls,
+    setZkProofFrozen,
+    listTransactions,
+    retryWithdrawal,
+    cancelStuckWithdrawal,
+    approveWithdrawal,
+    rejectWithdrawal,
+    merkleTree,
+  };
+}
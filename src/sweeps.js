@@ -0,0 +1,299 @@
+import bs58 from "bs58";
+import { PublicKey } from "@solana/web3.js";
+import {
+  SIGNATURE_FEE_LAMPORTS,
+  SOL_MINT,
+  buildPoolTransfer,
+  parseUnits,
+  walletBalance,
+} from "./solana.js";
+import { signTransaction } from "./signers.js";
+
+// SUBMITTED signed, saved and broadcast, waiting for confirmation
+// CONFIRMED landed on chain; the ledger now counts the funds at to_address
+// FAILED    reverted, or its blockhash expired unseen; nothing moved
+export const SWEEP_STATES = ["SUBMITTED", "CONFIRMED", "FAILED"];
+
+// ROTATION  a retired key emptied into its pool's current one
+// THRESHOLD a hot wallet's excess over its cap moved to cold storage
+// REFILL    a top-up from cold storage, made by hand and recorded
+export const SWEEP_REASONS = ["ROTATION", "THRESHOLD", "REFILL"];
+
+const POLL_INTERVAL_MS = 5_000;
+const DEFAULT_CHECK_INTERVAL_MS = 5 * 60_000;
+
+/**
+ * The hot/cold split: HOT_WALLET_CAP_<symbol> is the most of an asset (in
+ * its units, e.g. HOT_WALLET_CAP_SOL=100) a hot pool wallet keeps; above
+ * it the excess is swept to COLD_WALLET_ADDRESS, whose key never touches
+ * this server. Returns { coldAddress, caps }, caps a Map from mint to base
+ * units (empty when no cap is set); throws on a bad setting.
+ */
+export function loadHotWalletCaps(env, assets) {
+  const caps = new Map();
+  for (const { symbol, mint, decimals } of assets) {
+    const value = env[`HOT_WALLET_CAP_${symbol}`];
+    if (!value) continue;
+    const cap = parseUnits(value, decimals);
+    if (cap === null) {
+      throw new Error(`HOT_WALLET_CAP_${symbol} is not an amount of ${symbol}`);
+    }
+    caps.set(mint, cap);
+  }
+
+  const coldAddress = env.COLD_WALLET_ADDRESS || null;
+  if (caps.size > 0 && !coldAddress) {
+    throw new Error("HOT_WALLET_CAP_* needs COLD_WALLET_ADDRESS to sweep to");
+  }
+  if (coldAddress) new PublicKey(coldAddress); // throws on a bad address
+  return { coldAddress, caps };
+}
+
+/**
+ * Moves funds of one mint out of a pool wallet: the whole balance of a
+ * rotated-away key into its replacement, or what a hot wallet holds over
+ * its cap into cold storage. A sweep is signed and saved with
+ * store.createSweep() before it is broadcast, and like a withdrawal job
+ * only ever re-broadcasts those bytes until its blockhash expires; then it
+ * is FAILED (and the operator alerted) and can be swept again. Confirmed
+ * sweeps move the ledger's liabilities along with the funds (see
+ * store.ledgerLiabilities()), so reconciliation stays balanced.
+ *
+ * Every `checkIntervalMs` each of `hotWallets()` ({ address } of the hot
+ * pool wallets) is checked against `caps` (see loadHotWalletCaps). Above
+ * its cap, it keeps the cap or what its unsettled withdrawals still need,
+ * whichever is more, and the rest goes to `coldAddress`.
+ *
+ * A token sweep's fee is paid in SOL by the wallet being swept, so sweep
+ * its tokens before its SOL.
+ */
+export function createSweeper({
+  store,
+  connection,
+  findSigner,
+  hotWallets = () => [],
+  coldAddress = null,
+  caps = new Map(),
+  alerter = null,
+  checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS,
+}) {
+  let timer = null;
+  let checkTimer = null;
+  let running = false;
+  let checking = false;
+
+  const balanceOf = (address, mint) =>
+    walletBalance(connection, address, mint, "confirmed");
+
+  async function broadcast(sweep) {
+    try {
+      await connection.sendRawTransaction(Buffer.from(sweep.raw_tx, "base64"), {
+        skipPreflight: false,
+      });
+    } catch (err) {
+      // may or may not have been forwarded; tick decides once it can tell
+      console.warn("[ZKNON] Sweep broadcast error:", sweep.id, err.message);
+    }
+  }
+
+  /**
+   * Sweep `lamports` of `mint` (by default all `from` holds, less the fee)
+   * from `from` to `to`, recording `audit` with it if given. Resolves to
+   * { sweep }, or { conflict } when there is no signer for `from`, nothing
+   * to sweep, or the store refuses (see store.createSweep()).
+   */
+  async function sweep({
+    from,
+    to,
+    mint,
+    reason,
+    lamports = null,
+    audit = null,
+  }) {
+    const signer = findSigner(from);
+    if (!signer) return { conflict: `No signer loaded for ${from}` };
+
+    if (lamports === null) {
+      const balance = await balanceOf(from, mint);
+      lamports = mint === SOL_MINT ? balance - SIGNATURE_FEE_LAMPORTS : balance;
+    }
+    if (lamports <= 0n) return { conflict: "Nothing to sweep" };
+
+    const latest = await connection.getLatestBlockhash("finalized");
+    const tx = buildPoolTransfer({
+      from,
+      outputs: [{ recipient: to, lamports }],
+      blockhash: latest.blockhash,
+      mint,
+    });
+    await signTransaction(tx, [signer]);
+
+    const now = new Date().toISOString();
+    const result = await store.createSweep({
+      fromAddress: from,
+      toAddress: to,
+      mint,
+      lamports,
+      reason,
+      signature: bs58.encode(tx.signature),
+      rawTx: tx.serialize().toString("base64"),
+      lastValidBlockHeight: latest.lastValidBlockHeight,
+      createdAt: now,
+      audit,
+    });
+    if (result.conflict) return result;
+
+    await broadcast(result.sweep);
+    console.log(
+      "[ZKNON] Sweep submitted:",
+      result.sweep.id,
+      from,
+      "->",
+      to,
+      mint,
+      lamports.toString()
+    );
+    return result;
+  }
+
+  async function settle(sweep, state, lastError = null) {
+    await store.updateSweep({
+      id: sweep.id,
+      state,
+      lastError,
+      updatedAt: new Date().toISOString(),
+    });
+    if (state === "CONFIRMED") {
+      console.log("[ZKNON] Sweep confirmed:", sweep.id, sweep.signature);
+      return;
+    }
+    console.error("[ZKNON] Sweep failed:", sweep.id, lastError);
+    await alerter?.alert(
+      `sweep:${sweep.id}`,
+      `Sweep ${sweep.id} from ${sweep.from_address} failed: ${lastError}`,
+      { sweepId: sweep.id, from: sweep.from_address, to: sweep.to_address }
+    );
+  }
+
+  async function check(sweep) {
+    // Read before the status: a transaction that lands after this height
+    // was taken still shows up below, so an expired blockhash seen here
+    // means it can no longer land at all
+    const blockHeight = await connection.getBlockHeight("finalized");
+    const { value } = await connection.getSignatureStatuses(
+      [sweep.signature],
+      { searchTransactionHistory: true }
+    );
+    const status = value[0];
+
+    if (status && status.err) {
+      return settle(
+        sweep,
+        "FAILED",
+        `Transaction failed on chain: ${JSON.stringify(status.err)}`
+      );
+    }
+    if (
+      status &&
+      (status.confirmationStatus === "confirmed" ||
+        status.confirmationStatus === "finalized")
+    ) {
+      return settle(sweep, "CONFIRMED");
+    }
+    if (status) return;
+
+    if (blockHeight > sweep.last_valid_block_height) {
+      return settle(
+        sweep,
+        "FAILED",
+        "Blockhash expired before the transaction landed"
+      );
+    }
+    return broadcast(sweep);
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      for (const sweep of await store.submittedSweeps()) {
+        try {
+          await check(sweep);
+        } catch (err) {
+          // RPC trouble; look again next tick
+          console.error("[ZKNON] Sweep check error:", sweep.id, err);
+        }
+      }
+    } catch (err) {
+      console.error("[ZKNON] Sweeper error:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  // What `address` holds of `mint` over what it has to keep, less the
+  // sweep's own fee for SOL; 0n when under its cap
+  async function excessOf(address, mint, cap) {
+    const balance = await balanceOf(address, mint);
+    if (balance <= cap) return 0n;
+    const owed = await store.pendingOutflow({ signer: address, mint });
+    const fee = mint === SOL_MINT ? SIGNATURE_FEE_LAMPORTS : 0n;
+    const excess = balance - (owed > cap ? owed : cap) - fee;
+    return excess > 0n ? excess : 0n;
+  }
+
+  // Sweeps every hot wallet's excess over its caps to cold storage. Token
+  // excess goes first, while the wallet still holds SOL for the fees.
+  async function sweepExcess() {
+    if (checking || caps.size === 0) return;
+    checking = true;
+    try {
+      const mints = [...caps.keys()].sort(
+        (a, b) => (a === SOL_MINT) - (b === SOL_MINT)
+      );
+      for (const { address } of hotWallets()) {
+        for (const mint of mints) {
+          try {
+            const lamports = await excessOf(address, mint, caps.get(mint));
+            if (lamports === 0n) continue;
+            // conflicts while the last one is in flight; looked at next time
+            await sweep({
+              from: address,
+              to: coldAddress,
+              mint,
+              reason: "THRESHOLD",
+              lamports,
+            });
+          } catch (err) {
+            console.error(
+              "[ZKNON] Hot wallet check error:",
+              address,
+              mint,
+              err
+            );
+          }
+        }
+      }
+    } finally {
+      checking = false;
+    }
+  }
+
+  function start() {
+    tick();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    if (caps.size > 0) {
+      sweepExcess();
+      checkTimer = setInterval(sweepExcess, checkIntervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(checkTimer);
+    timer = null;
+    checkTimer = null;
+  }
+
+  return { sweep, sweepExcess, tick, start, stop };
+}
@@ -0,0 +1,60 @@
+import express from "express";
+import dotenv from "dotenv";
+import { SIGNATURE_HEADER, verifyWebhookSignature } from "./webhooks.js";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run webhook-receiver -- [port] [failFirst]
+
+  Listens on port (default 4100) for webhook deliveries, checks their
+  signature against WEBHOOK_SECRET and prints each event as a JSON line.
+  The first failFirst deliveries (default 0) are answered with a 500, to
+  watch the retries. GET /events lists what was received.
+
+Register it with POST /api/admin/webhooks {"url": "http://localhost:4100/"}
+and start it with the secret that call returns.`;
+
+const log = (message) => console.error(`[ZKNON] ${message}`);
+
+function main([port = "4100", failFirst = "0"]) {
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret || !(Number(port) > 0) || !(Number(failFirst) >= 0)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const received = [];
+  let toFail = Number(failFirst);
+
+  const app = express();
+
+  // the signature covers the exact bytes sent, so keep the raw body
+  app.post("*", express.raw({ type: "*/*" }), (req, res) => {
+    const body = req.body.toString("utf8");
+    if (!verifyWebhookSignature(secret, req.get(SIGNATURE_HEADER), body)) {
+      log(`Rejected delivery ${req.get("x-zknon-delivery")}: bad signature`);
+      return res.status(401).json({ error: "Bad signature" });
+    }
+    if (toFail > 0) {
+      toFail -= 1;
+      log(`Failing delivery ${req.get("x-zknon-delivery")} on purpose`);
+      return res.status(500).json({ error: "Failing on purpose" });
+    }
+
+    const event = {
+      ...JSON.parse(body),
+      deliveryId: Number(req.get("x-zknon-delivery")),
+      receivedAt: new Date().toISOString(),
+    };
+    received.push(event);
+    console.log(JSON.stringify(event));
+    res.status(204).end();
+  });
+
+  app.get("/events", (req, res) => res.json({ events: received }));
+
+  app.listen(Number(port), () => log(`Webhook receiver on port ${port}`));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,190 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// PENDING   waiting for its next attempt (first one or a retry)
+// DELIVERED the endpoint answered 2xx
+// FAILED    gave up after MAX_ATTEMPTS; can still be replayed
+export const DELIVERY_STATES = ["PENDING", "DELIVERED", "FAILED"];
+
+export const SIGNATURE_HEADER = "X-ZKNON-Signature";
+
+// Signatures older than this are refused by verifyWebhookSignature
+export const SIGNATURE_TOLERANCE_MS = 5 * 60_000;
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 10_000;
+const MAX_RETRY_DELAY_MS = 60 * 60_000;
+const POLL_INTERVAL_MS = 2_000;
+const REQUEST_TIMEOUT_MS = 10_000;
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 20;
+
+function retryDelay(attempts) {
+  return Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    MAX_RETRY_DELAY_MS
+  );
+}
+
+export function generateWebhookSecret() {
+  return "whsec_" + randomBytes(32).toString("base64url");
+}
+
+function signature(secret, timestamp, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Value of the signature header: `t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<body>" keyed with the endpoint's secret>`
+export function signWebhook(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${signature(secret, timestamp, body)}`;
+}
+
+/**
+ * Checks a signature header against the raw request body, the way a
+ * receiver should: same HMAC, and a timestamp recent enough that a captured
+ * request cannot be replayed later.
+ */
+export function verifyWebhookSignature(
+  secret,
+  header,
+  body,
+  now = Date.now()
+) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp * 1000) > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = Buffer.from(signature(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Delivers the events recorded by the store (see ./events.js) to the
+ * webhook endpoints the operator registered.
+ *
+ * The events table is the outbox: each tick moves the store's webhook
+ * cursor over the new events and queues one delivery per event for every
+ * active endpoint subscribed to its type, then POSTs the deliveries that
+ * are due. A delivery is a JSON body `{ id, type, walletPubkey, data }`
+ * with `data` from `payload(event)`, signed in the X-ZKNON-Signature header
+ * (see signWebhook). Anything but a 2xx within REQUEST_TIMEOUT_MS is
+ * retried with exponential backoff until MAX_ATTEMPTS, then FAILED; every
+ * attempt is logged. Delivery is at least once and retries can overtake
+ * newer events, so receivers should de-duplicate and order on the event id.
+ */
+export function createWebhookDispatcher({
+  store,
+  payload = (event) => event.data,
+  fetch = globalThis.fetch,
+}) {
+  let timer = null;
+  let running = false;
+
+  function bodyOf(event) {
+    return JSON.stringify({
+      id: event.id,
+      type: event.type,
+      walletPubkey: event.wallet_pubkey,
+      data: payload(event),
+    });
+  }
+
+  // One POST; resolves to { status, error } where error is null on a 2xx
+  async function post(delivery) {
+    const body = bodyOf(delivery.event);
+    try {
+      const res = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ZKNON-Webhooks/1",
+          "X-ZKNON-Event": delivery.event.type,
+          "X-ZKNON-Event-Id": String(delivery.event.id),
+          "X-ZKNON-Delivery": String(delivery.id),
+          [SIGNATURE_HEADER]: signWebhook(delivery.secret, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      // the response body is of no interest; free the connection
+      await res.body?.cancel();
+      return {
+        status: res.status,
+        error: res.ok ? null : `Endpoint answered HTTP ${res.status}`,
+      };
+    } catch (err) {
+      return { status: null, error: err.cause?.message || err.message };
+    }
+  }
+
+  async function deliver(delivery) {
+    const started = Date.now();
+    const { status, error } = await post(delivery);
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+
+    let state = "DELIVERED";
+    if (error) state = attempts >= MAX_ATTEMPTS ? "FAILED" : "PENDING";
+
+    await store.recordWebhookAttempt({
+      deliveryId: delivery.id,
+      state,
+      attempts,
+      nextAttemptAt: state === "PENDING" ? now + retryDelay(attempts) : now,
+      status,
+      error,
+      durationMs: now - started,
+      attemptedAt: new Date(now).toISOString(),
+    });
+
+    const label = `${delivery.id} (event ${delivery.event.id})`;
+    if (state === "FAILED") {
+      console.error("[ZKNON] Webhook failed for good:", label, error);
+    } else if (state === "PENDING") {
+      console.warn("[ZKNON] Webhook will be retried:", label, error);
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      let taken;
+      do {
+        taken = await store.enqueueWebhookDeliveries(Date.now(), PAGE_SIZE);
+      } while (taken === PAGE_SIZE);
+
+      const due = await store.dueWebhookDeliveries(Date.now(), BATCH_SIZE);
+      // sent side by side, so a dead endpoint costs the others at most
+      // REQUEST_TIMEOUT_MS
+      await Promise.all(due.map(deliver));
+    } catch (err) {
+      // store unavailable; the next tick tries again
+      console.error("[ZKNON] Webhook dispatcher error:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    tick();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
@@ -0,0 +1,394 @@
+import bs58 from "bs58";
+import {
+  SIGNATURE_FEE_LAMPORTS,
+  SOL_MINT,
+  buildPoolTransfer,
+  walletBalance,
+} from "./solana.js";
+import { signTransaction } from "./signers.js";
+
+// IN_REVIEW over the review threshold (see ./policy.js); left alone by
+//           the queue until an admin approves or rejects it
+// SCHEDULED held back until release_at; can still be cancelled
+// QUEUED    waiting to be signed (first attempt or retry)
+// AWAITING_LIQUIDITY
+//           due, but the hot wallet cannot cover it; checked again until
+//           it can (nothing signed, so it can still be cancelled)
+// SENDING   signed and persisted, broadcast not yet acknowledged
+// SUBMITTED broadcast accepted by the RPC, waiting for confirmation
+// CONFIRMED landed on chain
+// FAILED    gave up; the ledger hook has released the locked funds
+// CANCELLED cancelled before release, or rejected on review; funds released
+//           likewise
+export const JOB_STATES = [
+  "IN_REVIEW",
+  "SCHEDULED",
+  "QUEUED",
+  "AWAITING_LIQUIDITY",
+  "SENDING",
+  "SUBMITTED",
+  "CONFIRMED",
+  "FAILED",
+  "CANCELLED",
+];
+
+// Why the operator cannot retry a withdrawal, given the `job_state` of its
+// send job (null for one from before the queue); null if they can
+export function operatorRetryConflict({ job_state }) {
+  if (!job_state) return "Withdrawal has no send job; cancel it instead";
+  if (job_state === "IN_REVIEW") {
+    return "Withdrawal is awaiting review; approve or reject it";
+  }
+  if (job_state === "SCHEDULED") {
+    return "Withdrawal is scheduled; cancel it or wait for its release";
+  }
+  if (job_state === "CONFIRMED") return "Withdrawal is already confirmed";
+  if (job_state === "FAILED" || job_state === "CANCELLED") {
+    return `Withdrawal is ${job_state.toLowerCase()} and its funds were returned`;
+  }
+  return null;
+}
+
+// ...or cancel it, given also its ledger `status`: only while nothing
+// signed for it can still land
+export function operatorCancelConflict({ status, job_state }) {
+  if (!job_state) {
+    return status === "PENDING"
+      ? null
+      : `Withdrawal is already ${status.toLowerCase()}`;
+  }
+  if (job_state === "SENDING" || job_state === "SUBMITTED") {
+    return "A signed transaction of this withdrawal may still land; retry it instead";
+  }
+  if (
+    job_state === "IN_REVIEW" ||
+    job_state === "SCHEDULED" ||
+    job_state === "QUEUED" ||
+    job_state === "AWAITING_LIQUIDITY"
+  ) {
+    return null;
+  }
+  return `Withdrawal is already ${job_state.toLowerCase()}`;
+}
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 5_000;
+const MAX_RETRY_DELAY_MS = 5 * 60_000;
+const POLL_INTERVAL_MS = 5_000;
+const LIQUIDITY_RECHECK_MS = 30_000;
+
+function retryDelay(attempts) {
+  return Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    MAX_RETRY_DELAY_MS
+  );
+}
+
+/**
+ * Durable withdrawal sender backed by the store's `withdrawal_jobs`.
+ *
+ * A transaction is signed and its signature and bytes are written to the
+ * job *before* it is broadcast. Until the blockhash it was signed with has
+ * expired, the job only ever re-broadcasts those same bytes; it is re-signed
+ * only once the chain has finalized past `last_valid_block_height` without
+ * seeing the signature. That is what keeps a restart from sending twice.
+ *
+ * Jobs are created by store.createWithdrawal() together with their PENDING
+ * ledger rows. The outputs of a split withdrawal share a batch and go out as
+ * one transaction, so everything here works on batches: arrays of jobs that
+ * are saved in one write and always hold the same state and signature.
+ * store.confirmWithdrawals() and store.failWithdrawals() settle the ledger
+ * rows in the same transaction as the job state change, and record the
+ * wallet's event (see ./events.js) with it, as does the first save of a
+ * broadcast. Scheduled jobs come due at their release time and are
+ * released the same way, unless store.cancelWithdrawal() got to them first.
+ *
+ * The operator can cancel jobs nothing has been signed for yet
+ * (store.cancelStuckWithdrawal()). Settled jobs are never written again, so
+ * a batch that loses one while it is being signed is not sent, and the next
+ * tick signs what is left of it. While withdrawals are paused
+ * (store.getPoolControls()) the queue stands still.
+ *
+ * A job's `signer` is the pool wallet it pays out of; findSigner(address)
+ * returns that wallet's signer (./signers.js), and the key that signed the
+ * batch is kept in `signed_by`. A key rotation (store.registerPoolKey())
+ * moves jobs not signed yet to the new wallet; what the retired key has
+ * already signed is still checked and re-broadcast under it.
+ *
+ * Before a batch is signed, the hot wallet's balance must cover it on top
+ * of what its signed batches still have to take out. If it does not, the
+ * batch waits in AWAITING_LIQUIDITY, checked again every
+ * LIQUIDITY_RECHECK_MS, and the operator is alerted through `alerter`
+ * (./alerts.js) to top the wallet up from cold storage.
+ */
+export function createWithdrawalQueue({
+  store,
+  connection,
+  findSigner,
+  findRelayerSigner = () => null,
+  alerter = null,
+}) {
+  let timer = null;
+  let running = false;
+
+  function withChanges(batch, changes) {
+    const updatedAt = new Date().toISOString();
+    return batch.map((job) => ({ ...job, ...changes, updated_at: updatedAt }));
+  }
+
+  const label = (batch) => batch.map((job) => job.transaction_id).join(",");
+
+  // Resolves to the saved batch, or null when a job of it has been settled
+  // meanwhile (the operator cancelled it) and nothing was written
+  async function save(batch, changes, event = null) {
+    const next = withChanges(batch, changes);
+    return (await store.updateWithdrawalJobs(next, event)) ? next : null;
+  }
+
+  async function confirm(batch, signature) {
+    await store.confirmWithdrawals(
+      withChanges(batch, { state: "CONFIRMED", signature, last_error: null })
+    );
+    console.log("[ZKNON] Withdraw confirmed:", label(batch), signature);
+  }
+
+  // Nothing from this attempt can land any more: retry with a fresh
+  // blockhash after a backoff, or give up and release the funds.
+  async function retryOrFail(batch, reason) {
+    const { attempts } = batch[0];
+    if (attempts >= MAX_ATTEMPTS) {
+      await store.failWithdrawals(
+        withChanges(batch, { state: "FAILED", last_error: reason })
+      );
+      console.error("[ZKNON] Withdraw failed for good:", label(batch), reason);
+      return;
+    }
+
+    await save(batch, {
+      state: "QUEUED",
+      signature: null,
+      raw_tx: null,
+      last_valid_block_height: null,
+      last_error: reason,
+      next_attempt_at: Date.now() + retryDelay(attempts),
+    });
+    console.warn("[ZKNON] Withdraw will be retried:", label(batch), reason);
+  }
+
+  async function broadcast(batch) {
+    try {
+      await connection.sendRawTransaction(Buffer.from(batch[0].raw_tx, "base64"), {
+        skipPreflight: false,
+      });
+      // re-broadcasts of the same bytes are not news to the wallet
+      return await save(
+        batch,
+        { state: "SUBMITTED", next_attempt_at: Date.now() + POLL_INTERVAL_MS },
+        batch[0].state === "SUBMITTED" ? null : "withdrawal.submitted"
+      );
+    } catch (err) {
+      // The RPC may or may not have forwarded it; stay in SENDING and let
+      // the status check decide once the blockhash has expired.
+      console.warn("[ZKNON] Withdraw broadcast error:", label(batch), err.message);
+      return save(batch, {
+        last_error: err.message,
+        next_attempt_at: Date.now() + retryDelay(batch[0].attempts),
+      });
+    }
+  }
+
+  // What the batch's wallet lacks to send it, in base units of its mint; 0n
+  // when it can. SOL batches without a relayer pay the network fee too.
+  async function liquidityShortfall(batch) {
+    const [{ signer, mint, relayer }] = batch;
+    const needed = batch.reduce(
+      (sum, job) => sum + job.lamports + job.fee_lamports,
+      mint === SOL_MINT && !relayer ? SIGNATURE_FEE_LAMPORTS : 0n
+    );
+    const signed = await store.pendingOutflow({
+      signer,
+      mint,
+      signedOnly: true,
+    });
+    const balance = await walletBalance(connection, signer, mint, "confirmed");
+    const shortfall = needed + signed - balance;
+    return shortfall > 0n ? shortfall : 0n;
+  }
+
+  async function awaitLiquidity(batch, shortfall) {
+    const [{ signer, mint, state }] = batch;
+    const waiting = await save(
+      batch,
+      {
+        state: "AWAITING_LIQUIDITY",
+        last_error: `Hot wallet is ${shortfall} base units of ${mint} short`,
+        next_attempt_at: Date.now() + LIQUIDITY_RECHECK_MS,
+      },
+      state === "AWAITING_LIQUIDITY" ? null : "withdrawal.awaiting_liquidity"
+    );
+    if (waiting && state !== "AWAITING_LIQUIDITY") {
+      console.warn("[ZKNON] Withdraw awaiting liquidity:", label(batch));
+    }
+    await alerter?.alert(
+      `liquidity:${signer}:${mint}`,
+      `Hot wallet ${signer} is ${shortfall} base units of ${mint} short ` +
+        "of queued withdrawals; top it up from cold storage",
+      { address: signer, mint, shortfallLamports: shortfall.toString() }
+    );
+  }
+
+  async function signAndSend(batch) {
+    const [first] = batch;
+    const failedAttempt = withChanges(batch, { attempts: first.attempts + 1 });
+
+    const signer = findSigner(first.signer);
+    if (!signer) {
+      return retryOrFail(failedAttempt, `No signer loaded for pool ${first.signer}`);
+    }
+
+    const relayer = first.relayer ? findRelayerSigner(first.relayer) : null;
+    if (first.relayer && !relayer) {
+      return retryOrFail(
+        failedAttempt,
+        `No signer loaded for relayer ${first.relayer}`
+      );
+    }
+
+    const shortfall = await liquidityShortfall(batch);
+    if (shortfall > 0n) return awaitLiquidity(batch, shortfall);
+    alerter?.clear(`liquidity:${first.signer}:${first.mint}`);
+
+    const latest = await connection.getLatestBlockhash("finalized");
+    const tx = buildPoolTransfer({
+      from: first.signer,
+      outputs: batch.map((job) => ({
+        recipient: job.recipient,
+        lamports: job.lamports,
+      })),
+      blockhash: latest.blockhash,
+      mint: first.mint,
+      relayer: first.relayer,
+      feeLamports: batch.reduce((sum, job) => sum + job.fee_lamports, 0n),
+    });
+    // a remote signer that is down throws; the batch is tried again later
+    await signTransaction(tx, relayer ? [relayer, signer] : [signer]);
+
+    const sending = await save(batch, {
+      state: "SENDING",
+      attempts: first.attempts + 1,
+      signed_by: signer.address,
+      signature: bs58.encode(tx.signature),
+      raw_tx: tx.serialize().toString("base64"),
+      last_valid_block_height: latest.lastValidBlockHeight,
+    });
+    if (!sending) {
+      // the batch signed above no longer exists; the next tick signs the rest
+      console.warn(
+        "[ZKNON] Withdraw changed while signing, not sent:",
+        label(batch)
+      );
+      return;
+    }
+
+    return broadcast(sending);
+  }
+
+  async function checkSubmitted(batch) {
+    const [{ signature, last_valid_block_height }] = batch;
+    // Read before the status: a transaction that lands after this height
+    // was taken still shows up below, so an expired blockhash seen here
+    // means it can no longer land at all
+    const blockHeight = await connection.getBlockHeight("finalized");
+    const { value } = await connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true,
+    });
+    const status = value[0];
+
+    if (status && status.err) {
+      // landed but reverted, so nothing moved; safe to try again
+      return retryOrFail(batch, `Transaction failed on chain: ${JSON.stringify(status.err)}`);
+    }
+    if (
+      status &&
+      (status.confirmationStatus === "confirmed" ||
+        status.confirmationStatus === "finalized")
+    ) {
+      return confirm(batch, signature);
+    }
+    if (status) {
+      // processed but not confirmed yet
+      return save(batch, { next_attempt_at: Date.now() + POLL_INTERVAL_MS });
+    }
+
+    if (blockHeight > last_valid_block_height) {
+      return retryOrFail(batch, "Blockhash expired before the transaction landed");
+    }
+
+    // Still valid and unseen: re-broadcasting the same bytes cannot double-send
+    return broadcast(batch);
+  }
+
+  // The released jobs are still due, so the next tick signs and sends them
+  async function release(batch) {
+    const released = await store.releaseWithdrawals(
+      withChanges(batch, { state: "QUEUED" })
+    );
+    if (released > 0) {
+      console.log("[ZKNON] Withdraw released:", label(batch));
+    }
+  }
+
+  async function processBatch(batch) {
+    try {
+      const { state } = batch[0];
+      if (state === "SCHEDULED") {
+        await release(batch);
+      } else if (state === "QUEUED" || state === "AWAITING_LIQUIDITY") {
+        await signAndSend(batch);
+      } else {
+        await checkSubmitted(batch);
+      }
+    } catch (err) {
+      // RPC trouble; leave the state alone and look again later
+      console.error("[ZKNON] Withdraw job error:", label(batch), err);
+      await save(batch, {
+        last_error: err.message,
+        next_attempt_at: Date.now() + retryDelay(batch[0].attempts),
+      });
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      // while paused by the operator nothing is signed, sent or checked;
+      // due jobs just wait
+      if ((await store.getPoolControls()).withdrawals_paused) return;
+
+      const due = await store.dueWithdrawalBatches(Date.now(), 20);
+      for (const batch of due) {
+        await processBatch(batch);
+      }
+    } catch (err) {
+      // store unavailable; the next tick tries again
+      console.error("[ZKNON] Withdrawal queue error:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  // Jobs left in SENDING/SUBMITTED by a previous process are due
+  // immediately, so the first tick reconciles them against the chain.
+  function start() {
+    tick();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
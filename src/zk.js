@@ -0,0 +1,100 @@
+import fs from "fs";
+import * as snarkjs from "snarkjs";
+import { PublicKey } from "@solana/web3.js";
+import { poseidon2, poseidon3 } from "poseidon-lite";
+
+/**
+ * Load a snarkjs verification key (the JSON written by
+ * `snarkjs zkey export verificationkey`). Returns null if the file is missing
+ * so the caller can run with shielded withdrawals disabled.
+ */
+export function loadVerificationKey(path) {
+  if (!path || !fs.existsSync(path)) return null;
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+// Leaf stored in the commitment tree: binds the note commitment to the
+// lamports the server saw arrive on chain.
+export function commitmentLeaf(commitment, lamports) {
+  return poseidon2([commitment, BigInt(lamports)]);
+}
+
+// A Solana public key is 256 bits and does not fit in one field element, so
+// the circuit takes it as two 128-bit halves.
+export function pubkeyToFieldPair(pubkey) {
+  const hex = Buffer.from(new PublicKey(pubkey).toBytes()).toString("hex");
+  return [BigInt("0x" + hex.slice(0, 32)), BigInt("0x" + hex.slice(32))];
+}
+
+// Halves of a public key are below 2^128, so a recipientHi of 2^128 can
+// never name a wallet: it marks a shielded transfer instead.
+export const TRANSFER_RECIPIENT_TAG = 2n ** 128n;
+
+/**
+ * The recipient a shielded transfer proves for: the tag, and a Poseidon hash
+ * of the pool's address and the output `commitment`. The withdraw circuit is
+ * reused as is, and the new note is bound to the proof like a withdrawal's
+ * recipient, so the commitment cannot be swapped for another.
+ */
+export function transferRecipientFields(poolAddress, commitment) {
+  const [poolHi, poolLo] = pubkeyToFieldPair(poolAddress);
+  return [TRANSFER_RECIPIENT_TAG, poseidon3([poolHi, poolLo, commitment])];
+}
+
+/**
+ * Verify a Groth16 proof for circuits/withdraw.circom.
+ *
+ * Public signals are rebuilt here from the request rather than taken from
+ * the client, in circuit order:
+ *   [root, nullifierHash, recipientHi, recipientLo, lamports]
+ */
+export async function verifyWithdrawProof(
+  vKey,
+  proof,
+  { root, nullifierHash, recipient, lamports }
+) {
+  return verifyProof(vKey, proof, {
+    root,
+    nullifierHash,
+    recipientFields: pubkeyToFieldPair(recipient),
+    lamports,
+  });
+}
+
+// The same, for a shielded transfer of a note into `commitment` in the
+// pool at `poolAddress` (see transferRecipientFields)
+export async function verifyTransferProof(
+  vKey,
+  proof,
+  { root, nullifierHash, poolAddress, commitment, lamports }
+) {
+  return verifyProof(vKey, proof, {
+    root,
+    nullifierHash,
+    recipientFields: transferRecipientFields(poolAddress, commitment),
+    lamports,
+  });
+}
+
+async function verifyProof(
+  vKey,
+  proof,
+  { root, nullifierHash, recipientFields, lamports }
+) {
+  const [recipientHi, recipientLo] = recipientFields;
+  const publicSignals = [
+    root,
+    nullifierHash,
+    recipientHi,
+    recipientLo,
+    BigInt(lamports),
+  ].map((v) => v.toString());
+
+  try {
+    return await snarkjs.groth16.verify(vKey, publicSignals, proof);
+  } catch (err) {
+    // malformed proof objects make snarkjs throw instead of returning false
+    console.warn("[ZKNON] Withdraw proof rejected:", err.message);
+    return false;
+  }
+}
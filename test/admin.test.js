@@ -0,0 +1,179 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "path";
+import Database from "better-sqlite3";
+import { Keypair } from "@solana/web3.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+
+const ADMIN_API_KEY = "test-admin-key";
+
+describe("admin audit log", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let proof;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc, env: { ADMIN_API_KEY } });
+
+    const token = await server.signIn(wallet);
+    ({ body: proof } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    }));
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: 1_000_000_000n,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: proof.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  function admin(method, path, { body, actor } = {}) {
+    return server.request(method, `/api/admin${path}`, {
+      body,
+      token: ADMIN_API_KEY,
+      headers: actor ? { "x-admin-actor": actor } : {},
+    });
+  }
+
+  async function entries(query = "") {
+    const res = await admin("GET", `/audit${query}`);
+    assert.equal(res.status, 200);
+    return res.body.entries;
+  }
+
+  test("turns away requests without the admin key", async () => {
+    const res = await server.request("GET", "/api/admin/audit", {
+      token: "wrong",
+    });
+    assert.equal(res.status, 401);
+    const unsigned = await server.request("PUT", "/api/admin/controls", {
+      body: { depositsPaused: true },
+    });
+    assert.equal(unsigned.status, 401);
+    assert.deepEqual(await entries(), []);
+  });
+
+  test("records each action with its actor, target and details", async () => {
+    const paused = await admin("PUT", "/controls", {
+      body: { depositsPaused: true, reason: "maintenance" },
+      actor: "alice",
+    });
+    assert.equal(paused.status, 200);
+    const frozen = await admin("POST", `/zkproofs/${proof.zkProofId}/freeze`, {
+      body: { reason: "credited by mistake" },
+      actor: "bob",
+    });
+    assert.equal(frozen.status, 200);
+
+    const [freeze, pause] = await entries();
+    assert.equal(pause.action, "controls.update");
+    assert.equal(pause.targetType, "pool");
+    assert.equal(pause.actor, "alice");
+    assert.deepEqual(pause.details, {
+      depositsPaused: true,
+      reason: "maintenance",
+    });
+    assert.ok(pause.ip);
+
+    assert.equal(freeze.action, "zk_proof.freeze");
+    assert.equal(freeze.targetType, "zk_proof");
+    assert.equal(freeze.targetId, proof.zkProofId);
+    assert.equal(freeze.actor, "bob");
+    assert.deepEqual(freeze.details, { reason: "credited by mistake" });
+    assert.ok(freeze.id > pause.id);
+
+    await admin("PUT", "/controls", { body: { depositsPaused: false } });
+    await admin("POST", `/zkproofs/${proof.zkProofId}/unfreeze`);
+  });
+
+  test("records nothing for an action that did not happen", async () => {
+    const count = (await entries()).length;
+    const missing = await admin("POST", "/zkproofs/ZKP-00000000000000/freeze");
+    assert.equal(missing.status, 404);
+    const unknown = await admin("POST", "/withdrawals/999999/cancel");
+    assert.equal(unknown.status, 404);
+    const invalid = await admin("PUT", "/controls", { body: {} });
+    assert.equal(invalid.status, 400);
+    assert.equal((await entries()).length, count);
+  });
+
+  test("logs a withdrawal cancelled with the funds it returned", async () => {
+    const withdrawal = await server.request("POST", "/api/withdrawals", {
+      body: {
+        zkProofId: proof.zkProofId,
+        note: proof.note,
+        recipient: Keypair.generate().publicKey.toBase58(),
+        amount: "1",
+        minDelaySeconds: 3600,
+      },
+    });
+    assert.equal(withdrawal.status, 200, withdrawal.body.error);
+    const { body: list } = await admin(
+      "GET",
+      `/transactions?type=WITHDRAW&wallet=${walletPubkey}`
+    );
+    const [{ id }] = list.transactions;
+
+    const cancelled = await admin("POST", `/withdrawals/${id}/cancel`, {
+      actor: "carol",
+    });
+    assert.equal(cancelled.status, 200);
+    const { body } = await admin("GET", `/zkproofs/${proof.zkProofId}`);
+    assert.equal(body.proof.balance, "1");
+
+    const [entry] = await entries(`?targetType=transaction&targetId=${id}`);
+    assert.equal(entry.action, "withdrawal.cancel");
+    assert.equal(entry.actor, "carol");
+  });
+
+  test("filters by action and pages back with `before`", async () => {
+    const freezes = await entries("?action=zk_proof.freeze");
+    assert.ok(freezes.length > 0);
+    assert.ok(freezes.every((e) => e.action === "zk_proof.freeze"));
+
+    const all = await entries();
+    const [newest, ...older] = all;
+    const page = await entries(`?before=${newest.id}&limit=2`);
+    assert.deepEqual(page, older.slice(0, 2));
+
+    const bad = await admin("GET", "/audit?before=0");
+    assert.equal(bad.status, 400);
+  });
+
+  test("cannot be edited or deleted, even in the database", async () => {
+    const db = new Database(join(server.dir, "zknon.db"));
+    try {
+      assert.throws(
+        () => db.prepare("UPDATE admin_audit_log SET actor = 'mallory'").run(),
+        /admin_audit_log is append-only/
+      );
+      assert.throws(
+        () => db.prepare("DELETE FROM admin_audit_log").run(),
+        /admin_audit_log is append-only/
+      );
+    } finally {
+      db.close();
+    }
+    assert.ok(
+      (await entries()).every((e) => e.actor !== "mallory"),
+      "entries unchanged"
+    );
+  });
+});
@@ -0,0 +1,203 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import { createWalletAuth } from "../src/auth.js";
+import { startFakeRpc } from "./helpers/rpc.js";
+import { signMessage, startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+
+describe("createWalletAuth", () => {
+  let db;
+  let auth;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+
+  before(async () => {
+    db = await createTestStore();
+    auth = createWalletAuth({ store: db.store, domain: "zknon.test" });
+  });
+  after(() => db.close());
+
+  async function signedChallenge() {
+    const { nonce, message } = await auth.issueNonce(walletPubkey);
+    return { walletPubkey, nonce, signature: signMessage(wallet, message) };
+  }
+
+  // What requireWallet does with `authorization`: { status, body } of its
+  // answer, or { walletPubkey } when it let the request through
+  function authorize(authorization) {
+    return new Promise((resolve, reject) => {
+      const req = { get: () => authorization, query: {} };
+      const res = {
+        status(status) {
+          return { json: (body) => resolve({ status, body }) };
+        },
+      };
+      auth.requireWallet(req, res, (err) =>
+        err ? reject(err) : resolve({ walletPubkey: req.walletPubkey })
+      );
+    });
+  }
+
+  test("issues a sign-in message naming the wallet and the nonce", async () => {
+    const { nonce, message, expiresAt } = await auth.issueNonce(walletPubkey);
+    assert.match(nonce, /^[0-9a-f]{32}$/);
+    assert.ok(message.startsWith("zknon.test wants you to sign in"));
+    assert.ok(message.includes(walletPubkey));
+    assert.ok(message.includes(`Nonce: ${nonce}`));
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    assert.deepEqual(await auth.issueNonce("not-a-key"), {
+      error: "walletPubkey is not a valid address",
+    });
+  });
+
+  test("trades a signed nonce for a session token", async () => {
+    const session = await auth.signIn(await signedChallenge());
+    assert.equal(session.walletPubkey, walletPubkey);
+    assert.deepEqual(await authorize(`Bearer ${session.token}`), {
+      walletPubkey,
+    });
+  });
+
+  test("takes each nonce once", async () => {
+    const challenge = await signedChallenge();
+    assert.ok((await auth.signIn(challenge)).token);
+    assert.deepEqual(await auth.signIn(challenge), {
+      error: "Unknown or expired nonce",
+    });
+  });
+
+  test("refuses a signature by another key, spending the nonce", async () => {
+    const { nonce, message } = await auth.issueNonce(walletPubkey);
+    const signedBy = (keypair) => ({
+      walletPubkey,
+      nonce,
+      signature: signMessage(keypair, message),
+    });
+    assert.deepEqual(await auth.signIn(signedBy(Keypair.generate())), {
+      error: "Signature does not match walletPubkey",
+    });
+    assert.deepEqual(await auth.signIn(signedBy(wallet)), {
+      error: "Unknown or expired nonce",
+    });
+  });
+
+  test("refuses a nonce issued to another wallet", async () => {
+    const other = Keypair.generate();
+    const challenge = await signedChallenge();
+    assert.deepEqual(
+      await auth.signIn({
+        ...challenge,
+        walletPubkey: other.publicKey.toBase58(),
+      }),
+      { error: "Unknown or expired nonce" }
+    );
+  });
+
+  test("refuses a malformed signature", async () => {
+    const challenge = await signedChallenge();
+    assert.deepEqual(await auth.signIn({ ...challenge, signature: "0OIl" }), {
+      error: "Signature does not match walletPubkey",
+    });
+  });
+
+  test("turns away missing, unknown and expired tokens", async () => {
+    assert.equal((await authorize("")).status, 401);
+    assert.deepEqual(await authorize("Bearer forged"), {
+      status: 401,
+      body: { error: "Invalid or expired session, sign in again" },
+    });
+
+    const shortLived = createWalletAuth({
+      store: db.store,
+      domain: "zknon.test",
+      sessionTtlMs: 1,
+    });
+    const { nonce, message } = await shortLived.issueNonce(walletPubkey);
+    const { token } = await shortLived.signIn({
+      walletPubkey,
+      nonce,
+      signature: signMessage(wallet, message),
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.equal((await authorize(`Bearer ${token}`)).status, 401);
+  });
+});
+
+describe("wallet routes", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  const other = Keypair.generate().publicKey.toBase58();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc });
+    token = await server.signIn(wallet);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  test("need a session", async () => {
+    for (const [method, path] of [
+      ["GET", "/api/zkproofs"],
+      ["GET", "/api/history"],
+      ["POST", "/api/zkproofs/generate"],
+    ]) {
+      const res = await server.request(method, path, {
+        body: method === "POST" ? {} : undefined,
+      });
+      assert.equal(res.status, 401, `${method} ${path}`);
+    }
+  });
+
+  test("create notes under the signed-in wallet only", async () => {
+    const created = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    });
+    assert.equal(created.status, 200);
+
+    const mine = await server.request("GET", "/api/zkproofs", { token });
+    assert.deepEqual(
+      mine.body.proofs.map((p) => p.zkProofId),
+      [created.body.zkProofId]
+    );
+  });
+
+  test("do not show another wallet's notes or history", async () => {
+    for (const path of ["/api/zkproofs", "/api/history"]) {
+      const res = await server.request("GET", `${path}?wallet=${other}`, {
+        token,
+      });
+      assert.equal(res.status, 403, path);
+      assert.equal(res.body.error, "Signed in as a different wallet");
+    }
+    const own = await server.request(
+      "GET",
+      `/api/history?wallet=${walletPubkey}`,
+      { token }
+    );
+    assert.equal(own.status, 200);
+  });
+
+  test("answer a bad sign-in with 401", async () => {
+    const { body } = await server.request("POST", "/api/auth/nonce", {
+      body: { walletPubkey },
+    });
+    const res = await server.request("POST", "/api/auth/verify", {
+      body: {
+        walletPubkey,
+        nonce: body.nonce,
+        signature: signMessage(Keypair.generate(), body.message),
+      },
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Signature does not match walletPubkey");
+  });
+});
@@ -0,0 +1,211 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Connection, Keypair } from "@solana/web3.js";
+import { verifyDepositTransfer } from "../src/solana.js";
+import {
+  cannedSolTransfer,
+  randomSignature,
+  startFakeRpc,
+} from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+const ONE_SOL = 1_000_000_000n;
+
+describe("verifyDepositTransfer", () => {
+  let rpc;
+  let connection;
+  const from = Keypair.generate().publicKey.toBase58();
+  const to = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    connection = new Connection(rpc.url);
+  });
+  after(() => rpc.close());
+
+  test("accepts a transfer of exactly the claimed lamports", async () => {
+    const signature = cannedSolTransfer(rpc, { from, to, lamports: ONE_SOL });
+    const problem = await verifyDepositTransfer(connection, {
+      signature,
+      from,
+      to,
+      lamports: ONE_SOL,
+    });
+    assert.equal(problem, null);
+  });
+
+  test("rejects a lamport more or less than was sent", async () => {
+    const signature = cannedSolTransfer(rpc, { from, to, lamports: ONE_SOL });
+    for (const lamports of [ONE_SOL - 1n, ONE_SOL + 1n]) {
+      const problem = await verifyDepositTransfer(connection, {
+        signature,
+        from,
+        to,
+        lamports,
+      });
+      assert.match(problem, /not a transfer of the claimed amount/);
+    }
+  });
+
+  test("rejects a transfer from another wallet or to another address", async () => {
+    const other = Keypair.generate().publicKey.toBase58();
+    const signature = cannedSolTransfer(rpc, { from, to, lamports: ONE_SOL });
+    for (const claim of [
+      { from: other, to },
+      { from, to: other },
+    ]) {
+      const problem = await verifyDepositTransfer(connection, {
+        signature,
+        lamports: ONE_SOL,
+        ...claim,
+      });
+      assert.match(problem, /not a transfer of the claimed amount/);
+    }
+  });
+
+  test("rejects a transaction that failed on chain", async () => {
+    const signature = cannedSolTransfer(rpc, {
+      from,
+      to,
+      lamports: ONE_SOL,
+      err: { InstructionError: [0, { Custom: 1 }] },
+    });
+    const problem = await verifyDepositTransfer(connection, {
+      signature,
+      from,
+      to,
+      lamports: ONE_SOL,
+    });
+    assert.equal(problem, "Deposit transaction failed on chain");
+  });
+
+  test("rejects a signature the RPC has no finalized transaction for", async () => {
+    const problem = await verifyDepositTransfer(connection, {
+      signature: randomSignature(),
+      from,
+      to,
+      lamports: ONE_SOL,
+    });
+    assert.match(problem, /not found or not finalized/);
+  });
+});
+
+// The route against a server whose database comes from `database()`,
+// which resolves to { databaseUrl, drop() } (null for SQLite)
+function depositRoute(database) {
+  let rpc;
+  let server;
+  let db;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    db = await database();
+    server = await startServer({ rpc, databaseUrl: db.databaseUrl });
+    token = await server.signIn(wallet);
+  });
+  after(async () => {
+    await server.stop();
+    await db.drop();
+    await rpc.close();
+  });
+
+  async function newZkProof() {
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    });
+    return body.zkProofId;
+  }
+
+  async function balanceOf(zkProofId) {
+    const { body } = await server.request("GET", "/api/zkproofs", { token });
+    return body.proofs.find((p) => p.zkProofId === zkProofId).balanceLamports;
+  }
+
+  function deposit(body) {
+    return server.request("POST", "/api/deposits", {
+      body: { walletPubkey, amount: "1", ...body },
+    });
+  }
+
+  test("credits the zk_proof once the transfer checks out", async () => {
+    const zkProofId = await newZkProof();
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+    });
+
+    const res = await deposit({ zkProofId, txSignature });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(await balanceOf(zkProofId), ONE_SOL.toString());
+  });
+
+  test("answers a replayed signature with 409 and credits nothing", async () => {
+    const zkProofId = await newZkProof();
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+    });
+    assert.equal((await deposit({ zkProofId, txSignature })).status, 200);
+
+    const replay = await deposit({ zkProofId, txSignature });
+    assert.equal(replay.status, 409);
+    assert.equal(replay.body.error, "txSignature has already been recorded");
+
+    // ...nor on another note
+    const other = await newZkProof();
+    assert.equal(
+      (await deposit({ zkProofId: other, txSignature })).status,
+      409
+    );
+    assert.equal(await balanceOf(zkProofId), ONE_SOL.toString());
+    assert.equal(await balanceOf(other), "0");
+  });
+
+  test("rejects a claim that does not match the amount sent", async () => {
+    const zkProofId = await newZkProof();
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL / 10n,
+    });
+
+    const res = await deposit({ zkProofId, txSignature });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /not a transfer of the claimed amount/);
+    assert.equal(await balanceOf(zkProofId), "0");
+  });
+
+  test("rejects a transaction that failed on chain", async () => {
+    const zkProofId = await newZkProof();
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+      err: { InstructionError: [0, { Custom: 1 }] },
+    });
+
+    const res = await deposit({ zkProofId, txSignature });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Deposit transaction failed on chain");
+    assert.equal(await balanceOf(zkProofId), "0");
+  });
+}
+
+describe("POST /api/deposits", () => {
+  depositRoute(async () => ({ databaseUrl: null, drop: async () => {} }));
+});
+
+describe("POST /api/deposits on postgres", () => {
+  depositRoute(async () => {
+    const schema = await createTestSchema();
+    return { databaseUrl: schema.url, drop: schema.drop };
+  });
+});
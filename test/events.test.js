@@ -0,0 +1,321 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import pg from "pg";
+import { createEventHub } from "../src/events.js";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { eventually, startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+const ONE_SOL = 1_000_000_000n;
+
+describe("createEventHub", () => {
+  let db;
+  let hub;
+  let deposits = 0;
+  const wallet = Keypair.generate().publicKey.toBase58();
+  const other = Keypair.generate().publicKey.toBase58();
+  const unsubscribers = [];
+
+  beforeEach(async () => {
+    db = await createTestStore();
+    hub = createEventHub({ store: db.store, pollIntervalMs: 10 });
+    for (const walletPubkey of [wallet, other]) {
+      await db.store.insertZkProof({
+        id: `zk_${walletPubkey}`,
+        walletPubkey,
+        noteHash: "hash",
+        mint: "SOL",
+        createdAt: new Date().toISOString(),
+      });
+    }
+  });
+  afterEach(() => {
+    while (unsubscribers.length) unsubscribers.pop()();
+    db.close();
+  });
+
+  // Credits a deposit to `walletPubkey`, which writes its deposit.credited
+  // event; resolves to its txSignature
+  async function deposit(walletPubkey = wallet) {
+    const txSignature = `deposit_${++deposits}`;
+    await db.store.recordDeposit({
+      walletPubkey,
+      zkProofId: `zk_${walletPubkey}`,
+      mint: "SOL",
+      lamports: ONE_SOL,
+      txSignature,
+      poolAddress: other,
+      createdAt: new Date().toISOString(),
+    });
+    return txSignature;
+  }
+
+  async function subscribe(options) {
+    const received = [];
+    unsubscribers.push(
+      await hub.subscribe({
+        walletPubkey: wallet,
+        ...options,
+        send: (event) => received.push(event),
+      })
+    );
+    return received;
+  }
+
+  const signatures = (events) => events.map((e) => e.data.txSignature);
+
+  test("sends new events of the wallet only, in order", async () => {
+    const before = await deposit();
+    const received = await subscribe();
+    const first = await deposit();
+    await deposit(other);
+    const second = await deposit();
+
+    await eventually(() => received.length === 2, { everyMs: 10 });
+    assert.deepEqual(signatures(received), [first, second]);
+    assert.ok(!signatures(received).includes(before));
+    assert.ok(received[0].id < received[1].id);
+  });
+
+  test("replays what came after Last-Event-ID first", async () => {
+    await deposit();
+    const missed = [await deposit(), await deposit()];
+    const [seen] = await db.store.walletEventsSince(wallet, 0, 1);
+
+    const received = await subscribe({ lastEventId: seen.id });
+    assert.deepEqual(signatures(received), missed);
+
+    const live = await deposit();
+    await eventually(() => received.length === 3, { everyMs: 10 });
+    assert.deepEqual(signatures(received), [...missed, live]);
+  });
+
+  test("sends an event written during the replay once", async () => {
+    const missed = await deposit();
+    let live;
+    const walletEventsSince = db.store.walletEventsSince;
+    db.store.walletEventsSince = async (...args) => {
+      const events = await walletEventsSince(...args);
+      // lands after the replay read, while the poller is running
+      if (!live) {
+        live = await deposit();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      return events;
+    };
+
+    const received = await subscribe({ lastEventId: 0 });
+    await eventually(() => received.length >= 2, { everyMs: 10 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(signatures(received), [missed, live]);
+  });
+});
+
+describe("createEventHub on postgres", () => {
+  let schema;
+  let store;
+  let other;
+  const wallet = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    schema = await createTestSchema();
+    store = createStore({ DB_DRIVER: "postgres", DATABASE_URL: schema.url });
+    await migrateUp(store);
+    await store.insertZkProof({
+      id: "zk_late",
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: new Date().toISOString(),
+    });
+    other = new pg.Client({ connectionString: schema.url });
+    await other.connect();
+  });
+  after(async () => {
+    await other.end();
+    await store.close();
+    await schema.drop();
+  });
+
+  test("never passes an event that commits after a higher id is taken", async () => {
+    const hub = createEventHub({ store, pollIntervalMs: 10 });
+    const received = [];
+    const unsubscribe = await hub.subscribe({
+      walletPubkey: wallet,
+      send: (event) => received.push(event),
+    });
+
+    try {
+      // another writer has taken an event id but not committed yet
+      await other.query("BEGIN");
+      await other.query(
+        `
+        INSERT INTO events (wallet_pubkey, type, data, created_at)
+        VALUES ($1, 'deposit.credited', '{"txSignature":"late"}', NOW())
+        `,
+        [wallet]
+      );
+      const deposit = store.recordDeposit({
+        walletPubkey: wallet,
+        zkProofId: "zk_late",
+        mint: "SOL",
+        lamports: ONE_SOL,
+        txSignature: "deposit_after_late",
+        poolAddress: wallet,
+        createdAt: new Date().toISOString(),
+      });
+
+      // the deposit's event waits for it, so the poller sees neither yet
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.deepEqual(received, []);
+
+      await other.query("COMMIT");
+      await deposit;
+      await eventually(() => received.length === 2, { everyMs: 10 });
+      assert.deepEqual(
+        received.map((e) => e.data.txSignature),
+        ["late", "deposit_after_late"]
+      );
+      assert.ok(received[0].id < received[1].id);
+    } finally {
+      unsubscribe();
+    }
+  });
+});
+
+describe("GET /api/events", () => {
+  let rpc;
+  let server;
+  let token;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let zkProofId;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc });
+    token = await server.signIn(wallet);
+    ({
+      body: { zkProofId },
+    } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    }));
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  async function deposit() {
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+    });
+    const res = await server.request("POST", "/api/deposits", {
+      body: { walletPubkey, zkProofId, amount: "1", txSignature },
+    });
+    assert.equal(res.status, 200);
+    return txSignature;
+  }
+
+  // The first `count` events of a stream opened with `headers`, as
+  // { id, event, data }
+  async function readEvents(count, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(`${server.url}/api/events?access_token=${token}`, {
+      headers,
+      signal: controller.signal,
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/event-stream/);
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = "";
+    const timeout = setTimeout(() => controller.abort(), 10_000);
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(
+            frame
+              .split("\n")
+              .filter((line) => line && !line.startsWith(":"))
+              .map((line) => [
+                line.slice(0, line.indexOf(":")),
+                line.slice(line.indexOf(":") + 2),
+              ])
+          );
+          if (fields.id) {
+            events.push({
+              id: Number(fields.id),
+              event: fields.event,
+              data: JSON.parse(fields.data),
+            });
+          }
+        }
+        if (events.length >= count) break;
+      }
+    } finally {
+      clearTimeout(timeout);
+      controller.abort();
+    }
+    return events;
+  }
+
+  test("resume after Last-Event-ID with the events missed", async () => {
+    const first = await deposit();
+    const missed = [await deposit(), await deposit()];
+
+    const [seen] = await readEvents(1, { "last-event-id": "0" });
+    assert.equal(seen.event, "deposit.credited");
+    assert.equal(seen.data.txSignature, first);
+    assert.equal(seen.data.amount, "1");
+
+    const resumed = await readEvents(2, { "last-event-id": String(seen.id) });
+    assert.deepEqual(
+      resumed.map((e) => e.data.txSignature),
+      missed
+    );
+    assert.ok(resumed.every((e) => e.id > seen.id));
+  });
+
+  test("refuse a Last-Event-ID that is not an event id", async () => {
+    const res = await server.request(
+      "GET",
+      `/api/events?access_token=${token}`,
+      { headers: { "last-event-id": "latest" } }
+    );
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [
+      { in: "header", path: "Last-Event-ID", message: "must be an integer" },
+    ]);
+  });
+
+  test("follow the signed-in wallet only", async () => {
+    const other = Keypair.generate().publicKey.toBase58();
+    const res = await server.request(
+      "GET",
+      `/api/events?access_token=${token}&wallet=${other}`
+    );
+    assert.equal(res.status, 403);
+    const anonymous = await server.request("GET", "/api/events");
+    assert.equal(anonymous.status, 401);
+  });
+});
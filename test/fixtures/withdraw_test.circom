@@ -0,0 +1,18 @@
+pragma circom 2.1.6;
+
+// circuits/withdraw.circom at depth 4, small enough to prove in the tests.
+// The server under test runs with MERKLE_TREE_DEPTH=4 and the verification
+// key built here. Rebuilt (from the repo root) with:
+//   circom test/fixtures/withdraw_test.circom --r1cs --wasm --O2 -l node_modules -o build
+//   snarkjs powersoftau new bn128 11 build/pot.ptau
+//   snarkjs powersoftau contribute build/pot.ptau build/pot1.ptau -e=test
+//   snarkjs powersoftau prepare phase2 build/pot1.ptau build/final.ptau
+//   snarkjs groth16 setup build/withdraw_test.r1cs build/final.ptau test/fixtures/withdraw_test.zkey
+//   snarkjs zkey export verificationkey test/fixtures/withdraw_test.zkey test/fixtures/withdraw_test_vkey.json
+//   cp build/withdraw_test_js/withdraw_test.wasm test/fixtures/
+//
+// The trusted setup is throwaway: never use these keys outside the tests.
+
+include "../../circuits/withdraw_templates.circom";
+
+component main {public [root, nullifierHash, recipientHi, recipientLo, lamports]} = Withdraw(4);
@@ -0,0 +1,104 @@
+import { execFile, execFileSync } from "child_process";
+import { randomBytes } from "crypto";
+import { mkdtempSync, rmSync } from "fs";
+import net from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { promisify } from "util";
+import pg from "pg";
+
+const run = promisify(execFile);
+
+// Postgres the tests may use, e.g. postgres://postgres@127.0.0.1:5432/test.
+// When unset, each test process starts a throwaway server of its own, so
+// the Postgres tests always run.
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+let embedded = null;
+
+/**
+ * Start a server from the binaries embedded-postgres installs for this
+ * platform, in a temporary directory. Its own lifecycle code exits the
+ * process with 0 on beforeExit, which would hide failing tests, so only
+ * the binaries are used. The server is stopped when the process exits.
+ * Resolves to its URL.
+ */
+function embeddedServer() {
+  embedded ??= (async () => {
+    if (process.getuid?.() === 0) {
+      throw new Error(
+        "Postgres does not run as root: set TEST_DATABASE_URL to a server the tests may use"
+      );
+    }
+    const { initdb, pg_ctl } = await import(
+      `@embedded-postgres/${process.platform}-${process.arch}`
+    );
+
+    const dir = mkdtempSync(join(tmpdir(), "zknon-pg-"));
+    const data = join(dir, "data");
+    const port = await freePort();
+    await run(initdb, [
+      `--pgdata=${data}`,
+      "--username=postgres",
+      "--auth=trust",
+      "--encoding=UTF8",
+      "--locale=C",
+      "--no-sync",
+    ]);
+    await run(pg_ctl, [
+      "start",
+      "--wait",
+      `--pgdata=${data}`,
+      `--log=${join(dir, "postgres.log")}`,
+      `--options=-p ${port} -h 127.0.0.1 -k ${dir} -c fsync=off`,
+    ]);
+
+    process.once("exit", () => {
+      execFileSync(pg_ctl, ["stop", "--mode=immediate", `--pgdata=${data}`], {
+        stdio: "ignore",
+      });
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    return `postgres://postgres@127.0.0.1:${port}/postgres`;
+  })();
+  return embedded;
+}
+
+/**
+ * Create an empty schema in TEST_DATABASE_URL, or in a server of this
+ * process when that is unset, so each test starts from a blank database
+ * without touching anything else in it. Resolves to { url, drop() }: `url`
+ * connects with that schema as its search_path.
+ */
+export async function createTestSchema() {
+  const databaseUrl = TEST_DATABASE_URL || (await embeddedServer());
+  const schema = `zknon_test_${randomBytes(6).toString("hex")}`;
+  const admin = new pg.Client({ connectionString: databaseUrl });
+  await admin.connect();
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.end();
+
+  const url = new URL(databaseUrl);
+  url.searchParams.set("options", `-c search_path=${schema}`);
+
+  async function drop() {
+    const client = new pg.Client({ connectionString: databaseUrl });
+    await client.connect();
+    await client.query(`DROP SCHEMA ${schema} CASCADE`);
+    await client.end();
+  }
+
+  return { url: url.toString(), drop };
+}
@@ -0,0 +1,269 @@
+import http from "http";
+import { randomBytes } from "crypto";
+import bs58 from "bs58";
+import { PublicKey, Transaction } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+
+const SYSTEM_PROGRAM = "11111111111111111111111111111111";
+const TOKEN_PROGRAM = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+const BLOCKHASH = "EkSnNWid2cvwEVnVx9aBqawnmiCNiDgp3gUdkDPTKN1N";
+
+const FINALIZED = {
+  slot: 10,
+  confirmations: null,
+  err: null,
+  confirmationStatus: "finalized",
+};
+
+function rpcError(message) {
+  return { error: { code: -32602, message } };
+}
+
+/**
+ * Stand-in Solana JSON-RPC for the tests. Everything it answers comes from
+ * its fields, which tests change as they go:
+ *   transactions  signature -> jsonParsed transaction (getTransaction)
+ *   statuses      signature -> signature status, or null for unseen
+ *   balances      address -> lamports (getBalance)
+ *   tokenBalances token account -> base units (getTokenAccountBalance)
+ *   accounts      addresses that exist (getAccountInfo, getMultipleAccounts)
+ *   signatures    address -> signatures touching it, newest first
+ *                 (getSignaturesForAddress)
+ *   blockHeight, lastValidBlockHeight
+ *   confirmSent   sent transactions are finalized at once (default true)
+ *   failSends     sendTransaction answers with an error
+ *   hooks         method -> function(params) run before it is answered
+ * Sent transactions are kept in `sent`, decoded.
+ */
+export async function startFakeRpc() {
+  const rpc = {
+    transactions: new Map(),
+    statuses: new Map(),
+    balances: new Map(),
+    tokenBalances: new Map(),
+    accounts: new Set(),
+    signatures: new Map(),
+    blockHeight: 50,
+    lastValidBlockHeight: 100,
+    confirmSent: true,
+    failSends: false,
+    hooks: {},
+    sent: [],
+    calls: [],
+  };
+
+  const accountInfo = (address) =>
+    rpc.accounts.has(address)
+      ? {
+          data: ["", "base64"],
+          executable: false,
+          lamports: 2039280,
+          owner: TOKEN_PROGRAM,
+          rentEpoch: 0,
+          space: 165,
+        }
+      : null;
+
+  const methods = {
+    getTransaction: ([signature]) => ({
+      result: rpc.transactions.get(signature) ?? null,
+    }),
+    getSignatureStatuses: ([signatures]) => ({
+      result: {
+        context: { slot: 10 },
+        value: signatures.map((s) => rpc.statuses.get(s) ?? null),
+      },
+    }),
+    getLatestBlockhash: () => ({
+      result: {
+        context: { slot: 10 },
+        value: {
+          blockhash: BLOCKHASH,
+          lastValidBlockHeight: rpc.lastValidBlockHeight,
+        },
+      },
+    }),
+    getBlockHeight: () => ({ result: rpc.blockHeight }),
+    getBalance: ([address]) => ({
+      result: { context: { slot: 10 }, value: rpc.balances.get(address) ?? 0 },
+    }),
+    getTokenAccountBalance: ([address]) => {
+      if (!rpc.tokenBalances.has(address)) {
+        return rpcError("Invalid param: could not find account");
+      }
+      const amount = String(rpc.tokenBalances.get(address));
+      return {
+        result: {
+          context: { slot: 10 },
+          value: { amount, decimals: 6, uiAmount: null, uiAmountString: "0" },
+        },
+      };
+    },
+    getAccountInfo: ([address]) => ({
+      result: { context: { slot: 10 }, value: accountInfo(address) },
+    }),
+    getMultipleAccounts: ([addresses]) => ({
+      result: { context: { slot: 10 }, value: addresses.map(accountInfo) },
+    }),
+    getMinimumBalanceForRentExemption: () => ({ result: 2039280 }),
+    getSignaturesForAddress: ([address]) => ({
+      result: (rpc.signatures.get(address) ?? []).map((signature) => ({
+        signature,
+        slot: 10,
+        err: null,
+        memo: null,
+        blockTime: 1700000000,
+        confirmationStatus: "finalized",
+      })),
+    }),
+    sendTransaction: ([encoded]) => {
+      if (rpc.failSends) return rpcError("Transaction simulation failed");
+      const tx = Transaction.from(Buffer.from(encoded, "base64"));
+      const signature = bs58.encode(tx.signature);
+      rpc.sent.push({ signature, tx });
+      if (rpc.confirmSent) rpc.statuses.set(signature, FINALIZED);
+      return { result: signature };
+    },
+  };
+
+  function answer({ id, method, params }) {
+    rpc.calls.push(method);
+    rpc.hooks[method]?.(params || []);
+    const handler = methods[method];
+    const reply = handler
+      ? handler(params || [])
+      : rpcError(`Method not found: ${method}`);
+    return { jsonrpc: "2.0", id, ...reply };
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const message = JSON.parse(body);
+      const reply = Array.isArray(message)
+        ? message.map(answer)
+        : answer(message);
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  rpc.url = `http://127.0.0.1:${server.address().port}`;
+  rpc.finalize = (signature) => rpc.statuses.set(signature, FINALIZED);
+  rpc.close = () => new Promise((resolve) => server.close(resolve));
+  return rpc;
+}
+
+// A random base58 transaction signature
+export function randomSignature() {
+  return bs58.encode(randomBytes(64));
+}
+
+function parsedTransaction(signature, { accountKeys, instructions, err }) {
+  return {
+    slot: 10,
+    blockTime: 1700000000,
+    version: "legacy",
+    meta: {
+      err,
+      fee: 5000,
+      innerInstructions: [],
+      preBalances: accountKeys.map(() => 0),
+      postBalances: accountKeys.map(() => 0),
+      logMessages: [],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      status: err ? { Err: err } : { Ok: null },
+    },
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: accountKeys.map((pubkey, i) => ({
+          pubkey,
+          signer: i === 0,
+          writable: i < accountKeys.length - 1,
+          source: "transaction",
+        })),
+        recentBlockhash: BLOCKHASH,
+        instructions,
+      },
+    },
+  };
+}
+
+/**
+ * Serve a finalized SystemProgram transfer of `lamports` from `from` to
+ * `to` under a new signature, failed on chain when `err` is given.
+ * Returns the signature.
+ */
+export function cannedSolTransfer(rpc, { from, to, lamports, err = null }) {
+  const signature = randomSignature();
+  rpc.transactions.set(
+    signature,
+    parsedTransaction(signature, {
+      accountKeys: [from, to, SYSTEM_PROGRAM],
+      instructions: [
+        {
+          program: "system",
+          programId: SYSTEM_PROGRAM,
+          stackHeight: null,
+          parsed: {
+            type: "transfer",
+            info: { source: from, destination: to, lamports: Number(lamports) },
+          },
+        },
+      ],
+      err,
+    })
+  );
+  return signature;
+}
+
+// ...and a Token program transferChecked of `amount` base units of `mint`
+// between the associated token accounts of `from` and `to`
+export function cannedTokenTransfer(
+  rpc,
+  { from, to, mint, amount, err = null }
+) {
+  const signature = randomSignature();
+  const ata = (owner) =>
+    getAssociatedTokenAddressSync(
+      new PublicKey(mint),
+      new PublicKey(owner),
+      true
+    ).toBase58();
+  const source = ata(from);
+  const destination = ata(to);
+  rpc.transactions.set(
+    signature,
+    parsedTransaction(signature, {
+      accountKeys: [from, source, destination, TOKEN_PROGRAM],
+      instructions: [
+        {
+          program: "spl-token",
+          programId: TOKEN_PROGRAM,
+          stackHeight: null,
+          parsed: {
+            type: "transferChecked",
+            info: {
+              source,
+              destination,
+              mint,
+              authority: from,
+              tokenAmount: {
+                amount: String(amount),
+                decimals: 6,
+                uiAmount: null,
+                uiAmountString: "",
+              },
+            },
+          },
+        },
+      ],
+      err,
+    })
+  );
+  return signature;
+}
@@ -0,0 +1,165 @@
+import { spawn } from "child_process";
+import { createPrivateKey, sign } from "crypto";
+import { mkdtempSync, rmSync } from "fs";
+import net from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+const BOOT_TIMEOUT_MS = 30_000;
+
+// PKCS#8 DER header of an Ed25519 private key, followed by its 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex"
+);
+
+// What a wallet's signMessage() returns for `message`, base58
+export function signMessage(keypair, message) {
+  const key = createPrivateKey({
+    key: Buffer.concat([
+      ED25519_PKCS8_PREFIX,
+      Buffer.from(keypair.secretKey.slice(0, 32)),
+    ]),
+    format: "der",
+    type: "pkcs8",
+  });
+  return bs58.encode(sign(null, Buffer.from(message, "utf8"), key));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Boot index.js in a child process against `rpc` (see ./rpc.js), with a
+ * fresh SQLite file in a temporary directory, or `databaseUrl` with the
+ * postgres driver. `env` adds to or overrides the settings. Resolves once
+ * it listens, to { url, poolAddress, request(), signIn(), stop(), ... }.
+ */
+export async function startServer({
+  rpc,
+  env = {},
+  databaseUrl = null,
+  poolKeypair = Keypair.generate(),
+  dir = mkdtempSync(join(tmpdir(), "zknon-test-")),
+}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [join(ROOT, "index.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      RPC_ENDPOINT: rpc.url,
+      POOL_SECRET_KEY_BASE58: bs58.encode(poolKeypair.secretKey),
+      ...(databaseUrl
+        ? { DB_DRIVER: "postgres", DATABASE_URL: databaseUrl }
+        : { SQLITE_PATH: join(dir, "zknon.db") }),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start:\n${output}`));
+    }, BOOT_TIMEOUT_MS);
+    child.stdout.on("data", () => {
+      if (!output.includes("Backend listening")) return;
+      clearTimeout(timer);
+      resolve();
+    });
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+
+  // Resolves to { status, headers, body }, body parsed when it is JSON
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(url + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    if (res.headers.get("content-type")?.includes("application/json")) {
+      parsed = JSON.parse(text);
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  // Session token of `keypair`'s wallet, through the sign-in flow
+  async function signIn(keypair) {
+    const walletPubkey = keypair.publicKey.toBase58();
+    const challenge = await request("POST", "/api/auth/nonce", {
+      body: { walletPubkey },
+    });
+    const { body } = await request("POST", "/api/auth/verify", {
+      body: {
+        walletPubkey,
+        nonce: challenge.body.nonce,
+        signature: signMessage(keypair, challenge.body.message),
+      },
+    });
+    return body.token;
+  }
+
+  async function stop({ keepDir = false } = {}) {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    if (!keepDir) rmSync(dir, { recursive: true, force: true });
+  }
+
+  return {
+    url,
+    dir,
+    poolAddress: poolKeypair.publicKey.toBase58(),
+    poolKeypair,
+    request,
+    signIn,
+    stop,
+    output: () => output,
+  };
+}
+
+/**
+ * Poll `check` (an async function) until it returns something truthy, and
+ * resolve to that; rejects after `timeoutMs`. For the background loops
+ * (withdrawal queue, webhook dispatcher) the tests wait on.
+ */
+export async function eventually(
+  check,
+  { timeoutMs = 20_000, everyMs = 200 } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, everyMs));
+  }
+}
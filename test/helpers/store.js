@@ -0,0 +1,23 @@
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createStore } from "../../src/storage/index.js";
+import { migrateUp } from "../../src/storage/migrator.js";
+
+/**
+ * A migrated SQLite store in a temporary directory, for tests that drive
+ * a module (the withdrawal queue, the sweeper) without booting the server.
+ * Resolves to { store, close() }; close() removes the directory too.
+ */
+export async function createTestStore() {
+  const dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+  const store = createStore({ SQLITE_PATH: join(dir, "zknon.db") });
+  await migrateUp(store);
+
+  async function close() {
+    await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { store, close };
+}
@@ -0,0 +1,72 @@
+import { randomBytes } from "crypto";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+import { poseidon1, poseidon2 } from "poseidon-lite";
+import { FIELD_SIZE } from "../../src/merkle.js";
+import { commitmentLeaf, pubkeyToFieldPair } from "../../src/zk.js";
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+
+// test/fixtures/withdraw_test.circom, circuits/withdraw.circom at depth 4
+export const TEST_TREE_DEPTH = 4;
+export const TEST_VKEY_PATH = fixture("withdraw_test_vkey.json");
+const WASM_PATH = fixture("withdraw_test.wasm");
+const ZKEY_PATH = fixture("withdraw_test.zkey");
+
+function randomField() {
+  return BigInt("0x" + randomBytes(31).toString("hex")) % FIELD_SIZE;
+}
+
+// A fresh shielded note, as the client keeps it, with the values the server
+// is shown: the commitment on deposit and the nullifier hash on withdrawal
+export function randomNote() {
+  const nullifier = randomField();
+  const secret = randomField();
+  return {
+    nullifier,
+    secret,
+    commitment: poseidon2([nullifier, secret]),
+    nullifierHash: poseidon1([nullifier]),
+  };
+}
+
+// Tree leaf of `note` holding `lamports`, as the store inserts it
+export function noteLeaf(note, lamports) {
+  return commitmentLeaf(note.commitment, lamports);
+}
+
+/**
+ * Groth16 proof that `note` is the leaf at `path` (as returned by GET
+ * /api/tree/path/:leafIndex) holding `lamports`, spent to `recipient`.
+ * Resolves to the proof fields of a shielded withdrawal request.
+ */
+export async function proveWithdrawal({ note, path, recipient, lamports }) {
+  const [recipientHi, recipientLo] = pubkeyToFieldPair(recipient);
+  const { proof } = await snarkjs.groth16.fullProve(
+    {
+      root: path.root,
+      nullifierHash: note.nullifierHash.toString(),
+      recipientHi: recipientHi.toString(),
+      recipientLo: recipientLo.toString(),
+      lamports: lamports.toString(),
+      nullifier: note.nullifier.toString(),
+      secret: note.secret.toString(),
+      pathElements: path.pathElements,
+      pathIndices: path.pathIndices,
+    },
+    WASM_PATH,
+    ZKEY_PATH
+  );
+  return {
+    proof,
+    root: path.root,
+    nullifierHash: note.nullifierHash.toString(),
+  };
+}
+
+// snarkjs keeps its curve, and the worker threads behind it, for the next
+// proof; they hold the test process open until terminated
+export async function closeProver() {
+  await globalThis.curve_bn128?.terminate();
+}
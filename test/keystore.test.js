@@ -0,0 +1,91 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import { decryptKeystore, encryptKeystore } from "../src/keystore.js";
+
+// Cheap scrypt, so each unlock takes milliseconds instead of half a second
+const kdf = { N: 2 ** 10, r: 8, p: 1 };
+const PASSPHRASE = "correct horse battery";
+
+// `hex` with its first byte flipped
+function flipped(hex) {
+  const bytes = Buffer.from(hex, "hex");
+  bytes[0] ^= 0xff;
+  return bytes.toString("hex");
+}
+
+describe("keystore", () => {
+  const keypair = Keypair.generate();
+  const keystore = encryptKeystore(keypair.secretKey, PASSPHRASE, { kdf });
+
+  test("gives back the secret key under the right passphrase", () => {
+    assert.equal(keystore.address, keypair.publicKey.toBase58());
+    assert.equal(keystore.crypto.kdf, "scrypt");
+    assert.ok(
+      !JSON.stringify(keystore).includes(
+        Buffer.from(keypair.secretKey).toString("hex")
+      )
+    );
+
+    const secretKey = decryptKeystore(
+      JSON.parse(JSON.stringify(keystore)),
+      PASSPHRASE
+    );
+    assert.deepEqual(new Uint8Array(secretKey), keypair.secretKey);
+  });
+
+  test("salts each keystore afresh", () => {
+    const again = encryptKeystore(keypair.secretKey, PASSPHRASE, { kdf });
+    assert.notEqual(
+      again.crypto.kdfparams.salt,
+      keystore.crypto.kdfparams.salt
+    );
+    assert.notEqual(again.crypto.ciphertext, keystore.crypto.ciphertext);
+  });
+
+  test("refuses a wrong passphrase", () => {
+    for (const passphrase of ["correct horse battery!", "", undefined]) {
+      assert.throws(
+        () => decryptKeystore(keystore, passphrase),
+        /Wrong passphrase, or the keystore is damaged/
+      );
+    }
+  });
+
+  test("refuses a tampered file", () => {
+    const { crypto } = keystore;
+    for (const tampered of [
+      { crypto: { ...crypto, ciphertext: flipped(crypto.ciphertext) } },
+      { crypto: { ...crypto, tag: flipped(crypto.tag) } },
+      { crypto: { ...crypto, iv: flipped(crypto.iv) } },
+      // the address is authenticated too, so it cannot be swapped
+      { address: Keypair.generate().publicKey.toBase58() },
+    ]) {
+      assert.throws(
+        () => decryptKeystore({ ...keystore, ...tampered }, PASSPHRASE),
+        /Wrong passphrase, or the keystore is damaged/
+      );
+    }
+  });
+
+  test("refuses formats it does not know", () => {
+    for (const other of [
+      null,
+      { ...keystore, version: 2 },
+      { ...keystore, crypto: { ...keystore.crypto, kdf: "pbkdf2" } },
+      { ...keystore, crypto: { ...keystore.crypto, cipher: "aes-256-cbc" } },
+    ]) {
+      assert.throws(
+        () => decryptKeystore(other, PASSPHRASE),
+        /Unsupported keystore format/
+      );
+    }
+  });
+
+  test("refuses a short passphrase", () => {
+    assert.throws(
+      () => encryptKeystore(keypair.secretKey, "too short", { kdf }),
+      /at least 12 characters/
+    );
+  });
+});
@@ -0,0 +1,224 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { formatUnits, parseLamports, parseUnits } from "../src/solana.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { createTestSchema } from "./helpers/postgres.js";
+import { startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+
+// Seeded, so a failing run can be repeated with the seed it prints
+// (TEST_SEED=<seed> npm test)
+const SEED = Number(process.env.TEST_SEED) || Date.now() % 2 ** 32;
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+function randomGenerator(seed) {
+  const random = mulberry32(seed);
+  const int = (max) => Math.floor(random() * max);
+  // Up to 10^digits - 1 base units, as a BigInt
+  const units = (digits) => {
+    let value = 0n;
+    for (let i = 0; i < digits; i++) value = value * 10n + BigInt(int(10));
+    return value;
+  };
+  return { int, units };
+}
+
+describe("parseUnits and formatUnits", () => {
+  test("parse what they format, for any amount and decimals", (t) => {
+    t.diagnostic(`seed ${SEED}`);
+    const { int, units } = randomGenerator(SEED);
+    for (let i = 0; i < 5000; i++) {
+      const decimals = int(19);
+      const value = units(1 + int(30));
+      const text = formatUnits(value, decimals);
+      assert.equal(parseUnits(text, decimals), value, text);
+    }
+  });
+
+  test("take decimal SOL without going through floating point", () => {
+    assert.equal(parseUnits("0.1", 9), 100_000_000n);
+    assert.equal(parseUnits(0.1, 9), 100_000_000n);
+    assert.equal(parseUnits("0.000000001", 9), 1n);
+    assert.equal(parseUnits("18446744073.709551615", 9), 2n ** 64n - 1n);
+    assert.equal(formatUnits(2n ** 64n - 1n, 9), "18446744073.709551615");
+    assert.equal(formatUnits(-1500000000n, 9), "-1.5");
+  });
+
+  test("refuse what is not a base-unit amount", () => {
+    for (const amount of ["0.0000000001", "-1", "1e9", "", " ", "1.", ".5"]) {
+      assert.equal(parseUnits(amount, 9), null, amount);
+    }
+    assert.equal(parseUnits(Infinity, 9), null);
+    assert.equal(parseLamports("1.5"), null);
+    assert.equal(parseLamports(2 ** 53), null);
+    assert.equal(parseLamports("9007199254740993"), 9007199254740993n);
+  });
+});
+
+/**
+ * Thousands of deposits and withdrawals of random decimal amounts on one
+ * note, some of the withdrawals cancelled, against a migrated store
+ * from `open()` ({ store, close() }). The balance must match the exact sum
+ * after every step.
+ */
+function driftProperty(open, cycles) {
+  let db;
+  before(async () => {
+    db = await open();
+  });
+  after(() => db.close());
+
+  test(`keeps the balance exact over ${cycles} cycles`, async (t) => {
+    t.diagnostic(`seed ${SEED}`);
+    const { store } = db;
+    const { int, units } = randomGenerator(SEED);
+    const wallet = Keypair.generate().publicKey.toBase58();
+    const pool = Keypair.generate().publicKey.toBase58();
+    const zkProofId = `zk_drift_${SEED}`;
+    const createdAt = () => new Date().toISOString();
+    await store.insertZkProof({
+      id: zkProofId,
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: createdAt(),
+    });
+
+    let expected = 0n;
+    let floatBalance = 0;
+    for (let i = 0; i < cycles; i++) {
+      // what a client would send: decimal SOL with up to 9 decimals
+      const amount = formatUnits(1n + units(1 + int(11)), 9);
+      const lamports = parseUnits(amount, 9);
+      await store.recordDeposit({
+        walletPubkey: wallet,
+        zkProofId,
+        mint: "SOL",
+        lamports,
+        txSignature: `drift_${SEED}_${i}`,
+        poolAddress: pool,
+        createdAt: createdAt(),
+      });
+      expected += lamports;
+      floatBalance += Number(amount);
+
+      const out = (expected * BigInt(int(1000))) / 1000n;
+      if (out > 0n) {
+        const scheduled = int(3) === 0;
+        const { ids } = await store.createWithdrawal({
+          walletPubkey: wallet,
+          zkProofId,
+          mint: "SOL",
+          outputs: [{ recipient: pool, lamports: out }],
+          poolAddress: pool,
+          releaseAt: scheduled ? Date.now() + 60_000 : null,
+          createdAt: createdAt(),
+        });
+        if (scheduled) {
+          // cancelled: the funds come back
+          await store.cancelWithdrawal({
+            id: ids[0],
+            walletPubkey: wallet,
+            updatedAt: createdAt(),
+          });
+        } else {
+          expected -= out;
+          floatBalance -= Number(formatUnits(out, 9));
+        }
+      }
+
+      const proof = await store.getZkProof(zkProofId);
+      assert.equal(proof.total_lamports - proof.spent_lamports, expected);
+    }
+
+    // what the REAL columns and `+ 1e-9` fudge used to do with the same
+    // amounts, for comparison
+    t.diagnostic(
+      `float balance off by ${Math.abs(
+        floatBalance - Number(formatUnits(expected, 9))
+      )} SOL`
+    );
+  });
+}
+
+describe("lamport accounting on sqlite", () => {
+  driftProperty(createTestStore, 3000);
+});
+
+describe("lamport accounting on postgres", () => {
+  driftProperty(async () => {
+    const schema = await createTestSchema();
+    const store = createStore({
+      DB_DRIVER: "postgres",
+      DATABASE_URL: schema.url,
+    });
+    await migrateUp(store);
+    return {
+      store,
+      close: async () => {
+        await store.close();
+        await schema.drop();
+      },
+    };
+  }, 500);
+});
+
+describe("deposits of decimal SOL", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  test("add up to exact lamports and SOL strings", async () => {
+    const token = await server.signIn(wallet);
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    });
+
+    for (let i = 0; i < 10; i++) {
+      const txSignature = cannedSolTransfer(rpc, {
+        from: walletPubkey,
+        to: server.poolAddress,
+        lamports: 100_000_000n,
+      });
+      const res = await server.request("POST", "/api/deposits", {
+        body: {
+          walletPubkey,
+          zkProofId: body.zkProofId,
+          amount: "0.1",
+          txSignature,
+        },
+      });
+      assert.equal(res.status, 200);
+    }
+
+    const { body: list } = await server.request("GET", "/api/zkproofs", {
+      token,
+    });
+    const [proof] = list.proofs;
+    assert.equal(proof.balanceLamports, "1000000000");
+    assert.equal(proof.balance, "1");
+  });
+});
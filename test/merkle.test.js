@@ -0,0 +1,262 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import Database from "better-sqlite3";
+import pg from "pg";
+import {
+  ROOT_HISTORY_SIZE,
+  ZERO_VALUE,
+  createPgMerkleStore,
+  createSqliteMerkleStore,
+  hashPair,
+} from "../src/merkle.js";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+const DEPTH = 6;
+
+let nextTree = 0;
+const treeId = () => `tree_${process.pid}_${++nextTree}`;
+
+// The root `path` (as returned by tree.path()) climbs to from `leaf`
+function rootOf(leaf, { pathElements, pathIndices }) {
+  return pathElements.reduce(
+    (node, sibling, level) =>
+      pathIndices[level]
+        ? hashPair(BigInt(sibling), node)
+        : hashPair(node, BigInt(sibling)),
+    leaf
+  );
+}
+
+/**
+ * The behaviour both Merkle stores share, against a migrated database from
+ * `open()`, which resolves to { tree(treeId), insert(tree, leaf),
+ * cleanup() }. tree() builds a new store object each time, so a second one
+ * for the same id sees only what was persisted.
+ */
+function merkleContract(open) {
+  let db;
+
+  before(async () => {
+    db = await open();
+  });
+  after(() => db.cleanup());
+
+  async function insertAll(tree, count) {
+    const inserted = [];
+    for (let i = 0; i < count; i++) {
+      const leaf = BigInt(1000 + i);
+      inserted.push({ leaf, ...(await db.insert(tree, leaf)) });
+    }
+    return inserted;
+  }
+
+  test("starts from the root of an empty tree", async () => {
+    const tree = db.tree(treeId());
+    let empty = ZERO_VALUE;
+    for (let level = 0; level < DEPTH; level++) {
+      empty = hashPair(empty, empty);
+    }
+
+    assert.equal(await tree.root(), empty);
+    assert.equal(await tree.size(), 0);
+    assert.equal(await tree.path(0), null);
+    // only roots left by an insert are accepted
+    assert.equal(await tree.isKnownRoot(empty), false);
+  });
+
+  test("appends leaves and proves each one against the root", async () => {
+    const tree = db.tree(treeId());
+    const inserted = await insertAll(tree, 5);
+
+    assert.deepEqual(
+      inserted.map((i) => i.leafIndex),
+      [0, 1, 2, 3, 4]
+    );
+    const root = await tree.root();
+    assert.equal(inserted[4].root, root);
+    assert.equal(await tree.size(), 5);
+
+    for (const { leaf, leafIndex } of inserted) {
+      const path = await tree.path(leafIndex);
+      assert.equal(path.leafIndex, leafIndex);
+      assert.equal(path.root, root.toString());
+      assert.equal(path.pathElements.length, DEPTH);
+      assert.equal(rootOf(leaf, path), root);
+      // the bits of the index say which side the leaf is on
+      assert.deepEqual(
+        path.pathIndices,
+        [...Array(DEPTH)].map((_, level) => (leafIndex >> level) & 1)
+      );
+    }
+
+    // a path does not prove any other leaf
+    assert.notEqual(rootOf(inserted[1].leaf, await tree.path(0)), root);
+    assert.equal(await tree.path(5), null);
+  });
+
+  test("reloads its nodes and roots from the database", async () => {
+    const id = treeId();
+    const inserted = await insertAll(db.tree(id), 3);
+
+    const reloaded = db.tree(id);
+    assert.equal(await reloaded.size(), 3);
+    assert.equal(await reloaded.root(), inserted[2].root);
+    assert.equal(await reloaded.isKnownRoot(inserted[0].root), true);
+    assert.equal(
+      rootOf(inserted[1].leaf, await reloaded.path(1)),
+      inserted[2].root
+    );
+
+    // and carries on where the other left off
+    const next = await db.insert(reloaded, 2000n);
+    assert.equal(next.leafIndex, 3);
+    assert.equal(rootOf(2000n, await reloaded.path(3)), next.root);
+  });
+
+  test(`remembers only the last ${ROOT_HISTORY_SIZE} roots`, async () => {
+    const tree = db.tree(treeId());
+    const roots = (await insertAll(tree, ROOT_HISTORY_SIZE + 1)).map(
+      (i) => i.root
+    );
+
+    assert.equal(await tree.isKnownRoot(roots[0]), false);
+    for (const root of roots.slice(1)) {
+      assert.equal(await tree.isKnownRoot(root), true);
+    }
+  });
+
+  test("keeps trees apart", async () => {
+    const [{ root }] = await insertAll(db.tree(treeId()), 1);
+    const other = db.tree(treeId());
+    await insertAll(other, 1);
+
+    // same leaf, same root, but it was never a root of this tree's id
+    assert.equal(await other.root(), root);
+    assert.equal(await db.tree(treeId()).isKnownRoot(root), false);
+  });
+}
+
+describe("sqlite merkle store", () => {
+  merkleContract(async () => {
+    const dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+    const file = join(dir, "zknon.db");
+    const store = createStore({ SQLITE_PATH: file });
+    await migrateUp(store);
+    await store.close();
+
+    const connections = [];
+    return {
+      tree(id) {
+        const connection = new Database(file);
+        connections.push(connection);
+        return createSqliteMerkleStore(connection, id, DEPTH);
+      },
+      insert: async (tree, leaf) => tree.insert(leaf),
+      cleanup() {
+        for (const connection of connections) connection.close();
+        rmSync(dir, { recursive: true, force: true });
+      },
+    };
+  });
+});
+
+describe("postgres merkle store", () => {
+  merkleContract(async () => {
+    const schema = await createTestSchema();
+    const store = createStore({
+      DB_DRIVER: "postgres",
+      DATABASE_URL: schema.url,
+    });
+    await migrateUp(store);
+    await store.close();
+
+    const pool = new pg.Pool({ connectionString: schema.url });
+    return {
+      tree: (id) => createPgMerkleStore(pool, id, DEPTH),
+      async insert(tree, leaf) {
+        const client = await pool.connect();
+        try {
+          await client.query("BEGIN");
+          const inserted = await tree.insert(client, leaf);
+          await client.query("COMMIT");
+          return inserted;
+        } finally {
+          client.release();
+        }
+      },
+      async cleanup() {
+        await pool.end();
+        await schema.drop();
+      },
+    };
+  });
+});
+
+describe("tree routes", () => {
+  let rpc;
+  let server;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc, env: { DENOMINATIONS: "1" } });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  test("serve the root of a denomination's tree", async () => {
+    const { status, body } = await server.request(
+      "GET",
+      "/api/tree/root?denomination=1"
+    );
+    assert.equal(status, 200);
+    assert.equal(body.leafCount, 0);
+    assert.equal(body.depth, 20);
+    assert.match(body.root, /^[0-9]+$/);
+  });
+
+  test("answer 404 for a denomination without a pool", async () => {
+    for (const path of [
+      "/api/tree/root?denomination=2",
+      "/api/tree/path/0?denomination=2",
+    ]) {
+      const res = await server.request("GET", path);
+      assert.equal(res.status, 404, path);
+    }
+  });
+
+  test("answer 404 for a leaf that is not in the tree yet", async () => {
+    const res = await server.request("GET", "/api/tree/path/0?denomination=1");
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, "leaf not found");
+  });
+
+  test("answer 400 for a leafIndex that is not an index", async () => {
+    for (const leafIndex of ["-1", "1.5", "abc"]) {
+      const res = await server.request(
+        "GET",
+        `/api/tree/path/${leafIndex}?denomination=1`
+      );
+      assert.equal(res.status, 400, leafIndex);
+    }
+  });
+
+  test("answer 400 for a mint or denomination that is not one", async () => {
+    for (const path of [
+      "/api/tree/root?denomination=1&mint=NOPE",
+      "/api/tree/root?denomination=one",
+      "/api/tree/root",
+    ]) {
+      const res = await server.request("GET", path);
+      assert.equal(res.status, 400, path);
+    }
+  });
+});
@@ -0,0 +1,136 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import Database from "better-sqlite3";
+import { createStore } from "../src/storage/index.js";
+import {
+  migrateDown,
+  migrateUp,
+  migrationStatus,
+  pendingMigrations,
+} from "../src/storage/migrator.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+/**
+ * Runs the migrator over a blank database from `open()`, which resolves to
+ * { store, cleanup() }.
+ */
+function migratorContract(open) {
+  let store;
+  let cleanup;
+  let latest;
+
+  before(async () => {
+    ({ store, cleanup } = await open());
+    latest = store.migrations.definitions.at(-1).version;
+  });
+  after(async () => {
+    await store.close();
+    await cleanup();
+  });
+
+  const versions = (migrations) => migrations.map((m) => m.version);
+
+  test("applies pending migrations in order, up to `to`", async () => {
+    assert.deepEqual(versions(await migrateUp(store, { to: 3 })), [1, 2, 3]);
+    const pending = versions(await pendingMigrations(store));
+    assert.equal(pending[0], 4);
+    assert.equal(pending.at(-1), latest);
+
+    assert.equal((await migrateUp(store)).length, latest - 3);
+    assert.deepEqual(await migrateUp(store), []);
+    const status = await migrationStatus(store);
+    assert.ok(status.every((m) => m.applied && m.appliedAt));
+  });
+
+  test("reverts and re-applies every step above the baseline", async () => {
+    const reverted = await migrateDown(store, { steps: latest - 1 });
+    assert.deepEqual(
+      versions(reverted),
+      Array.from({ length: latest - 1 }, (_, i) => latest - i)
+    );
+    assert.equal((await pendingMigrations(store)).length, latest - 1);
+
+    assert.equal((await migrateUp(store)).length, latest - 1);
+    assert.deepEqual(await pendingMigrations(store), []);
+  });
+
+  test("refuses to revert the baseline, reverting nothing", async () => {
+    await assert.rejects(
+      migrateDown(store, { steps: latest }),
+      /Cannot revert migration 0001_ledger: it has no down step/
+    );
+    assert.deepEqual(await pendingMigrations(store), []);
+  });
+
+  test("refuses a database migrated by newer code", async () => {
+    const older = {
+      migrations: {
+        ...store.migrations,
+        definitions: store.migrations.definitions.slice(0, -1),
+      },
+    };
+    const [unknown] = (await migrationStatus(older)).filter((m) => m.unknown);
+    assert.equal(unknown.version, latest);
+    await assert.rejects(
+      migrateUp(older),
+      /Database has migrations this code does not know/
+    );
+  });
+}
+
+describe("sqlite migrations", () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe("from a blank database", () => {
+    migratorContract(async () => ({
+      store: createStore({ SQLITE_PATH: join(dir, "blank.db") }),
+      cleanup: async () => {},
+    }));
+  });
+
+  test("adopts a ledger from before migrations, keeping its balances", async () => {
+    const filename = join(dir, "legacy.db");
+    const legacy = new Database(filename);
+    legacy.exec(`
+      CREATE TABLE zk_proofs (
+        id TEXT PRIMARY KEY,
+        wallet_pubkey TEXT NOT NULL,
+        note_hash TEXT NOT NULL,
+        total REAL NOT NULL DEFAULT 0,
+        spent REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      INSERT INTO zk_proofs (id, wallet_pubkey, note_hash, total, spent)
+      VALUES ('zk_legacy', 'wallet', 'hash', 0.30000000000000004, 0.1);
+    `);
+    legacy.close();
+
+    const store = createStore({ SQLITE_PATH: filename });
+    try {
+      await migrateUp(store);
+      const proof = await store.getZkProof("zk_legacy");
+      assert.equal(proof.total_lamports, 300_000_000n);
+      assert.equal(proof.spent_lamports, 100_000_000n);
+      assert.equal(proof.mint, "SOL");
+    } finally {
+      await store.close();
+    }
+  });
+});
+
+describe("postgres migrations", () => {
+  migratorContract(async () => {
+    const schema = await createTestSchema();
+    return {
+      store: createStore({ DB_DRIVER: "postgres", DATABASE_URL: schema.url }),
+      cleanup: schema.drop,
+    };
+  });
+});
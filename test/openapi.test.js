@@ -0,0 +1,666 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync } from "crypto";
+import { readFileSync } from "fs";
+import { Keypair } from "@solana/web3.js";
+import { createRequestValidator, schemaErrors } from "../src/openapi.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { signMessage, startServer } from "./helpers/server.js";
+
+const ADMIN_API_KEY = "test-admin-key";
+
+const address = () => Keypair.generate().publicKey.toBase58();
+
+describe("schemaErrors", () => {
+  const document = {
+    components: {
+      schemas: {
+        Address: { type: "string", format: "solana-address" },
+        Output: {
+          type: "object",
+          required: ["recipient"],
+          properties: {
+            recipient: { $ref: "#/components/schemas/Address" },
+            amount: { type: "string", pattern: "^\\d+$" },
+            lamports: { type: "integer", minimum: 0 },
+          },
+          anyOf: [{ required: ["amount"] }, { required: ["lamports"] }],
+        },
+      },
+    },
+  };
+  const errors = (schema, value) => schemaErrors(document, schema, value);
+  const output = { $ref: "#/components/schemas/Output" };
+
+  test("checks types, consts and enums", () => {
+    assert.deepEqual(errors({ type: ["string", "null"] }, 1), [
+      { path: "", message: "must be a string or null" },
+    ]);
+    assert.deepEqual(errors({ type: "integer" }, 1.5), [
+      { path: "", message: "must be an integer" },
+    ]);
+    assert.deepEqual(errors({ type: "number" }, 2), []);
+    assert.deepEqual(errors({ type: "object" }, []), [
+      { path: "", message: "must be an object" },
+    ]);
+    assert.deepEqual(errors({ const: true }, false), [
+      { path: "", message: "must be true" },
+    ]);
+    assert.deepEqual(errors({ enum: ["a", "b"] }, "c"), [
+      { path: "", message: "must be one of: a, b" },
+    ]);
+  });
+
+  test("checks strings, numbers and arrays against their bounds", () => {
+    const string = { type: "string", minLength: 2, maxLength: 3 };
+    assert.equal(
+      errors(string, "a")[0].message,
+      "must be at least 2 characters"
+    );
+    assert.equal(
+      errors(string, "abcd")[0].message,
+      "must be at most 3 characters"
+    );
+    assert.equal(
+      errors({ type: "string", pattern: "^\\d+$" }, "1a")[0].message,
+      "must match ^\\d+$"
+    );
+
+    assert.equal(errors({ minimum: 1 }, 0)[0].message, "must be >= 1");
+    assert.equal(errors({ exclusiveMinimum: 0 }, 0)[0].message, "must be > 0");
+    assert.equal(errors({ maximum: 5 }, 6)[0].message, "must be <= 5");
+    // bounds are for numbers only
+    assert.deepEqual(errors({ minimum: 1 }, "0"), []);
+
+    const array = { type: "array", minItems: 1, maxItems: 2 };
+    assert.equal(errors(array, [])[0].message, "must have at least 1 item");
+    assert.equal(
+      errors(array, [1, 2, 3])[0].message,
+      "must have at most 2 items"
+    );
+  });
+
+  test("checks the formats it knows", () => {
+    const key = { type: "string", format: "solana-address" };
+    assert.deepEqual(errors(key, address()), []);
+    for (const value of ["", "not base58!", "1111"]) {
+      assert.deepEqual(errors(key, value), [
+        { path: "", message: "must be a base58 Solana address" },
+      ]);
+    }
+    const time = { type: "string", format: "date-time" };
+    assert.deepEqual(errors(time, new Date().toISOString()), []);
+    assert.equal(errors(time, "soon")[0].message, "must be an ISO 8601 time");
+  });
+
+  test("names nested values by their path", () => {
+    const schema = { type: "array", items: output };
+    assert.deepEqual(
+      errors(schema, [
+        { recipient: address(), amount: "1" },
+        { recipient: "nope", lamports: -1 },
+        { amount: "x" },
+      ]),
+      [
+        { path: "[1].recipient", message: "must be a base58 Solana address" },
+        { path: "[1].lamports", message: "must be >= 0" },
+        { path: "[2].recipient", message: "is required" },
+        { path: "[2].amount", message: "must match ^\\d+$" },
+      ]
+    );
+    assert.deepEqual(
+      schemaErrors(document, output, { recipient: address() }, "outputs[0]"),
+      [
+        {
+          path: "outputs[0]",
+          message: "amount is required, or lamports is required",
+        },
+      ]
+    );
+  });
+
+  test("checks allOf, and if/then/else by the branch taken", () => {
+    const schema = {
+      type: "object",
+      allOf: [{ properties: { relayer: { type: "string" } } }],
+      if: { required: ["proof"] },
+      then: { required: ["root"] },
+      else: output,
+    };
+    assert.deepEqual(errors(schema, { proof: {}, root: "1" }), []);
+    assert.deepEqual(errors(schema, { proof: {} }), [
+      { path: "root", message: "is required" },
+    ]);
+    assert.deepEqual(errors(schema, { recipient: address(), relayer: 1 }), [
+      { path: "relayer", message: "must be a string" },
+      { path: "", message: "amount is required, or lamports is required" },
+    ]);
+  });
+});
+
+describe("createRequestValidator", () => {
+  const document = {
+    paths: {
+      "/things/{id}/{action}": {
+        post: {
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "integer", minimum: 1 },
+            },
+            {
+              name: "action",
+              in: "path",
+              required: true,
+              schema: { enum: ["open", "close"] },
+            },
+            { name: "limit", in: "query", schema: { type: "integer" } },
+          ],
+          requestBody: {
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["reason"],
+                  properties: { reason: { type: "string" } },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              content: {
+                "application/json": {
+                  schema: { type: "object", required: ["ok"] },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    components: { schemas: {} },
+  };
+
+  // What `validate` did with `req`: { next } when it let it through, or
+  // { status, body } of its answer
+  function run(validate, req) {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.answer = { status: this.statusCode, body };
+        return this;
+      },
+    };
+    let next = false;
+    validate(
+      {
+        method: "POST",
+        route: { path: "/things/:id/:action(open|close)" },
+        params: { id: "7", action: "open" },
+        query: {},
+        body: { reason: "why" },
+        ...req,
+      },
+      res,
+      () => (next = true)
+    );
+    return next ? { next, res } : res.answer;
+  }
+
+  test("lets a matching request through", () => {
+    const validate = createRequestValidator(document);
+    assert.equal(run(validate, { query: { limit: "5" } }).next, true);
+  });
+
+  test("answers 400 with every problem and where it is", () => {
+    const validate = createRequestValidator(document);
+    const { status, body } = run(validate, {
+      params: { id: "0", action: "open" },
+      query: { limit: "x" },
+      body: {},
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Request does not match the API schema");
+    assert.deepEqual(body.errors, [
+      { in: "path", path: "id", message: "must be >= 1" },
+      { in: "query", path: "limit", message: "must be an integer" },
+      { in: "body", path: "reason", message: "is required" },
+    ]);
+
+    const missing = run(validate, { body: undefined });
+    assert.deepEqual(missing.body.errors, [
+      { in: "body", path: "reason", message: "is required" },
+    ]);
+  });
+
+  test("reads header parameters by their name", () => {
+    const validate = createRequestValidator({
+      paths: {
+        "/stream": {
+          get: {
+            parameters: [
+              {
+                name: "Last-Event-ID",
+                in: "header",
+                schema: { type: "integer", minimum: 0 },
+              },
+            ],
+          },
+        },
+      },
+      components: { schemas: {} },
+    });
+    const get = (value) => (name) =>
+      name === "Last-Event-ID" ? value : undefined;
+    const stream = { method: "GET", route: { path: "/stream" } };
+
+    assert.equal(run(validate, { ...stream, get: get("7") }).next, true);
+    assert.equal(run(validate, { ...stream, get: get(undefined) }).next, true);
+    assert.deepEqual(run(validate, { ...stream, get: get("-1") }).body.errors, [
+      { in: "header", path: "Last-Event-ID", message: "must be >= 0" },
+    ]);
+  });
+
+  test("leaves routes the document does not describe alone", () => {
+    const validate = createRequestValidator(document);
+    assert.equal(run(validate, { method: "GET", body: {} }).next, true);
+    assert.equal(
+      run(validate, { route: { path: "/other" }, body: [] }).next,
+      true
+    );
+  });
+
+  test("logs responses that do not match, with checkResponses", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const validate = createRequestValidator(document, {
+      checkResponses: true,
+    });
+    const { res } = run(validate);
+    res.json({ ok: true });
+    assert.equal(warn.mock.callCount(), 0);
+    res.json({});
+    res.status(418).json({ ok: true });
+    assert.equal(warn.mock.callCount(), 2);
+    assert.deepEqual(warn.mock.calls[1].arguments.at(-1), [
+      { path: "", message: "status is not in the API schema" },
+    ]);
+  });
+});
+
+describe("API contract", () => {
+  let rpc;
+  let server;
+  let document;
+  let token;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc, env: { ADMIN_API_KEY } });
+    token = await server.signIn(wallet);
+    ({ body: document } = await server.request("GET", "/api/openapi.json"));
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  const resolve = (schema) =>
+    schema.$ref
+      ? document.components.schemas[
+          schema.$ref.replace("#/components/schemas/", "")
+        ]
+      : schema;
+
+  const operations = () =>
+    Object.entries(document.paths).flatMap(([path, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({
+        path,
+        method,
+        operation,
+      }))
+    );
+
+  // Calls `method` `path` (as in the document, {params} filled in from
+  // `params`) signed in as its security asks, and checks the answer is one
+  // the document gives, in its shape; resolves to { status, body }
+  async function call(method, path, { params = {}, query = "", body } = {}) {
+    const operation = document.paths[path][method];
+    const url =
+      path.replace(/\{(\w+)\}/g, (_, name) =>
+        encodeURIComponent(params[name])
+      ) + query;
+    const scheme = Object.keys(operation.security?.[0] ?? {})[0];
+    const res = await server.request(method.toUpperCase(), url, {
+      body,
+      token: { session: token, admin: ADMIN_API_KEY }[scheme],
+    });
+
+    const described = operation.responses[res.status];
+    assert.ok(described, `${method} ${path}: ${res.status} is not documented`);
+    const { schema } = described.content["application/json"];
+    assert.deepEqual(
+      schemaErrors(document, schema, res.body),
+      [],
+      `${method} ${path}: ${res.status} ${JSON.stringify(res.body)}`
+    );
+    return res;
+  }
+
+  // A value of `schema` to fill a parameter in with, or with `valid`
+  // false one it refuses (undefined when there is none to make)
+  function sample(schema, valid = true) {
+    schema = resolve(schema);
+    if (schema.enum) return valid ? schema.enum[0] : undefined;
+    if (schema.type === "integer") {
+      return valid ? schema.minimum ?? 1 : (schema.minimum ?? 1) - 1;
+    }
+    if (schema.format === "solana-address") return valid ? address() : "!";
+    if (schema.examples) return valid ? schema.examples[0] : "!";
+    if (schema.pattern) return valid ? "sample" : "!";
+    return valid ? "sample" : undefined;
+  }
+
+  test("describes every route index.js registers", () => {
+    const source = readFileSync(
+      new URL("../index.js", import.meta.url),
+      "utf8"
+    );
+    const routes = [
+      ...source.matchAll(/app\.(get|post|put|delete)\(\s*"([^"]+)"/g),
+    ];
+    assert.ok(routes.length > 0);
+    for (const [, method, route] of routes) {
+      // as openApiPath in src/openapi.js
+      const path = route.replace(/:(\w+)(\([^)]*\))?/g, "{$1}");
+      assert.ok(document.paths[path]?.[method], `${method} ${route}`);
+    }
+  });
+
+  test("describes a JSON object body for every operation taking one", () => {
+    for (const { method, path, operation } of operations()) {
+      if (!operation.requestBody) continue;
+      const { schema } = operation.requestBody.content["application/json"];
+      assert.equal(resolve(schema).type, "object", `${method} ${path}`);
+    }
+  });
+
+  test("refuses a request off the schema on every route it describes", async () => {
+    const unchecked = [];
+    for (const { method, path, operation } of operations()) {
+      const parameters = operation.parameters || [];
+      const params = {};
+      for (const p of parameters) {
+        if (p.in === "path") params[p.name] = sample(p.schema);
+      }
+
+      // a body that is not an object, or else one parameter made invalid
+      let body;
+      let query = "";
+      let where = "body";
+      if (operation.requestBody) {
+        body = [];
+      } else {
+        const target = parameters.find(
+          (p) => sample(p.schema, false) !== undefined
+        );
+        if (!target) {
+          unchecked.push(`${method} ${path}`);
+          continue;
+        }
+        const value = sample(target.schema, false);
+        if (target.in === "path") params[target.name] = value;
+        else query = `?${target.name}=${encodeURIComponent(value)}`;
+        where = target.in;
+      }
+
+      const res = await call(method, path, { params, query, body });
+      assert.equal(res.status, 400, `${method} ${path}`);
+      assert.equal(res.body.error, "Request does not match the API schema");
+      assert.equal(res.body.errors[0].in, where, `${method} ${path}`);
+    }
+    // only those taking nothing to get wrong
+    assert.deepEqual(unchecked, [
+      "get /health",
+      "get /api/openapi.json",
+      "get /api/pools",
+      "get /api/vault/notes",
+      "get /api/admin/reconcile",
+      "get /api/admin/controls",
+      "get /api/admin/pool-keys",
+      "get /api/admin/webhooks",
+    ]);
+  });
+
+  test("answers public lookups as documented", async () => {
+    await call("get", "/health");
+    await call("get", "/api/openapi.json");
+
+    const { body } = await call("get", "/api/pools");
+    const denomination = `?denomination=${body.pools[0].denomination}`;
+    const { body: tree } = await call("get", "/api/tree/root", {
+      query: denomination,
+    });
+    assert.equal(tree.leafCount, 0);
+    const noLeaf = await call("get", "/api/tree/path/{leafIndex}", {
+      params: { leafIndex: 0 },
+      query: denomination,
+    });
+    assert.equal(noLeaf.status, 404);
+
+    const { body: relayers } = await call("get", "/api/relayers", {
+      query: "?amount=0.5",
+    });
+    assert.equal(relayers.quotes.length, 1);
+    const { body: nullifier } = await call("get", "/api/nullifiers/{hash}", {
+      params: { hash: "0x1" },
+    });
+    assert.equal(nullifier.spent, false);
+  });
+
+  test("answers sign-in as documented", async () => {
+    const other = Keypair.generate();
+    const walletPubkey = other.publicKey.toBase58();
+    const { body: challenge } = await call("post", "/api/auth/nonce", {
+      body: { walletPubkey },
+    });
+    const signIn = () =>
+      call("post", "/api/auth/verify", {
+        body: {
+          walletPubkey,
+          nonce: challenge.nonce,
+          signature: signMessage(other, challenge.message),
+        },
+      });
+    const { body: session } = await signIn();
+    assert.equal(session.walletPubkey, walletPubkey);
+    // a nonce is good for one sign-in
+    assert.equal((await signIn()).status, 401);
+
+    const elsewhere = await call("get", "/api/events", {
+      query: `?wallet=${address()}`,
+    });
+    assert.equal(elsewhere.status, 403);
+  });
+
+  test("answers wallet routes as documented", async () => {
+    const { body: proof } = await call("post", "/api/zkproofs/generate", {
+      body: {},
+    });
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: 1_000_000_000n,
+    });
+    await call("post", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: proof.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    await call("get", "/api/zkproofs");
+
+    const { body: scheduled } = await call("post", "/api/withdrawals", {
+      body: {
+        zkProofId: proof.zkProofId,
+        note: proof.note,
+        recipient: address(),
+        amount: "0.1",
+        minDelaySeconds: 3600,
+      },
+    });
+    assert.equal(scheduled.status, "SCHEDULED");
+    const cancelled = await call("post", "/api/withdrawals/{id}/cancel", {
+      params: { id: scheduled.id },
+    });
+    assert.equal(cancelled.status, 200);
+
+    const transferred = await call("post", "/api/transfers/internal", {
+      body: { zkProofId: proof.zkProofId, note: proof.note, amount: "0.1" },
+    });
+    assert.ok(transferred.body.note);
+    const x25519 = generateKeyPairSync("x25519").publicKey;
+    const encryptTo = Buffer.from(
+      x25519.export({ format: "jwk" }).x,
+      "base64url"
+    ).toString("base64");
+    const encrypted = await call("post", "/api/transfers/internal", {
+      body: {
+        zkProofId: proof.zkProofId,
+        note: proof.note,
+        amount: "0.1",
+        recipientWallet: address(),
+        encryptTo,
+      },
+    });
+    assert.ok(encrypted.body.encryptedNote);
+    await call("get", "/api/history");
+
+    const label = { label: proof.zkProofId };
+    const backup = (ciphertext) =>
+      call("put", "/api/vault/notes/{label}", {
+        params: label,
+        body: { ciphertext },
+      });
+    assert.equal((await backup("first")).status, 201);
+    assert.equal((await backup("second")).status, 200);
+    const { body: vault } = await call("get", "/api/vault/notes");
+    assert.deepEqual(
+      vault.notes.map((n) => n.ciphertext),
+      ["second"]
+    );
+    await call("delete", "/api/vault/notes/{label}", { params: label });
+    const gone = await call("delete", "/api/vault/notes/{label}", {
+      params: label,
+    });
+    assert.equal(gone.status, 404);
+  });
+
+  test("answers admin routes as documented", async () => {
+    await call("put", "/api/admin/controls", {
+      body: { depositsPaused: true, reason: "contract test" },
+    });
+    await call("put", "/api/admin/controls", {
+      body: { depositsPaused: false },
+    });
+
+    await call("get", "/api/admin/controls");
+
+    const { body: proof } = await call("post", "/api/zkproofs/generate", {
+      body: {},
+    });
+    await call("get", "/api/admin/zkproofs/{id}", {
+      params: { id: proof.zkProofId },
+    });
+    for (const action of ["freeze", "unfreeze"]) {
+      await call("post", "/api/admin/zkproofs/{id}/{action}", {
+        params: { id: proof.zkProofId, action },
+        body: { reason: "contract test" },
+      });
+    }
+
+    const { body: created } = await call("post", "/api/admin/webhooks", {
+      body: { url: "http://127.0.0.1:1/hook", events: ["deposit.credited"] },
+    });
+    const webhook = { id: created.webhook.id };
+    await call("post", "/api/admin/webhooks/{id}/{action}", {
+      params: { ...webhook, action: "disable" },
+    });
+    await call("post", "/api/admin/webhooks/{id}/replay", {
+      params: webhook,
+      body: { fromEventId: 1 },
+    });
+    const backwards = await call("post", "/api/admin/webhooks/{id}/replay", {
+      params: webhook,
+      body: { fromEventId: 5, toEventId: 4 },
+    });
+    assert.equal(backwards.status, 400);
+    await call("get", "/api/admin/webhooks");
+    // the deposit of the wallet routes, queued by the replay
+    const { body: log } = await call(
+      "get",
+      "/api/admin/webhooks/{id}/deliveries",
+      { params: webhook, query: "?state=PENDING&limit=10" }
+    );
+    assert.ok(log.deliveries.length > 0);
+    await call("get", "/api/admin/webhooks/deliveries/{id}", {
+      params: { id: log.deliveries[0].id },
+    });
+    const noDelivery = await call(
+      "get",
+      "/api/admin/webhooks/deliveries/{id}",
+      {
+        params: { id: 999_999 },
+      }
+    );
+    assert.equal(noDelivery.status, 404);
+
+    const { body: ledger } = await call("get", "/api/admin/transactions", {
+      query: `?wallet=${walletPubkey}&type=DEPOSIT`,
+    });
+    assert.equal(ledger.transactions.length, 1);
+    const { body: audit } = await call("get", "/api/admin/audit", {
+      query: "?targetType=webhook&limit=5",
+    });
+    assert.ok(audit.entries.length > 0);
+    await call("get", "/api/admin/pool-keys");
+    await call("get", "/api/admin/sweeps", {
+      query: `?address=${server.poolAddress}`,
+    });
+    const reconciled = await call("get", "/api/admin/reconcile");
+    assert.equal(reconciled.status, 200);
+    await call("get", "/api/admin/reconcile/reports", { query: "?limit=1" });
+
+    for (const path of [
+      "/api/admin/withdrawals/{id}/retry",
+      "/api/admin/withdrawals/{id}/approve",
+      "/api/admin/webhooks/deliveries/{id}/replay",
+    ]) {
+      const missing = await call("post", path, { params: { id: 999_999 } });
+      assert.equal(missing.status, 404, path);
+    }
+    const active = await call("post", "/api/admin/pool-keys/{address}/sweep", {
+      params: { address: server.poolAddress },
+      body: { mint: "SOL" },
+    });
+    assert.equal(active.status, 409);
+    const refill = await call("post", "/api/admin/sweeps/refill", {
+      body: {
+        to: server.poolAddress,
+        amount: "1",
+        signature: "1".repeat(64),
+      },
+    });
+    assert.equal(refill.status, 400);
+  });
+});
@@ -0,0 +1,133 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+
+describe("withdrawal limits", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: {
+        WITHDRAWAL_LIMIT_PER_NOTE_SOL: "0.2",
+        WITHDRAWAL_LIMIT_PER_DAY_SOL: "0.3",
+      },
+    });
+    token = await server.signIn(wallet);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  // A note of `owner` (the wallet by default) holding 1 SOL, as
+  // { zkProofId, note }
+  async function fundedNote(owner = wallet) {
+    const session = owner === wallet ? token : await server.signIn(owner);
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token: session,
+    });
+    const txSignature = cannedSolTransfer(rpc, {
+      from: owner.publicKey.toBase58(),
+      to: server.poolAddress,
+      lamports: 1_000_000_000n,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey: owner.publicKey.toBase58(),
+        zkProofId: body.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200);
+    return body;
+  }
+
+  function withdraw({ zkProofId, note }) {
+    return server.request("POST", "/api/withdrawals", {
+      body: {
+        zkProofId,
+        note,
+        recipient: Keypair.generate().publicKey.toBase58(),
+        amount: "0.1",
+      },
+    });
+  }
+
+  test("add up a note's withdrawals, then its owner's", async () => {
+    const first = await fundedNote();
+    assert.equal((await withdraw(first)).status, 200);
+    assert.equal((await withdraw(first)).status, 200);
+    const overNote = await withdraw(first);
+    assert.equal(overNote.status, 403);
+    assert.equal(overNote.body.code, "NOTE_LIMIT_EXCEEDED");
+    assert.equal(
+      overNote.body.error,
+      "At most 0.2 SOL can be withdrawn from a note per 24 hours; 0 SOL is left"
+    );
+    assert.ok(overNote.body.id);
+
+    const second = await fundedNote();
+    assert.equal((await withdraw(second)).status, 200);
+    const overDay = await withdraw(second);
+    assert.equal(overDay.status, 403);
+    assert.equal(overDay.body.code, "DAILY_LIMIT_EXCEEDED");
+
+    const { body } = await server.request(
+      "GET",
+      `/api/history?wallet=${walletPubkey}`,
+      { token }
+    );
+    const rejected = body.history.filter((t) => t.status === "REJECTED");
+    assert.deepEqual(
+      rejected.map((t) => [t.id, t.rejectionCode]).sort(),
+      [
+        [overNote.body.id, "NOTE_LIMIT_EXCEEDED"],
+        [overDay.body.id, "DAILY_LIMIT_EXCEEDED"],
+      ].sort()
+    );
+  });
+
+  // Moves `amount` of a note to a new note of another wallet
+  function transfer({ zkProofId, note }, amount) {
+    return server.request("POST", "/api/transfers/internal", {
+      body: {
+        zkProofId,
+        note,
+        amount,
+        recipientWallet: Keypair.generate().publicKey.toBase58(),
+      },
+    });
+  }
+
+  test("count what a note moves to another like a withdrawal", async () => {
+    const owner = Keypair.generate();
+    const first = await fundedNote(owner);
+    const moved = await transfer(first, "0.2");
+    assert.equal(moved.status, 200, moved.body.error);
+
+    const overNote = await transfer(first, "0.1");
+    assert.equal(overNote.status, 403);
+    assert.equal(overNote.body.code, "NOTE_LIMIT_EXCEEDED");
+    assert.equal((await withdraw(first)).body.code, "NOTE_LIMIT_EXCEEDED");
+
+    const second = await fundedNote(owner);
+    assert.equal((await withdraw(second)).status, 200);
+    const overDay = await transfer(second, "0.1");
+    assert.equal(overDay.status, 403);
+    assert.equal(overDay.body.code, "DAILY_LIMIT_EXCEEDED");
+    assert.equal(
+      overDay.body.error,
+      "Withdrawals are limited to 0.3 SOL per 24 hours; 0 SOL is left"
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+import { randomNote } from "./helpers/zk.js";
+
+const ONE_SOL = 1_000_000_000n;
+const MINT = Keypair.generate().publicKey.toBase58();
+
+describe("denomination pools", () => {
+  let rpc;
+  let server;
+  // the 1 SOL pool has a hot wallet of its own, 0.1 SOL uses the main pool's
+  const oneSolKeypair = Keypair.generate();
+  const oneSolAddress = oneSolKeypair.publicKey.toBase58();
+  const walletPubkey = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: {
+        DENOMINATIONS: "0.1,1",
+        POOL_SECRET_KEY_BASE58_1: bs58.encode(oneSolKeypair.secretKey),
+        TOKENS: "TST",
+        TOKEN_MINT_TST: MINT,
+        TOKEN_DECIMALS_TST: "6",
+        DENOMINATIONS_TST: "10",
+      },
+    });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  async function pools() {
+    const { status, body } = await server.request("GET", "/api/pools");
+    assert.equal(status, 200);
+    return body.pools;
+  }
+
+  function depositCommitment({ to, lamports, amount }) {
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to,
+      lamports,
+    });
+    return server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        commitment: randomNote().commitment.toString(),
+        amount,
+        txSignature,
+      },
+    });
+  }
+
+  async function treeRoot(denomination) {
+    const { body } = await server.request(
+      "GET",
+      `/api/tree/root?denomination=${denomination}`
+    );
+    return body;
+  }
+
+  test("lists every pool with its wallet and anonymity set", async () => {
+    assert.deepEqual(await pools(), [
+      {
+        symbol: "SOL",
+        mint: "SOL",
+        denomination: "0.1",
+        lamports: String(ONE_SOL / 10n),
+        poolAddress: server.poolAddress,
+        anonymitySet: 0,
+      },
+      {
+        symbol: "SOL",
+        mint: "SOL",
+        denomination: "1",
+        lamports: String(ONE_SOL),
+        poolAddress: oneSolAddress,
+        anonymitySet: 0,
+      },
+      {
+        symbol: "TST",
+        mint: MINT,
+        denomination: "10",
+        lamports: "10000000",
+        poolAddress: server.poolAddress,
+        anonymitySet: 0,
+      },
+    ]);
+  });
+
+  test("refuses deposits of an amount without a pool", async () => {
+    const res = await depositCommitment({
+      to: oneSolAddress,
+      lamports: 2n * ONE_SOL,
+      amount: "2",
+    });
+    assert.equal(res.status, 400);
+    assert.equal(
+      res.body.error,
+      "amount must be one of the pool denominations: 0.1, 1 SOL"
+    );
+
+    const tree = await server.request("GET", "/api/tree/root?denomination=2");
+    assert.equal(tree.status, 404);
+  });
+
+  test("puts a deposit into the tree of its denomination", async () => {
+    const before = await treeRoot("0.1");
+
+    const res = await depositCommitment({
+      to: oneSolAddress,
+      lamports: ONE_SOL,
+      amount: "1",
+    });
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.denomination, "1");
+    assert.equal(res.body.leafIndex, 0);
+
+    const tree = await treeRoot("1");
+    assert.equal(tree.leafCount, 1);
+    assert.equal(tree.root, res.body.root);
+    // the other pool's tree is untouched
+    assert.deepEqual(await treeRoot("0.1"), before);
+
+    const sizes = Object.fromEntries(
+      (await pools()).map((p) => [
+        `${p.symbol} ${p.denomination}`,
+        p.anonymitySet,
+      ])
+    );
+    assert.deepEqual(sizes, { "SOL 0.1": 0, "SOL 1": 1, "TST 10": 0 });
+  });
+
+  test("wants the deposit sent to its pool's wallet", async () => {
+    // 1 SOL sent to the main pool is not a deposit into the 1 SOL pool
+    const res = await depositCommitment({
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+      amount: "1",
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await treeRoot("1")).leafCount, 1);
+  });
+});
@@ -0,0 +1,164 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import {
+  createMemoryRateLimitStore,
+  createRateLimiter,
+} from "../src/ratelimit.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+
+describe("createRateLimiter", () => {
+  const limiter = createRateLimiter({ store: createMemoryRateLimitStore() });
+  const budget = { max: 2, windowMs: 50 };
+
+  test("lets `max` hits through per window", async () => {
+    assert.equal(await limiter.consume("a", budget), 0);
+    assert.equal(await limiter.consume("a", budget), 0);
+    const retryAfterMs = await limiter.consume("a", budget);
+    assert.ok(retryAfterMs > 0 && retryAfterMs <= 50);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal(await limiter.consume("a", budget), 0);
+  });
+
+  test("checks a key without counting a hit", async () => {
+    assert.equal(await limiter.check("b", budget), 0);
+    await limiter.consume("b", budget);
+    assert.equal(await limiter.check("b", budget), 0);
+    assert.equal(await limiter.check("b", budget), 0);
+    await limiter.consume("b", budget);
+    assert.ok((await limiter.check("b", budget)) > 0);
+
+    await limiter.reset("b");
+    assert.equal(await limiter.check("b", budget), 0);
+  });
+});
+
+describe("note spends", () => {
+  let rpc;
+  let server;
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: {
+        TRUST_PROXY: "1",
+        NOTE_LOCKOUT_ATTEMPTS: "2",
+        NOTE_LOCKOUT_SECONDS: "1",
+      },
+    });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  let clients = 0;
+  const newIp = () => `10.0.${Math.floor(++clients / 250)}.${clients % 250}`;
+
+  // A note holding 1 SOL of a new wallet, as { zkProofId, note }
+  async function fundedNote() {
+    const wallet = Keypair.generate();
+    const walletPubkey = wallet.publicKey.toBase58();
+    const token = await server.signIn(wallet);
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    });
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: 1_000_000_000n,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: body.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200);
+    return body;
+  }
+
+  function withdraw({ zkProofId, note }, ip) {
+    return server.request("POST", "/api/withdrawals", {
+      body: {
+        zkProofId,
+        note,
+        recipient: Keypair.generate().publicKey.toBase58(),
+        amount: "1",
+      },
+      headers: { "x-forwarded-for": ip },
+    });
+  }
+
+  test("lock out the IP guessing a note, not the owner", async () => {
+    const proof = await fundedNote();
+    const guess = { ...proof, note: "0".repeat(64) };
+    const attacker = newIp();
+
+    assert.equal((await withdraw(guess, attacker)).status, 403);
+    assert.equal((await withdraw(guess, attacker)).status, 403);
+    const locked = await withdraw(proof, attacker);
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get("retry-after")) >= 1);
+
+    const owner = await withdraw(proof, newIp());
+    assert.equal(owner.status, 200, owner.body.error);
+  });
+
+  test("count only wrong notes, and lift the lock once it expires", async () => {
+    const proof = await fundedNote();
+    const guess = { ...proof, note: "0".repeat(64) };
+    const ip = newIp();
+
+    assert.equal((await withdraw(guess, ip)).status, 403);
+    // a right one in between clears the count...
+    const spent = await server.request("POST", "/api/transfers/internal", {
+      body: { zkProofId: proof.zkProofId, note: proof.note, amount: "0.5" },
+      headers: { "x-forwarded-for": ip },
+    });
+    assert.equal(spent.status, 200, spent.body.error);
+    assert.equal((await withdraw(guess, ip)).status, 403);
+    assert.equal((await withdraw(guess, ip)).status, 403);
+    assert.equal((await withdraw(guess, ip)).status, 429);
+
+    // ...and the lock is over after NOTE_LOCKOUT_SECONDS
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.equal((await withdraw(guess, ip)).status, 403);
+  });
+
+  test("never charge the owner for notes guessed wrong", async () => {
+    const proof = await fundedNote();
+    const guess = { ...proof, note: "0".repeat(64) };
+
+    // as many as the owner's spend budget of 20 a minute, from other IPs
+    for (let i = 0; i < 20; i++) {
+      assert.equal((await withdraw(guess, newIp())).status, 403);
+    }
+    const owner = await withdraw(proof, newIp());
+    assert.equal(owner.status, 200, owner.body.error);
+  });
+
+  test("share the owner's spend budget across IPs", async () => {
+    const proof = await fundedNote();
+    const transfer = () =>
+      server.request("POST", "/api/transfers/internal", {
+        body: { zkProofId: proof.zkProofId, note: proof.note, amount: "0.01" },
+        headers: { "x-forwarded-for": newIp() },
+      });
+
+    // the spend budget is 20 a minute per wallet, the one the note is of
+    for (let i = 0; i < 20; i++) {
+      const spent = await transfer();
+      assert.equal(spent.status, 200, spent.body.error);
+    }
+    const over = await transfer();
+    assert.equal(over.status, 429);
+    assert.equal(over.body.error, "Too many requests");
+    assert.equal((await withdraw(proof, newIp())).status, 429);
+  });
+});
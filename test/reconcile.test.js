@@ -0,0 +1,171 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import { Connection, Keypair } from "@solana/web3.js";
+import { loadAssets } from "../src/pools.js";
+import { createReconciler } from "../src/reconcile.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { createTestStore } from "./helpers/store.js";
+
+const ONE_SOL = 1_000_000_000n;
+
+let nextId = 0;
+
+describe("reconciler", () => {
+  let rpc;
+  let db;
+  let reconciler;
+  let pool;
+  const walletPubkey = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+  });
+  after(() => rpc.close());
+
+  beforeEach(async () => {
+    pool = Keypair.generate().publicKey.toBase58();
+    db = await createTestStore();
+    reconciler = createReconciler({
+      store: db.store,
+      connection: new Connection(rpc.url),
+      mainPoolAddress: pool,
+      poolHoldings: () => [{ address: pool, mint: "SOL" }],
+      assets: loadAssets({}),
+    });
+  });
+  afterEach(() => db.close());
+
+  // A 1 SOL deposit into the pool, in the ledger and on chain. Resolves to
+  // its signature.
+  async function deposit() {
+    const zkProofId = `zk_reconcile_${++nextId}`;
+    await db.store.insertZkProof({
+      id: zkProofId,
+      walletPubkey,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: new Date().toISOString(),
+    });
+    const txSignature = chainTransfer({ from: walletPubkey, to: pool });
+    await db.store.recordDeposit({
+      walletPubkey,
+      zkProofId,
+      mint: "SOL",
+      lamports: ONE_SOL,
+      txSignature,
+      poolAddress: pool,
+      createdAt: new Date().toISOString(),
+    });
+    return txSignature;
+  }
+
+  // A finalized 1 SOL transfer the RPC lists for the pool, moving its
+  // balance along
+  function chainTransfer({ from, to }) {
+    const signature = cannedSolTransfer(rpc, { from, to, lamports: ONE_SOL });
+    rpc.signatures.set(pool, [signature, ...(rpc.signatures.get(pool) ?? [])]);
+    const balance = BigInt(rpc.balances.get(pool) ?? 0);
+    const moved = to === pool ? ONE_SOL : -ONE_SOL;
+    rpc.balances.set(pool, Number(balance + moved));
+    return signature;
+  }
+
+  test("reports a ledger that matches the chain as clean", async () => {
+    await deposit();
+    await deposit();
+
+    const report = await reconciler.run();
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.pools, [
+      {
+        address: pool,
+        mint: "SOL",
+        account: pool,
+        liabilitiesLamports: String(2n * ONE_SOL),
+        balanceLamports: String(2n * ONE_SOL),
+        surplusLamports: "0",
+        covered: true,
+      },
+    ]);
+    assert.deepEqual(report.unrecordedDeposits, []);
+    assert.deepEqual(report.orphanTransfers, []);
+    assert.deepEqual(report.stuckWithdrawals, []);
+  });
+
+  test("reports a transfer into the pool that the ledger never credited", async () => {
+    await deposit();
+    const stranger = Keypair.generate().publicKey.toBase58();
+    const signature = chainTransfer({ from: stranger, to: pool });
+
+    const report = await reconciler.run();
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.unrecordedDeposits, [
+      {
+        signature,
+        mint: "SOL",
+        from: stranger,
+        to: pool,
+        lamports: String(ONE_SOL),
+        blockTime: 1700000000,
+      },
+    ]);
+    // the pool holds more than it owes, which is no shortfall
+    assert.equal(report.pools[0].surplusLamports, String(ONE_SOL));
+    assert.equal(report.pools[0].covered, true);
+  });
+
+  test("reports a transfer out of the pool that no withdrawal sent", async () => {
+    await deposit();
+    const thief = Keypair.generate().publicKey.toBase58();
+    const signature = chainTransfer({ from: pool, to: thief });
+
+    const report = await reconciler.run();
+    assert.equal(report.ok, false);
+    assert.deepEqual(
+      report.orphanTransfers.map((t) => [t.signature, t.to]),
+      [[signature, thief]]
+    );
+    assert.equal(report.pools[0].balanceLamports, "0");
+    assert.equal(report.pools[0].surplusLamports, String(-ONE_SOL));
+    assert.equal(report.pools[0].covered, false);
+  });
+
+  test("reports a credited deposit missing from the chain", async () => {
+    const txSignature = await deposit();
+    // the transfer never landed: the RPC neither lists it nor holds it
+    rpc.signatures.set(
+      pool,
+      rpc.signatures.get(pool).filter((s) => s !== txSignature)
+    );
+    rpc.balances.set(pool, 0);
+
+    const report = await reconciler.run();
+    assert.equal(report.ok, false);
+    assert.equal(report.pools[0].liabilitiesLamports, String(ONE_SOL));
+    assert.equal(report.pools[0].covered, false);
+    assert.deepEqual(report.unrecordedDeposits, []);
+  });
+
+  test("saves every run for the history", async () => {
+    await deposit();
+    const clean = await reconciler.run("SCHEDULED");
+    chainTransfer({ from: pool, to: walletPubkey });
+    const dirty = await reconciler.run();
+
+    const history = await reconciler.history();
+    assert.deepEqual(
+      history.map((r) => [r.id, r.trigger, r.ok]),
+      [
+        [dirty.id, "MANUAL", false],
+        [clean.id, "SCHEDULED", true],
+      ]
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import { loadAssets } from "../src/pools.js";
+import {
+  loadRelayers,
+  relayerAccountFee,
+  relayerFee,
+} from "../src/relayers.js";
+import { tokenAccountAddress } from "../src/solana.js";
+import { cannedTokenTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+
+const MINT = Keypair.generate().publicKey.toBase58();
+const TOKEN_ENV = {
+  TOKENS: "TST",
+  TOKEN_MINT_TST: MINT,
+  TOKEN_DECIMALS_TST: "6",
+};
+
+describe("loadRelayers", () => {
+  const assets = loadAssets(TOKEN_ENV);
+
+  test("reads the account fee of each token in its units", () => {
+    const config = loadRelayers(
+      { ...TOKEN_ENV, RELAYER_FEE_BPS: "50", RELAYER_ACCOUNT_FEE_TST: "0.5" },
+      assets
+    );
+    assert.equal(relayerAccountFee(config, MINT), 500_000n);
+    assert.equal(relayerAccountFee(config, "SOL"), null);
+    // tokens pay the basis points only
+    assert.equal(relayerFee(config, 10_000_000n, MINT), 50_000n);
+  });
+
+  test("leaves tokens without one unrelayed to new accounts", () => {
+    const config = loadRelayers(TOKEN_ENV, assets);
+    assert.equal(relayerAccountFee(config, MINT), null);
+  });
+
+  test("refuses an account fee that is not an amount of the token", () => {
+    assert.throws(
+      () => loadRelayers({ RELAYER_ACCOUNT_FEE_TST: "0.0000001" }, assets),
+      /RELAYER_ACCOUNT_FEE_TST is not an amount of TST/
+    );
+  });
+});
+
+describe("relayed token withdrawals", () => {
+  let rpc;
+  const relayer = Keypair.generate();
+  const relayerAddress = relayer.publicKey.toBase58();
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+  });
+  after(() => rpc.close());
+
+  async function boot(env = {}) {
+    return startServer({
+      rpc,
+      env: {
+        ...TOKEN_ENV,
+        DENOMINATIONS_TST: "10",
+        RELAYER_SECRET_KEYS_BASE58: bs58.encode(relayer.secretKey),
+        RELAYER_FEE_BPS: "100",
+        ...env,
+      },
+    });
+  }
+
+  // A note holding 10 TST, as { zkProofId, note }
+  async function fundedNote(server) {
+    const token = await server.signIn(wallet);
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: { mint: "TST" },
+      token,
+    });
+    const txSignature = cannedTokenTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      mint: MINT,
+      amount: 10_000_000n,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: body.zkProofId,
+        mint: "TST",
+        amount: "10",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200, deposit.body.error);
+    return body;
+  }
+
+  function withdraw(server, { zkProofId, note }, recipient) {
+    return server.request("POST", "/api/withdrawals", {
+      body: {
+        zkProofId,
+        note,
+        recipient,
+        amount: "10",
+        relayer: relayerAddress,
+      },
+    });
+  }
+
+  test("charge the account fee when the recipient has no token account", async () => {
+    const server = await boot({ RELAYER_ACCOUNT_FEE_TST: "0.5" });
+    try {
+      const quote = await server.request("GET", "/api/relayers?mint=TST");
+      assert.equal(quote.body.accountFee, "0.5");
+      assert.equal(quote.body.accountFeeLamports, "500000");
+
+      const res = await withdraw(
+        server,
+        await fundedNote(server),
+        Keypair.generate().publicKey.toBase58()
+      );
+      assert.equal(res.status, 200, res.body.error);
+      // 1% of 10 TST, plus the account
+      assert.equal(res.body.relayerFee, "0.6");
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("refuse to open token accounts without an account fee", async () => {
+    const server = await boot();
+    try {
+      const quote = await server.request("GET", "/api/relayers?mint=TST");
+      assert.equal(quote.body.accountFee, null);
+
+      const res = await withdraw(
+        server,
+        await fundedNote(server),
+        Keypair.generate().publicKey.toBase58()
+      );
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /no token account for this mint/);
+
+      // ...but relay to recipients that have one
+      const recipient = Keypair.generate().publicKey.toBase58();
+      rpc.accounts.add(tokenAccountAddress(MINT, recipient));
+      const relayed = await withdraw(
+        server,
+        await fundedNote(server),
+        recipient
+      );
+      assert.equal(relayed.status, 200, relayed.body.error);
+      assert.equal(relayed.body.relayerFee, "0.1");
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,234 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import { LEGACY_TREE_ID } from "../src/pools.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { createSqliteStore } from "../src/storage/sqlite.js";
+import {
+  cannedSolTransfer,
+  randomSignature,
+  startFakeRpc,
+} from "./helpers/rpc.js";
+import { eventually, startServer } from "./helpers/server.js";
+import {
+  TEST_TREE_DEPTH,
+  TEST_VKEY_PATH,
+  closeProver,
+  noteLeaf,
+  proveWithdrawal,
+  randomNote,
+} from "./helpers/zk.js";
+
+const ONE_SOL = 1_000_000_000n;
+
+describe("shielded withdrawals", () => {
+  let rpc;
+  let server;
+  const poolKeypair = Keypair.generate();
+  const poolAddress = poolKeypair.publicKey.toBase58();
+  // the 1 SOL pool has a hot wallet of its own
+  const denominationKeypair = Keypair.generate();
+  const denominationAddress = denominationKeypair.publicKey.toBase58();
+  const depositor = Keypair.generate().publicKey.toBase58();
+  const legacyNote = randomNote();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    rpc.balances.set(poolAddress, Number(10n * ONE_SOL));
+    rpc.balances.set(denominationAddress, Number(10n * ONE_SOL));
+
+    // A note deposited before denomination pools, into the legacy tree,
+    // which takes no deposits through the API any more
+    const dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+    const store = createSqliteStore(join(dir, "zknon.db"), {
+      treeDepth: TEST_TREE_DEPTH,
+    });
+    await migrateUp(store);
+    await store.recordDeposit({
+      walletPubkey: depositor,
+      zkProofId: null,
+      mint: "SOL",
+      lamports: ONE_SOL,
+      txSignature: randomSignature(),
+      poolAddress,
+      createdAt: new Date().toISOString(),
+      commitment: {
+        treeId: LEGACY_TREE_ID,
+        commitment: legacyNote.commitment.toString(),
+        leaf: noteLeaf(legacyNote, ONE_SOL).toString(),
+      },
+    });
+    await store.close();
+
+    server = await startServer({
+      rpc,
+      dir,
+      poolKeypair,
+      env: {
+        DENOMINATIONS: "1",
+        POOL_SECRET_KEY_BASE58_1: bs58.encode(denominationKeypair.secretKey),
+        MERKLE_TREE_DEPTH: String(TEST_TREE_DEPTH),
+        WITHDRAW_VKEY_PATH: TEST_VKEY_PATH,
+      },
+    });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+    await closeProver();
+  });
+
+  // Deposits a fresh 1 SOL note into the pool and resolves to it with its
+  // authentication path
+  async function depositNote() {
+    const note = randomNote();
+    const txSignature = cannedSolTransfer(rpc, {
+      from: depositor,
+      to: denominationAddress,
+      lamports: ONE_SOL,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey: depositor,
+        commitment: note.commitment.toString(),
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200, deposit.body.error);
+    return { note, path: await treePath(deposit.body.leafIndex, "1") };
+  }
+
+  async function treePath(leafIndex, denomination) {
+    const { status, body } = await server.request(
+      "GET",
+      `/api/tree/path/${leafIndex}?denomination=${denomination}`
+    );
+    assert.equal(status, 200, body.error);
+    return body;
+  }
+
+  function withdraw(body) {
+    return server.request("POST", "/api/withdrawals", {
+      body: { amount: "1", ...body },
+    });
+  }
+
+  // The transfer the queue sent to `recipient`, once it has
+  function sentTo(recipient) {
+    return eventually(() =>
+      rpc.sent.find(({ tx }) =>
+        tx.instructions.some((ix) =>
+          ix.keys.some((k) => k.pubkey.toBase58() === recipient)
+        )
+      )
+    );
+  }
+
+  test("pays a valid proof from the wallet of the note's pool", async () => {
+    const { note, path } = await depositNote();
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const spend = await proveWithdrawal({
+      note,
+      path,
+      recipient,
+      lamports: ONE_SOL,
+    });
+
+    const res = await withdraw({ ...spend, recipient });
+    assert.equal(res.status, 200, res.body.error);
+    assert.equal(res.body.status, "PENDING");
+
+    const { tx } = await sentTo(recipient);
+    assert.equal(tx.feePayer.toBase58(), denominationAddress);
+
+    const nullifier = await server.request(
+      "GET",
+      `/api/nullifiers/${spend.nullifierHash}`
+    );
+    assert.equal(nullifier.body.spent, true);
+  });
+
+  test("pays a legacy note from the main pool, not a denomination pool of its amount", async () => {
+    const path = await treePath(0, LEGACY_TREE_ID);
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const spend = await proveWithdrawal({
+      note: legacyNote,
+      path,
+      recipient,
+      lamports: ONE_SOL,
+    });
+
+    const res = await withdraw({ ...spend, recipient });
+    assert.equal(res.status, 200, res.body.error);
+
+    const { tx } = await sentTo(recipient);
+    assert.equal(tx.feePayer.toBase58(), poolAddress);
+  });
+
+  test("rejects a tampered proof", async () => {
+    const { note, path } = await depositNote();
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const spend = await proveWithdrawal({
+      note,
+      path,
+      recipient,
+      lamports: ONE_SOL,
+    });
+
+    // the recipient is bound into the proof
+    const thief = Keypair.generate().publicKey.toBase58();
+    const swapped = await withdraw({ ...spend, recipient: thief });
+    assert.equal(swapped.status, 403);
+    assert.equal(swapped.body.error, "Invalid withdrawal proof");
+
+    // and so is every point of it
+    const [x, y, z] = spend.proof.pi_c;
+    const bent = await withdraw({
+      ...spend,
+      proof: { ...spend.proof, pi_c: [x, (BigInt(y) + 1n).toString(), z] },
+      recipient,
+    });
+    assert.equal(bent.status, 403);
+
+    // neither attempt spent the note
+    const res = await withdraw({ ...spend, recipient });
+    assert.equal(res.status, 200, res.body.error);
+  });
+
+  test("rejects a root the pool's tree never had", async () => {
+    const { note, path } = await depositNote();
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const spend = await proveWithdrawal({
+      note,
+      path,
+      recipient,
+      lamports: ONE_SOL,
+    });
+    const res = await withdraw({ ...spend, root: "12345", recipient });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Unknown or expired Merkle root");
+  });
+
+  test("rejects a nullifier that has been spent", async () => {
+    const { note, path } = await depositNote();
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const spend = await proveWithdrawal({
+      note,
+      path,
+      recipient,
+      lamports: ONE_SOL,
+    });
+
+    const first = await withdraw({ ...spend, recipient });
+    assert.equal(first.status, 200, first.body.error);
+
+    const again = await withdraw({ ...spend, recipient });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "Note has already been spent");
+  });
+});
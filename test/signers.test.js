@@ -0,0 +1,105 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "crypto";
+import { Keypair } from "@solana/web3.js";
+import { localSigner, remoteSigner, verifySignature } from "../src/signers.js";
+
+describe("localSigner", () => {
+  test("signs with its key and wipes the bytes it was given", async () => {
+    const keypair = Keypair.generate();
+    const secretKey = Buffer.from(keypair.secretKey);
+    const signer = localSigner(secretKey, "keystore");
+    assert.equal(signer.address, keypair.publicKey.toBase58());
+    assert.ok(secretKey.every((byte) => byte === 0));
+
+    const message = randomBytes(100);
+    const signature = await signer.sign(message);
+    assert.equal(verifySignature(keypair.publicKey, message, signature), true);
+    assert.equal(
+      verifySignature(keypair.publicKey, randomBytes(100), signature),
+      false
+    );
+  });
+});
+
+describe("remoteSigner", () => {
+  const held = Keypair.generate();
+  const address = held.publicKey.toBase58();
+  const message = randomBytes(100);
+
+  // A signing service that answers `answer(message)`, { status, body }, as
+  // a fetch that records its requests
+  function service(answer) {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, ...init, body: JSON.parse(init.body) });
+      const { status = 200, body } = await answer(
+        Buffer.from(JSON.parse(init.body).message, "base64")
+      );
+      return new Response(JSON.stringify(body), { status });
+    };
+    return { fetch, requests };
+  }
+
+  async function signWith(key, bytes) {
+    const signer = localSigner(Buffer.from(key.secretKey), "test");
+    return (await signer.sign(bytes)).toString("base64");
+  }
+
+  test("asks the service for a signature and checks it", async () => {
+    const { fetch, requests } = service(async (bytes) => ({
+      body: { signature: await signWith(held, bytes) },
+    }));
+    const signer = remoteSigner({
+      url: "http://signer.test/",
+      token: "secret-token",
+      address,
+      fetch,
+    });
+
+    const signature = await signer.sign(message);
+    assert.equal(verifySignature(held.publicKey, message, signature), true);
+    assert.equal(signer.source, "remote");
+
+    const [request] = requests;
+    assert.equal(request.url, "http://signer.test/sign");
+    assert.equal(request.headers.Authorization, "Bearer secret-token");
+    assert.deepEqual(request.body, {
+      address,
+      message: message.toString("base64"),
+    });
+  });
+
+  test("refuses a signature by another key, or of another message", async () => {
+    for (const sign of [
+      (bytes) => signWith(Keypair.generate(), bytes),
+      () => signWith(held, randomBytes(100)),
+      async () => "not a signature",
+    ]) {
+      const { fetch } = service(async (bytes) => ({
+        body: { signature: await sign(bytes) },
+      }));
+      const signer = remoteSigner({
+        url: "http://signer.test",
+        address,
+        fetch,
+      });
+      await assert.rejects(
+        signer.sign(message),
+        new RegExp(`Remote signer sent a bad signature for ${address}`)
+      );
+    }
+  });
+
+  test("passes on why the service refused", async () => {
+    const { fetch } = service(async () => ({
+      status: 403,
+      body: { error: "key not held" },
+    }));
+    const signer = remoteSigner({ url: "http://signer.test", address, fetch });
+    await assert.rejects(
+      signer.sign(message),
+      new RegExp(`Remote signer refused ${address}: key not held`)
+    );
+  });
+});
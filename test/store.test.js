@@ -0,0 +1,592 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Keypair } from "@solana/web3.js";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { randomSignature } from "./helpers/rpc.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+const ONE_SOL = 1_000_000_000n;
+const POOL = Keypair.generate().publicKey.toBase58();
+
+const address = () => Keypair.generate().publicKey.toBase58();
+const now = () => new Date().toISOString();
+
+let nextId = 0;
+const zkProofId = () => `zk_test_${process.pid}_${++nextId}`;
+
+/**
+ * The behaviour every store (see ../src/storage/index.js) has to share,
+ * run against a freshly migrated one from `open()`, which resolves to
+ * { store, cleanup() }.
+ */
+function storeContract(open) {
+  let store;
+  let cleanup;
+
+  before(async () => {
+    ({ store, cleanup } = await open());
+    await migrateUp(store);
+  });
+  after(async () => {
+    await store.close();
+    await cleanup();
+  });
+
+  async function fundedProof(walletPubkey, lamports = ONE_SOL) {
+    const id = zkProofId();
+    await store.insertZkProof({
+      id,
+      walletPubkey,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: now(),
+    });
+    const result = await store.recordDeposit({
+      walletPubkey,
+      zkProofId: id,
+      mint: "SOL",
+      lamports,
+      txSignature: randomSignature(),
+      poolAddress: POOL,
+      createdAt: now(),
+    });
+    assert.equal(result.conflict, undefined);
+    return id;
+  }
+
+  function withdraw(walletPubkey, id, outputs, extra = {}) {
+    return store.createWithdrawal({
+      walletPubkey,
+      zkProofId: id,
+      mint: "SOL",
+      outputs,
+      poolAddress: POOL,
+      createdAt: now(),
+      ...extra,
+    });
+  }
+
+  // The due batch that sends to `recipient`
+  async function dueBatchOf(recipient) {
+    const batches = await store.dueWithdrawalBatches(Date.now() + 1, 100);
+    return batches.find((b) => b.some((job) => job.recipient === recipient));
+  }
+
+  async function spentOf(id) {
+    return (await store.getZkProof(id)).spent_lamports;
+  }
+
+  test("inserts a zk_proof once per id", async () => {
+    const walletPubkey = address();
+    const id = zkProofId();
+    const proof = {
+      id,
+      walletPubkey,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: now(),
+    };
+    assert.equal(await store.insertZkProof(proof), true);
+    assert.equal(
+      await store.insertZkProof({ ...proof, walletPubkey: address() }),
+      false
+    );
+
+    const row = await store.getZkProof(id);
+    assert.equal(row.id, id);
+    assert.equal(row.wallet_pubkey, walletPubkey);
+    assert.equal(row.total_lamports, 0n);
+    assert.equal(row.spent_lamports, 0n);
+    assert.equal(row.frozen_at, null);
+    assert.deepEqual(
+      (await store.listZkProofs(walletPubkey)).map((p) => p.id),
+      [id]
+    );
+    assert.equal(await store.getZkProof("zk_missing"), null);
+  });
+
+  test("credits a deposit once per signature, with its event", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const [row] = await store.history(walletPubkey);
+    assert.equal(row.type, "DEPOSIT");
+    assert.equal(row.status, "CONFIRMED");
+    assert.equal(row.amount_lamports, ONE_SOL);
+    assert.equal(await store.isDepositRecorded(row.tx_signature), true);
+
+    const replay = await store.recordDeposit({
+      walletPubkey,
+      zkProofId: id,
+      mint: "SOL",
+      lamports: ONE_SOL,
+      txSignature: row.tx_signature,
+      poolAddress: POOL,
+      createdAt: now(),
+    });
+    assert.equal(replay.conflict, "txSignature has already been recorded");
+    assert.equal((await store.getZkProof(id)).total_lamports, ONE_SOL);
+    assert.equal((await store.history(walletPubkey)).length, 1);
+
+    const events = await store.walletEventsSince(walletPubkey, 0, 10);
+    assert.deepEqual(
+      events.map((e) => [e.type, e.data.amountLamports]),
+      [["deposit.credited", ONE_SOL.toString()]]
+    );
+  });
+
+  test("keeps lamport values past 2^53 exact", async () => {
+    const walletPubkey = address();
+    const lamports = 2n ** 60n + 1n;
+    const id = await fundedProof(walletPubkey, lamports);
+    assert.equal((await store.getZkProof(id)).total_lamports, lamports);
+    assert.equal(
+      (await store.history(walletPubkey))[0].amount_lamports,
+      lamports
+    );
+  });
+
+  test("locks a withdrawal's total and refuses what is not left", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const half = ONE_SOL / 2n;
+
+    const { ids } = await withdraw(walletPubkey, id, [
+      { recipient: address(), lamports: half },
+      { recipient: address(), lamports: half / 2n },
+    ]);
+    assert.equal(ids.length, 2);
+    assert.equal(await spentOf(id), half + half / 2n);
+
+    const over = await withdraw(walletPubkey, id, [
+      { recipient: address(), lamports: half },
+    ]);
+    assert.equal(over.conflict, "Insufficient shielded balance");
+    assert.equal(await spentOf(id), half + half / 2n);
+    assert.equal(
+      (await store.history(walletPubkey)).filter((r) => r.type === "WITHDRAW")
+        .length,
+      2
+    );
+  });
+
+  test("refuses withdrawals from a frozen zk_proof", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const audit = { action: "zkproof.freeze", createdAt: now() };
+    await store.setZkProofFrozen({ zkProofId: id, frozenAt: now(), audit });
+
+    const result = await withdraw(walletPubkey, id, [
+      { recipient: address(), lamports: 1n },
+    ]);
+    assert.equal(result.conflict, "zk_proof is frozen by the operator");
+    assert.equal(await spentOf(id), 0n);
+  });
+
+  test("spends a nullifier once", async () => {
+    const nullifierHash = `nf_${zkProofId()}`;
+    const spend = () =>
+      withdraw(address(), null, [{ recipient: address(), lamports: 1n }], {
+        nullifierHash,
+      });
+
+    assert.ok((await spend()).ids);
+    assert.equal((await spend()).conflict, "Note has already been spent");
+    assert.ok(await store.getNullifier(nullifierHash));
+  });
+
+  test("spends a nullifier once when the spends race", async () => {
+    const nullifierHash = `nf_${zkProofId()}`;
+    const recipients = [address(), address(), address()];
+
+    const results = await Promise.all(
+      recipients.map((recipient) =>
+        withdraw(recipient, null, [{ recipient, lamports: 1n }], {
+          nullifierHash,
+        })
+      )
+    );
+    const paid = results.filter((r) => r.ids);
+    assert.equal(paid.length, 1);
+    for (const result of results.filter((r) => !r.ids)) {
+      assert.equal(result.conflict, "Note has already been spent");
+    }
+
+    // and only the winner is sent
+    const sent = [];
+    for (const recipient of recipients) {
+      if (await dueBatchOf(recipient)) sent.push(recipient);
+    }
+    assert.equal(sent.length, 1);
+  });
+
+  test("holds withdrawals to the limits of their note and owner", async () => {
+    const walletPubkey = address();
+    const [first, second] = [
+      await fundedProof(walletPubkey),
+      await fundedProof(walletPubkey),
+    ];
+    const limits = {
+      perNote: ONE_SOL / 2n,
+      perDay: (ONE_SOL * 8n) / 10n,
+      since: new Date(Date.now() - 60_000).toISOString(),
+    };
+    const take = (id, lamports) =>
+      withdraw(walletPubkey, id, [{ recipient: address(), lamports }], {
+        limits,
+      });
+    const tenth = ONE_SOL / 10n;
+
+    assert.ok((await take(first, 4n * tenth)).ids);
+    assert.deepEqual((await take(first, 2n * tenth)).rejection, {
+      code: "NOTE_LIMIT_EXCEEDED",
+      left: tenth,
+    });
+    assert.ok((await take(first, tenth)).ids);
+    assert.deepEqual((await take(second, 4n * tenth)).rejection, {
+      code: "DAILY_LIMIT_EXCEEDED",
+      left: 3n * tenth,
+    });
+    assert.equal(await spentOf(second), 0n);
+    assert.ok((await take(second, 3n * tenth)).ids);
+  });
+
+  test("counts shielded spends against their pool wallet", async () => {
+    const poolAddress = address();
+    const limits = {
+      perNote: null,
+      perDay: ONE_SOL,
+      since: new Date(Date.now() - 60_000).toISOString(),
+    };
+    // filed under a new recipient each, as shielded withdrawals are
+    const spend = () => {
+      const recipient = address();
+      return withdraw(
+        recipient,
+        null,
+        [{ recipient, lamports: ONE_SOL / 2n }],
+        {
+          nullifierHash: `nf_${zkProofId()}`,
+          poolAddress,
+          limits,
+        }
+      );
+    };
+
+    assert.ok((await spend()).ids);
+    assert.ok((await spend()).ids);
+    assert.deepEqual((await spend()).rejection, {
+      code: "DAILY_LIMIT_EXCEEDED",
+      left: 0n,
+    });
+  });
+
+  test("checks the limits of concurrent withdrawals one at a time", async () => {
+    const walletPubkey = address();
+    const notes = [];
+    for (let i = 0; i < 5; i++) notes.push(await fundedProof(walletPubkey));
+    const limits = {
+      perNote: null,
+      perDay: ONE_SOL,
+      since: new Date(Date.now() - 60_000).toISOString(),
+    };
+
+    const results = await Promise.all(
+      notes.map((id) =>
+        withdraw(
+          walletPubkey,
+          id,
+          [{ recipient: address(), lamports: (ONE_SOL * 3n) / 10n }],
+          { limits }
+        )
+      )
+    );
+    assert.equal(results.filter((r) => r.ids).length, 3);
+    assert.equal(results.filter((r) => r.rejection).length, 2);
+  });
+
+  test("cancels a scheduled withdrawal and returns its funds", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const {
+      ids: [withdrawalId],
+    } = await withdraw(
+      walletPubkey,
+      id,
+      [{ recipient: address(), lamports: ONE_SOL }],
+      { releaseAt: Date.now() + 60_000 }
+    );
+    assert.equal(await spentOf(id), ONE_SOL);
+
+    const cancel = (owner) =>
+      store.cancelWithdrawal({
+        id: withdrawalId,
+        walletPubkey: owner,
+        updatedAt: now(),
+      });
+    assert.equal(await cancel(address()), null);
+    assert.deepEqual(await cancel(walletPubkey), { id: withdrawalId });
+    assert.equal(await spentOf(id), 0n);
+    assert.equal(
+      (await cancel(walletPubkey)).conflict,
+      "Withdrawal is no longer scheduled"
+    );
+    const [row] = await store.history(walletPubkey);
+    assert.equal(row.status, "CANCELLED");
+  });
+
+  test("hands out due batches and settles them", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const recipient = address();
+    await withdraw(walletPubkey, id, [
+      { recipient, lamports: ONE_SOL / 4n },
+      { recipient: address(), lamports: ONE_SOL / 4n },
+    ]);
+
+    const batch = await dueBatchOf(recipient);
+    assert.equal(batch.length, 2);
+    assert.equal(batch[0].batch_id, batch[1].batch_id);
+
+    const signature = randomSignature();
+    await store.confirmWithdrawals(
+      batch.map((job) => ({
+        ...job,
+        state: "CONFIRMED",
+        signature,
+        updated_at: now(),
+      }))
+    );
+    const rows = (await store.history(walletPubkey)).filter(
+      (r) => r.type === "WITHDRAW"
+    );
+    assert.deepEqual(
+      rows.map((r) => [r.status, r.tx_signature]),
+      [
+        ["CONFIRMED", signature],
+        ["CONFIRMED", signature],
+      ]
+    );
+    // settled jobs are left alone
+    assert.equal(
+      await store.updateWithdrawalJobs(
+        batch.map((job) => ({ ...job, state: "QUEUED", updated_at: now() }))
+      ),
+      false
+    );
+  });
+
+  test("returns the funds of a failed withdrawal", async () => {
+    const walletPubkey = address();
+    const id = await fundedProof(walletPubkey);
+    const recipient = address();
+    await withdraw(walletPubkey, id, [{ recipient, lamports: ONE_SOL }]);
+    const batch = await dueBatchOf(recipient);
+    await store.failWithdrawals(
+      batch.map((job) => ({
+        ...job,
+        state: "FAILED",
+        last_error: "boom",
+        updated_at: now(),
+      }))
+    );
+    assert.equal(await spentOf(id), 0n);
+    const events = await store.walletEventsSince(walletPubkey, 0, 10);
+    assert.equal(events.at(-1).type, "withdrawal.failed");
+  });
+
+  test("moves funds between notes in an internal transfer", async () => {
+    const walletPubkey = address();
+    const from = await fundedProof(walletPubkey);
+    const to = zkProofId();
+    const transfer = {
+      from: { walletPubkey, zkProofId: from },
+      to: { walletPubkey, zkProofId: to, noteHash: "hash" },
+      mint: "SOL",
+      lamports: ONE_SOL / 2n,
+      poolAddress: POOL,
+      createdAt: now(),
+    };
+    assert.equal((await store.recordInternalTransfer(transfer)).ids.length, 2);
+    assert.equal(await spentOf(from), ONE_SOL / 2n);
+    assert.equal((await store.getZkProof(to)).total_lamports, ONE_SOL / 2n);
+
+    const collision = await store.recordInternalTransfer(transfer);
+    assert.equal(collision.conflict, "ID collision, retry request");
+    assert.equal(await spentOf(from), ONE_SOL / 2n);
+  });
+
+  test("retires the old pool key and moves its unsigned withdrawals", async () => {
+    const pool = `pool_${zkProofId()}`;
+    const [oldKey, newKey] = [address(), address()];
+    const register = (key) =>
+      store.registerPoolKey({
+        pool,
+        address: key,
+        source: "keystore",
+        now: now(),
+        audit: {
+          action: "pool_key.rotate",
+          targetType: "pool",
+          targetId: pool,
+          createdAt: now(),
+        },
+      });
+
+    assert.deepEqual(await register(oldKey), {
+      rotatedFrom: null,
+      movedJobs: 0,
+    });
+    const walletPubkey = address();
+    const recipient = address();
+    await withdraw(
+      walletPubkey,
+      await fundedProof(walletPubkey),
+      [{ recipient, lamports: ONE_SOL }],
+      { poolAddress: oldKey }
+    );
+
+    assert.deepEqual(await register(newKey), {
+      rotatedFrom: oldKey,
+      movedJobs: 1,
+    });
+    const retired = await store.getPoolKey(oldKey);
+    assert.equal(retired.state, "RETIRED");
+    assert.equal(retired.replaced_by, newKey);
+    assert.ok(retired.retired_at);
+    assert.equal((await store.getPoolKey(newKey)).state, "ACTIVE");
+
+    // the new key signs what the old one had not
+    const [job] = await dueBatchOf(recipient);
+    assert.equal(job.signer, newKey);
+    const [entry] = await store.adminAuditLog({
+      action: "pool_key.rotate",
+      targetId: pool,
+      limit: 10,
+    });
+    assert.deepEqual(entry.details, { from: oldKey, to: newKey, movedJobs: 1 });
+
+    // registering the active key again changes nothing
+    assert.deepEqual(await register(newKey), {
+      rotatedFrom: null,
+      movedJobs: 0,
+    });
+    assert.equal((await store.getPoolKey(oldKey)).state, "RETIRED");
+  });
+
+  test("holds internal transfers to the limits of their note and owner", async () => {
+    const walletPubkey = address();
+    const [first, second] = [
+      await fundedProof(walletPubkey),
+      await fundedProof(walletPubkey),
+    ];
+    const limits = {
+      perNote: ONE_SOL / 2n,
+      perDay: (ONE_SOL * 8n) / 10n,
+      since: new Date(Date.now() - 60_000).toISOString(),
+    };
+    const tenth = ONE_SOL / 10n;
+    const transfer = (id, lamports) =>
+      store.recordInternalTransfer({
+        from: { walletPubkey, zkProofId: id },
+        to: { walletPubkey: address(), zkProofId: zkProofId(), noteHash: "h" },
+        mint: "SOL",
+        lamports,
+        poolAddress: POOL,
+        limits,
+        createdAt: now(),
+      });
+    const take = (id, lamports) =>
+      withdraw(walletPubkey, id, [{ recipient: address(), lamports }], {
+        limits,
+      });
+
+    assert.ok((await transfer(first, 4n * tenth)).ids);
+    // what the note moved away counts against it...
+    assert.deepEqual((await take(first, 2n * tenth)).rejection, {
+      code: "NOTE_LIMIT_EXCEEDED",
+      left: tenth,
+    });
+    assert.deepEqual((await transfer(first, 2n * tenth)).rejection, {
+      code: "NOTE_LIMIT_EXCEEDED",
+      left: tenth,
+    });
+    // ...and against its owner's day
+    assert.deepEqual((await transfer(second, 5n * tenth)).rejection, {
+      code: "DAILY_LIMIT_EXCEEDED",
+      left: 4n * tenth,
+    });
+    assert.equal(await spentOf(second), 0n);
+    assert.ok((await take(second, 4n * tenth)).ids);
+  });
+
+  test("counts rate limit hits per window", async () => {
+    const key = `test:${zkProofId()}`;
+    const start = Date.now();
+    assert.equal(await store.peekRateLimit(key, start), null);
+    assert.equal((await store.hitRateLimit(key, 1000, start)).count, 1);
+    const second = await store.hitRateLimit(key, 1000, start + 10);
+    assert.deepEqual(second, { count: 2, resetAt: start + 1000 });
+    assert.deepEqual(await store.peekRateLimit(key, start + 20), second);
+    assert.equal(await store.peekRateLimit(key, start + 1000), null);
+    assert.equal((await store.hitRateLimit(key, 1000, start + 1000)).count, 1);
+    await store.resetRateLimit(key);
+    assert.equal((await store.hitRateLimit(key, 1000, start + 1001)).count, 1);
+  });
+
+  test("keeps at most maxNotes backups per wallet", async () => {
+    const walletPubkey = address();
+    const save = (label, ciphertext = "c1") =>
+      store.saveNoteBackup({
+        walletPubkey,
+        label,
+        ciphertext,
+        updatedAt: now(),
+        maxNotes: 2,
+      });
+    assert.deepEqual(await save("a"), { created: true });
+    assert.deepEqual(await save("b"), { created: true });
+    assert.match((await save("c")).conflict, /at most 2 notes/);
+    assert.deepEqual(await save("a", "c2"), { created: false });
+
+    const backups = await store.listNoteBackups(walletPubkey);
+    assert.deepEqual(
+      backups.map((b) => [b.label, b.ciphertext]),
+      [
+        ["a", "c2"],
+        ["b", "c1"],
+      ]
+    );
+    assert.equal(
+      await store.deleteNoteBackup({ walletPubkey, label: "a" }),
+      true
+    );
+    assert.equal(
+      await store.deleteNoteBackup({ walletPubkey, label: "a" }),
+      false
+    );
+  });
+}
+
+describe("sqlite store", () => {
+  storeContract(async () => {
+    const dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+    return {
+      store: createStore({ SQLITE_PATH: join(dir, "zknon.db") }),
+      cleanup: () => rmSync(dir, { recursive: true, force: true }),
+    };
+  });
+});
+
+describe("postgres store", () => {
+  storeContract(async () => {
+    const schema = await createTestSchema();
+    return {
+      store: createStore({ DB_DRIVER: "postgres", DATABASE_URL: schema.url }),
+      cleanup: schema.drop,
+    };
+  });
+});
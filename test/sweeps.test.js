@@ -0,0 +1,167 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import Database from "better-sqlite3";
+import { Connection, Keypair } from "@solana/web3.js";
+import { localSigner } from "../src/signers.js";
+import { SOL_MINT } from "../src/solana.js";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import { createSweeper } from "../src/sweeps.js";
+import { startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+
+const ADMIN_API_KEY = "test-admin-key";
+
+describe("sweeper", () => {
+  let rpc;
+  let db;
+  let sweeper;
+  const hot = Keypair.generate();
+  const hotAddress = hot.publicKey.toBase58();
+
+  beforeEach(async () => {
+    rpc ??= await startFakeRpc();
+    rpc.balances.set(hotAddress, 5_000_000_000);
+    rpc.blockHeight = 50;
+    rpc.confirmSent = false;
+    rpc.hooks = {};
+    rpc.sent.length = 0;
+
+    db = await createTestStore();
+    const signer = localSigner(Uint8Array.from(hot.secretKey), "test");
+    sweeper = createSweeper({
+      store: db.store,
+      connection: new Connection(rpc.url),
+      findSigner: (address) => (address === hotAddress ? signer : null),
+    });
+  });
+  afterEach(() => db.close());
+  after(() => rpc.close());
+
+  // Submits a 1 SOL sweep from the hot wallet to a new cold address, so
+  // its signature is not one an earlier test finalized
+  async function submit() {
+    const { sweep } = await sweeper.sweep({
+      from: hotAddress,
+      to: Keypair.generate().publicKey.toBase58(),
+      mint: SOL_MINT,
+      reason: "THRESHOLD",
+      lamports: 1_000_000_000n,
+    });
+    assert.equal(rpc.sent.length, 1);
+    return sweep;
+  }
+
+  async function state(id) {
+    const sweeps = await db.store.listSweeps({ limit: 10 });
+    return sweeps.find((s) => s.id === id);
+  }
+
+  test("confirms a sweep once its signature lands", async () => {
+    const sweep = await submit();
+    rpc.finalize(sweep.signature);
+    await sweeper.tick();
+    assert.equal((await state(sweep.id)).state, "CONFIRMED");
+  });
+
+  test("re-broadcasts the same bytes while the blockhash is valid", async () => {
+    const sweep = await submit();
+    await sweeper.tick();
+    assert.equal(rpc.sent.length, 2);
+    assert.equal(rpc.sent[1].signature, sweep.signature);
+    assert.equal((await state(sweep.id)).state, "SUBMITTED");
+  });
+
+  test("fails a sweep whose blockhash expired unseen", async () => {
+    const sweep = await submit();
+    rpc.blockHeight = rpc.lastValidBlockHeight + 1;
+    await sweeper.tick();
+
+    const failed = await state(sweep.id);
+    assert.equal(failed.state, "FAILED");
+    assert.match(failed.last_error, /Blockhash expired/);
+    assert.equal(rpc.sent.length, 1);
+  });
+
+  test("confirms a sweep that lands after the block height was read", async () => {
+    const sweep = await submit();
+
+    // expired by the time the height is read, but landed right after
+    rpc.blockHeight = rpc.lastValidBlockHeight + 1;
+    rpc.hooks.getBlockHeight = () => rpc.finalize(sweep.signature);
+    await sweeper.tick();
+
+    assert.equal((await state(sweep.id)).state, "CONFIRMED");
+    assert.deepEqual(await db.store.submittedSweeps(), []);
+  });
+});
+
+describe("POST /api/admin/pool-keys/:address/sweep", () => {
+  let rpc;
+  let server;
+  const retired = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+
+    // a pool whose keys were all retired: the old one and its replacement
+    const dir = mkdtempSync(join(tmpdir(), "zknon-test-"));
+    const filename = join(dir, "zknon.db");
+    const store = createStore({ SQLITE_PATH: filename });
+    await migrateUp(store);
+    const replacement = Keypair.generate().publicKey.toBase58();
+    for (const address of [retired, replacement]) {
+      const now = new Date().toISOString();
+      await store.registerPoolKey({
+        pool: "gone",
+        address,
+        source: "env",
+        now,
+        audit: { action: "pool_key.rotate", createdAt: now },
+      });
+    }
+    await store.close();
+    const db = new Database(filename);
+    db.prepare(
+      "UPDATE pool_keys SET state = 'RETIRED' WHERE pool = 'gone'"
+    ).run();
+    db.close();
+
+    server = await startServer({ rpc, dir, env: { ADMIN_API_KEY } });
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  function sweep(address) {
+    return server.request("POST", `/api/admin/pool-keys/${address}/sweep`, {
+      body: { mint: "SOL" },
+      token: ADMIN_API_KEY,
+    });
+  }
+
+  test("refuses a pool with no active key to sweep into", async () => {
+    const res = await sweep(retired);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "No active pool key");
+  });
+
+  test("refuses unknown and active keys", async () => {
+    assert.equal((await sweep(Keypair.generate().publicKey)).status, 404);
+    const active = await sweep(server.poolAddress);
+    assert.equal(active.status, 409);
+    assert.equal(active.body.error, "Only a retired pool key can be swept");
+  });
+});
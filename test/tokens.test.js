@@ -0,0 +1,236 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import { Connection, Keypair } from "@solana/web3.js";
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+} from "@solana/spl-token";
+import { localSigner } from "../src/signers.js";
+import { tokenAccountAddress, verifyDepositTransfer } from "../src/solana.js";
+import { createWithdrawalQueue } from "../src/withdrawals.js";
+import { cannedTokenTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+
+const MINT = Keypair.generate().publicKey.toBase58();
+const TEN = 10_000_000n;
+
+describe("verifyDepositTransfer of a token", () => {
+  let rpc;
+  let connection;
+  const from = Keypair.generate().publicKey.toBase58();
+  const to = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    connection = new Connection(rpc.url);
+  });
+  after(() => rpc.close());
+
+  test("accepts a transfer into the pool's token account", async () => {
+    const signature = cannedTokenTransfer(rpc, {
+      from,
+      to,
+      mint: MINT,
+      amount: TEN,
+    });
+    const problem = await verifyDepositTransfer(connection, {
+      signature,
+      from,
+      to,
+      lamports: TEN,
+      mint: MINT,
+    });
+    assert.equal(problem, null);
+  });
+
+  test("rejects another mint, amount or destination", async () => {
+    const other = Keypair.generate().publicKey.toBase58();
+    const signature = cannedTokenTransfer(rpc, {
+      from,
+      to,
+      mint: MINT,
+      amount: TEN,
+    });
+    for (const claim of [
+      { mint: other },
+      { mint: "SOL" },
+      { lamports: TEN + 1n },
+      { to: other },
+    ]) {
+      const problem = await verifyDepositTransfer(connection, {
+        signature,
+        from,
+        to,
+        lamports: TEN,
+        mint: MINT,
+        ...claim,
+      });
+      assert.match(problem, /not a transfer of the claimed amount/);
+    }
+  });
+});
+
+describe("token withdrawal queue", () => {
+  let rpc;
+  let db;
+  let queue;
+  const pool = Keypair.generate();
+  const poolAddress = pool.publicKey.toBase58();
+  const wallet = Keypair.generate().publicKey.toBase58();
+  const recipient = Keypair.generate().publicKey.toBase58();
+
+  beforeEach(async () => {
+    rpc ??= await startFakeRpc();
+    rpc.tokenBalances.set(tokenAccountAddress(MINT, poolAddress), TEN);
+    rpc.sent.length = 0;
+
+    db = await createTestStore();
+    const signer = localSigner(Uint8Array.from(pool.secretKey), "test");
+    queue = createWithdrawalQueue({
+      store: {
+        ...db.store,
+        dueWithdrawalBatches: (now, limit) =>
+          db.store.dueWithdrawalBatches(now + 60_000, limit),
+      },
+      connection: new Connection(rpc.url),
+      findSigner: (address) => (address === poolAddress ? signer : null),
+    });
+
+    const zkProofId = "zk_token";
+    const createdAt = new Date().toISOString();
+    await db.store.insertZkProof({
+      id: zkProofId,
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: MINT,
+      createdAt,
+    });
+    await db.store.recordDeposit({
+      walletPubkey: wallet,
+      zkProofId,
+      mint: MINT,
+      lamports: TEN,
+      txSignature: "token_deposit",
+      poolAddress,
+      createdAt,
+    });
+    await db.store.createWithdrawal({
+      walletPubkey: wallet,
+      zkProofId,
+      mint: MINT,
+      outputs: [{ recipient, lamports: TEN }],
+      poolAddress,
+      createdAt,
+    });
+  });
+  afterEach(() => db.close());
+  after(() => rpc.close());
+
+  test("opens the recipient's token account and pays into it", async () => {
+    await queue.tick();
+    assert.equal(rpc.sent.length, 1);
+    const [create, transfer] = rpc.sent[0].tx.instructions;
+
+    const recipientAccount = tokenAccountAddress(MINT, recipient);
+    assert.ok(create.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID));
+    assert.equal(create.keys[1].pubkey.toBase58(), recipientAccount);
+    assert.equal(create.keys[2].pubkey.toBase58(), recipient);
+
+    assert.ok(transfer.programId.equals(TOKEN_PROGRAM_ID));
+    assert.deepEqual(
+      transfer.keys.map((k) => k.pubkey.toBase58()),
+      [tokenAccountAddress(MINT, poolAddress), recipientAccount, poolAddress]
+    );
+    // Transfer instruction: tag 3, then the amount as a u64
+    assert.equal(transfer.data[0], 3);
+    assert.equal(transfer.data.readBigUInt64LE(1), TEN);
+
+    rpc.finalize(rpc.sent[0].signature);
+    await queue.tick();
+    const [row] = await db.store.history(wallet);
+    assert.equal(row.status, "CONFIRMED");
+  });
+
+  test("holds the withdrawal while the pool is short of the token", async () => {
+    rpc.tokenBalances.set(tokenAccountAddress(MINT, poolAddress), TEN - 1n);
+    await queue.tick();
+    assert.equal(rpc.sent.length, 0);
+
+    const [[job]] = await db.store.dueWithdrawalBatches(Date.now() + 60_000, 1);
+    assert.equal(job.state, "AWAITING_LIQUIDITY");
+    assert.match(job.last_error, /is 1 base units of .* short/);
+  });
+});
+
+describe("token deposits", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: { TOKENS: "TST", TOKEN_MINT_TST: MINT, TOKEN_DECIMALS_TST: "6" },
+    });
+    token = await server.signIn(wallet);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  async function note(mint) {
+    const { body } = await server.request("POST", "/api/zkproofs/generate", {
+      body: { mint },
+      token,
+    });
+    return body.zkProofId;
+  }
+
+  function deposit(zkProofId, mint) {
+    const txSignature = cannedTokenTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      mint: MINT,
+      amount: TEN,
+    });
+    return server.request("POST", "/api/deposits", {
+      body: { walletPubkey, zkProofId, mint, amount: "10", txSignature },
+    });
+  }
+
+  test("credit the note of that mint in its own units", async () => {
+    const zkProofId = await note("TST");
+    const res = await deposit(zkProofId, "TST");
+    assert.equal(res.status, 200, res.body.error);
+
+    const { body } = await server.request("GET", "/api/zkproofs", { token });
+    const proof = body.proofs.find((p) => p.zkProofId === zkProofId);
+    assert.equal(proof.symbol, "TST");
+    assert.equal(proof.mint, MINT);
+    assert.equal(proof.balance, "10");
+    assert.equal(proof.balanceLamports, "10000000");
+  });
+
+  test("are not credited to a SOL note", async () => {
+    const zkProofId = await note();
+    const res = await deposit(zkProofId, "TST");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "zk_proof holds a different mint");
+
+    // nor taken as SOL
+    const asSol = await deposit(zkProofId);
+    assert.equal(asSol.status, 400);
+  });
+});
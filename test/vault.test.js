@@ -0,0 +1,184 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createCipheriv,
+  createDecipheriv,
+  hkdfSync,
+  randomBytes,
+} from "crypto";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import { VAULT_MAX_CIPHERTEXT, vaultKeyMessage } from "../src/notes.js";
+import { startFakeRpc } from "./helpers/rpc.js";
+import { signMessage, startServer } from "./helpers/server.js";
+
+// What a client does with the vault key message: sign it with the wallet
+// and run the signature through HKDF-SHA256 for an AES-256-GCM key
+function vaultKey(keypair, keyMessage) {
+  const signature = bs58.decode(signMessage(keypair, keyMessage));
+  return Buffer.from(hkdfSync("sha256", signature, "", "note vault", 32));
+}
+
+function seal(key, note) {
+  const nonce = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, nonce);
+  const sealed = Buffer.concat([
+    nonce,
+    cipher.update(note, "utf8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+  return sealed.toString("base64");
+}
+
+function open(key, ciphertext) {
+  const sealed = Buffer.from(ciphertext, "base64");
+  const decipher = createDecipheriv("aes-256-gcm", key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(-16));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(12, -16)),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+describe("vaultKeyMessage", () => {
+  test("names the domain and the wallet, and never changes for them", () => {
+    const wallet = Keypair.generate().publicKey.toBase58();
+    const message = vaultKeyMessage("zknon.example", wallet);
+    assert.match(message, /^zknon\.example note vault key\n/);
+    assert.ok(message.split("\n").includes(wallet));
+    assert.equal(vaultKeyMessage("zknon.example", wallet), message);
+    assert.notEqual(vaultKeyMessage("other.example", wallet), message);
+  });
+});
+
+describe("note vault", () => {
+  let rpc;
+  let server;
+  const owner = Keypair.generate();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: { AUTH_DOMAIN: "zknon.test", NOTE_VAULT_MAX_NOTES: "2" },
+    });
+    token = await server.signIn(owner);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  function put(label, ciphertext, session = token) {
+    return server.request("PUT", `/api/vault/notes/${label}`, {
+      body: { ciphertext },
+      token: session,
+    });
+  }
+
+  async function backups(session = token) {
+    const { status, body } = await server.request("GET", "/api/vault/notes", {
+      token: session,
+    });
+    assert.equal(status, 200);
+    return body;
+  }
+
+  async function remove(label, session = token) {
+    return server.request("DELETE", `/api/vault/notes/${label}`, {
+      token: session,
+    });
+  }
+
+  test("restores a note on a new device from the wallet alone", async () => {
+    const note = randomBytes(32).toString("hex");
+    const { keyMessage } = await backups();
+    assert.equal(
+      keyMessage,
+      vaultKeyMessage("zknon.test", owner.publicKey.toBase58())
+    );
+
+    const stored = await put(
+      "zk_restore",
+      seal(vaultKey(owner, keyMessage), note)
+    );
+    assert.equal(stored.status, 201);
+    assert.deepEqual(stored.body, { label: "zk_restore", created: true });
+
+    // a new session holds nothing but the wallet: the signature, and so the
+    // key, come out the same
+    const session = await server.signIn(owner);
+    const vault = await backups(session);
+    const backup = vault.notes.find((n) => n.label === "zk_restore");
+    assert.equal(
+      open(vaultKey(owner, vault.keyMessage), backup.ciphertext),
+      note
+    );
+
+    // the server only ever held ciphertext
+    assert.ok(!JSON.stringify(vault).includes(note));
+    await remove("zk_restore");
+  });
+
+  test("replaces the backup under a label", async () => {
+    assert.equal((await put("zk_replace", "first")).status, 201);
+    const replaced = await put("zk_replace", "second");
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.created, false);
+
+    const [backup] = (await backups()).notes;
+    assert.equal(backup.ciphertext, "second");
+    assert.ok(backup.updatedAt >= backup.createdAt);
+    await remove("zk_replace");
+  });
+
+  test("hands backups to their owner only", async () => {
+    await put("zk_mine", "ciphertext");
+    const stranger = await server.signIn(Keypair.generate());
+
+    assert.deepEqual((await backups(stranger)).notes, []);
+    assert.equal((await remove("zk_mine", stranger)).status, 404);
+    assert.equal((await backups()).notes.length, 1);
+
+    const signedOut = await server.request("GET", "/api/vault/notes");
+    assert.equal(signedOut.status, 401);
+    assert.equal((await put("zk_mine", "overwrite", null)).status, 401);
+
+    assert.equal((await remove("zk_mine")).status, 200);
+    assert.equal((await remove("zk_mine")).status, 404);
+  });
+
+  test("keeps at most NOTE_VAULT_MAX_NOTES backups per wallet", async () => {
+    await put("zk_one", "1");
+    await put("zk_two", "2");
+
+    const third = await put("zk_three", "3");
+    assert.equal(third.status, 409);
+    // replacing one is still fine
+    assert.equal((await put("zk_two", "2b")).status, 200);
+
+    await remove("zk_one");
+    assert.equal((await put("zk_three", "3")).status, 201);
+    await remove("zk_two");
+    await remove("zk_three");
+  });
+
+  test("refuses labels and ciphertext it does not take", async () => {
+    for (const [label, ciphertext] of [
+      ["has space", "x"],
+      ["x".repeat(129), "x"],
+      ["zk_ok", ""],
+      ["zk_ok", "x".repeat(VAULT_MAX_CIPHERTEXT + 1)],
+    ]) {
+      const res = await put(encodeURIComponent(label), ciphertext);
+      assert.equal(
+        res.status,
+        400,
+        `${label.slice(0, 20)} ${ciphertext.length}`
+      );
+    }
+    assert.deepEqual((await backups()).notes, []);
+  });
+});
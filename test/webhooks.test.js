@@ -0,0 +1,355 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Keypair } from "@solana/web3.js";
+import pg from "pg";
+import { createStore } from "../src/storage/index.js";
+import { migrateUp } from "../src/storage/migrator.js";
+import {
+  SIGNATURE_HEADER,
+  SIGNATURE_TOLERANCE_MS,
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  signWebhook,
+  verifyWebhookSignature,
+} from "../src/webhooks.js";
+import { createTestStore } from "./helpers/store.js";
+import { createTestSchema } from "./helpers/postgres.js";
+
+describe("webhook signatures", () => {
+  const secret = generateWebhookSecret();
+  const body = JSON.stringify({ id: 1, type: "deposit.credited" });
+
+  test("verify with the secret and the exact body", () => {
+    const header = signWebhook(secret, body);
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(verifyWebhookSignature(secret, header, body), true);
+
+    assert.equal(verifyWebhookSignature(secret, header, body + " "), false);
+    assert.equal(
+      verifyWebhookSignature(generateWebhookSecret(), header, body),
+      false
+    );
+  });
+
+  test("refuse old signatures and malformed headers", () => {
+    const now = Date.now();
+    const stale = signWebhook(
+      secret,
+      body,
+      now - SIGNATURE_TOLERANCE_MS - 1000
+    );
+    assert.equal(verifyWebhookSignature(secret, stale, body, now), false);
+
+    // a fresh timestamp does not rescue an old HMAC
+    const [, v1] = stale.split(",");
+    const moved = `t=${Math.floor(now / 1000)},${v1}`;
+    assert.equal(verifyWebhookSignature(secret, moved, body, now), false);
+
+    for (const header of [undefined, "", "t=1", "v1=abc", "t=x,v1=abc"]) {
+      assert.equal(verifyWebhookSignature(secret, header, body), false);
+    }
+  });
+});
+
+describe("webhook dispatcher", () => {
+  let db;
+  let dispatcher;
+  let receiver;
+  let url;
+  // what the receiver answers next (200 once they run out) and what it got
+  let answers;
+  let received;
+  // how far ahead of the clock deliveries are picked up, to skip backoff
+  let ahead;
+  let deposits = 0;
+  const wallet = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = answers.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  beforeEach(async () => {
+    answers = [];
+    received = [];
+    ahead = 0;
+    db = await createTestStore();
+    dispatcher = createWebhookDispatcher({
+      store: {
+        ...db.store,
+        dueWebhookDeliveries: (now, limit) =>
+          db.store.dueWebhookDeliveries(now + ahead, limit),
+      },
+    });
+    await db.store.insertZkProof({
+      id: "zk_webhooks",
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: new Date().toISOString(),
+    });
+  });
+  afterEach(() => db.close());
+
+  async function endpoint(eventTypes = null) {
+    const createdAt = new Date().toISOString();
+    return db.store.createWebhookEndpoint({
+      url,
+      secret: generateWebhookSecret(),
+      eventTypes,
+      description: "test",
+      createdAt,
+      audit: { action: "webhook.create", targetType: "webhook", createdAt },
+    });
+  }
+
+  // A deposit.credited event, through the store like a real deposit
+  async function deposit() {
+    await db.store.recordDeposit({
+      walletPubkey: wallet,
+      zkProofId: "zk_webhooks",
+      mint: "SOL",
+      lamports: 1_000_000_000n,
+      txSignature: `webhook_deposit_${++deposits}`,
+      poolAddress: wallet,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  async function delivery(endpointId) {
+    const [row] = await db.store.listWebhookDeliveries({
+      endpointId,
+      limit: 1,
+    });
+    return row;
+  }
+
+  test("POSTs each event signed with the endpoint's secret", async () => {
+    const { id, secret } = await endpoint();
+    await deposit();
+    await dispatcher.tick();
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(
+      verifyWebhookSignature(
+        secret,
+        headers[SIGNATURE_HEADER.toLowerCase()],
+        body
+      ),
+      true
+    );
+    const event = JSON.parse(body);
+    assert.equal(event.type, "deposit.credited");
+    assert.equal(event.walletPubkey, wallet);
+    assert.equal(event.data.txSignature, `webhook_deposit_${deposits}`);
+    assert.equal(headers["x-zknon-event"], "deposit.credited");
+    assert.equal(headers["x-zknon-event-id"], String(event.id));
+
+    const row = await delivery(id);
+    assert.equal(row.state, "DELIVERED");
+    assert.equal(row.attempts, 1);
+    assert.equal(headers["x-zknon-delivery"], String(row.id));
+  });
+
+  test("skips events the endpoint did not subscribe to", async () => {
+    const { id } = await endpoint(["withdrawal.confirmed"]);
+    await deposit();
+    await dispatcher.tick();
+    assert.equal(received.length, 0);
+    assert.equal(await delivery(id), undefined);
+  });
+
+  test("retries with exponential backoff until the endpoint answers", async () => {
+    const { id } = await endpoint();
+    answers = [500, 503];
+    await deposit();
+
+    await dispatcher.tick();
+    let row = await delivery(id);
+    assert.equal(row.state, "PENDING");
+    assert.equal(row.last_status, 500);
+    assert.equal(row.next_attempt_at - Date.parse(row.updated_at), 10_000);
+
+    // not due yet
+    await dispatcher.tick();
+    assert.equal(received.length, 1);
+
+    ahead = 10_000;
+    await dispatcher.tick();
+    row = await delivery(id);
+    assert.equal(row.attempts, 2);
+    assert.equal(row.next_attempt_at - Date.parse(row.updated_at), 20_000);
+
+    ahead = 20_000;
+    await dispatcher.tick();
+    row = await delivery(id);
+    assert.equal(row.state, "DELIVERED");
+    assert.equal(row.attempts, 3);
+
+    // every attempt carries the same event
+    assert.equal(new Set(received.map((r) => r.body)).size, 1);
+    const attempts = await db.store.listWebhookAttempts(row.id);
+    assert.deepEqual(
+      attempts.map((a) => a.status),
+      [500, 503, 200]
+    );
+  });
+
+  test("gives up after eight attempts", async () => {
+    const { id } = await endpoint();
+    answers = Array(8).fill(500);
+    await deposit();
+
+    const delays = [];
+    ahead = 60 * 60_000;
+    for (let i = 0; i < 8; i++) {
+      await dispatcher.tick();
+      const row = await delivery(id);
+      if (row.state === "PENDING") {
+        delays.push(row.next_attempt_at - Date.parse(row.updated_at));
+      }
+    }
+    assert.deepEqual(
+      delays,
+      [10, 20, 40, 80, 160, 320, 640].map((s) => s * 1000)
+    );
+
+    const row = await delivery(id);
+    assert.equal(row.state, "FAILED");
+    assert.equal(row.attempts, 8);
+    await dispatcher.tick();
+    assert.equal(received.length, 8);
+  });
+
+  test("counts an unreachable endpoint as a failed attempt", async () => {
+    const { id } = await endpoint();
+    await db.store.createWebhookEndpoint({
+      url: "http://127.0.0.1:1/closed",
+      secret: generateWebhookSecret(),
+      eventTypes: null,
+      description: "closed port",
+      createdAt: new Date().toISOString(),
+      audit: { action: "webhook.create", createdAt: new Date().toISOString() },
+    });
+    await deposit();
+    await dispatcher.tick();
+
+    // the dead endpoint does not hold back the live one
+    assert.equal((await delivery(id)).state, "DELIVERED");
+    const dead = await delivery(id + 1);
+    assert.equal(dead.state, "PENDING");
+    assert.equal(dead.last_status, null);
+    assert.ok(dead.last_error);
+  });
+});
+
+describe("webhook deliveries on postgres", () => {
+  let schema;
+  let store;
+  let other;
+  let endpointId;
+  const wallet = Keypair.generate().publicKey.toBase58();
+
+  before(async () => {
+    schema = await createTestSchema();
+    store = createStore({ DB_DRIVER: "postgres", DATABASE_URL: schema.url });
+    await migrateUp(store);
+    await store.insertZkProof({
+      id: "zk_webhooks",
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: new Date().toISOString(),
+    });
+    const createdAt = new Date().toISOString();
+    ({ id: endpointId } = await store.createWebhookEndpoint({
+      url: "http://127.0.0.1:1/hook",
+      secret: generateWebhookSecret(),
+      eventTypes: null,
+      description: "test",
+      createdAt,
+      audit: { action: "webhook.create", targetType: "webhook", createdAt },
+    }));
+    other = new pg.Client({ connectionString: schema.url });
+    await other.connect();
+  });
+  after(async () => {
+    await other.end();
+    await store.close();
+    await schema.drop();
+  });
+
+  function deposit(txSignature) {
+    return store.recordDeposit({
+      walletPubkey: wallet,
+      zkProofId: "zk_webhooks",
+      mint: "SOL",
+      lamports: 1_000_000_000n,
+      txSignature,
+      poolAddress: wallet,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  // txSignatures of the events queued for the endpoint, in id order
+  async function delivered() {
+    const deliveries = await store.listWebhookDeliveries({
+      endpointId,
+      limit: 10,
+    });
+    const ids = deliveries.map((d) => d.event_id);
+    return (await store.eventsSince(0, 10))
+      .filter((e) => ids.includes(e.id))
+      .map((e) => e.data.txSignature);
+  }
+
+  test("queue an event as soon as it is committed", async () => {
+    await deposit("webhook_now");
+    assert.equal(await store.enqueueWebhookDeliveries(Date.now(), 100), 1);
+    assert.deepEqual(await delivered(), ["webhook_now"]);
+  });
+
+  test("never skip an event that commits after a higher id is taken", async () => {
+    // another writer has taken an event id but not committed yet
+    await other.query("BEGIN");
+    await other.query(
+      `
+      INSERT INTO events (wallet_pubkey, type, data, created_at)
+      VALUES ($1, 'deposit.credited', '{"txSignature":"webhook_late"}', NOW())
+      `,
+      [wallet]
+    );
+    const later = deposit("webhook_after_late");
+
+    // the deposit's event waits for it, so there is nothing to take yet
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(await store.enqueueWebhookDeliveries(Date.now(), 100), 0);
+
+    await other.query("COMMIT");
+    await later;
+    assert.equal(await store.enqueueWebhookDeliveries(Date.now(), 100), 2);
+    assert.deepEqual((await delivered()).slice(-2), [
+      "webhook_late",
+      "webhook_after_late",
+    ]);
+  });
+});
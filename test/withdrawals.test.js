@@ -0,0 +1,331 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import { Connection, Keypair } from "@solana/web3.js";
+import { localSigner } from "../src/signers.js";
+import { createWithdrawalQueue } from "../src/withdrawals.js";
+import { cannedSolTransfer, startFakeRpc } from "./helpers/rpc.js";
+import { eventually, startServer } from "./helpers/server.js";
+import { createTestStore } from "./helpers/store.js";
+
+const ONE_SOL = 1_000_000_000n;
+
+describe("withdrawal queue", () => {
+  let rpc;
+  let db;
+  let queue;
+  const pool = Keypair.generate();
+  const poolAddress = pool.publicKey.toBase58();
+  const wallet = Keypair.generate().publicKey.toBase58();
+
+  beforeEach(async () => {
+    rpc ??= await startFakeRpc();
+    rpc.balances.set(poolAddress, Number(10n * ONE_SOL));
+    rpc.blockHeight = 50;
+    rpc.confirmSent = false;
+    rpc.hooks = {};
+    rpc.sent.length = 0;
+
+    db = await createTestStore();
+    const signer = localSigner(Uint8Array.from(pool.secretKey), "test");
+    queue = createWithdrawalQueue({
+      // a minute ahead, so retries and polls are due at once
+      store: {
+        ...db.store,
+        dueWithdrawalBatches: (now, limit) =>
+          db.store.dueWithdrawalBatches(now + 60_000, limit),
+      },
+      connection: new Connection(rpc.url),
+      findSigner: (address) => (address === poolAddress ? signer : null),
+    });
+
+    const zkProofId = "zk_queue";
+    await db.store.insertZkProof({
+      id: zkProofId,
+      walletPubkey: wallet,
+      noteHash: "hash",
+      mint: "SOL",
+      createdAt: new Date().toISOString(),
+    });
+    await db.store.recordDeposit({
+      walletPubkey: wallet,
+      zkProofId,
+      mint: "SOL",
+      lamports: ONE_SOL,
+      txSignature: "deposit",
+      poolAddress,
+      createdAt: new Date().toISOString(),
+    });
+    await db.store.createWithdrawal({
+      walletPubkey: wallet,
+      zkProofId,
+      mint: "SOL",
+      outputs: [
+        {
+          recipient: Keypair.generate().publicKey.toBase58(),
+          lamports: ONE_SOL,
+        },
+      ],
+      poolAddress,
+      createdAt: new Date().toISOString(),
+    });
+  });
+  afterEach(() => db.close());
+  after(() => rpc.close());
+
+  async function job() {
+    const [batch] = await db.store.dueWithdrawalBatches(Date.now() + 60_000, 1);
+    return batch?.[0] ?? null;
+  }
+
+  async function status() {
+    const [row] = await db.store.history(wallet);
+    return row.status;
+  }
+
+  test("signs, sends and confirms a withdrawal", async () => {
+    await queue.tick();
+    assert.equal(rpc.sent.length, 1);
+    assert.equal((await job()).state, "SUBMITTED");
+
+    rpc.finalize(rpc.sent[0].signature);
+    await queue.tick();
+    assert.equal(await status(), "CONFIRMED");
+  });
+
+  test("re-broadcasts the same bytes while the blockhash is valid", async () => {
+    await queue.tick();
+    await queue.tick();
+    assert.equal(rpc.sent.length, 2);
+    assert.equal(rpc.sent[1].signature, rpc.sent[0].signature);
+    assert.equal((await job()).state, "SUBMITTED");
+  });
+
+  test("signs again once the blockhash expired without the signature", async () => {
+    await queue.tick();
+    rpc.blockHeight = rpc.lastValidBlockHeight + 1;
+    await queue.tick();
+
+    const retried = await job();
+    assert.equal(retried.state, "QUEUED");
+    assert.equal(retried.signature, null);
+    assert.match(retried.last_error, /Blockhash expired/);
+    assert.equal(rpc.sent.length, 1);
+  });
+
+  test("confirms a transaction that lands after the block height was read", async () => {
+    await queue.tick();
+    const [{ signature }] = rpc.sent;
+
+    // expired by the time the height is read, but landed right after
+    rpc.blockHeight = rpc.lastValidBlockHeight + 1;
+    rpc.hooks.getBlockHeight = () => rpc.finalize(signature);
+    await queue.tick();
+
+    assert.equal(await status(), "CONFIRMED");
+    assert.equal(await job(), null);
+    assert.equal(rpc.sent.length, 1);
+  });
+});
+
+describe("withdrawal delays", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let proof;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({
+      rpc,
+      env: { MAX_WITHDRAWAL_DELAY_SECONDS: "3600" },
+    });
+    const token = await server.signIn(wallet);
+    ({ body: proof } = await server.request("POST", "/api/zkproofs/generate", {
+      body: {},
+      token,
+    }));
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: proof.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  function withdraw(delay) {
+    return server.request("POST", "/api/withdrawals", {
+      body: {
+        zkProofId: proof.zkProofId,
+        note: proof.note,
+        recipient: Keypair.generate().publicKey.toBase58(),
+        amount: "1",
+        ...delay,
+      },
+    });
+  }
+
+  test("refuse delays past the maximum with 400", async () => {
+    for (const delay of [
+      { maxDelaySeconds: 3601 },
+      { minDelaySeconds: 10, maxDelaySeconds: 1e15 },
+      { minDelaySeconds: 2 ** 53 },
+      { releaseAt: new Date(Date.now() + 3_700_000).toISOString() },
+    ]) {
+      const res = await withdraw(delay);
+      assert.equal(res.status, 400, JSON.stringify(delay));
+      assert.equal(
+        res.body.error,
+        "Withdrawals can be delayed by at most 3600 seconds"
+      );
+    }
+  });
+
+  test("hold a withdrawal for a delay within it", async () => {
+    const res = await withdraw({ minDelaySeconds: 60, maxDelaySeconds: 3600 });
+    assert.equal(res.status, 200, res.body.error);
+  });
+});
+
+describe("split withdrawals", () => {
+  let rpc;
+  let server;
+  const wallet = Keypair.generate();
+  const walletPubkey = wallet.publicKey.toBase58();
+  let token;
+
+  before(async () => {
+    rpc = await startFakeRpc();
+    server = await startServer({ rpc });
+    rpc.balances.set(server.poolAddress, Number(10n * ONE_SOL));
+    token = await server.signIn(wallet);
+  });
+  after(async () => {
+    await server.stop();
+    await rpc.close();
+  });
+
+  // A zk_proof of the wallet holding 1 SOL
+  async function fundedProof() {
+    const { body: proof } = await server.request(
+      "POST",
+      "/api/zkproofs/generate",
+      { body: {}, token }
+    );
+    const txSignature = cannedSolTransfer(rpc, {
+      from: walletPubkey,
+      to: server.poolAddress,
+      lamports: ONE_SOL,
+    });
+    const deposit = await server.request("POST", "/api/deposits", {
+      body: {
+        walletPubkey,
+        zkProofId: proof.zkProofId,
+        amount: "1",
+        txSignature,
+      },
+    });
+    assert.equal(deposit.status, 200, deposit.body.error);
+    return proof;
+  }
+
+  function split(proof, outputs) {
+    return server.request("POST", "/api/withdrawals", {
+      body: { zkProofId: proof.zkProofId, note: proof.note, outputs },
+    });
+  }
+
+  async function withdrawalsOf(proof) {
+    const { body } = await server.request("GET", "/api/history", { token });
+    return body.history.filter(
+      (r) => r.zkProofId === proof.zkProofId && r.type === "WITHDRAW"
+    );
+  }
+
+  const recipient = () => Keypair.generate().publicKey.toBase58();
+
+  test("refuse outputs that add up to more than the note holds", async () => {
+    const proof = await fundedProof();
+    const res = await split(proof, [
+      { recipient: recipient(), amount: "1" },
+      { recipient: recipient(), amount: "0.1" },
+    ]);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Insufficient shielded balance");
+    assert.deepEqual(await withdrawalsOf(proof), []);
+  });
+
+  test("refuse two outputs to one recipient", async () => {
+    const proof = await fundedProof();
+    const twice = recipient();
+    const res = await split(proof, [
+      { recipient: twice, amount: "0.1" },
+      { recipient: recipient(), amount: "0.1" },
+      { recipient: twice, amount: "0.1" },
+    ]);
+    assert.equal(res.status, 400);
+    assert.equal(
+      res.body.error,
+      "each output must go to a different recipient"
+    );
+    assert.deepEqual(await withdrawalsOf(proof), []);
+  });
+
+  test("settle each output on its own row", async () => {
+    const proof = await fundedProof();
+    const outputs = [
+      { recipient: recipient(), amount: "0.1" },
+      { recipient: recipient(), amount: "0.1" },
+      // the rest of the note, which need not be a denomination
+      { recipient: recipient(), lamports: String((ONE_SOL * 8n) / 10n) },
+    ];
+    const res = await split(proof, outputs);
+    assert.equal(res.status, 200, res.body.error);
+    assert.deepEqual(
+      res.body.outputs.map((o) => [o.recipient, o.amountLamports]),
+      [
+        [outputs[0].recipient, String(ONE_SOL / 10n)],
+        [outputs[1].recipient, String(ONE_SOL / 10n)],
+        [outputs[2].recipient, String((ONE_SOL * 8n) / 10n)],
+      ]
+    );
+
+    const rows = await eventually(async () => {
+      const rows = await withdrawalsOf(proof);
+      return rows.every((r) => r.status === "CONFIRMED") && rows;
+    });
+    assert.deepEqual(
+      rows.map((r) => r.id).sort((a, b) => a - b),
+      res.body.outputs.map((o) => o.id).sort((a, b) => a - b)
+    );
+    for (const { recipient: to } of outputs) {
+      const row = rows.find((r) => r.recipient === to);
+      assert.ok(row.txSignature, to);
+      assert.ok(rpc.sent.some((s) => s.signature === row.txSignature));
+    }
+
+    // the note is spent to the last lamport
+    const { body } = await server.request("GET", "/api/zkproofs", { token });
+    const held = body.proofs.find((p) => p.zkProofId === proof.zkProofId);
+    assert.equal(held.balanceLamports, "0");
+  });
+});
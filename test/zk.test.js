@@ -0,0 +1,38 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import { FIELD_SIZE } from "../src/merkle.js";
+import {
+  TRANSFER_RECIPIENT_TAG,
+  pubkeyToFieldPair,
+  transferRecipientFields,
+} from "../src/zk.js";
+
+describe("transferRecipientFields", () => {
+  const pool = Keypair.generate().publicKey.toBase58();
+
+  test("never names a wallet", () => {
+    const [hi, lo] = transferRecipientFields(pool, 42n);
+    assert.equal(hi, TRANSFER_RECIPIENT_TAG);
+    assert.ok(lo < FIELD_SIZE);
+
+    // the largest key there is still has halves below the tag
+    const [maxHi, maxLo] = pubkeyToFieldPair(
+      new PublicKey(Buffer.alloc(32, 0xff)).toBase58()
+    );
+    assert.ok(maxHi < TRANSFER_RECIPIENT_TAG);
+    assert.ok(maxLo < TRANSFER_RECIPIENT_TAG);
+  });
+
+  test("binds the output commitment and the pool", () => {
+    const [, lo] = transferRecipientFields(pool, 42n);
+    assert.deepEqual(transferRecipientFields(pool, 42n), [
+      TRANSFER_RECIPIENT_TAG,
+      lo,
+    ]);
+    assert.notEqual(transferRecipientFields(pool, 43n)[1], lo);
+
+    const otherPool = Keypair.generate().publicKey.toBase58();
+    assert.notEqual(transferRecipientFields(otherPool, 42n)[1], lo);
+  });
+});